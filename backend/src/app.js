@@ -2,33 +2,74 @@
  * Express Application Configuration
  * 
  * Sets up the Express app with:
- * - CORS for cross-origin requests from the React frontend
- * - JSON body parsing for POST/PUT requests
- * - Transaction API routes mounted at /api/transactions
+ * - CORS for cross-origin requests from the React frontend (config.corsOrigins)
+ * - JSON body parsing for POST/PUT requests (transaction ingestion)
+ * - Login routes mounted at /api/auth, and the health check, without authentication
+ * - Authentication (API key or login token) for every other /api route
+ * - Rate limiting per API key, user or IP, with tighter limits for
+ *   aggregations, exports and logins (middleware/rateLimit.js)
+ * - Transaction API routes, scoped to one merchant, mounted at
+ *   /api/merchants/:merchantId/transactions and at /api/transactions
+ *   (merchant taken from the X-Merchant-Id header)
+ * - Admin-only cross-merchant routes mounted at /api/admin
+ * - Admin-only webhook registration and delivery log mounted at /api/webhooks
+ * - Alert rules and alert history, scoped like the transaction routes, mounted
+ *   at /api/merchants/:merchantId/alerts and at /api/alerts
  * - Global error handling for uncaught exceptions
  */
 
 const express = require('express');
 const cors = require('cors');
 
+const config = require('./config');
 const transactionRoutes = require('./routes/transactionRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const authRoutes = require('./routes/authRoutes');
+const { authenticate } = require('./middleware/auth');
+const { rateLimit, rateLimitFailures } = require('./middleware/rateLimit');
 
 const app = express();
 
-// Enable CORS for frontend running on port 5173
-app.use(cors());
+// Behind a reverse proxy, take the client IP (used for rate limiting) from X-Forwarded-For
+app.set('trust proxy', config.trustProxy);
 
-// Parse JSON request bodies (not currently used, but enables future POST endpoints)
-app.use(express.json());
+// Only the dashboard's origins may call the API from a browser; they may read the quota headers
+app.use(cors({
+  origin: config.corsOrigins,
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
 
-// Mount transaction routes - all endpoints prefixed with /api/transactions
-app.use('/api/transactions', transactionRoutes);
+// Parse JSON request bodies; the limit leaves room for bulk uploads
+app.use(express.json({ limit: config.bodyLimit }));
+
+// Login and health checks work without credentials
+app.use('/api/auth', authRoutes);
 
 // Simple health check for load balancers and monitoring
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Everything else needs an API key or login token, and counts against the caller's quota.
+// Rejected credentials count against the client IP, so keys cannot be guessed at will.
+app.use('/api', rateLimitFailures('auth'), authenticate, rateLimit('default'));
+
+// Mount transaction routes; the merchant comes from the path or the X-Merchant-Id header
+app.use('/api/merchants/:merchantId/transactions', transactionRoutes);
+app.use('/api/transactions', transactionRoutes);
+
+// Cross-merchant views for admins
+app.use('/api/admin', adminRoutes);
+
+// Outbound webhooks, for admins; bound admins manage their merchant's only
+app.use('/api/webhooks', webhookRoutes);
+
+// Alert rules and their history; the merchant comes from the path or the X-Merchant-Id header
+app.use('/api/merchants/:merchantId/alerts', alertRoutes);
+app.use('/api/alerts', alertRoutes);
+
 // Catch-all for undefined routes
 app.use((req, res) => {
   res.status(404).json({
@@ -37,12 +78,25 @@ app.use((req, res) => {
   });
 });
 
-// Global error handler - catches any unhandled errors in route handlers
+// Global error handler - catches any unhandled errors in route handlers.
+// Body parser errors (malformed JSON, oversized uploads) and middleware
+// errors (ValidationError, AuthenticationError, ForbiddenError, RateLimitError) carry a 4xx status and a safe
+// message, so they are passed through instead of becoming 500s.
 app.use((err, req, res, next) => {
-  console.error('Error:', err.message);
-  res.status(500).json({
+  // A response already under way (an event stream) cannot become an error
+  // envelope; Express's default handler logs the error and drops the connection
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    console.error('Error:', err.message);
+  }
+  res.status(status).json({
     success: false,
-    error: 'Internal server error'
+    error: status === 500 ? 'Internal server error' : err.message,
+    ...(status < 500 && err.details && err.details.length > 0 && { details: err.details })
   });
 });
 
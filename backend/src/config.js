@@ -0,0 +1,142 @@
+/**
+ * Application Configuration
+ * 
+ * Central place for deployment settings, read from environment variables
+ * with defaults suitable for local development.
+ * 
+ * - PORT:              HTTP port (default 3001)
+ * - DATA_STORE:        Storage adapter, "json" or "sqlite" (default json)
+ * - TRANSACTIONS_FILE: JSON data file used by the json adapter and to seed sqlite
+ * - SQLITE_PATH:       SQLite database file (default src/data/transactions.db)
+ * - BODY_LIMIT:        Maximum request body size for uploads (default 10mb)
+ * - DEFAULT_TIMEZONE:  IANA time zone for month boundaries when a request
+ *                      has no `tz` parameter (default: the server's zone)
+ * - FX_RATES_FILE:     Date-effective exchange rate table (default src/data/fxRates.json)
+ * - DEFAULT_REPORTING_CURRENCY: Currency summaries are converted to when a
+ *                      request has no `reportingCurrency` parameter (default USD)
+ * - AUTH_ENABLED:      Set to "false" to turn authentication off; every request
+ *                      is then treated as an admin (local development only)
+ * - AUTH_FILE:         Local file with API keys and dashboard users (default
+ *                      src/data/auth.json), managed with `npm run auth`
+ * - JWT_SECRET:        Secret login tokens are signed with. Unset means a random
+ *                      secret per process, so logins end when the server restarts
+ * - JWT_TTL:           Login token lifetime in seconds (default 8 hours)
+ * - CORS_ORIGINS:      Comma-separated origins allowed to call the API from a
+ *                      browser (default http://localhost:5173, the Vite dev server)
+ * - TRUST_PROXY:       Number of reverse proxies in front of the server, so
+ *                      client IPs are read from X-Forwarded-For (default 0)
+ * - RATE_LIMIT_ENABLED: Set to "false" to turn rate limiting off
+ * - RATE_LIMIT_WINDOW: Seconds over which each limit below refills (default 60)
+ * - RATE_LIMIT_DEFAULT, RATE_LIMIT_SUMMARY, RATE_LIMIT_EXPORT, RATE_LIMIT_LOGIN, RATE_LIMIT_AUTH:
+ *                      Requests per window and client for all API routes (120),
+ *                      summaries (30), exports (10), login attempts (10) and
+ *                      rejected API keys or tokens per IP (10)
+ * - AGGREGATION_CACHE: Set to "false" to recompute every summary on each request
+ * - AGGREGATION_CACHE_SIZE: Cached aggregation results kept before the least
+ *                      recently used are dropped (default 500)
+ * - WEBHOOKS_FILE:     Registered webhooks and their signing secrets (default
+ *                      src/data/webhooks.json), managed through /api/webhooks
+ * - WEBHOOK_TIMEOUT:   Seconds to wait for a webhook receiver to answer (default 10)
+ * - WEBHOOK_MAX_ATTEMPTS: Deliveries tried before one is given up (default 6)
+ * - WEBHOOK_RETRY_BASE: Seconds before the first retry; each later retry waits
+ *                      twice as long as the one before (default 30)
+ * - WEBHOOK_LOG_SIZE:  Deliveries kept in the queryable delivery log (default 1000)
+ * - DECLINE_RATE_THRESHOLD, DECLINE_RATE_WINDOW, DECLINE_RATE_MIN_PAYMENTS:
+ *                      decline_rate.threshold_exceeded fires when at least
+ *                      THRESHOLD percent (25) of a merchant's payments in the
+ *                      last WINDOW minutes (60) were declined, once there are
+ *                      MIN_PAYMENTS (20) payments in the window
+ * - ALERTS_FILE:       Alert rules (default src/data/alerts.json), managed through /api/alerts
+ * - ALERT_INTERVAL:    Seconds between scheduled evaluations of the alert rules (default 60)
+ * - ALERT_HISTORY_SIZE: Alert state changes kept in the alert history (default 1000)
+ */
+
+const path = require('path');
+const { resolveTimeZone } = require('./utils/timeZoneParams');
+const { resolveCurrency } = require('./utils/currencyParams');
+const { DEFAULT_CURRENCY } = require('./utils/transactionSchema');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+const serverTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const timeZone = resolveTimeZone(process.env.DEFAULT_TIMEZONE || serverTimeZone);
+if (!timeZone) {
+  throw new Error(`Invalid DEFAULT_TIMEZONE "${process.env.DEFAULT_TIMEZONE}"`);
+}
+
+const reportingCurrency = resolveCurrency(process.env.DEFAULT_REPORTING_CURRENCY || DEFAULT_CURRENCY);
+if (!reportingCurrency) {
+  throw new Error(`Invalid DEFAULT_REPORTING_CURRENCY "${process.env.DEFAULT_REPORTING_CURRENCY}"`);
+}
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset
+ * @returns {number} The parsed value
+ * @throws {Error} If the variable is set but not a positive integer
+ */
+function positiveIntEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Invalid ${name} "${raw}": expected a positive integer`);
+  }
+  return value;
+}
+
+const config = {
+  port: parseInt(process.env.PORT, 10) || 3001,
+  bodyLimit: process.env.BODY_LIMIT || '10mb',
+  timeZone,
+  reportingCurrency,
+  fxRatesPath: process.env.FX_RATES_FILE || path.join(DATA_DIR, 'fxRates.json'),
+  corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:5173').split(',').map(origin => origin.trim()),
+  trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 0,
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    windowSeconds: positiveIntEnv('RATE_LIMIT_WINDOW', 60),
+    policies: {
+      default: positiveIntEnv('RATE_LIMIT_DEFAULT', 120),
+      summary: positiveIntEnv('RATE_LIMIT_SUMMARY', 30),
+      export: positiveIntEnv('RATE_LIMIT_EXPORT', 10),
+      login: positiveIntEnv('RATE_LIMIT_LOGIN', 10),
+      auth: positiveIntEnv('RATE_LIMIT_AUTH', 10)
+    }
+  },
+  aggregationCache: {
+    enabled: process.env.AGGREGATION_CACHE !== 'false',
+    maxEntries: positiveIntEnv('AGGREGATION_CACHE_SIZE', 500)
+  },
+  webhooks: {
+    filePath: process.env.WEBHOOKS_FILE || path.join(DATA_DIR, 'webhooks.json'),
+    timeoutMs: positiveIntEnv('WEBHOOK_TIMEOUT', 10) * 1000,
+    maxAttempts: positiveIntEnv('WEBHOOK_MAX_ATTEMPTS', 6),
+    retryBaseMs: positiveIntEnv('WEBHOOK_RETRY_BASE', 30) * 1000,
+    logSize: positiveIntEnv('WEBHOOK_LOG_SIZE', 1000),
+    declineRate: {
+      threshold: positiveIntEnv('DECLINE_RATE_THRESHOLD', 25),
+      windowMinutes: positiveIntEnv('DECLINE_RATE_WINDOW', 60),
+      minPayments: positiveIntEnv('DECLINE_RATE_MIN_PAYMENTS', 20)
+    }
+  },
+  alerts: {
+    filePath: process.env.ALERTS_FILE || path.join(DATA_DIR, 'alerts.json'),
+    intervalMs: positiveIntEnv('ALERT_INTERVAL', 60) * 1000,
+    historySize: positiveIntEnv('ALERT_HISTORY_SIZE', 1000)
+  },
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    filePath: process.env.AUTH_FILE || path.join(DATA_DIR, 'auth.json'),
+    jwtSecret: process.env.JWT_SECRET || null,
+    tokenTtl: parseInt(process.env.JWT_TTL, 10) || 8 * 60 * 60
+  },
+  storage: {
+    adapter: process.env.DATA_STORE || 'json',
+    jsonPath: process.env.TRANSACTIONS_FILE || path.join(DATA_DIR, 'transactions.json'),
+    sqlitePath: process.env.SQLITE_PATH || path.join(DATA_DIR, 'transactions.db')
+  }
+};
+
+module.exports = config;
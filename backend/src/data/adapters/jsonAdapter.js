@@ -0,0 +1,161 @@
+/**
+ * JSON Storage Adapter
+ * 
+ * Reads transactions.json once into a module-level array and serves
+ * every read from memory. Filtering runs in JavaScript via applyFilters(),
+ * and pages are sorted and sliced with the pagination service.
+ * This is the original storage mechanism and remains the default.
+ * 
+ * Inserted and deleted transactions are written back to the file, but only once the
+ * file has been loaded, so data set directly in tests never touches disk.
+ * Quarantined records are kept out of memory but still written back, so
+ * fixing them in the file is never undone by a later insert.
+ */
+
+const fs = require('fs');
+const { applyFilters } = require('../../services/filterService');
+const { sortTransactions, selectPage } = require('../../services/paginationService');
+
+/**
+ * Create a JSON-file-backed adapter
+ * @param {Object} options
+ * @param {string} options.filePath - Path to the transactions JSON file
+ * @returns {Object} Storage adapter
+ */
+function createJsonAdapter({ filePath }) {
+  let transactions = [];
+  let quarantined = [];
+  let loadedFromFile = false;
+
+  /**
+   * Write the in-memory dataset (plus quarantined records) back to the JSON file
+   */
+  function persist() {
+    if (!loadedFromFile) return;
+    const records = [...transactions, ...quarantined.map(entry => entry.record)];
+    fs.writeFileSync(filePath, JSON.stringify(records, null, 2));
+  }
+
+  return {
+    name: 'json',
+
+    /**
+     * Load transactions from the JSON file
+     * @returns {Array} Array of transactions
+     */
+    load() {
+      try {
+        if (fs.existsSync(filePath)) {
+          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          if (!Array.isArray(data)) {
+            throw new Error('expected an array of transactions');
+          }
+          transactions = data;
+          quarantined = [];
+          loadedFromFile = true;
+          console.log(`📊 Loaded ${transactions.length} transactions from file`);
+        } else {
+          console.warn('⚠️  No transactions file found. Run "npm run generate-data" first.');
+          transactions = [];
+          // Inserts will create the file
+          loadedFromFile = true;
+        }
+      } catch (error) {
+        console.error('❌ Error loading transactions:', error.message);
+        transactions = [];
+      }
+      return transactions;
+    },
+
+    /**
+     * @returns {Array} All transactions in stored order
+     */
+    getAll() {
+      return transactions;
+    },
+
+    /**
+     * Replace the whole dataset in memory
+     * @param {Array} data - Array of transactions
+     */
+    replaceAll(data) {
+      transactions = data;
+      quarantined = [];
+    },
+
+    /**
+     * @param {Object} filters - Filters accepted by applyFilters()
+     * @param {Object} [options] - Page to select (see selectPage())
+     * @param {Array<{field: string, direction: string}>} [options.sort] - Sort keys;
+     *   stored order and every match when omitted
+     * @param {Object|null} [options.cursor] - Decoded cursor to continue from
+     * @param {number} [options.limit] - Maximum number of rows
+     * @returns {Array} Matching transactions
+     */
+    query(filters, { sort, cursor, limit } = {}) {
+      const matching = applyFilters(transactions, filters);
+      return sort ? selectPage(sortTransactions(matching, sort), { sort, cursor, limit }) : matching;
+    },
+
+    /**
+     * @param {Object} filters - Filters accepted by applyFilters()
+     * @returns {number} Number of matching transactions
+     */
+    count(filters) {
+      return applyFilters(transactions, filters).length;
+    },
+
+    /**
+     * @param {string} transactionId - Transaction identifier
+     * @returns {Object|null} The transaction, or null when it does not exist
+     */
+    findById(transactionId) {
+      return transactions.find(t => t.transactionId === transactionId) || null;
+    },
+
+    /**
+     * Append validated transactions and persist them
+     * @param {Array} records - Transactions to add
+     */
+    insert(records) {
+      transactions = [...transactions, ...records];
+      persist();
+    },
+
+    /**
+     * Delete a transaction and persist the change
+     * @param {string} transactionId - Transaction identifier
+     * @returns {boolean} True when a transaction was deleted
+     */
+    remove(transactionId) {
+      const remaining = transactions.filter(t => t.transactionId !== transactionId);
+      if (remaining.length === transactions.length) return false;
+      transactions = remaining;
+      persist();
+      return true;
+    },
+
+    /**
+     * Move invalid records out of the dataset
+     * @param {Array} entries - Quarantine entries from partitionRecords()
+     */
+    quarantine(entries) {
+      const records = new Set(entries.map(entry => entry.record));
+      transactions = transactions.filter(t => !records.has(t));
+      quarantined = [...quarantined, ...entries];
+    },
+
+    /**
+     * @returns {Array} Quarantine entries recorded since the last load
+     */
+    getQuarantined() {
+      return quarantined;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = {
+  createJsonAdapter
+};
@@ -0,0 +1,483 @@
+/**
+ * SQLite Storage Adapter
+ * 
+ * Persists transactions in an embedded SQLite database (better-sqlite3).
+ * Filters are translated into an indexed SQL WHERE clause instead of
+ * scanning an in-memory array, so only matching rows are materialized.
+ * 
+ * better-sqlite3 is synchronous, which keeps the adapter interface
+ * identical to the JSON adapter's.
+ * 
+ * Invalid records (from the seed file or found on load) are moved to a
+ * separate quarantined_transactions table rather than deleted.
+ * 
+ * Databases created before a column existed are migrated on open with
+ * ALTER TABLE ... ADD COLUMN (see MIGRATED_COLUMNS).
+ *
+ * Amount ranges in another currency than the stored amounts are compared
+ * after converting in SQL, with the same arithmetic as convertAmount(), so
+ * both adapters select the same rows.
+ *
+ * A sorted query reads one page with ORDER BY, a keyset condition on the
+ * cursor's sort key and LIMIT, instead of loading every match.
+ */
+
+const fs = require('fs');
+const { parseListParam } = require('../../utils/listParams');
+const { toMinorUnits } = require('../../utils/money');
+const {
+  DEFAULT_TRANSACTION_TYPE,
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  partitionRecords
+} = require('../../utils/transactionSchema');
+const { getFxTable } = require('../../services/currencyService');
+
+// Column order shared by the schema, inserts and row mapping
+const COLUMNS = [
+  'transactionId',
+  'merchantId',
+  'amount',
+  'cardBrand',
+  'status',
+  'declineReasonCode',
+  'transactionDate',
+  'type',
+  'originalTransactionId',
+  'currency'
+];
+
+// Columns added after the first release, with their SQL definitions
+const MIGRATED_COLUMNS = {
+  type: 'TEXT',
+  originalTransactionId: 'TEXT',
+  currency: 'TEXT'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS transactions (
+    transactionId     TEXT PRIMARY KEY,
+    merchantId        TEXT NOT NULL,
+    amount            REAL NOT NULL,
+    cardBrand         TEXT NOT NULL,
+    status            TEXT NOT NULL,
+    declineReasonCode TEXT,
+    transactionDate   TEXT NOT NULL,
+    -- Epoch milliseconds, so date ranges compare correctly whatever the UTC offset
+    transactionTime   INTEGER NOT NULL,
+    -- NULL for records stored before types existed; they are payments
+    type              TEXT,
+    originalTransactionId TEXT,
+    -- NULL for records stored before currencies existed; they are USD
+    currency          TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_transactions_time ON transactions (transactionTime);
+  CREATE INDEX IF NOT EXISTS idx_transactions_brand ON transactions (cardBrand, transactionTime);
+  CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (status, declineReasonCode);
+  CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions (merchantId, transactionTime);
+  CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions (amount);
+  CREATE TABLE IF NOT EXISTS quarantined_transactions (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    sourceIndex   INTEGER,
+    transactionId TEXT,
+    record        TEXT NOT NULL,
+    errors        TEXT NOT NULL
+  );
+`;
+
+// Indexes on migrated columns, created once the columns are guaranteed to exist
+const MIGRATED_INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_transactions_original ON transactions (originalTransactionId);
+`;
+
+/**
+ * Add columns missing from a database created by an earlier version
+ * @param {Object} db - better-sqlite3 database
+ */
+function migrateSchema(db) {
+  const existing = new Set(db.prepare('PRAGMA table_info(transactions)').all().map(c => c.name));
+  Object.entries(MIGRATED_COLUMNS).forEach(([column, definition]) => {
+    if (!existing.has(column)) {
+      db.exec(`ALTER TABLE transactions ADD COLUMN ${column} ${definition}`);
+    }
+  });
+  db.exec(MIGRATED_INDEXES);
+}
+
+/**
+ * Convert a database row back into a transaction record.
+ * Null columns (declineReasonCode, type, originalTransactionId, currency) are omitted,
+ * matching the sparse JSON format.
+ * @param {Object} row - Database row
+ * @returns {Object} Transaction record
+ */
+function rowToTransaction(row) {
+  const transaction = {};
+  COLUMNS.forEach(column => {
+    if (row[column] !== null && row[column] !== undefined) {
+      transaction[column] = row[column];
+    }
+  });
+  return transaction;
+}
+
+/**
+ * SQL expression for a row's amount in another currency, at the rates in
+ * effect on its date (see convertAmount())
+ * @param {string} currency - Target currency
+ * @param {Object} [table] - Parsed FX table (defaults to the active one)
+ * @returns {{sql: string, params: Array}} SQL expression and its parameters
+ */
+function convertedAmountSql(currency, table = getFxTable()) {
+  const params = [];
+  const atRates = rates => {
+    params.push(...CURRENCIES.flatMap(code => [code, rates[code]]), rates[currency]);
+    return `amount / (CASE COALESCE(currency, '${DEFAULT_CURRENCY}') ${CURRENCIES.map(() => 'WHEN ? THEN ?').join(' ')} END) * ?`;
+  };
+
+  // Latest rates first; rows before the first entry use the first
+  const branches = table.entries.slice(1).reverse().map(entry => {
+    params.push(entry.time);
+    return `WHEN transactionTime >= ? THEN ${atRates(entry.rates)}`;
+  });
+  const fallback = atRates(table.entries[0].rates);
+  const converted = branches.length > 0 ? `CASE ${branches.join(' ')} ELSE ${fallback} END` : fallback;
+
+  return {
+    sql: `(CASE WHEN COALESCE(currency, '${DEFAULT_CURRENCY}') = ? THEN amount ELSE ${converted} END)`,
+    params: [currency, ...params]
+  };
+}
+
+/**
+ * Translate filters into a WHERE clause with positional parameters
+ * @param {Object} filters - Filters accepted by applyFilters()
+ * @returns {{where: string, params: Array}} SQL fragment and its parameters
+ */
+function buildWhereClause(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  ['cardBrand', 'status', 'declineReasonCode'].forEach(field => {
+    const values = parseListParam(filters[field]);
+    if (values.length > 0) {
+      conditions.push(`${field} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+  });
+
+  if (filters.from) {
+    conditions.push('transactionTime >= ?');
+    params.push(new Date(filters.from).getTime());
+  }
+  if (filters.to) {
+    conditions.push('transactionTime <= ?');
+    params.push(new Date(filters.to).getTime());
+  }
+  const hasMin = filters.minAmount !== undefined && filters.minAmount !== null;
+  const hasMax = filters.maxAmount !== undefined && filters.maxAmount !== null;
+  const currencies = parseListParam(filters.currency);
+  const sameCurrency = !filters.amountCurrency ||
+    (currencies.length === 1 && currencies[0] === filters.amountCurrency);
+  if ((hasMin || hasMax) && !sameCurrency) {
+    // Compared in whole cents, like filterByAmountRange()
+    const converted = convertedAmountSql(filters.amountCurrency);
+    [[hasMin, '>=', filters.minAmount], [hasMax, '<=', filters.maxAmount]].forEach(([has, operator, bound]) => {
+      if (!has) return;
+      conditions.push(`ROUND(${converted.sql} * 100) ${operator} ?`);
+      params.push(...converted.params, toMinorUnits(bound));
+    });
+  } else {
+    if (hasMin) {
+      conditions.push('amount >= ?');
+      params.push(filters.minAmount);
+    }
+    if (hasMax) {
+      conditions.push('amount <= ?');
+      params.push(filters.maxAmount);
+    }
+  }
+  if (filters.merchantId && filters.merchantId !== 'all') {
+    conditions.push('merchantId = ?');
+    params.push(String(filters.merchantId));
+  }
+
+  const types = parseListParam(filters.type);
+  if (types.length > 0) {
+    conditions.push(`COALESCE(type, '${DEFAULT_TRANSACTION_TYPE}') IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (filters.originalTransactionId) {
+    conditions.push('originalTransactionId = ?');
+    params.push(String(filters.originalTransactionId));
+  }
+  if (currencies.length > 0) {
+    conditions.push(`COALESCE(currency, '${DEFAULT_CURRENCY}') IN (${currencies.map(() => '?').join(', ')})`);
+    params.push(...currencies);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Column a sort field is ordered by, and the value a cursor key is compared as
+ * @param {string} field - Transaction field
+ * @param {*} value - Cursor key value (null when missing)
+ * @returns {{column: string, value: *}} Column name and comparable value
+ */
+function sortColumn(field, value) {
+  // Dates may carry different UTC offsets, so they are ordered as timestamps
+  if (field === 'transactionDate') {
+    return { column: 'transactionTime', value: value === null ? null : Date.parse(value) };
+  }
+  return { column: field, value };
+}
+
+/**
+ * Translate a sort, and the rows after a cursor's key, into SQL.
+ * Missing values sort as if above every value, like compareValues() in the
+ * pagination service. Rows before a cursor are read in the reverse order,
+ * so the LIMIT keeps the ones nearest to it; the caller flips them back.
+ * @param {Array<{field: string, direction: string}>} sort - Sort keys ending with a unique field
+ * @param {Object|null} [cursor] - Output of decodeCursor()
+ * @returns {{condition: string|null, params: Array, orderBy: string, reversed: boolean}}
+ *   Keyset condition (null without a cursor), its parameters, ORDER BY terms
+ *   and whether rows come back in reverse sort order
+ */
+function buildPageClause(sort, cursor = null) {
+  const reversed = Boolean(cursor) && cursor.direction === 'before';
+  const keys = sort.map(({ field, direction }, i) => ({
+    ...sortColumn(field, cursor ? cursor.key[i] : null),
+    // Read backwards, every key runs the other way
+    ascending: (direction === 'asc') !== reversed
+  }));
+  const orderBy = keys
+    .map(({ column, ascending }) => (ascending ? `${column} ASC NULLS LAST` : `${column} DESC NULLS FIRST`))
+    .join(', ');
+  if (!cursor) return { condition: null, params: [], orderBy, reversed };
+
+  // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., where ">" means "comes after"
+  const alternatives = [];
+  const params = [];
+  keys.forEach(({ column, value, ascending }, i) => {
+    // Nothing comes after a missing value in ascending order
+    if (ascending && value === null) return;
+    const terms = keys.slice(0, i).map(key => (key.value === null ? `${key.column} IS NULL` : `${key.column} = ?`));
+    keys.slice(0, i).forEach(key => {
+      if (key.value !== null) params.push(key.value);
+    });
+    if (ascending) {
+      terms.push(`(${column} > ? OR ${column} IS NULL)`);
+      params.push(value);
+    } else {
+      terms.push(value === null ? `${column} IS NOT NULL` : `${column} < ?`);
+      if (value !== null) params.push(value);
+    }
+    alternatives.push(`(${terms.join(' AND ')})`);
+  });
+
+  return {
+    condition: alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : '0',
+    params,
+    orderBy,
+    reversed
+  };
+}
+
+/**
+ * Create a SQLite-backed adapter
+ * @param {Object} options
+ * @param {string} options.filePath - Database file (':memory:' for a throwaway database)
+ * @param {string} [options.seedPath] - JSON file imported when the database is empty
+ * @returns {Object} Storage adapter
+ */
+function createSqliteAdapter({ filePath, seedPath }) {
+  // Required lazily so the native module is only needed when this adapter is selected
+  const Database = require('better-sqlite3');
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrateSchema(db);
+
+  const insertStatement = db.prepare(`
+    INSERT INTO transactions (${COLUMNS.join(', ')}, transactionTime)
+    VALUES (${COLUMNS.map(c => `@${c}`).join(', ')}, @transactionTime)
+  `);
+  const countStatement = db.prepare('SELECT COUNT(*) AS count FROM transactions');
+  const findStatement = db.prepare(`SELECT ${COLUMNS.join(', ')} FROM transactions WHERE transactionId = ?`);
+  const deleteStatement = db.prepare('DELETE FROM transactions WHERE transactionId = ?');
+  const quarantineStatement = db.prepare(`
+    INSERT INTO quarantined_transactions (sourceIndex, transactionId, record, errors)
+    VALUES (@index, @transactionId, @record, @errors)
+  `);
+
+  const insertMany = db.transaction(records => {
+    records.forEach(t => {
+      insertStatement.run({
+        ...Object.fromEntries(COLUMNS.map(c => [c, t[c] === undefined ? null : t[c]])),
+        transactionTime: new Date(t.transactionDate).getTime()
+      });
+    });
+  });
+
+  const replaceAllTransaction = db.transaction(records => {
+    db.exec('DELETE FROM transactions; DELETE FROM quarantined_transactions;');
+    insertMany(records);
+  });
+
+  const quarantineMany = db.transaction(entries => {
+    entries.forEach(entry => {
+      if (entry.transactionId) {
+        deleteStatement.run(entry.transactionId);
+      }
+      quarantineStatement.run({
+        index: entry.index,
+        transactionId: entry.transactionId,
+        record: JSON.stringify(entry.record === undefined ? null : entry.record),
+        errors: JSON.stringify(entry.errors)
+      });
+    });
+  });
+
+  const adapter = {
+    name: 'sqlite',
+
+    /**
+     * Open the database, importing the seed file on first run
+     * @returns {Array} Array of transactions
+     */
+    load() {
+      const { count } = countStatement.get();
+      if (count === 0 && seedPath && fs.existsSync(seedPath)) {
+        const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+        // NOT NULL constraints would abort the whole import on one bad record
+        const { valid, quarantined } = partitionRecords(Array.isArray(seed) ? seed : []);
+        insertMany(valid);
+        quarantineMany(quarantined);
+        console.log(`📥 Imported ${valid.length} transactions into SQLite`);
+      }
+      const transactions = adapter.getAll();
+      console.log(`📊 Loaded ${transactions.length} transactions from SQLite`);
+      return transactions;
+    },
+
+    /**
+     * @returns {Array} All transactions in insertion order
+     */
+    getAll() {
+      return adapter.query({});
+    },
+
+    /**
+     * Replace the whole dataset atomically
+     * @param {Array} data - Array of transactions
+     */
+    replaceAll(data) {
+      replaceAllTransaction(data);
+    },
+
+    /**
+     * @param {Object} filters - Filters accepted by applyFilters()
+     * @param {Object} [options] - Page to read (see buildPageClause())
+     * @param {Array<{field: string, direction: string}>} [options.sort] - Sort keys;
+     *   insertion order and every match when omitted
+     * @param {Object|null} [options.cursor] - Decoded cursor to continue from
+     * @param {number} [options.limit] - Maximum number of rows
+     * @returns {Array} Matching transactions
+     */
+    query(filters, { sort, cursor, limit } = {}) {
+      const { where, params } = buildWhereClause(filters);
+      if (!sort) {
+        return db
+          .prepare(`SELECT ${COLUMNS.join(', ')} FROM transactions ${where} ORDER BY rowid`)
+          .all(...params)
+          .map(rowToTransaction);
+      }
+
+      const page = buildPageClause(sort, cursor);
+      const conditions = [where.replace(/^WHERE /, ''), page.condition].filter(Boolean);
+      const limitClause = limit === undefined ? '' : 'LIMIT ?';
+      const rows = db
+        .prepare(`
+          SELECT ${COLUMNS.join(', ')} FROM transactions
+          ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+          ORDER BY ${page.orderBy} ${limitClause}
+        `)
+        .all(...params, ...page.params, ...(limit === undefined ? [] : [limit]))
+        .map(rowToTransaction);
+      return page.reversed ? rows.reverse() : rows;
+    },
+
+    /**
+     * @param {Object} filters - Filters accepted by applyFilters()
+     * @returns {number} Number of matching transactions
+     */
+    count(filters) {
+      const { where, params } = buildWhereClause(filters);
+      return db.prepare(`SELECT COUNT(*) AS count FROM transactions ${where}`).get(...params).count;
+    },
+
+    /**
+     * @param {string} transactionId - Transaction identifier
+     * @returns {Object|null} The transaction, or null when it does not exist
+     */
+    findById(transactionId) {
+      const row = findStatement.get(transactionId);
+      return row ? rowToTransaction(row) : null;
+    },
+
+    /**
+     * Insert validated transactions in a single database transaction
+     * @param {Array} records - Transactions to add
+     */
+    insert(records) {
+      insertMany(records);
+    },
+
+    /**
+     * @param {string} transactionId - Transaction identifier
+     * @returns {boolean} True when a transaction was deleted
+     */
+    remove(transactionId) {
+      return deleteStatement.run(transactionId).changes > 0;
+    },
+
+    /**
+     * Move invalid records into quarantined_transactions
+     * @param {Array} entries - Quarantine entries from partitionRecords()
+     */
+    quarantine(entries) {
+      quarantineMany(entries);
+    },
+
+    /**
+     * @returns {Array} Every quarantine entry in the database
+     */
+    getQuarantined() {
+      return db
+        .prepare('SELECT sourceIndex, transactionId, record, errors FROM quarantined_transactions ORDER BY id')
+        .all()
+        .map(row => ({
+          index: row.sourceIndex,
+          transactionId: row.transactionId,
+          record: JSON.parse(row.record),
+          errors: JSON.parse(row.errors)
+        }));
+    },
+
+    close() {
+      db.close();
+    }
+  };
+
+  return adapter;
+}
+
+module.exports = {
+  createSqliteAdapter,
+  buildWhereClause,
+  buildPageClause
+};
@@ -1,39 +1,140 @@
 /**
- * In-Memory Data Store
+ * Data Store
  * 
- * Manages transaction data loaded from transactions.json.
- * Uses module-level caching to avoid repeated file I/O.
- * The data is loaded once at server startup and held in memory
- * for fast read access throughout the application lifecycle.
+ * Single entry point for transaction data access. Storage is delegated
+ * to an adapter chosen through configuration (DATA_STORE):
+ * - json:   transactions.json held in memory (default)
+ * - sqlite: embedded SQLite database with indexed filtering
+ * 
+ * Every adapter implements the same interface:
+ *   load() -> Array, getAll() -> Array, replaceAll(Array),
+ *   query(filters, {sort, cursor, limit}?) -> Array, count(filters) -> number,
+ *   findById(id) -> Object|null,
+ *   insert(Array), remove(id) -> boolean, quarantine(entries), getQuarantined() -> Array, close()
+ * 
+ * Records are validated against the transaction schema when loaded;
+ * invalid ones are quarantined so they cannot skew aggregates.
+ * 
+ * Routes should prefer queryTransactions(filters) over filtering
+ * getTransactions() themselves, so adapters can push filters down.
+ * 
+ * Every change to the data (load, replace, insert, delete) bumps a data
+ * version and notifies onDataChange() listeners, so derived state such
+ * as cached aggregations can be invalidated. Errors thrown by listeners
+ * are logged, not passed on to whoever changed the data.
  */
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { createJsonAdapter } = require('./adapters/jsonAdapter');
+const { partitionRecords } = require('../utils/transactionSchema');
+const { fromMinorUnits, sumMinorUnits } = require('../utils/money');
+
+let adapter = null;
 
-let transactions = [];
+// Versions restart with the process, so they are prefixed with an ID of this run
+const RUN_ID = crypto.randomBytes(4).toString('hex');
+let changeCount = 0;
+let lastModified = new Date();
+const changeListeners = new Set();
 
 /**
- * Load transactions from JSON file
- * @returns {Array} Array of transactions
+ * Record a data change and tell the listeners about it
+ * @param {string} type - load | replace | insert | delete
+ * @param {Array} [records] - Transactions inserted or deleted
  */
-function loadTransactions() {
-  const dataPath = path.join(__dirname, '..', 'data', 'transactions.json');
-  
-  try {
-    if (fs.existsSync(dataPath)) {
-      const data = fs.readFileSync(dataPath, 'utf8');
-      transactions = JSON.parse(data);
-      console.log(`📊 Loaded ${transactions.length} transactions from file`);
-    } else {
-      console.warn('⚠️  No transactions file found. Run "npm run generate-data" first.');
-      transactions = [];
+function notifyChange(type, records = []) {
+  changeCount += 1;
+  lastModified = new Date();
+  const change = { type, records, version: getDataVersion().version };
+  changeListeners.forEach(listener => {
+    // The data is already stored; a failing listener must neither fail the
+    // request that changed it nor keep the other listeners from running
+    try {
+      listener(change);
+    } catch (error) {
+      console.error(`Data change listener failed (${type}):`, error.message);
     }
-  } catch (error) {
-    console.error('❌ Error loading transactions:', error.message);
-    transactions = [];
+  });
+}
+
+/**
+ * Current version of the data, for cache validation
+ * @returns {{version: string, lastModified: Date}} Opaque version that
+ *   changes with every data change, and when the last change happened
+ */
+function getDataVersion() {
+  return { version: `${RUN_ID}.${changeCount}`, lastModified };
+}
+
+/**
+ * Register a listener for data changes
+ * @param {Function} listener - Called with { type, records, version }
+ * @returns {Function} Unsubscribe function
+ */
+function onDataChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Create the adapter named in configuration
+ * @param {Object} storageConfig - config.storage
+ * @returns {Object} Storage adapter
+ */
+function createAdapter(storageConfig) {
+  switch (storageConfig.adapter) {
+    case 'json':
+      return createJsonAdapter({ filePath: storageConfig.jsonPath });
+    case 'sqlite': {
+      const { createSqliteAdapter } = require('./adapters/sqliteAdapter');
+      return createSqliteAdapter({
+        filePath: storageConfig.sqlitePath,
+        seedPath: storageConfig.jsonPath
+      });
+    }
+    default:
+      throw new Error(`Unknown storage adapter "${storageConfig.adapter}"`);
+  }
+}
+
+/**
+ * Get the active adapter, creating the configured one on first use
+ * @returns {Object} Storage adapter
+ */
+function getAdapter() {
+  if (!adapter) {
+    adapter = createAdapter(config.storage);
   }
-  
-  return transactions;
+  return adapter;
+}
+
+/**
+ * Swap the active adapter (useful for testing)
+ * @param {Object} nextAdapter - Storage adapter to use from now on
+ */
+function setAdapter(nextAdapter) {
+  if (adapter && adapter !== nextAdapter) {
+    adapter.close();
+  }
+  adapter = nextAdapter;
+  notifyChange('replace');
+}
+
+/**
+ * Load transactions from the configured storage, quarantining invalid records
+ * @returns {Array} Array of valid transactions
+ */
+function loadTransactions() {
+  const active = getAdapter();
+  const { valid, quarantined } = partitionRecords(active.load());
+
+  if (quarantined.length > 0) {
+    active.quarantine(quarantined);
+    console.warn(`⚠️  Quarantined ${quarantined.length} invalid transaction(s); see GET /api/transactions/quarantine`);
+  }
+  notifyChange('load');
+  return valid;
 }
 
 /**
@@ -41,7 +142,81 @@ function loadTransactions() {
  * @returns {Array} Array of transactions
  */
 function getTransactions() {
-  return transactions;
+  return getAdapter().getAll();
+}
+
+/**
+ * Get transactions matching the given filters. With a sort, the adapter
+ * sorts them and returns only the rows after (or before) the cursor, up
+ * to the limit, so a page never loads the whole filtered set.
+ * @param {Object} filters - Filters accepted by applyFilters()
+ * @param {Object} [options]
+ * @param {Array<{field: string, direction: string}>} [options.sort] - Sort keys ending
+ *   with a unique field; stored order when omitted
+ * @param {Object|null} [options.cursor] - Output of decodeCursor()
+ * @param {number} [options.limit] - Maximum number of rows
+ * @returns {Array} Matching transactions
+ */
+function queryTransactions(filters = {}, options = {}) {
+  return getAdapter().query(filters, options);
+}
+
+/**
+ * Count the transactions matching the given filters
+ * @param {Object} filters - Filters accepted by applyFilters()
+ * @returns {number} Number of matching transactions
+ */
+function countTransactions(filters = {}) {
+  return getAdapter().count(filters);
+}
+
+/**
+ * Look up a single transaction
+ * @param {string} transactionId - Transaction identifier
+ * @returns {Object|null} The transaction, or null when it does not exist
+ */
+function findTransaction(transactionId) {
+  return getAdapter().findById(transactionId);
+}
+
+/**
+ * Total amount already refunded or charged back against a payment
+ * @param {string} originalTransactionId - Payment identifier
+ * @returns {number} Sum of the refunds and chargebacks referencing it
+ */
+function getReversedAmount(originalTransactionId) {
+  const adjustments = getAdapter().query({ originalTransactionId });
+  return fromMinorUnits(sumMinorUnits(adjustments.map(t => t.amount)));
+}
+
+/**
+ * Add validated transactions to the store
+ * @param {Array} records - Transactions to add
+ */
+function insertTransactions(records) {
+  if (records.length === 0) return;
+  getAdapter().insert(records);
+  notifyChange('insert', records);
+}
+
+/**
+ * Delete a transaction from the store
+ * @param {string} transactionId - Transaction identifier
+ * @returns {boolean} True when it existed and was deleted
+ */
+function deleteTransaction(transactionId) {
+  const transaction = findTransaction(transactionId);
+  if (!transaction || !getAdapter().remove(transactionId)) return false;
+  notifyChange('delete', [transaction]);
+  return true;
+}
+
+/**
+ * Get records that failed validation, with their field-level errors
+ * @returns {Array<{index: number, transactionId: string|null, record: *, errors: Array}>}
+ */
+function getQuarantinedTransactions() {
+  return getAdapter().getQuarantined();
 }
 
 /**
@@ -49,11 +224,24 @@ function getTransactions() {
  * @param {Array} data - Array of transactions to set
  */
 function setTransactions(data) {
-  transactions = data;
+  getAdapter().replaceAll(data);
+  notifyChange('replace');
 }
 
 module.exports = {
+  createAdapter,
+  getAdapter,
+  setAdapter,
   loadTransactions,
   getTransactions,
-  setTransactions
+  queryTransactions,
+  countTransactions,
+  findTransaction,
+  getReversedAmount,
+  insertTransactions,
+  deleteTransaction,
+  getQuarantinedTransactions,
+  setTransactions,
+  getDataVersion,
+  onDataChange
 };
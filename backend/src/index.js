@@ -4,12 +4,38 @@
  */
 
 const app = require('./app');
+const config = require('./config');
 const { loadTransactions } = require('./data/dataStore');
+const { getAuthStore } = require('./services/authService');
+const { warmRollupIndex } = require('./services/rollupIndex');
+const { listWebhooks } = require('./services/webhookService');
+const { listRules, startAlertScheduler } = require('./services/alertService');
 
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 
-// Load transaction data
+// Load transaction data from the configured storage adapter
+console.log(`💾 Storage adapter: ${config.storage.adapter}`);
+console.log(`🕒 Default time zone: ${config.timeZone}`);
+if (!config.auth.enabled) {
+  console.warn('⚠️  AUTH_ENABLED=false: every request is treated as an admin');
+} else {
+  const { apiKeys, users } = getAuthStore();
+  if (apiKeys.size === 0 && users.size === 0) {
+    console.warn(`⚠️  No credentials in ${config.auth.filePath}; create a user with "npm run auth add-user"`);
+  }
+  if (!config.auth.jwtSecret) {
+    console.warn('⚠️  JWT_SECRET is not set: logins will not survive a server restart');
+  }
+}
+// Read the webhook file now, so a broken one stops the server instead of the first ingestion
+console.log(`🔔 Webhooks registered: ${listWebhooks().length}`);
+// Same for alert rules
+console.log(`🚨 Alert rules: ${listRules().length}`);
 loadTransactions();
+// Summaries in the default time zone should not wait for the index to be built
+warmRollupIndex(config.timeZone);
+// Evaluate alert rules now and then every ALERT_INTERVAL seconds
+startAlertScheduler();
 
 // Start server
 app.listen(PORT, () => {
@@ -20,6 +46,15 @@ app.listen(PORT, () => {
   console.log(`   GET /api/transactions/summary  - MTD & Monthly summaries`);
   console.log(`   GET /api/transactions/mtd      - MTD summary only`);
   console.log(`   GET /api/transactions/monthly  - Monthly summary only`);
+  console.log(`   GET /api/transactions/forecast - Projected month-end figures`);
   console.log(`   GET /api/transactions/filters  - Available filter options`);
+  console.log(`   GET /api/transactions/stream   - Live MTD updates (Server-Sent Events)`);
+  console.log(`   GET /api/transactions/anomalies - Unusual days per card brand & decline reason`);
+  console.log(`   GET /api/merchants/:merchantId/transactions/... - Same endpoints for one merchant`);
+  console.log(`   GET /api/admin/leaderboard     - Merchants ranked by volume (admin)`);
+  console.log(`   GET /api/webhooks              - Outbound webhooks and their deliveries (admin)`);
+  console.log(`   GET /api/alerts                - Alert rules and their state`);
+  console.log(`   GET /api/alerts/history        - Alerts fired and resolved`);
+  console.log(`   POST /api/auth/login           - Dashboard login`);
   console.log(`   GET /api/health               - Health check\n`);
 });
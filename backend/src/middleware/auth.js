@@ -0,0 +1,92 @@
+/**
+ * Authentication Middleware
+ *
+ * Identifies the caller of every protected route and sets `req.principal`
+ * ({ type, id, role, merchantId }, see services/authService.js). Callers
+ * authenticate with one of:
+ * - X-API-Key: <key>                for server-to-server integrations
+ * - Authorization: Bearer <token>   for the dashboard, token from POST /api/auth/login
+ *
+ * requireRole() then limits a route to viewers, analysts or admins.
+ *
+ * With config.auth.enabled false (AUTH_ENABLED=false) every request is an
+ * unrestricted admin, as in local development.
+ *
+ * Errors are passed to next() and rendered by the global error handler.
+ */
+
+const config = require('../config');
+const { authenticateApiKey, authenticateToken, hasRole } = require('../services/authService');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+const API_KEY_HEADER = 'X-API-Key';
+
+// Principal used for every request when authentication is disabled
+const ANONYMOUS_ADMIN = Object.freeze({ type: 'anonymous', id: 'anonymous', role: 'admin', merchantId: null });
+
+/**
+ * Identify the caller from the request's credentials
+ * @param {Object} req - Express request
+ * @returns {Object} Principal
+ * @throws {AuthenticationError} If no credentials are sent or they are invalid
+ */
+function identify(req) {
+  const apiKey = req.get(API_KEY_HEADER);
+  if (apiKey !== undefined) {
+    const principal = authenticateApiKey(apiKey);
+    if (!principal) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    return principal;
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (match) {
+    return authenticateToken(match[1]);
+  }
+
+  throw new AuthenticationError(`Authentication required: send an ${API_KEY_HEADER} header or a Bearer token`);
+}
+
+/**
+ * Set req.principal, answering 401 when the caller cannot be identified
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  if (!config.auth.enabled) {
+    req.principal = ANONYMOUS_ADMIN;
+    next();
+    return;
+  }
+
+  try {
+    req.principal = identify(req);
+    next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer');
+    next(error);
+  }
+}
+
+/**
+ * Only let callers with at least the given role through
+ * @param {string} role - viewer, analyst or admin
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.principal, role)) {
+      next(new ForbiddenError(`This action requires the ${role} role`));
+      return;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,102 @@
+/**
+ * Merchant Context Middleware
+ *
+ * Every transaction request runs on behalf of one merchant, named either by
+ * the path (/api/merchants/:merchantId/transactions/...) or by the
+ * X-Merchant-Id header on /api/transactions/.... Routes read the result from
+ * `req.merchantId` and restrict every query, aggregation and insert to it.
+ *
+ * Callers bound to a merchant (req.principal.merchantId, see
+ * middleware/auth.js) are always scoped to it and cannot name another one.
+ * A request without a merchant context sees all merchants, so it is only
+ * allowed for admins that are not bound to a merchant.
+ *
+ * Errors are passed to next() and rendered by the global error handler.
+ */
+
+const { ValidationError, ForbiddenError } = require('../utils/errors');
+
+const MERCHANT_HEADER = 'X-Merchant-Id';
+
+/**
+ * Check whether a request may see data across merchants
+ * @param {Object} req - Express request, after authenticate()
+ * @returns {boolean} True for admins that are not bound to a merchant
+ */
+function isAdminRequest(req) {
+  const { principal } = req;
+  return Boolean(principal) && principal.role === 'admin' && !principal.merchantId;
+}
+
+/**
+ * Work out which merchant a request is scoped to
+ * @param {Object} req - Express request
+ * @returns {string|null} Merchant identifier, or null for a cross-merchant request
+ * @throws {ValidationError} If the path and header name different merchants, or one is blank
+ * @throws {ForbiddenError} If the caller is bound to a different merchant
+ */
+function getMerchantScope(req) {
+  const fromPath = req.params.merchantId;
+  const fromHeader = req.get(MERCHANT_HEADER);
+  const candidates = [fromPath, fromHeader].filter(value => value !== undefined);
+
+  const scopes = candidates.map(value => value.trim());
+  if (scopes.some(scope => scope === '')) {
+    throw new ValidationError('merchantId must not be empty', { field: 'merchantId' });
+  }
+  if (scopes.length === 2 && scopes[0] !== scopes[1]) {
+    throw new ValidationError(`The ${MERCHANT_HEADER} header does not match the merchant in the path`, { field: 'merchantId' });
+  }
+
+  const bound = req.principal && req.principal.merchantId;
+  if (bound) {
+    if (scopes.length > 0 && scopes[0] !== bound) {
+      throw new ForbiddenError(`These credentials only give access to merchant ${bound}`);
+    }
+    return bound;
+  }
+  return scopes[0] || null;
+}
+
+/**
+ * Set req.merchantId from the caller's merchant binding, the path or the
+ * header. Requests without one must be admin requests.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function resolveMerchantContext(req, res, next) {
+  try {
+    req.merchantId = getMerchantScope(req);
+    if (req.merchantId === null && !isAdminRequest(req)) {
+      throw new ForbiddenError(
+        `A merchant context is required: use /api/merchants/:merchantId/transactions or the ${MERCHANT_HEADER} header`
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only let admin requests through
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdminRequest(req)) {
+    next(new ForbiddenError('Admin access required'));
+    return;
+  }
+  next();
+}
+
+module.exports = {
+  MERCHANT_HEADER,
+  isAdminRequest,
+  getMerchantScope,
+  resolveMerchantContext,
+  requireAdmin
+};
@@ -0,0 +1,235 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Token buckets per client: each client may burst up to a policy's limit,
+ * and one request's worth of tokens comes back every window/limit seconds,
+ * so the sustained rate is `limit` requests per window. Policies and their
+ * limits live in config.rateLimit:
+ * - default: every /api route
+ * - summary: aggregations (summary, mtd, monthly, comparison, forecast, timeseries, anomalies, leaderboard)
+ * - export:  downloads
+ * - login:   password attempts, keyed by IP
+ * - auth:    rejected API keys and tokens, keyed by IP (rateLimitFailures())
+ *
+ * Clients are identified by their API key or user once authenticated, and
+ * by IP otherwise. A request can pass through several policies; the
+ * RateLimit-Limit / -Remaining / -Reset headers describe the tightest one.
+ * An exhausted bucket answers 429 with Retry-After.
+ *
+ * Buckets are held in memory, so limits apply per server process.
+ *
+ * Errors are passed to next() and rendered by the global error handler.
+ */
+
+const config = require('../config');
+const { RateLimitError } = require('../utils/errors');
+
+// Idle buckets are swept once a store tracks this many clients
+const MAX_TRACKED_CLIENTS = 10000;
+
+const stores = new Map();
+
+/**
+ * Create an in-memory set of token buckets sharing one limit
+ * @param {Object} options
+ * @param {number} options.limit - Bucket capacity, and requests allowed per window
+ * @param {number} options.windowSeconds - Seconds for an empty bucket to refill
+ * @param {number} [options.maxClients] - Tracked clients before full buckets are swept
+ * @returns {{limit: number, windowSeconds: number, take: Function, size: Function}} Bucket store
+ */
+function createBucketStore({ limit, windowSeconds, maxClients = MAX_TRACKED_CLIENTS }) {
+  const refillPerMs = limit / (windowSeconds * 1000);
+  const buckets = new Map();
+
+  const tokensAt = (bucket, now) => Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+
+  // Full buckets hold no state worth keeping
+  const sweep = (now) => {
+    buckets.forEach((bucket, key) => {
+      if (tokensAt(bucket, now) >= limit) buckets.delete(key);
+    });
+  };
+
+  return {
+    limit,
+    windowSeconds,
+
+    /**
+     * Spend one token from a client's bucket
+     * @param {string} key - Client identifier
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {{allowed: boolean, remaining: number, reset: number, retryAfter: number}}
+     *   Whether the request may proceed, whole tokens left, seconds until the
+     *   bucket is full again, and seconds until the next token (0 when allowed)
+     */
+    take(key, now = Date.now()) {
+      if (!buckets.has(key) && buckets.size >= maxClients) {
+        sweep(now);
+      }
+
+      const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+      const available = tokensAt(bucket, now);
+      const allowed = available >= 1;
+      const tokens = allowed ? available - 1 : available;
+      buckets.set(key, { tokens, updatedAt: now });
+
+      return {
+        allowed,
+        remaining: Math.floor(tokens),
+        reset: Math.ceil((limit - tokens) / refillPerMs / 1000),
+        retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000)
+      };
+    },
+
+    /**
+     * Check a client's bucket without spending a token
+     * @param {string} key - Client identifier
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {{allowed: boolean, retryAfter: number}} Whether a token is
+     *   left, and seconds until the next one (0 when allowed)
+     */
+    peek(key, now = Date.now()) {
+      const bucket = buckets.get(key);
+      const available = bucket ? tokensAt(bucket, now) : limit;
+      const allowed = available >= 1;
+      return {
+        allowed,
+        retryAfter: allowed ? 0 : Math.ceil((1 - available) / refillPerMs / 1000)
+      };
+    },
+
+    /**
+     * @returns {number} Number of clients with a bucket
+     */
+    size() {
+      return buckets.size;
+    }
+  };
+}
+
+/**
+ * Get the bucket store of a policy, replacing it when its limits were reconfigured
+ * @param {string} policy - Key of config.rateLimit.policies
+ * @returns {Object} Bucket store
+ */
+function getStore(policy) {
+  const limit = config.rateLimit.policies[policy];
+  const { windowSeconds } = config.rateLimit;
+  const store = stores.get(policy);
+  if (store && store.limit === limit && store.windowSeconds === windowSeconds) {
+    return store;
+  }
+
+  const replacement = createBucketStore({ limit, windowSeconds });
+  stores.set(policy, replacement);
+  return replacement;
+}
+
+/**
+ * Identify the client a request counts against
+ * @param {Object} req - Express request
+ * @returns {string} "apiKey:<id>", "user:<name>" or "ip:<address>"
+ */
+function clientKey(req) {
+  const { principal } = req;
+  if (principal && principal.type !== 'anonymous') {
+    return `${principal.type}:${principal.id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Set the RateLimit-* headers unless a stricter policy already set them
+ * @param {Object} res - Express response
+ * @param {Object} store - Bucket store of the policy
+ * @param {Object} result - Outcome of store.take()
+ */
+function setHeaders(res, store, result) {
+  const current = res.get('RateLimit-Remaining');
+  if (current !== undefined && Number(current) <= result.remaining) return;
+
+  res.set({
+    'RateLimit-Limit': String(store.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.reset),
+    'RateLimit-Policy': `${store.limit};w=${store.windowSeconds}`
+  });
+}
+
+/**
+ * Limit requests under a policy
+ * @param {string} policy - Key of config.rateLimit.policies
+ * @returns {Function} Express middleware
+ */
+function rateLimit(policy) {
+  return (req, res, next) => {
+    if (!config.rateLimit.enabled) {
+      next();
+      return;
+    }
+
+    const store = getStore(policy);
+    const result = store.take(clientKey(req));
+    setHeaders(res, store, result);
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      next(new RateLimitError(`Too many requests: retry in ${result.retryAfter} second(s)`, {
+        retryAfter: result.retryAfter
+      }));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Limit failed authentication per IP. Goes in front of authenticate(),
+ * which rejects bad credentials before any per-caller limit can count
+ * them: every 401 response spends a token of the client IP's bucket, and
+ * an IP without tokens left is refused before its credentials are checked.
+ * Requests that authenticate cost nothing.
+ * @param {string} policy - Key of config.rateLimit.policies
+ * @returns {Function} Express middleware
+ */
+function rateLimitFailures(policy) {
+  return (req, res, next) => {
+    if (!config.rateLimit.enabled) {
+      next();
+      return;
+    }
+
+    const store = getStore(policy);
+    const key = `ip:${req.ip}`;
+    const result = store.peek(key);
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      next(new RateLimitError(`Too many failed authentication attempts: retry in ${result.retryAfter} second(s)`, {
+        retryAfter: result.retryAfter
+      }));
+      return;
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode === 401) {
+        store.take(key);
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * Forget every client's usage (useful for testing)
+ */
+function resetRateLimits() {
+  stores.clear();
+}
+
+module.exports = {
+  createBucketStore,
+  clientKey,
+  rateLimit,
+  rateLimitFailures,
+  resetRateLimits
+};
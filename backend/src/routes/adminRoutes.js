@@ -0,0 +1,85 @@
+/**
+ * Admin API Routes
+ *
+ * Cross-merchant views, available to admins only (see
+ * middleware/merchantContext.js). Merchant dashboards use the scoped
+ * transaction routes instead.
+ *
+ * Base path: /api/admin (mounted in app.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const config = require('../config');
+const { queryTransactions, getDataVersion } = require('../data/dataStore');
+const { parseRankByParam, calculateMerchantLeaderboard } = require('../services/leaderboardService');
+const { parseLimit } = require('../utils/paginationParams');
+const { parseReportingCurrencyParam } = require('../utils/currencyParams');
+const { buildCacheKey, getCacheStats } = require('../services/aggregationCache');
+const { throwIfInvalid, parseFilters, sendError, sendCachedJson } = require('./routeHelpers');
+const { validateQueryParams } = require('../utils/transactionSchema');
+const { requireAdmin } = require('../middleware/merchantContext');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const LEADERBOARD_PARAMS = ['reportingCurrency', 'rankBy', 'limit'];
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/leaderboard
+ * Ranks merchants by a metric over the transactions matching the filters
+ * Query params: rankBy (netVolume | grossVolume | totalAmount | totalTransactions | approvalRate |
+ *               refundedAmount | chargebackAmount, default netVolume), limit (default 100),
+ *               reportingCurrency, plus all filter params (e.g. from=-30d for the last 30 days)
+ */
+router.get('/leaderboard', rateLimit('summary'), (req, res) => {
+  try {
+    const filters = parseFilters(req.query, LEADERBOARD_PARAMS);
+    const rankBy = parseRankByParam(req.query.rankBy);
+    const limit = parseLimit(req.query.limit);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
+    const cacheKey = buildCacheKey('leaderboard', filters, { rankBy, limit, reportingCurrency });
+
+    sendCachedJson(req, res, cacheKey, () => {
+      const transactions = queryTransactions(filters);
+      const leaderboard = calculateMerchantLeaderboard(transactions, { rankBy, limit, reportingCurrency });
+
+      return {
+        success: true,
+        rankBy,
+        reportingCurrency,
+        merchantCount: leaderboard.merchantCount,
+        count: leaderboard.data.length,
+        data: leaderboard.data
+      };
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/cache
+ * Aggregation cache counters for monitoring: entries held, hits, misses,
+ * hit rate, evictions and invalidations, plus the current data version
+ */
+router.get('/cache', (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const { version, lastModified } = getDataVersion();
+
+    res.json({
+      success: true,
+      data: {
+        ...getCacheStats(),
+        dataVersion: version,
+        lastModified: lastModified.toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+/**
+ * Alert API Routes
+ *
+ * Alert rules over aggregated metrics, their current state and the history
+ * of firing and resolved alerts (see services/alertService.js). Viewers may
+ * read them; admins create, change and delete rules.
+ *
+ * Like the transaction routes, every request runs in a merchant context
+ * (middleware/merchantContext.js): a merchant only sees its own rules, and
+ * rules it creates are pinned to it. Without a merchant context, admins see
+ * every rule and may create rules for one merchant or for all of them.
+ *
+ * Base paths (mounted in app.js):
+ * - /api/merchants/:merchantId/alerts
+ * - /api/alerts, scoped by the X-Merchant-Id header
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const {
+  HISTORY_STATES,
+  listRules,
+  findRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  listHistory
+} = require('../services/alertService');
+const { parseLimit } = require('../utils/paginationParams');
+const { parseListParam } = require('../utils/listParams');
+const { throwIfInvalid, sendError } = require('./routeHelpers');
+const { validateQueryParams } = require('../utils/transactionSchema');
+const { resolveMerchantContext } = require('../middleware/merchantContext');
+const { requireRole } = require('../middleware/auth');
+
+const HISTORY_PARAMS = ['ruleId', 'state', 'limit'];
+
+router.use(resolveMerchantContext);
+
+/**
+ * Answer 404 for a rule that does not exist or belongs to another merchant
+ * @param {Object} res - Express response
+ * @param {string} ruleId - Rule identifier
+ */
+function sendNotFound(res, ruleId) {
+  res.status(404).json({
+    success: false,
+    error: `Alert rule ${ruleId} not found`
+  });
+}
+
+/**
+ * GET /api/alerts
+ * Alert rules with their current state (pending | ok | firing)
+ */
+router.get('/', requireRole('viewer'), (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const data = listRules(req.merchantId);
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/alerts/history
+ * Alerts that fired or resolved, newest first
+ * Query params: ruleId, state (firing | resolved), limit (default 100)
+ */
+router.get('/history', requireRole('viewer'), (req, res) => {
+  try {
+    // state is an alert state here; keep it from the transaction parameter checks
+    const { state: stateParam, ...rest } = req.query;
+    const details = validateQueryParams(rest, HISTORY_PARAMS);
+    const state = parseListParam(stateParam);
+    state
+      .filter(value => !HISTORY_STATES.includes(value))
+      .forEach(value => details.push({
+        field: 'state',
+        message: `Invalid "state": "${value}" is not one of ${HISTORY_STATES.join(', ')}`
+      }));
+    throwIfInvalid(details);
+
+    const data = listHistory({
+      ruleId: req.query.ruleId,
+      state,
+      merchantScope: req.merchantId,
+      limit: parseLimit(req.query.limit)
+    });
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/alerts
+ * Create a rule; it is evaluated straight away
+ * Body: { name, metric, window, operator, threshold, filters?, merchantId?,
+ *         compareTo?, minTransactions?, enabled? }
+ */
+router.post('/', requireRole('admin'), (req, res) => {
+  try {
+    const rule = createRule(req.body, req.merchantId);
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/alerts/:ruleId
+ * One rule with its current state and last measurement
+ */
+router.get('/:ruleId', requireRole('viewer'), (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const rule = findRule(req.params.ruleId, req.merchantId);
+    if (!rule) {
+      return sendNotFound(res, req.params.ruleId);
+    }
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/alerts/:ruleId
+ * Replace a rule; its state starts over and it is evaluated straight away
+ * Body: as for POST
+ */
+router.put('/:ruleId', requireRole('admin'), (req, res) => {
+  try {
+    const rule = updateRule(req.params.ruleId, req.body, req.merchantId);
+    if (!rule) {
+      return sendNotFound(res, req.params.ruleId);
+    }
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/alerts/:ruleId
+ * Remove a rule; its history is kept
+ */
+router.delete('/:ruleId', requireRole('admin'), (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const rule = findRule(req.params.ruleId, req.merchantId);
+    if (!rule || !deleteRule(rule.id, req.merchantId)) {
+      return sendNotFound(res, req.params.ruleId);
+    }
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Authentication API Routes
+ *
+ * Dashboard login. Users are created with `npm run auth add-user`; the
+ * token returned by /login is sent as `Authorization: Bearer <token>` on
+ * every other request (see middleware/auth.js).
+ *
+ * Base path: /api/auth (mounted in app.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { authenticateUser, issueToken } = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit, rateLimitFailures } = require('../middleware/rateLimit');
+const { AuthenticationError } = require('../utils/errors');
+const { throwIfInvalid, sendError } = require('./routeHelpers');
+
+/**
+ * Describe a principal to the dashboard
+ * @param {Object} principal - Authenticated caller
+ * @returns {{username: string, role: string, merchantId: string|null}}
+ */
+function describePrincipal(principal) {
+  return {
+    username: principal.id,
+    role: principal.role,
+    merchantId: principal.merchantId
+  };
+}
+
+/**
+ * POST /api/auth/login
+ * Exchanges a username and password for a login token
+ * Body: { username, password }
+ * Responds 200 with { token, expiresAt, user }, 400 when a field is
+ * missing, 401 when the credentials are wrong, or 429 after too many
+ * attempts from one IP
+ */
+router.post('/login', rateLimit('login'), (req, res) => {
+  try {
+    const body = req.body || {};
+    throwIfInvalid(['username', 'password']
+      .filter(field => typeof body[field] !== 'string' || body[field] === '')
+      .map(field => ({ field, message: `${field} is required` })));
+
+    const principal = authenticateUser(body.username, body.password);
+    if (!principal) {
+      throw new AuthenticationError('Invalid username or password');
+    }
+
+    const { token, expiresAt } = issueToken(principal);
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: describePrincipal(principal)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Returns the authenticated caller, so the dashboard can check a stored token
+ */
+router.get('/me', rateLimitFailures('auth'), authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: describePrincipal(req.principal)
+  });
+});
+
+module.exports = router;
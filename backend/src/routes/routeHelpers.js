@@ -0,0 +1,169 @@
+/**
+ * Shared Route Helpers
+ *
+ * Query parsing and error responses used by every router, so all
+ * endpoints validate filters the same way and answer failures with the
+ * standard { success: false, error, details? } envelope. Aggregation
+ * endpoints answer through sendCachedJson(), which adds cache validators.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { isRelativeDate, parseDateRange } = require('../utils/dateParams');
+const { parseAmountRange } = require('../utils/amountParams');
+const { parseListParam } = require('../utils/listParams');
+const { FILTER_PARAMS, validateQueryParams } = require('../utils/transactionSchema');
+const { ValidationError } = require('../utils/errors');
+const { getDataVersion } = require('../data/dataStore');
+const { getOrCompute } = require('../services/aggregationCache');
+
+/**
+ * Throw a single ValidationError describing every collected problem
+ * @param {Array<{field: string, message: string}>} details - Field-level errors
+ * @throws {ValidationError} When details is not empty
+ */
+function throwIfInvalid(details) {
+  if (details.length > 0) {
+    throw new ValidationError(details.map(d => d.message).join('; '), { details });
+  }
+}
+
+/**
+ * Read a query parameter that names a single record, such as a merchant
+ * @param {Object} query - Express request query
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} The value, or undefined when it was not given
+ * @throws {ValidationError} If the parameter is repeated, nested or empty
+ */
+function parseSingleParam(query, name) {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ValidationError(`Invalid "${name}": expected a single non-empty value`, { field: name });
+  }
+  return value;
+}
+
+/**
+ * Build the filter object shared by every route from the query string.
+ * Every parameter is checked before failing, so one response lists all problems.
+ *
+ * With a merchant scope the filters are pinned to that merchant; a
+ * `merchantId` parameter naming another merchant is rejected.
+ * @param {Object} query - Express request query
+ * @param {Array<string>} [extraParams] - Route-specific parameters allowed besides the filters
+ * @param {string|null} [merchantScope] - Merchant the request is restricted to (req.merchantId)
+ * @returns {Object} Filters accepted by applyFilters()
+ * @throws {ValidationError} If a parameter is unknown or malformed
+ */
+function parseFilters(query, extraParams = [], merchantScope = null) {
+  const details = validateQueryParams(query, [...FILTER_PARAMS, ...extraParams]);
+  const collect = (parse) => {
+    try {
+      return parse();
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      details.push(...error.details);
+      return {};
+    }
+  };
+
+  const single = name => collect(() => ({ [name]: parseSingleParam(query, name) }))[name];
+  const originalTransactionId = single('originalTransactionId');
+  let merchantId = single('merchantId');
+  if (merchantScope) {
+    if (merchantId && merchantId !== merchantScope) {
+      details.push({ field: 'merchantId', message: `merchantId must match the merchant context (${merchantScope})` });
+    }
+    merchantId = merchantScope;
+  }
+  const currency = parseListParam(query.currency);
+  const cardBrand = parseListParam(query.cardBrand);
+  const status = parseListParam(query.status);
+  const declineReasonCode = parseListParam(query.declineReasonCode);
+  const type = parseListParam(query.type);
+  const { from, to } = collect(() => parseDateRange(query));
+  const { minAmount, maxAmount, amountCurrency } = collect(() => parseAmountRange(query, config.reportingCurrency));
+  throwIfInvalid(details);
+
+  return {
+    cardBrand,
+    status,
+    declineReasonCode,
+    from,
+    to,
+    minAmount,
+    maxAmount,
+    amountCurrency,
+    merchantId,
+    type,
+    originalTransactionId,
+    currency
+  };
+}
+
+/**
+ * Send an error response, using the error's status when it has one
+ * and including field-level details for validation errors
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && error.details.length > 0 && { details: error.details })
+  });
+}
+
+/**
+ * Send an aggregation result with ETag and Last-Modified validators.
+ * The ETag is derived from the cache key and the data version, so a
+ * client revalidating with If-None-Match gets 304 without the result
+ * being looked up or computed; otherwise it comes from the aggregation cache.
+ *
+ * Results that also depend on the current time (the current month or day,
+ * or a relative `from`/`to`) change without the data changing, so they get
+ * no Last-Modified: a client revalidating with If-Modified-Since alone would
+ * otherwise keep getting 304 after the period rolls over. Their cache keys
+ * include the period, so the ETag still changes with it.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} cacheKey - Key from buildCacheKey()
+ * @param {Function} compute - Builds the response body on a cache miss
+ * @param {Object} [options]
+ * @param {boolean} [options.timeDependent=false] - Whether the result depends on the
+ *   current time regardless of the query; relative date bounds are detected
+ */
+function sendCachedJson(req, res, cacheKey, compute, { timeDependent = false } = {}) {
+  const { version, lastModified } = getDataVersion();
+  const tag = crypto.createHash('sha1').update(`${version}:${cacheKey}`).digest('base64url');
+  const dated = !timeDependent && ![req.query.from, req.query.to].some(isRelativeDate);
+
+  res.set({
+    ETag: `"${tag}"`,
+    ...(dated && { 'Last-Modified': lastModified.toUTCString() }),
+    // Responses are per caller, and must be revalidated before reuse
+    'Cache-Control': 'private, no-cache'
+  });
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+  let body;
+  try {
+    body = getOrCompute(cacheKey, compute);
+  } catch (error) {
+    // Errors are not cacheable; the caller renders them
+    ['ETag', 'Last-Modified', 'Cache-Control'].forEach(header => res.removeHeader(header));
+    throw error;
+  }
+  res.json(body);
+}
+
+module.exports = {
+  throwIfInvalid,
+  parseFilters,
+  sendError,
+  sendCachedJson
+};
@@ -3,152 +3,682 @@
  * 
  * RESTful endpoints for transaction data access and aggregation.
  * All routes support optional query parameters for filtering:
- * - cardBrand: Filter by payment network
+ * - cardBrand: Filter by payment network(s)
  * - status: Filter by Approved/Declined
- * - declineReasonCode: Filter by specific decline reason
+ * - declineReasonCode: Filter by specific decline reason(s)
+ * The three fields above accept comma-separated or repeated values.
+ * - from/to: Date range (ISO dates/datetimes or relative tokens like -30d)
+ * - minAmount/maxAmount: Inclusive amount range
+ * - merchantId: Filter by merchant identifier
+ * - type: Filter by Payment/Refund/Chargeback
+ * - originalTransactionId: Refunds and chargebacks of one payment
+ * - currency: Filter by the currency amounts are in
+ * Month-based summaries also accept tz (IANA time zone for month
+ * boundaries, default config.timeZone) and reportingCurrency (currency
+ * amounts are converted to, default config.reportingCurrency).
  * 
- * Base path: /api/transactions (mounted in app.js)
+ * Query parameters are validated against utils/transactionSchema.js:
+ * unknown parameters and values outside the allowed sets (e.g.
+ * status=approved) are rejected with 400 and field-level details.
+ * 
+ * POST routes ingest new transactions (single or bulk); DELETE removes one.
+ * 
+ * Callers are authenticated (middleware/auth.js) and limited by role:
+ * viewers get summaries, filter options and the summary export; analysts
+ * can also list, export and inspect raw transactions; admins can also
+ * ingest and delete.
+ * 
+ * Aggregations and exports have their own, tighter rate limits on top of
+ * the one every API route has (see middleware/rateLimit.js).
+ * 
+ * Summary, MTD and monthly figures come from the pre-aggregated rollup
+ * index when the filters allow it (services/rollupIndex.js).
+ * 
+ * Summary, MTD, monthly, time series and anomaly results are cached until the data
+ * changes (services/aggregationCache.js) and carry ETag / Last-Modified
+ * headers, so revalidating clients get 304 Not Modified. The comparison
+ * and forecast are not cached: their windows end at the current time.
+ * 
+ * GET /stream pushes live updates as Server-Sent Events (services/streamService.js).
+ * 
+ * Every route runs in a merchant context (req.merchantId, see
+ * middleware/merchantContext.js): queries, aggregations, exports and
+ * inserts only ever touch that merchant's transactions. Without one the
+ * request spans all merchants, which only admins may do.
+ * 
+ * Base paths (mounted in app.js):
+ * - /api/merchants/:merchantId/transactions
+ * - /api/transactions, scoped by the X-Merchant-Id header
  */
 
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
-const { getTransactions } = require('../data/dataStore');
+const config = require('../config');
+const {
+  queryTransactions,
+  countTransactions,
+  findTransaction,
+  getReversedAmount,
+  insertTransactions,
+  deleteTransaction,
+  getQuarantinedTransactions,
+  onDataChange
+} = require('../data/dataStore');
+const {
+  getCurrentMonthKey,
+  calculateMTDSummaryFromCells,
+  calculateMonthByMonthSummaryFromCells,
+  calculateTimeSeries
+} = require('../services/aggregationService');
+const { getMonthCells } = require('../services/rollupIndex');
+const { calculatePeriodComparison } = require('../services/comparisonService');
+const { resolveAnomalyRange, detectAnomalies } = require('../services/anomalyService');
+const { resolveForecastRange, forecastMonthEnd } = require('../services/forecastService');
 const { applyFilters } = require('../services/filterService');
-const { calculateMTDSummary, calculateMonthByMonthSummary } = require('../services/aggregationService');
+const { openEventStream } = require('../services/streamService');
+const { hasRole } = require('../services/authService');
+const { projectFields, paginate } = require('../services/paginationService');
+const {
+  validateNewTransaction,
+  applyMerchantScope,
+  validateMerchantScope,
+  validateAgainstOriginal,
+  normalizeTransaction,
+  prepareTransactions,
+  parseBulkBody
+} = require('../services/ingestionService');
+const {
+  TRANSACTION_COLUMNS,
+  SUMMARY_COLUMNS,
+  parseExportFormat,
+  flattenMonthlySummary,
+  sendExport
+} = require('../services/exportService');
+const { parsePaginationParams } = require('../utils/paginationParams');
+const { parseTimeZoneParam } = require('../utils/timeZoneParams');
+const { parseReportingCurrencyParam } = require('../utils/currencyParams');
+const { parseGranularityParam } = require('../utils/granularityParams');
+const { ANOMALY_PARAMS, parseAnomalyParams } = require('../utils/anomalyParams');
+const { FORECAST_PARAMS, parseForecastParams } = require('../utils/forecastParams');
+const { getBucketKey } = require('../utils/timeBuckets');
+const {
+  CARD_BRANDS,
+  STATUSES,
+  DECLINE_REASON_CODES,
+  TRANSACTION_TYPES,
+  CURRENCIES,
+  validateQueryParams
+} = require('../utils/transactionSchema');
+const { ValidationError } = require('../utils/errors');
+const { buildCacheKey, getOrCompute } = require('../services/aggregationCache');
+const { throwIfInvalid, parseFilters, sendError, sendCachedJson } = require('./routeHelpers');
+const { resolveMerchantContext } = require('../middleware/merchantContext');
+const { requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Route-specific parameters accepted alongside the filters
+const LISTING_PARAMS = ['limit', 'cursor', 'sort', 'fields'];
+const EXPORT_PARAMS = ['format'];
+const SUMMARY_PARAMS = ['tz', 'reportingCurrency'];
+const TIMESERIES_PARAMS = ['tz', 'reportingCurrency', 'granularity'];
+const ANOMALY_ROUTE_PARAMS = ['tz', 'reportingCurrency', ...ANOMALY_PARAMS];
+const FORECAST_ROUTE_PARAMS = ['tz', 'reportingCurrency', ...FORECAST_PARAMS];
+
+router.use(resolveMerchantContext);
+
+/**
+ * Look up a transaction within the request's merchant context, so
+ * refunds cannot target (or reveal) another merchant's payments
+ * @param {string|null} merchantScope - Merchant the request is restricted to
+ * @returns {Function} Lookup returning the transaction with an ID, or null
+ */
+function scopedFinder(merchantScope) {
+  return (transactionId) => {
+    const transaction = findTransaction(transactionId);
+    if (!transaction || (merchantScope && transaction.merchantId !== merchantScope)) return null;
+    return transaction;
+  };
+}
+
+/**
+ * Cache key and body of the MTD response, shared by /mtd and /stream so
+ * live updates reuse cached results
+ * @param {Object} filters - Parsed filters
+ * @param {Object} options
+ * @param {string} options.timeZone - IANA time zone for month boundaries
+ * @param {string} options.reportingCurrency - Currency amounts are reported in
+ * @returns {{cacheKey: string, compute: Function}} compute() builds the response body
+ */
+function mtdAggregation(filters, { timeZone, reportingCurrency }) {
+  return {
+    cacheKey: buildCacheKey('mtd', filters, {
+      timeZone,
+      reportingCurrency,
+      currentMonth: getCurrentMonthKey(timeZone)
+    }),
+    compute: () => {
+      const cellsByMonth = getMonthCells(filters, { timeZone, reportingCurrency });
+      
+      const mtdSummary = calculateMTDSummaryFromCells(cellsByMonth, { timeZone, reportingCurrency });
+      
+      return {
+        success: true,
+        timeZone,
+        reportingCurrency,
+        data: mtdSummary
+      };
+    }
+  };
+}
 
 /**
  * GET /api/transactions
- * Returns all transactions with optional filtering
- * Query params: cardBrand, status, declineReasonCode
+ * Returns one page of transactions with optional filtering, sorting and projection
+ * Query params: cardBrand, status, declineReasonCode, from, to, minAmount, maxAmount, merchantId,
+ *               type, originalTransactionId, currency, limit, cursor, sort (e.g. amount:desc,transactionDate:asc), fields (e.g. transactionId,amount)
+ * Rows are ordered by transactionId when no sort is given (not in stored order), and
+ * ties on the requested sort are broken by transactionId, so cursors are stable.
  */
-router.get('/', (req, res) => {
+router.get('/', requireRole('analyst'), (req, res) => {
   try {
-    const { cardBrand, status, declineReasonCode } = req.query;
+    const filters = parseFilters(req.query, LISTING_PARAMS, req.merchantId);
+    const { limit, cursor, sort, fields } = parsePaginationParams(req.query);
     
-    let transactions = getTransactions();
-    
-    // Apply filters
-    transactions = applyFilters(transactions, {
-      cardBrand,
-      status,
-      declineReasonCode
-    });
+    // One row past the page tells whether the list goes on
+    const rows = queryTransactions(filters, { sort, cursor, limit: limit + 1 });
+    const page = paginate(rows, { limit, cursor, sort, total: countTransactions(filters) });
     
     res.json({
       success: true,
-      count: transactions.length,
-      data: transactions
+      count: page.data.length,
+      total: page.total,
+      data: projectFields(page.data, fields),
+      pagination: page.pagination
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/transactions
+ * Adds a single transaction. transactionId is generated when omitted.
+ * Refunds and chargebacks are checked against their original payment.
+ * Body: transaction JSON object
+ * Responds 201 with the stored transaction, 400 with field-level details
+ * of why it was rejected, or 409 when the transactionId already exists
+ */
+router.post('/', requireRole('admin'), (req, res) => {
+  try {
+    const record = applyMerchantScope(req.body, req.merchantId);
+    const details = validateNewTransaction(record);
+    if (details.length === 0) {
+      details.push(...validateMerchantScope(record, req.merchantId));
+    }
+    if (details.length > 0) {
+      throw new ValidationError(`Invalid transaction: ${details.map(d => d.message).join('; ')}`, { details });
+    }
+
+    const transaction = normalizeTransaction(record);
+    if (findTransaction(transaction.transactionId)) {
+      return res.status(409).json({
+        success: false,
+        error: `transactionId ${transaction.transactionId} already exists`
+      });
+    }
+
+    const adjustmentDetails = validateAgainstOriginal(transaction, {
+      findOriginal: scopedFinder(req.merchantId),
+      reversedAmount: getReversedAmount
     });
+    if (adjustmentDetails.length > 0) {
+      throw new ValidationError(`Invalid ${transaction.type.toLowerCase()}: ${adjustmentDetails.map(d => d.message).join('; ')}`, { details: adjustmentDetails });
+    }
+
+    insertTransactions([transaction]);
+
+    res.status(201).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
+/**
+ * POST /api/transactions/bulk
+ * Adds many transactions at once. Valid records are stored even when
+ * others in the same upload are rejected.
+ * Body: JSON array, or NDJSON with Content-Type application/x-ndjson
+ * Responds 201 when every record was accepted, 207 when some were,
+ * 400 when none were; rejected entries carry their input index and field-level errors
+ */
+router.post(
+  '/bulk',
+  requireRole('admin'),
+  express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: config.bodyLimit }),
+  (req, res) => {
+    try {
+      const { records, parseErrors } = parseBulkBody(req.body);
+      const { accepted, rejected } = prepareTransactions(records, {
+        exists: transactionId => findTransaction(transactionId) !== null,
+        findOriginal: scopedFinder(req.merchantId),
+        reversedAmount: getReversedAmount,
+        merchantScope: req.merchantId,
+        parseErrors
+      });
+
+      insertTransactions(accepted);
+
+      const status = rejected.length === 0 ? 201 : (accepted.length > 0 ? 207 : 400);
+      res.status(status).json({
+        success: accepted.length > 0,
+        ...(accepted.length === 0 && { error: 'No transactions were accepted' }),
+        summary: {
+          received: records.length,
+          accepted: accepted.length,
+          rejected: rejected.length
+        },
+        data: accepted,
+        rejected
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
 /**
  * GET /api/transactions/summary
  * Returns MTD and Month-by-Month summaries with optional filtering
- * Query params: cardBrand, status, declineReasonCode
+ * Query params: cardBrand, status, declineReasonCode, from, to, minAmount, maxAmount, merchantId,
+ *               type, originalTransactionId, currency,
+ *               tz, reportingCurrency
  */
-router.get('/summary', (req, res) => {
+router.get('/summary', rateLimit('summary'), (req, res) => {
   try {
-    const { cardBrand, status, declineReasonCode } = req.query;
+    const filters = parseFilters(req.query, SUMMARY_PARAMS, req.merchantId);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
+    // The MTD part changes when a new month starts, even without new data
+    const cacheKey = buildCacheKey('summary', filters, {
+      timeZone,
+      reportingCurrency,
+      currentMonth: getCurrentMonthKey(timeZone)
+    });
     
-    let transactions = getTransactions();
+    sendCachedJson(req, res, cacheKey, () => {
+      const cellsByMonth = getMonthCells(filters, { timeZone, reportingCurrency });
+      
+      // Calculate summaries
+      const mtdSummary = calculateMTDSummaryFromCells(cellsByMonth, { timeZone, reportingCurrency });
+      const monthByMonth = calculateMonthByMonthSummaryFromCells(cellsByMonth, { reportingCurrency });
+      
+      // List filters are echoed as arrays; an empty array means "all"
+      return {
+        success: true,
+        filters: {
+          cardBrand: filters.cardBrand,
+          status: filters.status,
+          declineReasonCode: filters.declineReasonCode,
+          from: filters.from ? filters.from.toISOString() : null,
+          to: filters.to ? filters.to.toISOString() : null,
+          minAmount: filters.minAmount,
+          maxAmount: filters.maxAmount,
+          merchantId: filters.merchantId || 'all',
+          type: filters.type,
+          originalTransactionId: filters.originalTransactionId || null,
+          currency: filters.currency
+        },
+        timeZone,
+        reportingCurrency,
+        mtdSummary,
+        monthByMonth
+      };
+    }, { timeDependent: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/transactions/mtd
+ * Returns Month-to-Date summary only
+ * Query params: cardBrand, status, declineReasonCode, from, to, minAmount, maxAmount, merchantId,
+ *               type, originalTransactionId, currency,
+ *               tz, reportingCurrency
+ */
+router.get('/mtd', rateLimit('summary'), (req, res) => {
+  try {
+    const filters = parseFilters(req.query, SUMMARY_PARAMS, req.merchantId);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
+    const { cacheKey, compute } = mtdAggregation(filters, { timeZone, reportingCurrency });
     
-    // Apply filters
-    transactions = applyFilters(transactions, {
-      cardBrand,
-      status,
-      declineReasonCode
+    sendCachedJson(req, res, cacheKey, compute, { timeDependent: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/transactions/stream
+ * Server-Sent Events for live dashboards, respecting the filter params:
+ * - mtd: the MTD summary (same body as GET /mtd), sent on connect, whenever
+ *   matching transactions are added or deleted, and when a new month starts
+ * - transactions: { count, data } with newly ingested matching transactions,
+ *   for analysts and admins only (viewers get the metrics alone)
+ * Events missed while disconnected are not replayed; the mtd event sent on
+ * reconnect brings the metrics up to date.
+ * Query params: cardBrand, status, declineReasonCode, from, to, minAmount, maxAmount, merchantId,
+ *               type, originalTransactionId, currency,
+ *               tz, reportingCurrency
+ */
+router.get('/stream', rateLimit('summary'), (req, res, next) => {
+  let filters;
+  let options;
+  try {
+    filters = parseFilters(req.query, SUMMARY_PARAMS, req.merchantId);
+    options = {
+      timeZone: parseTimeZoneParam(req.query.tz, config.timeZone),
+      reportingCurrency: parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency)
+    };
+  } catch (error) {
+    sendError(res, error);
+    return;
+  }
+  
+  const includeTransactions = hasRole(req.principal, 'analyst');
+  let month = getCurrentMonthKey(options.timeZone);
+  
+  const stream = openEventStream(res, {
+    onHeartbeat: () => {
+      if (getCurrentMonthKey(options.timeZone) !== month) update();
+    }
+  });
+  
+  // Updates run in timers and inside the request that changed the data,
+  // so a failure is handed to this stream's error handling (which ends it)
+  // instead of propagating
+  function update(sendBefore = () => {}) {
+    try {
+      sendBefore();
+      const { cacheKey, compute } = mtdAggregation(filters, options);
+      month = getCurrentMonthKey(options.timeZone);
+      stream.send('mtd', getOrCompute(cacheKey, compute));
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  const unsubscribe = onDataChange(({ type, records }) => {
+    const matching = applyFilters(records, filters);
+    if ((type === 'insert' || type === 'delete') && matching.length === 0) return;
+    update(() => {
+      if (type === 'insert' && includeTransactions) {
+        stream.send('transactions', { count: matching.length, data: matching });
+      }
     });
+  });
+  stream.onClose(unsubscribe);
+  
+  update();
+});
+
+/**
+ * GET /api/transactions/monthly
+ * Returns Month-by-Month summary only
+ * Query params: cardBrand, status, declineReasonCode, from, to, minAmount, maxAmount, merchantId,
+ *               type, originalTransactionId, currency,
+ *               tz, reportingCurrency
+ */
+router.get('/monthly', rateLimit('summary'), (req, res) => {
+  try {
+    const filters = parseFilters(req.query, SUMMARY_PARAMS, req.merchantId);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
+    const cacheKey = buildCacheKey('monthly', filters, { timeZone, reportingCurrency });
     
-    // Calculate summaries
-    const mtdSummary = calculateMTDSummary(transactions);
-    const monthByMonth = calculateMonthByMonthSummary(transactions);
+    sendCachedJson(req, res, cacheKey, () => {
+      const cellsByMonth = getMonthCells(filters, { timeZone, reportingCurrency });
+      
+      const monthByMonth = calculateMonthByMonthSummaryFromCells(cellsByMonth, { reportingCurrency });
+      
+      return {
+        success: true,
+        timeZone,
+        reportingCurrency,
+        data: monthByMonth
+      };
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/transactions/comparison
+ * Returns Month-to-Date metrics next to the prior month and the same month
+ * last year, each cut off at the same day and time, with absolute and
+ * percentage deltas for every metric
+ * Query params: cardBrand, status, declineReasonCode, from, to, minAmount, maxAmount, merchantId,
+ *               type, originalTransactionId, currency,
+ *               tz, reportingCurrency
+ */
+router.get('/comparison', rateLimit('summary'), (req, res) => {
+  try {
+    const filters = parseFilters(req.query, SUMMARY_PARAMS, req.merchantId);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
+    
+    const transactions = queryTransactions(filters);
+    
+    const comparison = calculatePeriodComparison(transactions, { timeZone, reportingCurrency });
     
     res.json({
       success: true,
-      filters: {
-        cardBrand: cardBrand || 'all',
-        status: status || 'all',
-        declineReasonCode: declineReasonCode || 'all'
-      },
-      mtdSummary,
-      monthByMonth
+      timeZone,
+      reportingCurrency,
+      data: comparison
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
 /**
- * GET /api/transactions/mtd
- * Returns Month-to-Date summary only
- * Query params: cardBrand, status, declineReasonCode
+ * GET /api/transactions/forecast
+ * Projects the current month's volume, payment counts and approval rate to
+ * month end from a weekday profile of the preceding weeks, with confidence
+ * intervals (see services/forecastService.js)
+ * Query params: confidence (80 | 90 | 95 | 99, default 95), historyWeeks (default 8),
+ *               tz, reportingCurrency, plus all filter params except from/to,
+ *               which are ignored: the forecast always covers the current month
  */
-router.get('/mtd', (req, res) => {
+router.get('/forecast', rateLimit('summary'), (req, res) => {
   try {
-    const { cardBrand, status, declineReasonCode } = req.query;
+    const filters = parseFilters(req.query, FORECAST_ROUTE_PARAMS, req.merchantId);
+    const options = parseForecastParams(req.query);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
     
-    let transactions = getTransactions();
+    const now = new Date();
+    const { from, to } = resolveForecastRange({ ...options, timeZone, now });
+    const transactions = queryTransactions({ ...filters, from, to });
     
-    // Apply filters
-    transactions = applyFilters(transactions, {
-      cardBrand,
-      status,
-      declineReasonCode
-    });
-    
-    const mtdSummary = calculateMTDSummary(transactions);
+    const forecast = forecastMonthEnd(transactions, { ...options, timeZone, reportingCurrency, now });
     
     res.json({
       success: true,
-      data: mtdSummary
+      ...options,
+      timeZone,
+      reportingCurrency,
+      data: forecast
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/transactions/timeseries
+ * Returns metrics per time bucket in ascending order, with empty buckets
+ * zero-filled between from/to (or the first and last matching transaction)
+ * Query params: granularity (hour | day | week | month | quarter | year, default month), tz,
+ *               reportingCurrency, plus all filter params
+ */
+router.get('/timeseries', rateLimit('summary'), (req, res) => {
+  try {
+    const filters = parseFilters(req.query, TIMESERIES_PARAMS, req.merchantId);
+    const granularity = parseGranularityParam(req.query.granularity);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
+    const cacheKey = buildCacheKey('timeseries', filters, { granularity, timeZone, reportingCurrency });
+    
+    sendCachedJson(req, res, cacheKey, () => {
+      const transactions = queryTransactions(filters);
+      
+      const series = calculateTimeSeries(transactions, {
+        granularity,
+        timeZone,
+        reportingCurrency,
+        from: filters.from,
+        to: filters.to
+      });
+      
+      return {
+        success: true,
+        granularity,
+        timeZone,
+        reportingCurrency,
+        count: series.length,
+        data: series
+      };
     });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 /**
- * GET /api/transactions/monthly
- * Returns Month-by-Month summary only
- * Query params: cardBrand, status, declineReasonCode
+ * GET /api/transactions/anomalies
+ * Returns daily or hourly buckets whose decline rate, counts or volume are
+ * far from the same weekday (and hour) of the preceding weeks, overall,
+ * per card brand and per decline reason (see services/anomalyService.js)
+ * Query params: granularity (day | hour, default day), metric, dimension, threshold (default 3),
+ *               baselineWeeks (default 8), tz, reportingCurrency, plus all filter params;
+ *               from/to bound the buckets checked (default the last 30 days, or 7 for hourly)
  */
-router.get('/monthly', (req, res) => {
+router.get('/anomalies', rateLimit('summary'), (req, res) => {
   try {
-    const { cardBrand, status, declineReasonCode } = req.query;
+    const filters = parseFilters(req.query, ANOMALY_ROUTE_PARAMS, req.merchantId);
+    const options = parseAnomalyParams(req.query);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
+    // Only buckets that have ended are judged, so results change when a new one starts
+    const currentBucket = getBucketKey(new Date(), options.granularity, timeZone);
+    const cacheKey = buildCacheKey('anomalies', filters, { ...options, timeZone, reportingCurrency, currentBucket });
     
-    let transactions = getTransactions();
+    sendCachedJson(req, res, cacheKey, () => {
+      const now = new Date();
+      const { historyStart } = resolveAnomalyRange({ ...options, from: filters.from, to: filters.to, timeZone, now });
+      // Baselines need the weeks before the range as well
+      const transactions = queryTransactions({ ...filters, from: historyStart });
+      
+      const result = detectAnomalies(transactions, {
+        ...options,
+        timeZone,
+        reportingCurrency,
+        from: filters.from,
+        to: filters.to,
+        now
+      });
+      
+      return {
+        success: true,
+        ...options,
+        timeZone,
+        reportingCurrency,
+        from: result.from,
+        to: result.to,
+        buckets: result.buckets,
+        segments: result.segments,
+        count: result.anomalies.length,
+        data: result.anomalies
+      };
+    }, { timeDependent: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Build a dated download name, e.g. transactions-2026-02-15
+ * @param {string} prefix - Export kind
+ * @returns {string} File name without extension
+ */
+function exportFilename(prefix) {
+  return `${prefix}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * GET /api/transactions/export
+ * Downloads all transactions matching the filters (no pagination)
+ * Query params: format (csv | ndjson | xlsx, default csv), plus all filter params
+ */
+router.get('/export', requireRole('analyst'), rateLimit('export'), async (req, res) => {
+  try {
+    const filters = parseFilters(req.query, EXPORT_PARAMS, req.merchantId);
+    const format = parseExportFormat(req.query.format);
+    
+    const transactions = queryTransactions(filters);
     
-    // Apply filters
-    transactions = applyFilters(transactions, {
-      cardBrand,
-      status,
-      declineReasonCode
+    await sendExport(res, {
+      format,
+      columns: TRANSACTION_COLUMNS,
+      rows: transactions,
+      filename: exportFilename('transactions')
     });
+  } catch (error) {
+    // Once streaming has started the status line is gone; just close the stream
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/transactions/export/summary
+ * Downloads the Month-by-Month summary flattened to one row per month and card brand
+ * Query params: format (csv | ndjson | xlsx, default csv), tz, reportingCurrency,
+ *               plus all filter params
+ */
+router.get('/export/summary', rateLimit('export'), async (req, res) => {
+  try {
+    const filters = parseFilters(req.query, [...EXPORT_PARAMS, ...SUMMARY_PARAMS], req.merchantId);
+    const format = parseExportFormat(req.query.format);
+    const timeZone = parseTimeZoneParam(req.query.tz, config.timeZone);
+    const reportingCurrency = parseReportingCurrencyParam(req.query.reportingCurrency, config.reportingCurrency);
     
-    const monthByMonth = calculateMonthByMonthSummary(transactions);
+    const cellsByMonth = getMonthCells(filters, { timeZone, reportingCurrency });
+    const rows = flattenMonthlySummary(calculateMonthByMonthSummaryFromCells(cellsByMonth, { reportingCurrency }));
     
-    res.json({
-      success: true,
-      data: monthByMonth
+    await sendExport(res, {
+      format,
+      columns: SUMMARY_COLUMNS,
+      rows,
+      filename: exportFilename('monthly-summary')
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendError(res, error);
   }
 });
 
@@ -158,23 +688,83 @@ router.get('/monthly', (req, res) => {
  */
 router.get('/filters', (req, res) => {
   try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    
     res.json({
       success: true,
       data: {
-        cardBrands: ['Visa', 'Mastercard', 'Amex', 'Discover'],
-        statuses: ['Approved', 'Declined'],
-        declineReasonCodes: [
-          '01-Insufficient funds',
-          '02-Invalid card number',
-          '03-Suspected fraud'
-        ]
+        cardBrands: CARD_BRANDS,
+        statuses: STATUSES,
+        declineReasonCodes: DECLINE_REASON_CODES,
+        types: TRANSACTION_TYPES,
+        currencies: CURRENCIES
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/transactions/:transactionId
+ * Removes one transaction of the request's merchant
+ * Responds 200 with the deleted transaction, 404 when it does not exist
+ * (or belongs to another merchant), or 409 when refunds or chargebacks
+ * still reference it
+ */
+router.delete('/:transactionId', requireRole('admin'), (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+
+    const { transactionId } = req.params;
+    const transaction = scopedFinder(req.merchantId)(transactionId);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: `Transaction ${transactionId} not found`
+      });
+    }
+
+    const adjustments = queryTransactions({ originalTransactionId: transactionId });
+    if (adjustments.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Transaction ${transactionId} is referenced by ${adjustments.length} refund(s) or chargeback(s); delete those first`
+      });
+    }
+
+    deleteTransaction(transactionId);
+
+    res.json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/transactions/quarantine
+ * Returns stored records that failed schema validation when data was loaded.
+ * They are excluded from every other endpoint until fixed at the source.
+ * In a merchant context only records naming that merchant are listed.
+ */
+router.get('/quarantine', requireRole('analyst'), (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    
+    const quarantined = getQuarantinedTransactions().filter(entry => (
+      !req.merchantId || (entry.record && entry.record.merchantId === req.merchantId)
+    ));
+    
+    res.json({
+      success: true,
+      count: quarantined.length,
+      data: quarantined
     });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -0,0 +1,213 @@
+/**
+ * Webhook API Routes
+ *
+ * Registration of outbound webhooks and their delivery log, for admins
+ * (see services/webhookService.js). An admin bound to a merchant only sees
+ * and registers that merchant's webhooks; an unbound admin may register a
+ * webhook for one merchant or, without a merchantId, for all of them.
+ *
+ * Base path: /api/webhooks (mounted in app.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  DELIVERY_STATUSES,
+  listWebhooks,
+  findWebhook,
+  createWebhook,
+  deleteWebhook,
+  toPublicWebhook,
+  sendTestEvent,
+  listDeliveries
+} = require('../services/webhookService');
+const { describeEvents } = require('../services/webhookEvents');
+const { parseLimit } = require('../utils/paginationParams');
+const { parseListParam } = require('../utils/listParams');
+const { throwIfInvalid, sendError } = require('./routeHelpers');
+const { validateQueryParams } = require('../utils/transactionSchema');
+const { requireRole } = require('../middleware/auth');
+
+const DELIVERY_PARAMS = ['webhookId', 'event', 'status', 'limit'];
+
+router.use(requireRole('admin'));
+
+/**
+ * Merchant the caller is bound to, if any
+ * @param {Object} req - Express request
+ * @returns {string|null} Merchant identifier
+ */
+function getScope(req) {
+  return req.principal.merchantId || null;
+}
+
+/**
+ * Answer 404 for a webhook that does not exist or is not the caller's
+ * @param {Object} res - Express response
+ * @param {string} webhookId - Webhook identifier
+ */
+function sendNotFound(res, webhookId) {
+  res.status(404).json({
+    success: false,
+    error: `Webhook ${webhookId} not found`
+  });
+}
+
+/**
+ * Parse the delivery log query
+ * @param {Object} query - Express request query
+ * @param {Array<string>} allowedParams - Parameters accepted by the route
+ * @returns {Object} Options for listDeliveries()
+ * @throws {ValidationError} If a parameter is unknown or malformed
+ */
+function parseDeliveryQuery(query, allowedParams) {
+  // status names delivery states here, so it is kept from the transaction status check
+  const { status: statusParam, ...rest } = query;
+  const details = validateQueryParams(rest, allowedParams);
+  const status = parseListParam(statusParam);
+  status
+    .filter(value => !DELIVERY_STATUSES.includes(value))
+    .forEach(value => details.push({
+      field: 'status',
+      message: `Invalid "status": "${value}" is not one of ${DELIVERY_STATUSES.join(', ')}`
+    }));
+  throwIfInvalid(details);
+
+  return {
+    webhookId: query.webhookId,
+    event: parseListParam(query.event),
+    status,
+    limit: parseLimit(query.limit)
+  };
+}
+
+/**
+ * GET /api/webhooks/events
+ * Event types webhooks can subscribe to, and the decline rate threshold settings
+ */
+router.get('/events', (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    res.json({ success: true, data: describeEvents() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first
+ * Query params: webhookId, event, status (pending | succeeded | failed), limit (default 100)
+ */
+router.get('/deliveries', (req, res) => {
+  try {
+    const data = listDeliveries({ ...parseDeliveryQuery(req.query, DELIVERY_PARAMS), merchantScope: getScope(req) });
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * Registered webhooks, without their secrets
+ */
+router.get('/', (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const data = listWebhooks(getScope(req));
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook
+ * Body: { url, events: [...], merchantId?, description?, secret? }
+ * The response includes the signing secret (generated unless given); it is not shown again.
+ */
+router.post('/', (req, res) => {
+  try {
+    const webhook = createWebhook(req.body, getScope(req));
+    res.status(201).json({ success: true, data: webhook });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId
+ * One webhook, without its secret
+ */
+router.get('/:webhookId', (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const webhook = findWebhook(req.params.webhookId, getScope(req));
+    if (!webhook) {
+      return sendNotFound(res, req.params.webhookId);
+    }
+    res.json({ success: true, data: toPublicWebhook(webhook) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Remove a webhook; its pending retries are abandoned
+ */
+router.delete('/:webhookId', (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const webhook = findWebhook(req.params.webhookId, getScope(req));
+    if (!webhook) {
+      return sendNotFound(res, req.params.webhookId);
+    }
+    deleteWebhook(webhook.id);
+    res.json({ success: true, data: toPublicWebhook(webhook) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/test
+ * Send a webhook.test event to check the receiver. Answers 202 with the
+ * delivery; follow its outcome in the delivery log.
+ */
+router.post('/:webhookId/test', (req, res) => {
+  try {
+    throwIfInvalid(validateQueryParams(req.query, []));
+    const webhook = findWebhook(req.params.webhookId, getScope(req));
+    if (!webhook) {
+      return sendNotFound(res, req.params.webhookId);
+    }
+    res.status(202).json({ success: true, data: sendTestEvent(webhook) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries
+ * Delivery log of one webhook, newest first
+ * Query params: event, status, limit
+ */
+router.get('/:webhookId/deliveries', (req, res) => {
+  try {
+    const webhook = findWebhook(req.params.webhookId, getScope(req));
+    if (!webhook) {
+      return sendNotFound(res, req.params.webhookId);
+    }
+    const options = parseDeliveryQuery(req.query, DELIVERY_PARAMS.filter(param => param !== 'webhookId'));
+    const data = listDeliveries({ ...options, webhookId: webhook.id });
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
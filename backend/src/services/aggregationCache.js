@@ -0,0 +1,125 @@
+/**
+ * Aggregation Cache
+ *
+ * Summaries only change when the data does, so their results are memoized
+ * and served from memory until the data store reports a change (see
+ * onDataChange() in data/dataStore.js), at which point everything is dropped.
+ *
+ * Entries are keyed by the kind of aggregation plus its normalized filters
+ * and options, so `cardBrand=Visa,Amex` and `cardBrand=Amex&cardBrand=Visa`
+ * share one entry. Results that depend on the current time must put it in
+ * their options (e.g. the current month for MTD figures).
+ *
+ * The cache is bounded (config.aggregationCache.maxEntries) and evicts the
+ * least recently used entry first. Hit and miss counters are exposed
+ * through getCacheStats() for monitoring.
+ */
+
+const config = require('../config');
+const { onDataChange } = require('../data/dataStore');
+
+// Insertion order doubles as recency order: hits are moved to the end
+const entries = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+/**
+ * Bring a filter or option value into a canonical form
+ * @param {*} value - Raw value
+ * @returns {*} Sorted arrays, ISO strings for dates, the value otherwise
+ */
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return [...value].map(String).sort();
+  return value;
+}
+
+/**
+ * Build the cache key of an aggregation
+ * @param {string} kind - Aggregation name, e.g. "summary"
+ * @param {Object} filters - Parsed filters
+ * @param {Object} [options] - Everything else the result depends on (time zone, currency, ...)
+ * @returns {string} Key that is equal for equivalent requests
+ */
+function buildCacheKey(kind, filters, options = {}) {
+  const normalize = (object) => Object.keys(object)
+    .sort()
+    .map(key => [key, normalizeValue(object[key])])
+    .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0));
+
+  return JSON.stringify([kind, normalize(filters), normalize(options)]);
+}
+
+/**
+ * Return a cached result, computing and storing it on a miss
+ * @param {string} key - Key from buildCacheKey()
+ * @param {Function} compute - Produces the result; only called on a miss
+ * @returns {*} The cached or freshly computed result
+ */
+function getOrCompute(key, compute) {
+  if (!config.aggregationCache.enabled) {
+    return compute();
+  }
+
+  if (entries.has(key)) {
+    stats.hits += 1;
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    return value;
+  }
+
+  stats.misses += 1;
+  const value = compute();
+  entries.set(key, value);
+  while (entries.size > config.aggregationCache.maxEntries) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions += 1;
+  }
+  return value;
+}
+
+/**
+ * Drop every cached result
+ */
+function invalidateCache() {
+  if (entries.size > 0) {
+    stats.invalidations += 1;
+  }
+  entries.clear();
+}
+
+/**
+ * Cache counters for monitoring
+ * @returns {{enabled: boolean, size: number, maxEntries: number, hits: number, misses: number,
+ *   hitRate: number, evictions: number, invalidations: number}} hitRate is a percentage
+ */
+function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: config.aggregationCache.enabled,
+    size: entries.size,
+    maxEntries: config.aggregationCache.maxEntries,
+    ...stats,
+    hitRate: lookups > 0 ? parseFloat((stats.hits / lookups * 100).toFixed(2)) : 0
+  };
+}
+
+/**
+ * Empty the cache and zero the counters (useful for testing)
+ */
+function resetCache() {
+  entries.clear();
+  Object.keys(stats).forEach(key => {
+    stats[key] = 0;
+  });
+}
+
+onDataChange(invalidateCache);
+
+module.exports = {
+  buildCacheKey,
+  getOrCompute,
+  invalidateCache,
+  getCacheStats,
+  resetCache
+};
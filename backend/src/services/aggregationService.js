@@ -2,31 +2,75 @@
  * Transaction Aggregation Service
  * 
  * Calculates summary metrics from transaction arrays.
- * Supports two aggregation modes:
+ * Supports three aggregation modes:
  * - MTD (Month-to-Date): Metrics for the current calendar month only
  * - Monthly: Grouped metrics for each month in the dataset, sorted descending
+ * - Time series: Metrics per hour/day/week/month/quarter/year bucket,
+ *   ascending and with empty buckets filled in
+ * 
+ * Amounts are converted to a reporting currency (options.reportingCurrency)
+ * at the FX rates of each transaction's date.
+ * 
+ * Money is summed in integer minor units (cents): each converted amount is
+ * rounded to the cent once, then totals and breakdowns add whole numbers,
+ * so breakdowns always add up exactly to the totals they break down.
  * 
  * Metrics calculated: total transactions, approved/declined counts,
- * total volume, and breakdowns by card brand and decline reason.
+ * total volume, and breakdowns by card brand and decline reason, all over
+ * payments only. Refunds and chargebacks are reported separately and
+ * netted against gross volume in the period they happen, not the period
+ * of the original payment.
+ * 
+ * Records are first rolled up into cells (type × currency × cardBrand ×
+ * status × declineReasonCode) and metrics are computed from the cells, so
+ * the same code summarizes a scan and the pre-aggregated rollup index
+ * (services/rollupIndex.js).
+ * 
+ * Bucket boundaries are evaluated in an IANA time zone (options.timeZone),
+ * so a transaction late on the 28th in Los Angeles stays in February even
+ * though it is already March in UTC. Without a time zone the server's
+ * local zone is used.
  */
 
+const {
+  MONTH_NAMES,
+  toWallClock,
+  fromWallClock,
+  startOfBucket,
+  nextBucket,
+  formatBucketKey,
+  formatBucketLabel,
+  getBucketKey
+} = require('../utils/timeBuckets');
+const { ValidationError } = require('../utils/errors');
+const {
+  DEFAULT_CURRENCY,
+  getTransactionType,
+  getTransactionCurrency
+} = require('../utils/transactionSchema');
+const { convertAmount } = require('./currencyService');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+// Upper bound on time series length, e.g. ~13 months of hourly buckets
+const MAX_BUCKETS = 10000;
+
 /**
  * Get the current month key (YYYY-MM format)
+ * @param {string} [timeZone] - IANA time zone the month is evaluated in
  * @returns {string} Current month key
  */
-function getCurrentMonthKey() {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+function getCurrentMonthKey(timeZone) {
+  return getMonthKey(new Date(), timeZone);
 }
 
 /**
  * Get month key from a date
  * @param {string|Date} date - Date to extract month from
+ * @param {string} [timeZone] - IANA time zone the month is evaluated in
  * @returns {string} Month key in YYYY-MM format
  */
-function getMonthKey(date) {
-  const d = new Date(date);
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+function getMonthKey(date, timeZone) {
+  return getBucketKey(date, 'month', timeZone);
 }
 
 /**
@@ -36,79 +80,263 @@ function getMonthKey(date) {
  */
 function formatMonthKey(monthKey) {
   const [year, month] = monthKey.split('-');
-  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  return `${monthNames[parseInt(month) - 1]} ${year}`;
+  return `${MONTH_NAMES[parseInt(month) - 1]} ${year}`;
+}
+
+/**
+ * Key of the rollup cell a record falls into. Records sharing a cell
+ * count the same way in every metric, so cells can stand in for them.
+ * @param {Object} t - Transaction of any type
+ * @returns {string} Cell key
+ */
+function getCellKey(t) {
+  return [
+    getTransactionType(t),
+    getTransactionCurrency(t),
+    t.cardBrand,
+    t.status,
+    t.declineReasonCode || ''
+  ].join('|');
+}
+
+/**
+ * Add a record to (or, with sign -1, remove it from) a set of rollup cells.
+ * A cell holds the record count and amount sum of one combination of
+ * type × currency × cardBrand × status × declineReasonCode, with the
+ * amount both unconverted and converted to each of the given currencies,
+ * all in minor units. Cells that become empty are dropped.
+ * @param {Map} cells - Cells by key, updated in place
+ * @param {Object} t - Transaction of any type
+ * @param {Array<string>} currencies - Reporting currencies to keep converted sums for
+ * @param {number} [sign=1] - 1 to add the record, -1 to remove it
+ */
+function addToCells(cells, t, currencies, sign = 1) {
+  const key = getCellKey(t);
+  let cell = cells.get(key);
+  if (!cell) {
+    cell = {
+      type: getTransactionType(t),
+      currency: getTransactionCurrency(t),
+      cardBrand: t.cardBrand,
+      status: t.status,
+      declineReasonCode: t.declineReasonCode,
+      count: 0,
+      amount: 0,
+      converted: Object.fromEntries(currencies.map(currency => [currency, 0]))
+    };
+    cells.set(key, cell);
+  }
+
+  cell.count += sign;
+  cell.amount += sign * toMinorUnits(t.amount);
+  currencies.forEach(currency => {
+    cell.converted[currency] += sign * toMinorUnits(convertAmount(t.amount, cell.currency, currency, t.transactionDate));
+  });
+  if (cell.count === 0) {
+    cells.delete(key);
+  }
+}
+
+/**
+ * Add a record to the cells of its month
+ * @param {Map} cellsByMonth - Month key → cells, updated in place
+ * @param {Object} t - Transaction of any type
+ * @param {Object} options
+ * @param {string} [options.timeZone] - IANA time zone for month boundaries
+ * @param {Array<string>} options.currencies - Reporting currencies to keep converted sums for
+ * @param {number} [options.sign=1] - 1 to add the record, -1 to remove it
+ */
+function addToMonthCells(cellsByMonth, t, { timeZone, currencies, sign = 1 }) {
+  const monthKey = getMonthKey(t.transactionDate, timeZone);
+  if (!cellsByMonth.has(monthKey)) {
+    cellsByMonth.set(monthKey, new Map());
+  }
+  const cells = cellsByMonth.get(monthKey);
+  addToCells(cells, t, currencies, sign);
+  if (cells.size === 0) {
+    cellsByMonth.delete(monthKey);
+  }
 }
 
 /**
- * Calculate aggregated metrics for a set of transactions
+ * Group records into rollup cells per month
  * @param {Array} transactions - Array of transaction objects
+ * @param {Object} options
+ * @param {string} [options.timeZone] - IANA time zone for month boundaries
+ * @param {Array<string>} options.currencies - Reporting currencies to keep converted sums for
+ * @returns {Map} Month key → cells
+ */
+function buildMonthCells(transactions, { timeZone, currencies }) {
+  const cellsByMonth = new Map();
+  transactions.forEach(t => addToMonthCells(cellsByMonth, t, { timeZone, currencies }));
+  return cellsByMonth;
+}
+
+/**
+ * Calculate aggregated metrics from rollup cells (see addToCells()).
+ * Counts, approval figures and breakdowns describe payments; refunds and
+ * chargebacks only feed refundedAmount, chargebackAmount and netVolume
+ * (gross volume of approved payments minus both).
+ * 
+ * Amounts are in the reporting currency, which the cells must hold
+ * converted sums for. byCurrency repeats the totals per original
+ * currency, unconverted.
+ * @param {Iterable<Object>} cells - Rollup cells
+ * @param {Object} [options]
+ * @param {string} [options.reportingCurrency=USD] - Currency amounts are reported in
  * @returns {Object} Aggregated metrics
  */
-function calculateMetrics(transactions) {
-  const total = transactions.length;
-  const approved = transactions.filter(t => t.status === 'Approved');
-  const declined = transactions.filter(t => t.status === 'Declined');
-  
-  // Group by card brand with count, approved, declined, and total amount
+function calculateMetricsFromCells(cells, { reportingCurrency = DEFAULT_CURRENCY } = {}) {
+  // Counts and minor unit sums
+  const totals = {
+    transactions: 0,
+    approved: 0,
+    declined: 0,
+    totalAmount: 0,
+    approvedAmount: 0,
+    declinedAmount: 0,
+    refunds: 0,
+    refundedAmount: 0,
+    chargebacks: 0,
+    chargebackAmount: 0
+  };
   const byCardBrand = {};
-  transactions.forEach(t => {
-    if (!byCardBrand[t.cardBrand]) {
-      byCardBrand[t.cardBrand] = { count: 0, approved: 0, declined: 0, amount: 0 };
+  const byDeclineReason = {};
+  const byCurrency = {};
+  
+  for (const cell of cells) {
+    const units = cell.converted[reportingCurrency];
+    
+    // Group by original currency, amounts left unconverted
+    if (!byCurrency[cell.currency]) {
+      byCurrency[cell.currency] = {
+        count: 0,
+        totalAmount: 0,
+        approvedAmount: 0,
+        declinedAmount: 0,
+        refundedAmount: 0,
+        chargebackAmount: 0,
+        netVolume: 0
+      };
+    }
+    const currencyEntry = byCurrency[cell.currency];
+    
+    if (cell.type === 'Refund') {
+      totals.refunds += cell.count;
+      totals.refundedAmount += units;
+      currencyEntry.refundedAmount += cell.amount;
+      currencyEntry.netVolume -= cell.amount;
+      continue;
+    }
+    if (cell.type === 'Chargeback') {
+      totals.chargebacks += cell.count;
+      totals.chargebackAmount += units;
+      currencyEntry.chargebackAmount += cell.amount;
+      currencyEntry.netVolume -= cell.amount;
+      continue;
     }
-    byCardBrand[t.cardBrand].count++;
-    byCardBrand[t.cardBrand].amount += t.amount;
-    if (t.status === 'Approved') {
-      byCardBrand[t.cardBrand].approved++;
+    
+    totals.transactions += cell.count;
+    totals.totalAmount += units;
+    currencyEntry.count += cell.count;
+    currencyEntry.totalAmount += cell.amount;
+    if (cell.status === 'Approved') {
+      totals.approved += cell.count;
+      totals.approvedAmount += units;
+      currencyEntry.approvedAmount += cell.amount;
+      currencyEntry.netVolume += cell.amount;
     } else {
-      byCardBrand[t.cardBrand].declined++;
+      currencyEntry.declinedAmount += cell.amount;
     }
-  });
-  
-  // Group by decline reason code with count and total declined amount
-  const byDeclineReason = {};
-  declined.forEach(t => {
-    if (t.declineReasonCode) {
-      if (!byDeclineReason[t.declineReasonCode]) {
-        byDeclineReason[t.declineReasonCode] = { count: 0, amount: 0 };
+    
+    // Group by card brand with count, approved, declined, and total amount
+    if (!byCardBrand[cell.cardBrand]) {
+      byCardBrand[cell.cardBrand] = { count: 0, approved: 0, declined: 0, amount: 0 };
+    }
+    const brandEntry = byCardBrand[cell.cardBrand];
+    brandEntry.count += cell.count;
+    brandEntry.amount += units;
+    if (cell.status === 'Approved') {
+      brandEntry.approved += cell.count;
+    } else {
+      brandEntry.declined += cell.count;
+    }
+    
+    // Group by decline reason code with count and total declined amount
+    if (cell.status === 'Declined') {
+      totals.declined += cell.count;
+      totals.declinedAmount += units;
+      if (cell.declineReasonCode) {
+        if (!byDeclineReason[cell.declineReasonCode]) {
+          byDeclineReason[cell.declineReasonCode] = { count: 0, amount: 0 };
+        }
+        byDeclineReason[cell.declineReasonCode].count += cell.count;
+        byDeclineReason[cell.declineReasonCode].amount += units;
       }
-      byDeclineReason[t.declineReasonCode].count++;
-      byDeclineReason[t.declineReasonCode].amount += t.amount;
     }
-  });
+  }
   
-  // Calculate total amounts
-  const totalAmount = transactions.reduce((sum, t) => sum + t.amount, 0);
-  const approvedAmount = approved.reduce((sum, t) => sum + t.amount, 0);
-  const declinedAmount = declined.reduce((sum, t) => sum + t.amount, 0);
+  Object.values(byCardBrand).forEach(entry => { entry.amount = fromMinorUnits(entry.amount); });
+  Object.values(byDeclineReason).forEach(entry => { entry.amount = fromMinorUnits(entry.amount); });
+  Object.values(byCurrency).forEach(entry => {
+    Object.keys(entry).forEach(key => {
+      if (key !== 'count') entry[key] = fromMinorUnits(entry[key]);
+    });
+  });
   
   return {
-    totalTransactions: total,
-    totalApproved: approved.length,
-    totalDeclined: declined.length,
-    totalAmount: parseFloat(totalAmount.toFixed(2)),
-    approvedAmount: parseFloat(approvedAmount.toFixed(2)),
-    declinedAmount: parseFloat(declinedAmount.toFixed(2)),
+    reportingCurrency,
+    totalTransactions: totals.transactions,
+    totalApproved: totals.approved,
+    totalDeclined: totals.declined,
+    totalAmount: fromMinorUnits(totals.totalAmount),
+    approvedAmount: fromMinorUnits(totals.approvedAmount),
+    declinedAmount: fromMinorUnits(totals.declinedAmount),
+    grossVolume: fromMinorUnits(totals.approvedAmount),
+    totalRefunds: totals.refunds,
+    refundedAmount: fromMinorUnits(totals.refundedAmount),
+    totalChargebacks: totals.chargebacks,
+    chargebackAmount: fromMinorUnits(totals.chargebackAmount),
+    netVolume: fromMinorUnits(totals.approvedAmount - totals.refundedAmount - totals.chargebackAmount),
     byCardBrand,
-    byDeclineReason
+    byDeclineReason,
+    byCurrency
   };
 }
 
+/**
+ * Calculate aggregated metrics for a set of transactions.
+ * Amounts are converted to the reporting currency at the FX rates in
+ * effect on each transaction's date and rounded to the cent; see
+ * calculateMetricsFromCells() for the metrics.
+ * @param {Array} records - Array of transaction objects of any type
+ * @param {Object} [options]
+ * @param {string} [options.reportingCurrency=USD] - Currency amounts are reported in
+ * @returns {Object} Aggregated metrics
+ */
+function calculateMetrics(records, { reportingCurrency = DEFAULT_CURRENCY } = {}) {
+  const cells = new Map();
+  records.forEach(t => addToCells(cells, t, [reportingCurrency]));
+  return calculateMetricsFromCells(cells.values(), { reportingCurrency });
+}
+
 /**
  * Calculate Month-to-Date (MTD) summary
  * @param {Array} transactions - Array of transaction objects
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for month boundaries
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
  * @returns {Object} MTD summary with metrics
  */
-function calculateMTDSummary(transactions) {
-  const currentMonthKey = getCurrentMonthKey();
+function calculateMTDSummary(transactions, { timeZone, reportingCurrency } = {}) {
+  const currentMonthKey = getCurrentMonthKey(timeZone);
   
   // Filter transactions for current month
   const mtdTransactions = transactions.filter(t => {
-    return getMonthKey(t.transactionDate) === currentMonthKey;
+    return getMonthKey(t.transactionDate, timeZone) === currentMonthKey;
   });
   
-  const metrics = calculateMetrics(mtdTransactions);
+  const metrics = calculateMetrics(mtdTransactions, { reportingCurrency });
   
   return {
     month: currentMonthKey,
@@ -117,32 +345,52 @@ function calculateMTDSummary(transactions) {
   };
 }
 
+/**
+ * Calculate the Month-to-Date (MTD) summary from monthly rollup cells
+ * @param {Map} cellsByMonth - Month key → cells, see buildMonthCells()
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone the cells were grouped in
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @returns {Object} MTD summary with metrics, like calculateMTDSummary()
+ */
+function calculateMTDSummaryFromCells(cellsByMonth, { timeZone, reportingCurrency } = {}) {
+  const currentMonthKey = getCurrentMonthKey(timeZone);
+  const cells = cellsByMonth.get(currentMonthKey);
+  
+  return {
+    month: currentMonthKey,
+    monthFormatted: formatMonthKey(currentMonthKey),
+    ...calculateMetricsFromCells(cells ? cells.values() : [], { reportingCurrency })
+  };
+}
+
 /**
  * Calculate Month-by-Month summary
  * @param {Array} transactions - Array of transaction objects
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for month boundaries
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
  * @returns {Array} Array of monthly summaries sorted by month
  */
-function calculateMonthByMonthSummary(transactions) {
-  // Group transactions by month
-  const byMonth = {};
-  
-  transactions.forEach(t => {
-    const monthKey = getMonthKey(t.transactionDate);
-    if (!byMonth[monthKey]) {
-      byMonth[monthKey] = [];
-    }
-    byMonth[monthKey].push(t);
-  });
-  
-  // Calculate metrics for each month
-  const monthlySummaries = Object.entries(byMonth).map(([monthKey, monthTransactions]) => {
-    const metrics = calculateMetrics(monthTransactions);
-    return {
-      month: monthKey,
-      monthFormatted: formatMonthKey(monthKey),
-      ...metrics
-    };
-  });
+function calculateMonthByMonthSummary(transactions, { timeZone, reportingCurrency = DEFAULT_CURRENCY } = {}) {
+  const cellsByMonth = buildMonthCells(transactions, { timeZone, currencies: [reportingCurrency] });
+  return calculateMonthByMonthSummaryFromCells(cellsByMonth, { reportingCurrency });
+}
+
+/**
+ * Calculate the Month-by-Month summary from monthly rollup cells, in time
+ * proportional to the number of months and cells rather than records
+ * @param {Map} cellsByMonth - Month key → cells, see buildMonthCells()
+ * @param {Object} [options]
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @returns {Array} Array of monthly summaries sorted by month, most recent first
+ */
+function calculateMonthByMonthSummaryFromCells(cellsByMonth, { reportingCurrency } = {}) {
+  const monthlySummaries = [...cellsByMonth].map(([monthKey, cells]) => ({
+    month: monthKey,
+    monthFormatted: formatMonthKey(monthKey),
+    ...calculateMetricsFromCells(cells.values(), { reportingCurrency })
+  }));
   
   // Sort by month (most recent first)
   monthlySummaries.sort((a, b) => b.month.localeCompare(a.month));
@@ -150,11 +398,76 @@ function calculateMonthByMonthSummary(transactions) {
   return monthlySummaries;
 }
 
+/**
+ * Calculate a continuous time series of metrics.
+ * Buckets run from `from` (or the earliest transaction) to `to` (or the
+ * latest transaction); buckets without transactions carry zero metrics
+ * so charts do not skip periods.
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Object} options
+ * @param {string} options.granularity - hour | day | week | month | quarter | year
+ * @param {string} [options.timeZone] - IANA time zone for bucket boundaries
+ * @param {Date|null} [options.from] - Start of the range to cover
+ * @param {Date|null} [options.to] - End of the range to cover
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @returns {Array} Buckets in ascending order: { period, label, start, ...metrics }
+ * @throws {ValidationError} If the range would produce more than MAX_BUCKETS buckets
+ */
+function calculateTimeSeries(transactions, { granularity, timeZone, from = null, to = null, reportingCurrency }) {
+  const byPeriod = {};
+  let earliest = null;
+  let latest = null;
+
+  transactions.forEach(t => {
+    const wall = toWallClock(t.transactionDate, timeZone);
+    const period = formatBucketKey(wall, granularity);
+    if (!byPeriod[period]) {
+      byPeriod[period] = [];
+    }
+    byPeriod[period].push(t);
+    if (!earliest || wall < earliest) earliest = wall;
+    if (!latest || wall > latest) latest = wall;
+  });
+
+  const rangeStart = from ? toWallClock(from, timeZone) : earliest;
+  const rangeEnd = to ? toWallClock(to, timeZone) : latest;
+  if (!rangeStart || !rangeEnd || rangeStart > rangeEnd) {
+    return [];
+  }
+
+  const series = [];
+  for (let start = startOfBucket(rangeStart, granularity); start <= rangeEnd; start = nextBucket(start, granularity)) {
+    if (series.length === MAX_BUCKETS) {
+      throw new ValidationError(
+        `Time series too long: more than ${MAX_BUCKETS} ${granularity} buckets; narrow the date range or use a coarser granularity`,
+        { field: 'granularity' }
+      );
+    }
+    const period = formatBucketKey(start, granularity);
+    series.push({
+      period,
+      label: formatBucketLabel(start, granularity),
+      start: fromWallClock(start, timeZone).toISOString(),
+      ...calculateMetrics(byPeriod[period] || [], { reportingCurrency })
+    });
+  }
+
+  return series;
+}
+
 module.exports = {
+  MAX_BUCKETS,
   getCurrentMonthKey,
   getMonthKey,
   formatMonthKey,
+  addToCells,
+  addToMonthCells,
+  buildMonthCells,
+  calculateMetricsFromCells,
   calculateMetrics,
   calculateMTDSummary,
-  calculateMonthByMonthSummary
+  calculateMTDSummaryFromCells,
+  calculateMonthByMonthSummary,
+  calculateMonthByMonthSummaryFromCells,
+  calculateTimeSeries
 };
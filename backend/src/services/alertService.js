@@ -0,0 +1,685 @@
+/**
+ * Alert Service
+ *
+ * Declarative alert rules over the metrics of calculateMetrics(), e.g.
+ *
+ *   { "name": "Amex declines", "metric": "declineRate", "window": "1h",
+ *     "filters": { "cardBrand": ["Amex"] }, "operator": ">", "threshold": 25 }
+ *
+ *   { "name": "Slow month", "metric": "grossVolume", "window": "mtd",
+ *     "compareTo": "priorMonth", "operator": "<", "threshold": 70 }
+ *
+ * A rule measures its metric over a window: a rolling duration ending now
+ * ("30h", "1d", "2w"), or "mtd" for the month so far in the default time
+ * zone. With compareTo, the value is the metric as a percentage of the
+ * same elapsed part of the prior month or of this month last year (see
+ * services/comparisonService.js). Amounts are in the default reporting
+ * currency. Windows with fewer than minTransactions payments have no
+ * value and never breach.
+ *
+ * Rules live in a local JSON file (ALERTS_FILE, default
+ * src/data/alerts.json). They are evaluated every config.alerts.intervalMs
+ * once startAlertScheduler() has been called, and shortly after the data
+ * changes. Each rule is pending until first evaluated, then ok or firing.
+ * Moving to firing, and back (resolved), is recorded in a bounded
+ * in-memory history and sent to alert.firing / alert.resolved webhooks.
+ * A rule with a merchantId only looks at that merchant's transactions.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { queryTransactions, onDataChange } = require('../data/dataStore');
+const { calculateMetrics } = require('./aggregationService');
+const { shiftMonths } = require('./comparisonService');
+const { dispatchEvent } = require('./webhookService');
+const { toWallClock, fromWallClock, startOfBucket } = require('../utils/timeBuckets');
+const { ValidationError } = require('../utils/errors');
+const {
+  CARD_BRANDS,
+  STATUSES,
+  DECLINE_REASON_CODES,
+  TRANSACTION_TYPES,
+  CURRENCIES
+} = require('../utils/transactionSchema');
+
+// Scalar metrics of calculateMetrics(), plus approval and decline rates in percent
+const ALERT_METRICS = [
+  'totalTransactions',
+  'totalApproved',
+  'totalDeclined',
+  'totalAmount',
+  'approvedAmount',
+  'declinedAmount',
+  'grossVolume',
+  'totalRefunds',
+  'refundedAmount',
+  'totalChargebacks',
+  'chargebackAmount',
+  'netVolume',
+  'approvalRate',
+  'declineRate'
+];
+const OPERATORS = ['>', '>=', '<', '<='];
+// Comparison periods for mtd rules, in months back
+const COMPARISONS = { priorMonth: 1, lastYear: 12 };
+const ALERT_STATES = ['pending', 'ok', 'firing'];
+const HISTORY_STATES = ['firing', 'resolved'];
+const RULE_FIELDS = ['name', 'metric', 'window', 'filters', 'merchantId', 'operator', 'threshold', 'compareTo', 'minTransactions', 'enabled'];
+// Filters a rule may narrow its transactions by, and their allowed values
+const RULE_FILTERS = {
+  cardBrand: CARD_BRANDS,
+  status: STATUSES,
+  declineReasonCode: DECLINE_REASON_CODES,
+  type: TRANSACTION_TYPES,
+  currency: CURRENCIES
+};
+const MAX_NAME_LENGTH = 100;
+const ROLLING_WINDOW_PATTERN = /^(\d+)([hdw])$/;
+const MS_PER_UNIT = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+// Longest rolling window, so a rule cannot scan the whole history on every evaluation
+const MAX_WINDOW_MS = 90 * MS_PER_UNIT.d;
+
+// Rule ID → rule, loaded on first use
+let rules = null;
+// Rule ID → { state, value, since, lastEvaluatedAt, measurement, error }
+const statuses = new Map();
+// State changes, oldest first
+let history = [];
+let evaluationTimer = null;
+
+/**
+ * Create a random identifier
+ * @param {string} prefix - e.g. "alr_"
+ * @returns {string} Prefixed identifier
+ */
+function createId(prefix) {
+  return `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Parse a rule window
+ * @param {string} window - "mtd" or a rolling duration such as "1h", "7d", "2w"
+ * @returns {{type: string, ms?: number}|null} { type: 'mtd' } or
+ *   { type: 'rolling', ms }, or null when malformed or longer than 90 days
+ */
+function parseWindow(window) {
+  if (window === 'mtd') {
+    return { type: 'mtd' };
+  }
+  const match = ROLLING_WINDOW_PATTERN.exec(typeof window === 'string' ? window : '');
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * MS_PER_UNIT[match[2]];
+  return ms > 0 && ms <= MAX_WINDOW_MS ? { type: 'rolling', ms } : null;
+}
+
+/**
+ * Check an alert rule
+ * @param {Object} input - Fields of the rule (see RULE_FIELDS)
+ * @param {string|null} [merchantScope] - Merchant the caller is scoped to
+ * @returns {Array<{field: string, message: string}>} Field-level errors; empty when valid
+ */
+function validateRule(input, merchantScope = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+  const details = Object.keys(input)
+    .filter(field => !RULE_FIELDS.includes(field))
+    .map(field => ({ field, message: `Unknown field "${field}"` }));
+  const fail = (field, message) => details.push({ field, message });
+
+  if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.length > MAX_NAME_LENGTH) {
+    fail('name', `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!ALERT_METRICS.includes(input.metric)) {
+    fail('metric', `metric must be one of: ${ALERT_METRICS.join(', ')}`);
+  }
+  if (!OPERATORS.includes(input.operator)) {
+    fail('operator', `operator must be one of: ${OPERATORS.join(' ')}`);
+  }
+  if (typeof input.threshold !== 'number' || !Number.isFinite(input.threshold)) {
+    fail('threshold', 'threshold must be a number');
+  }
+
+  const window = parseWindow(input.window);
+  if (!window) {
+    fail('window', 'window must be "mtd" or a duration of at most 90 days such as "1h", "7d" or "2w"');
+  }
+  if (input.compareTo !== undefined && input.compareTo !== null) {
+    if (!Object.keys(COMPARISONS).includes(input.compareTo)) {
+      fail('compareTo', `compareTo must be one of: ${Object.keys(COMPARISONS).join(', ')}`);
+    } else if (window && window.type !== 'mtd') {
+      fail('compareTo', 'compareTo needs window "mtd"');
+    }
+  }
+
+  const { filters } = input;
+  if (filters !== undefined && filters !== null) {
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      fail('filters', 'filters must be an object');
+    } else {
+      Object.entries(filters).forEach(([name, values]) => {
+        const allowed = RULE_FILTERS[name];
+        if (!allowed) {
+          fail('filters', `Unknown filter "${name}"; expected one of ${Object.keys(RULE_FILTERS).join(', ')}`);
+        } else if (!Array.isArray(values) || values.some(value => !allowed.includes(value))) {
+          fail('filters', `filters.${name} must be a list of: ${allowed.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  const { merchantId } = input;
+  if (merchantId !== undefined && merchantId !== null) {
+    if (typeof merchantId !== 'string' || merchantId.trim() === '') {
+      fail('merchantId', 'merchantId must be a non-empty string');
+    } else if (merchantScope && merchantId !== merchantScope) {
+      fail('merchantId', `merchantId must match the merchant context (${merchantScope})`);
+    }
+  }
+
+  if (input.minTransactions !== undefined && !(Number.isInteger(input.minTransactions) && input.minTransactions >= 0)) {
+    fail('minTransactions', 'minTransactions must be a non-negative integer');
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    fail('enabled', 'enabled must be true or false');
+  }
+
+  return details;
+}
+
+/**
+ * Build a stored rule from validated input
+ * @param {Object} input - Fields of the rule
+ * @param {Object} meta - { id, merchantId, createdAt, updatedAt }
+ * @returns {Object} Rule with every field set
+ */
+function toRule(input, { id, merchantId, createdAt, updatedAt }) {
+  return {
+    id,
+    name: input.name.trim(),
+    merchantId,
+    metric: input.metric,
+    window: input.window,
+    filters: input.filters || {},
+    operator: input.operator,
+    threshold: input.threshold,
+    compareTo: input.compareTo || null,
+    minTransactions: input.minTransactions || 0,
+    enabled: input.enabled !== false,
+    createdAt,
+    updatedAt
+  };
+}
+
+/**
+ * Validate and index the contents of the alert rule file
+ * @param {Object} data - { rules: [...] }
+ * @returns {Map} Rule ID → rule
+ * @throws {Error} If a rule is invalid or an ID is used twice
+ */
+function parseAlertStore(data) {
+  const store = new Map();
+  ((data && data.rules) || []).forEach(entry => {
+    const id = entry && entry.id;
+    if (typeof id !== 'string' || id === '') {
+      throw new Error('Alert rules need an "id"');
+    }
+    const fields = Object.fromEntries(RULE_FIELDS.filter(field => field in entry).map(field => [field, entry[field]]));
+    const details = validateRule(fields);
+    if (details.length > 0) {
+      throw new Error(`Alert rule "${id}" is invalid: ${details.map(d => d.message).join('; ')}`);
+    }
+    if (store.has(id)) {
+      throw new Error(`Alert rule "${id}" is defined more than once`);
+    }
+    store.set(id, toRule(fields, {
+      id,
+      merchantId: entry.merchantId || null,
+      createdAt: entry.createdAt || null,
+      updatedAt: entry.updatedAt || null
+    }));
+  });
+  return store;
+}
+
+/**
+ * Read the alert rule file
+ * @param {string} filePath - Path to the alert rule file
+ * @returns {Map} Rule ID → rule; empty when the file does not exist
+ * @throws {Error} If the file cannot be parsed
+ */
+function loadAlertRules(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return parseAlertStore({});
+  }
+  try {
+    return parseAlertStore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Could not load alert rules from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the alert rules, reading the file on first use
+ * @returns {Map} Rule ID → rule
+ */
+function getAlertStore() {
+  if (!rules) {
+    rules = loadAlertRules(config.alerts.filePath);
+  }
+  return rules;
+}
+
+/**
+ * Replace the alert rules without touching the file (useful for testing)
+ * @param {Object|null} data - { rules: [...] }, or null to read the file again on next use
+ */
+function setAlertStore(data) {
+  rules = data ? parseAlertStore(data) : null;
+  statuses.clear();
+}
+
+/**
+ * Write the alert rules and make them current
+ * @param {Map} store - Rule ID → rule
+ */
+function saveAlertRules(store) {
+  fs.writeFileSync(config.alerts.filePath, `${JSON.stringify({ rules: [...store.values()] }, null, 2)}\n`);
+  rules = store;
+}
+
+/**
+ * Current status of a rule
+ * @param {Object} rule - Alert rule
+ * @returns {Object} { state, value, since, lastEvaluatedAt, measurement, error }
+ */
+function getStatus(rule) {
+  return statuses.get(rule.id) || {
+    state: 'pending',
+    value: null,
+    since: null,
+    lastEvaluatedAt: null,
+    measurement: null,
+    error: null
+  };
+}
+
+/**
+ * Attach the current status to a rule, for responses
+ * @param {Object} rule - Alert rule
+ * @returns {Object} Rule with a `status` field
+ */
+function withStatus(rule) {
+  return { ...rule, status: getStatus(rule) };
+}
+
+/**
+ * Check whether a rule is visible to a caller
+ * @param {Object} rule - Alert rule
+ * @param {string|null} merchantScope - Merchant the caller is scoped to
+ * @returns {boolean} True for unscoped callers and for the merchant's own rules
+ */
+function inScope(rule, merchantScope) {
+  return !merchantScope || rule.merchantId === merchantScope;
+}
+
+/**
+ * List alert rules with their status
+ * @param {string|null} [merchantScope] - Only list this merchant's rules
+ * @returns {Array<Object>} Rules, oldest first
+ */
+function listRules(merchantScope = null) {
+  return [...getAlertStore().values()].filter(rule => inScope(rule, merchantScope)).map(withStatus);
+}
+
+/**
+ * Find an alert rule
+ * @param {string} ruleId - Rule identifier
+ * @param {string|null} [merchantScope] - Merchant the caller is scoped to
+ * @returns {Object|null} The rule with its status, or null if it does not
+ *   exist or belongs to another merchant
+ */
+function findRule(ruleId, merchantScope = null) {
+  const rule = getAlertStore().get(ruleId);
+  return rule && inScope(rule, merchantScope) ? withStatus(rule) : null;
+}
+
+/**
+ * Throw a ValidationError for invalid rule input
+ * @param {Object} input - Fields of the rule
+ * @param {string|null} merchantScope - Merchant the caller is scoped to
+ * @throws {ValidationError} If a field is invalid
+ */
+function assertValidRule(input, merchantScope) {
+  const details = validateRule(input, merchantScope);
+  if (details.length > 0) {
+    throw new ValidationError(`Invalid alert rule: ${details.map(d => d.message).join('; ')}`, { details });
+  }
+}
+
+/**
+ * Create an alert rule and evaluate it straight away
+ * @param {Object} input - Fields of the rule
+ * @param {string|null} [merchantScope] - Merchant the caller is scoped to; the rule is pinned to it
+ * @returns {Object} The new rule with its status
+ * @throws {ValidationError} If a field is invalid
+ */
+function createRule(input, merchantScope = null) {
+  assertValidRule(input, merchantScope);
+  const now = new Date().toISOString();
+  const rule = toRule(input, {
+    id: createId('alr_'),
+    merchantId: merchantScope || input.merchantId || null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  saveAlertRules(new Map(getAlertStore()).set(rule.id, rule));
+  evaluateRule(rule);
+  return withStatus(rule);
+}
+
+/**
+ * Replace an alert rule. Its status starts over, so a firing rule does
+ * not report a resolution caused by the edit.
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} input - Fields of the rule
+ * @param {string|null} [merchantScope] - Merchant the caller is scoped to
+ * @returns {Object|null} The updated rule with its status, or null if not found
+ * @throws {ValidationError} If a field is invalid
+ */
+function updateRule(ruleId, input, merchantScope = null) {
+  const existing = getAlertStore().get(ruleId);
+  if (!existing || !inScope(existing, merchantScope)) {
+    return null;
+  }
+  assertValidRule(input, merchantScope);
+  const rule = toRule(input, {
+    id: ruleId,
+    merchantId: merchantScope || input.merchantId || null,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  });
+
+  saveAlertRules(new Map(getAlertStore()).set(ruleId, rule));
+  statuses.delete(ruleId);
+  evaluateRule(rule);
+  return withStatus(rule);
+}
+
+/**
+ * Delete an alert rule; its history is kept
+ * @param {string} ruleId - Rule identifier
+ * @param {string|null} [merchantScope] - Merchant the caller is scoped to
+ * @returns {boolean} True if a rule was deleted
+ */
+function deleteRule(ruleId, merchantScope = null) {
+  if (!findRule(ruleId, merchantScope)) {
+    return false;
+  }
+  const store = new Map(getAlertStore());
+  store.delete(ruleId);
+  saveAlertRules(store);
+  statuses.delete(ruleId);
+  return true;
+}
+
+/**
+ * Read a metric from calculateMetrics() output
+ * @param {Object} metrics - Output of calculateMetrics()
+ * @param {string} metric - One of ALERT_METRICS
+ * @returns {number|null} The value; rates are null without any payments
+ */
+function getMetricValue(metrics, metric) {
+  if (metric === 'approvalRate' || metric === 'declineRate') {
+    if (metrics.totalTransactions === 0) return null;
+    const count = metric === 'approvalRate' ? metrics.totalApproved : metrics.totalDeclined;
+    return parseFloat((count / metrics.totalTransactions * 100).toFixed(2));
+  }
+  return metrics[metric];
+}
+
+/**
+ * Measure a rule's metric over one window
+ * @param {Object} rule - Alert rule
+ * @param {Date} start - Start of the window (inclusive)
+ * @param {Date} end - End of the window (inclusive)
+ * @returns {{start: string, end: string, totalTransactions: number, value: number|null}} Measurement
+ */
+function measureWindow(rule, start, end) {
+  const transactions = queryTransactions({ ...rule.filters, merchantId: rule.merchantId, from: start, to: end });
+  const metrics = calculateMetrics(transactions, { reportingCurrency: config.reportingCurrency });
+  const enough = metrics.totalTransactions >= rule.minTransactions;
+
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    totalTransactions: metrics.totalTransactions,
+    value: enough ? getMetricValue(metrics, rule.metric) : null
+  };
+}
+
+/**
+ * Window of a month-to-date rule, shifted back by whole months
+ * @param {Date} now - Current time
+ * @param {number} monthsBack - 0 for this month
+ * @returns {{start: Date, end: Date}} From the first of the month to the same day and time
+ */
+function getMonthToDateWindow(now, monthsBack) {
+  const { timeZone } = config;
+  const endWall = shiftMonths(toWallClock(now, timeZone), -monthsBack);
+  return { start: fromWallClock(startOfBucket(endWall, 'month'), timeZone), end: fromWallClock(endWall, timeZone) };
+}
+
+/**
+ * Measure a rule
+ * @param {Object} rule - Alert rule
+ * @param {Date} [now] - End of the window
+ * @returns {Object} { value, current, comparison? } where value is what the
+ *   threshold is checked against: the metric, or with compareTo the metric
+ *   as a percentage of the comparison period's (null when that is zero)
+ */
+function measureRule(rule, now = new Date()) {
+  const window = parseWindow(rule.window);
+  if (window.type === 'rolling') {
+    const current = measureWindow(rule, new Date(now.getTime() - window.ms), now);
+    return { value: current.value, current };
+  }
+
+  const thisMonth = getMonthToDateWindow(now, 0);
+  const current = measureWindow(rule, thisMonth.start, thisMonth.end);
+  if (!rule.compareTo) {
+    return { value: current.value, current };
+  }
+
+  const earlier = getMonthToDateWindow(now, COMPARISONS[rule.compareTo]);
+  const comparison = measureWindow(rule, earlier.start, earlier.end);
+  const value = current.value === null || !comparison.value
+    ? null
+    : parseFloat((current.value / comparison.value * 100).toFixed(2));
+  return { value, current, comparison };
+}
+
+/**
+ * Check a value against a rule's condition
+ * @param {number|null} value - Measured value
+ * @param {Object} rule - Alert rule
+ * @returns {boolean} True when the value breaches the threshold
+ */
+function isBreached(value, { operator, threshold }) {
+  if (value === null) return false;
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    default: return value <= threshold;
+  }
+}
+
+/**
+ * Record a firing or resolved transition and notify webhooks
+ * @param {Object} rule - Alert rule
+ * @param {string} state - firing | resolved
+ * @param {Object} status - New status of the rule
+ */
+function recordTransition(rule, state, status) {
+  const entry = {
+    id: createId('alh_'),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    merchantId: rule.merchantId,
+    state,
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    value: status.value,
+    measurement: status.measurement,
+    at: status.since
+  };
+  history.push(entry);
+  if (history.length > config.alerts.historySize) {
+    history = history.slice(-config.alerts.historySize);
+  }
+  dispatchEvent(`alert.${state}`, { rule, ...entry }, { merchantId: rule.merchantId });
+}
+
+/**
+ * Evaluate one rule and update its status
+ * @param {Object} rule - Alert rule
+ * @param {Date} [now] - Evaluation time
+ * @returns {Object} The rule's new status
+ */
+function evaluateRule(rule, now = new Date()) {
+  const previous = getStatus(rule);
+  if (!rule.enabled) {
+    statuses.delete(rule.id);
+    return getStatus(rule);
+  }
+
+  let measurement;
+  try {
+    measurement = measureRule(rule, now);
+  } catch (error) {
+    const status = { ...previous, lastEvaluatedAt: now.toISOString(), error: error.message };
+    statuses.set(rule.id, status);
+    return status;
+  }
+
+  const state = isBreached(measurement.value, rule) ? 'firing' : 'ok';
+  const changed = state !== previous.state;
+  const status = {
+    state,
+    value: measurement.value,
+    since: changed ? now.toISOString() : previous.since,
+    lastEvaluatedAt: now.toISOString(),
+    measurement,
+    error: null
+  };
+  statuses.set(rule.id, status);
+
+  if (state === 'firing' && changed) {
+    recordTransition(rule, 'firing', status);
+  } else if (state === 'ok' && previous.state === 'firing') {
+    recordTransition(rule, 'resolved', status);
+  }
+  return status;
+}
+
+/**
+ * Evaluate every rule
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Evaluation time
+ * @returns {Array<Object>} Rules with their new status
+ */
+function evaluateAlerts({ now = new Date() } = {}) {
+  return [...getAlertStore().values()].map(rule => ({ ...rule, status: evaluateRule(rule, now) }));
+}
+
+/**
+ * Evaluate every rule soon, once for any number of changes in between
+ */
+function scheduleEvaluation() {
+  if (evaluationTimer || getAlertStore().size === 0) return;
+  evaluationTimer = setTimeout(() => {
+    evaluationTimer = null;
+    try {
+      evaluateAlerts();
+    } catch (error) {
+      console.error('Alert evaluation failed:', error.message);
+    }
+  }, 0);
+  evaluationTimer.unref();
+}
+
+/**
+ * Evaluate every rule on a fixed interval, so rolling windows and
+ * month-to-date comparisons move on even when no data arrives
+ * @returns {Function} Stops the schedule
+ */
+function startAlertScheduler() {
+  scheduleEvaluation();
+  const timer = setInterval(scheduleEvaluation, config.alerts.intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Query the alert history
+ * @param {Object} [options]
+ * @param {string} [options.ruleId] - Only this rule's changes
+ * @param {Array<string>} [options.state] - Only these transitions (see HISTORY_STATES)
+ * @param {string|null} [options.merchantScope] - Only this merchant's rules
+ * @param {number} [options.limit=100] - Maximum number of entries to return
+ * @returns {Array<Object>} Matching entries, newest first
+ */
+function listHistory({ ruleId, state = [], merchantScope = null, limit = 100 } = {}) {
+  const matches = entry =>
+    (!ruleId || entry.ruleId === ruleId) &&
+    (state.length === 0 || state.includes(entry.state)) &&
+    (!merchantScope || entry.merchantId === merchantScope);
+
+  const result = [];
+  for (let i = history.length - 1; i >= 0 && result.length < limit; i -= 1) {
+    if (matches(history[i])) {
+      result.push(history[i]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Forget rule statuses, history and the loaded rules, and cancel a
+ * pending evaluation (useful for testing)
+ */
+function resetAlerts() {
+  clearTimeout(evaluationTimer);
+  evaluationTimer = null;
+  statuses.clear();
+  history = [];
+  rules = null;
+}
+
+onDataChange(scheduleEvaluation);
+
+module.exports = {
+  ALERT_METRICS,
+  OPERATORS,
+  ALERT_STATES,
+  HISTORY_STATES,
+  parseWindow,
+  validateRule,
+  parseAlertStore,
+  loadAlertRules,
+  setAlertStore,
+  listRules,
+  findRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  measureRule,
+  evaluateAlerts,
+  startAlertScheduler,
+  listHistory,
+  resetAlerts
+};
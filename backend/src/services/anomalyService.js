@@ -0,0 +1,264 @@
+/**
+ * Anomaly Detection Service
+ *
+ * Flags time buckets whose metrics are far from their usual level, e.g.
+ * "Discover declines are 3σ above a normal Tuesday". Fixed thresholds
+ * (services/alertService.js) cannot express this, because what is normal
+ * depends on the card brand, the weekday and the hour.
+ *
+ * The data is split into segments: all transactions (`total`), each card
+ * brand and each decline reason. Every segment is turned into a daily or
+ * hourly series with calculateTimeSeries(). A bucket's baseline is the
+ * same bucket of the week in each of the preceding `baselineWeeks` weeks
+ * (the same weekday for daily series, the same weekday and hour for
+ * hourly ones), so weekly seasonality is part of the baseline rather than
+ * an anomaly. A bucket is anomalous when its z-score against the baseline's
+ * mean and standard deviation reaches `threshold` in either direction.
+ *
+ * Metrics:
+ * - declineRate: declined payments as a percentage of payments. For a
+ *   decline reason it is that reason's declines as a percentage of all
+ *   payments, since its own payments are all declined.
+ * - totalDeclined, totalTransactions: payment counts
+ * - totalAmount: payment volume in the reporting currency
+ *
+ * Decline rates of buckets with fewer than `minTransactions` payments are
+ * left out, and the standard deviation is floored, so that a quiet night
+ * or a perfectly flat history does not make every small change look like
+ * a spike. Buckets that have not ended yet are not judged.
+ */
+
+const { calculateTimeSeries } = require('./aggregationService');
+const {
+  toWallClock,
+  fromWallClock,
+  startOfBucket,
+  nextBucket
+} = require('../utils/timeBuckets');
+
+const ANOMALY_GRANULARITIES = ['day', 'hour'];
+const ANOMALY_METRICS = ['declineRate', 'totalDeclined', 'totalTransactions', 'totalAmount'];
+const ANOMALY_DIMENSIONS = ['total', 'cardBrand', 'declineReasonCode'];
+const DEFAULT_OPTIONS = {
+  granularity: 'day',
+  metrics: ['declineRate', 'totalAmount'],
+  dimensions: ANOMALY_DIMENSIONS,
+  threshold: 3,
+  baselineWeeks: 8,
+  minTransactions: 10
+};
+const MAX_BASELINE_WEEKS = 26;
+// Baselines with fewer samples (e.g. at the start of the data) are not trusted
+const MIN_BASELINE_SAMPLES = 4;
+// Buckets per week: how far back the same weekday (and hour) is
+const SEASON_LENGTH = { day: 7, hour: 7 * 24 };
+// Range checked when the request has no `from`
+const DEFAULT_RANGE_DAYS = { day: 30, hour: 7 };
+// Smallest standard deviation used: one percentage point, transaction or
+// currency unit, and at least 5% of the mean
+const MIN_DEVIATION = 1;
+const MIN_RELATIVE_DEVIATION = 0.05;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out the buckets to judge and the history their baselines need
+ * @param {Object} options
+ * @param {Date|null} [options.from] - Start of the range to check; defaults to 30 days (daily) or 7 days (hourly) back
+ * @param {Date|null} [options.to] - End of the range to check; defaults to now
+ * @param {string} options.granularity - day | hour
+ * @param {string} [options.timeZone] - IANA time zone for bucket boundaries
+ * @param {number} options.baselineWeeks - Weeks of history each baseline covers
+ * @param {Date} [options.now] - Current time
+ * @returns {{from: Date, to: Date, historyStart: Date}} from is the start of
+ *   its bucket; transactions are needed from historyStart on
+ */
+function resolveAnomalyRange({ from = null, to = null, granularity, timeZone, baselineWeeks, now = new Date() }) {
+  const requested = from || new Date(now.getTime() - DEFAULT_RANGE_DAYS[granularity] * DAY_MS);
+  const startWall = startOfBucket(toWallClock(requested, timeZone), granularity);
+  const historyWall = new Date(startWall.getTime() - baselineWeeks * 7 * DAY_MS);
+
+  return {
+    from: fromWallClock(startWall, timeZone),
+    to: to || now,
+    historyStart: fromWallClock(historyWall, timeZone)
+  };
+}
+
+/**
+ * Split transactions into the segments anomalies are looked for in
+ * @param {Array} transactions - Transactions
+ * @param {Array<string>} dimensions - Any of ANOMALY_DIMENSIONS
+ * @returns {Array<{dimension: string, segment: string|null, transactions: Array}>}
+ *   The total first, then each dimension's values in alphabetical order
+ */
+function buildSegments(transactions, dimensions) {
+  const segments = [];
+  if (dimensions.includes('total')) {
+    segments.push({ dimension: 'total', segment: null, transactions });
+  }
+
+  dimensions.filter(dimension => dimension !== 'total').forEach(dimension => {
+    const byValue = new Map();
+    transactions.forEach(t => {
+      const value = t[dimension];
+      if (!value) return;
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(t);
+    });
+    [...byValue.keys()].sort().forEach(value => {
+      segments.push({ dimension, segment: value, transactions: byValue.get(value) });
+    });
+  });
+
+  return segments;
+}
+
+/**
+ * Read a metric from a time series bucket
+ * @param {string} metric - One of ANOMALY_METRICS
+ * @param {Object} bucket - Bucket of the segment's series
+ * @param {Object} totalBucket - Same bucket of the series of all transactions
+ * @param {string} dimension - Dimension of the segment
+ * @param {number} minTransactions - Payments needed for a decline rate
+ * @returns {number|null} The value, or null for a decline rate over too few payments
+ */
+function measure(metric, bucket, totalBucket, dimension, minTransactions) {
+  if (metric !== 'declineRate') {
+    return bucket[metric];
+  }
+  const payments = dimension === 'declineReasonCode' ? totalBucket.totalTransactions : bucket.totalTransactions;
+  if (payments === 0 || payments < minTransactions) {
+    return null;
+  }
+  return parseFloat((bucket.totalDeclined / payments * 100).toFixed(2));
+}
+
+/**
+ * Mean and sample standard deviation
+ * @param {Array<number>} values - At least two values
+ * @returns {{mean: number, stdDev: number}} Statistics
+ */
+function describe(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Find anomalous buckets
+ * @param {Array} transactions - Transactions from resolveAnomalyRange().historyStart on
+ * @param {Object} [options]
+ * @param {string} [options.granularity='day'] - day | hour
+ * @param {string} [options.timeZone] - IANA time zone for bucket boundaries
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @param {Date|null} [options.from] - Start of the range to check
+ * @param {Date|null} [options.to] - End of the range to check
+ * @param {Array<string>} [options.metrics] - Any of ANOMALY_METRICS (default declineRate and totalAmount)
+ * @param {Array<string>} [options.dimensions] - Any of ANOMALY_DIMENSIONS (default all)
+ * @param {number} [options.threshold=3] - z-score from which a bucket is anomalous
+ * @param {number} [options.baselineWeeks=8] - Weeks of history each baseline covers
+ * @param {number} [options.minTransactions=10] - Payments needed to judge a decline rate
+ * @param {Date} [options.now] - Current time; buckets ending later are not judged
+ * @returns {{from: string, to: string, buckets: number, segments: number, anomalies: Array}}
+ *   Range checked, how many buckets and segments were checked, and the
+ *   anomalies, newest first and most extreme first within a bucket:
+ *   { period, label, start, dimension, segment, metric, value, expected,
+ *     stdDev, zScore, direction: 'above' | 'below', baselineSamples }
+ */
+function detectAnomalies(transactions, options = {}) {
+  const {
+    granularity,
+    metrics,
+    dimensions,
+    threshold,
+    baselineWeeks,
+    minTransactions
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const { timeZone, reportingCurrency, now = new Date() } = options;
+  const range = resolveAnomalyRange({ ...options, granularity, baselineWeeks, now });
+  const season = SEASON_LENGTH[granularity];
+
+  const seriesOf = records => calculateTimeSeries(records, {
+    granularity,
+    timeZone,
+    reportingCurrency,
+    from: range.historyStart,
+    to: range.to
+  });
+  const totalSeries = seriesOf(transactions);
+
+  // Buckets inside the range that have ended
+  const judged = totalSeries
+    .map((bucket, index) => ({ bucket, index }))
+    .filter(({ bucket }) => {
+      const start = new Date(bucket.start);
+      const end = fromWallClock(nextBucket(toWallClock(start, timeZone), granularity), timeZone);
+      return start >= range.from && end <= now;
+    })
+    .map(({ index }) => index);
+
+  const segments = buildSegments(transactions, dimensions);
+  const anomalies = [];
+  segments.forEach(({ dimension, segment, transactions: records }) => {
+    const series = dimension === 'total' ? totalSeries : seriesOf(records);
+
+    metrics.forEach(metric => {
+      const values = series.map((bucket, index) =>
+        measure(metric, bucket, totalSeries[index], dimension, minTransactions)
+      );
+
+      judged.forEach(index => {
+        const value = values[index];
+        if (value === null) return;
+
+        const baseline = [];
+        for (let week = 1; week <= baselineWeeks && index - week * season >= 0; week += 1) {
+          const sample = values[index - week * season];
+          if (sample !== null) baseline.push(sample);
+        }
+        if (baseline.length < MIN_BASELINE_SAMPLES) return;
+
+        const { mean, stdDev } = describe(baseline);
+        const deviation = Math.max(stdDev, MIN_DEVIATION, Math.abs(mean) * MIN_RELATIVE_DEVIATION);
+        const zScore = (value - mean) / deviation;
+        if (Math.abs(zScore) < threshold) return;
+
+        const bucket = series[index];
+        anomalies.push({
+          period: bucket.period,
+          label: bucket.label,
+          start: bucket.start,
+          dimension,
+          segment,
+          metric,
+          value,
+          expected: parseFloat(mean.toFixed(2)),
+          stdDev: parseFloat(stdDev.toFixed(2)),
+          zScore: parseFloat(zScore.toFixed(2)),
+          direction: zScore > 0 ? 'above' : 'below',
+          baselineSamples: baseline.length
+        });
+      });
+    });
+  });
+
+  anomalies.sort((a, b) => b.start.localeCompare(a.start) || Math.abs(b.zScore) - Math.abs(a.zScore));
+
+  return {
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    buckets: judged.length,
+    segments: segments.length,
+    anomalies
+  };
+}
+
+module.exports = {
+  ANOMALY_GRANULARITIES,
+  ANOMALY_METRICS,
+  ANOMALY_DIMENSIONS,
+  DEFAULT_OPTIONS,
+  MAX_BASELINE_WEEKS,
+  resolveAnomalyRange,
+  detectAnomalies
+};
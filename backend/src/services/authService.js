@@ -0,0 +1,260 @@
+/**
+ * Authentication Service
+ *
+ * Credentials live in a local JSON file (AUTH_FILE, default src/data/auth.json),
+ * managed with `npm run auth` (see utils/manageAuth.js):
+ *
+ *   {
+ *     "apiKeys": [
+ *       { "id": "billing-sync", "keyHash": "<sha256 hex>", "role": "analyst", "merchantId": "MERCH-GX7AB6" }
+ *     ],
+ *     "users": [
+ *       { "username": "ops", "passwordHash": "scrypt$<salt>$<hash>", "role": "admin", "merchantId": null }
+ *     ]
+ *   }
+ *
+ * API keys are for server-to-server callers and are stored as SHA-256
+ * hashes only. Dashboard users log in with a password (stored as a salted
+ * scrypt hash) and receive an HS256 JWT. Either way the caller becomes a
+ * principal { type, id, role, merchantId }; a merchantId binds it to that
+ * merchant's data. Dashboard users other than admins must be bound to a
+ * merchant, because the dashboard sends no merchant context of its own;
+ * API keys without one name the merchant per request instead.
+ *
+ * Roles are ordered: viewer (summaries) < analyst (raw transactions and
+ * exports) < admin (ingestion and deletion).
+ *
+ * The file is read once on first use; setAuthStore() swaps it (useful for testing).
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { signJwt, verifyJwt } = require('../utils/jwt');
+const { AuthenticationError } = require('../utils/errors');
+
+const ROLES = ['viewer', 'analyst', 'admin'];
+const API_KEY_PREFIX = 'mtd_';
+const SCRYPT_KEY_LENGTH = 64;
+
+let authStore = null;
+let generatedSecret = null;
+
+/**
+ * Check whether a principal has at least the given role
+ * @param {Object} principal - Authenticated caller
+ * @param {string} role - Minimum role
+ * @returns {boolean} True when the principal's role is the same or higher
+ */
+function hasRole(principal, role) {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} Key such as "mtd_3q2V..."; shown once, only its hash is stored
+ */
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain password
+ * @returns {string} "scrypt$<salt hex>$<hash hex>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain password
+ * @param {string} passwordHash - Value produced by hashPassword()
+ * @returns {boolean} True when the password matches
+ */
+function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, hashHex] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when a username is unknown, so the response takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Validate raw credential data and index it for lookups
+ * @param {Object} data - Parsed credential file
+ * @returns {{apiKeys: Map<string, Object>, users: Map<string, Object>}} API keys by hash, users by name
+ * @throws {Error} If an entry lacks an identifier or hash, has an unknown role, or is duplicated,
+ *   or a user other than an admin is not bound to a merchant
+ */
+function parseAuthStore(data) {
+  const apiKeys = new Map();
+  const users = new Map();
+  const ids = new Set();
+
+  const checkEntry = (entry, idField, hashField) => {
+    const id = entry && entry[idField];
+    if (typeof id !== 'string' || id === '' || typeof entry[hashField] !== 'string') {
+      throw new Error(`Credential entries need "${idField}" and "${hashField}"`);
+    }
+    if (!ROLES.includes(entry.role)) {
+      throw new Error(`Credential "${id}" has unknown role "${entry.role}"; expected one of ${ROLES.join(', ')}`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Credential "${id}" is defined more than once`);
+    }
+    ids.add(id);
+    return { id, role: entry.role, merchantId: entry.merchantId || null };
+  };
+
+  ((data && data.apiKeys) || []).forEach(entry => {
+    apiKeys.set(entry.keyHash, { type: 'apiKey', ...checkEntry(entry, 'id', 'keyHash') });
+  });
+  ((data && data.users) || []).forEach(entry => {
+    const principal = { type: 'user', ...checkEntry(entry, 'username', 'passwordHash') };
+    if (principal.role !== 'admin' && !principal.merchantId) {
+      throw new Error(`User "${principal.id}" needs a merchantId; only admins may see every merchant`);
+    }
+    users.set(entry.username, { principal, passwordHash: entry.passwordHash });
+  });
+
+  return { apiKeys, users };
+}
+
+/**
+ * Read and validate a credential file. A missing file means no credentials.
+ * @param {string} filePath - Path to the JSON credential file
+ * @returns {Object} Parsed store, see parseAuthStore()
+ * @throws {Error} If the file exists but cannot be read or is invalid
+ */
+function loadAuthStore(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return parseAuthStore({});
+  }
+  try {
+    return parseAuthStore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Could not load credentials from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the active credential store, loading the configured file on first use
+ * @returns {Object} Parsed store
+ */
+function getAuthStore() {
+  if (!authStore) {
+    authStore = loadAuthStore(config.auth.filePath);
+  }
+  return authStore;
+}
+
+/**
+ * Replace the active credential store (useful for testing)
+ * @param {Object|null} data - Raw credential data, or null to reload the configured file
+ */
+function setAuthStore(data) {
+  authStore = data ? parseAuthStore(data) : null;
+}
+
+/**
+ * Secret used to sign tokens. Without JWT_SECRET a random one is made per
+ * process, so tokens stop working when the server restarts.
+ * @returns {string} Signing secret
+ */
+function getJwtSecret() {
+  if (config.auth.jwtSecret) return config.auth.jwtSecret;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Identify the caller behind an API key
+ * @param {string} key - Plain API key
+ * @returns {Object|null} Principal, or null when the key is unknown
+ */
+function authenticateApiKey(key) {
+  if (typeof key !== 'string' || key === '') return null;
+  return getAuthStore().apiKeys.get(hashApiKey(key)) || null;
+}
+
+/**
+ * Check a dashboard user's password
+ * @param {string} username - Username
+ * @param {string} password - Plain password
+ * @returns {Object|null} Principal, or null when the username or password is wrong
+ */
+function authenticateUser(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+  const user = getAuthStore().users.get(username);
+  const matches = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  return user && matches ? user.principal : null;
+}
+
+/**
+ * Issue a login token for a user
+ * @param {Object} principal - Principal from authenticateUser()
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {{token: string, expiresAt: string}} Signed JWT and its expiry
+ */
+function issueToken(principal, { now = Date.now() } = {}) {
+  const token = signJwt(
+    { sub: principal.id, role: principal.role, merchantId: principal.merchantId },
+    getJwtSecret(),
+    { expiresIn: config.auth.tokenTtl, now }
+  );
+  return { token, expiresAt: new Date(now + config.auth.tokenTtl * 1000).toISOString() };
+}
+
+/**
+ * Identify the caller behind a login token. The role and merchant come
+ * from the credential file rather than the token, so removing or
+ * demoting a user takes effect immediately.
+ * @param {string} token - JWT from issueToken()
+ * @returns {Object} Principal
+ * @throws {AuthenticationError} If the token is invalid or expired, or its user no longer exists
+ */
+function authenticateToken(token) {
+  const claims = verifyJwt(token, getJwtSecret());
+  const user = getAuthStore().users.get(claims.sub);
+  if (!user) {
+    throw new AuthenticationError('Unknown user');
+  }
+  return user.principal;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashApiKey,
+  generateApiKey,
+  hashPassword,
+  verifyPassword,
+  parseAuthStore,
+  loadAuthStore,
+  getAuthStore,
+  setAuthStore,
+  authenticateApiKey,
+  authenticateUser,
+  issueToken,
+  authenticateToken
+};
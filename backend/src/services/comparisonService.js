@@ -0,0 +1,172 @@
+/**
+ * Period Comparison Service
+ *
+ * Puts Month-to-Date metrics in context by comparing them with the same
+ * elapsed portion of earlier months:
+ * - priorMonth: last month, from its first day up to the same day and time
+ * - lastYear:   this month a year ago, up to the same day and time
+ *
+ * Comparing like-for-like windows avoids MTD always looking low against a
+ * complete previous month. When the earlier month is shorter (e.g. on
+ * March 31 compared with February) the window ends at that month's last day.
+ *
+ * Windows are evaluated in an IANA time zone, like the other summaries.
+ */
+
+const { calculateMetrics } = require('./aggregationService');
+const { MONTH_NAMES, toWallClock, fromWallClock, startOfBucket } = require('../utils/timeBuckets');
+
+// Scalar metrics produced by calculateMetrics(), plus the derived approval rate
+const SCALAR_METRICS = [
+  'totalTransactions',
+  'totalApproved',
+  'totalDeclined',
+  'totalAmount',
+  'approvedAmount',
+  'declinedAmount',
+  'grossVolume',
+  'totalRefunds',
+  'refundedAmount',
+  'totalChargebacks',
+  'chargebackAmount',
+  'netVolume',
+  'approvalRate'
+];
+
+// Breakdowns produced by calculateMetrics(), keyed by card brand / decline reason / currency
+const BREAKDOWN_METRICS = ['byCardBrand', 'byDeclineReason', 'byCurrency'];
+
+/**
+ * Shift a wall clock time by whole months, clamping the day to the target month
+ * @param {Date} wall - Wall clock time
+ * @param {number} months - Months to move (negative for earlier)
+ * @returns {Date} Wall clock time in the target month
+ */
+function shiftMonths(wall, months) {
+  const year = wall.getUTCFullYear();
+  const month = wall.getUTCMonth() + months;
+  const daysInTarget = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(wall.getUTCDate(), daysInTarget),
+    wall.getUTCHours(),
+    wall.getUTCMinutes(),
+    wall.getUTCSeconds(),
+    wall.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Calculate metrics plus approval rate for transactions inside a window
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Date} startWall - Wall clock start of the window (inclusive)
+ * @param {Date} endWall - Wall clock end of the window (inclusive)
+ * @param {Object} options
+ * @param {string} [options.timeZone] - IANA time zone of the wall clock times
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @returns {Object} { label, start, end, ...metrics, approvalRate }
+ */
+function summarizeWindow(transactions, startWall, endWall, { timeZone, reportingCurrency }) {
+  const start = fromWallClock(startWall, timeZone);
+  const end = fromWallClock(endWall, timeZone);
+
+  const inWindow = transactions.filter(t => {
+    const time = new Date(t.transactionDate).getTime();
+    return time >= start.getTime() && time <= end.getTime();
+  });
+  const metrics = calculateMetrics(inWindow, { reportingCurrency });
+
+  return {
+    label: `${MONTH_NAMES[startWall.getUTCMonth()]} 1–${endWall.getUTCDate()}, ${startWall.getUTCFullYear()}`,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    ...metrics,
+    approvalRate: metrics.totalTransactions > 0
+      ? parseFloat((metrics.totalApproved / metrics.totalTransactions * 100).toFixed(2))
+      : 0
+  };
+}
+
+/**
+ * Compute the change from a previous value to a current value
+ * @param {number} current - Current period value
+ * @param {number} previous - Comparison period value
+ * @returns {{absolute: number, percent: number|null}} Difference, and percentage
+ *   change (null when the previous value is zero)
+ */
+function calculateDelta(current = 0, previous = 0) {
+  return {
+    absolute: parseFloat((current - previous).toFixed(2)),
+    percent: previous === 0 ? null : parseFloat(((current - previous) / previous * 100).toFixed(2))
+  };
+}
+
+/**
+ * Compute deltas for every metric of two window summaries. Breakdown
+ * entries present in only one period are compared against zero.
+ * @param {Object} current - Current window summary
+ * @param {Object} previous - Comparison window summary
+ * @returns {Object} Deltas keyed like the metrics
+ */
+function calculateDeltas(current, previous) {
+  const deltas = {};
+
+  SCALAR_METRICS.forEach(metric => {
+    deltas[metric] = calculateDelta(current[metric], previous[metric]);
+  });
+
+  BREAKDOWN_METRICS.forEach(breakdown => {
+    deltas[breakdown] = {};
+    const currentBreakdown = current[breakdown] || {};
+    const previousBreakdown = previous[breakdown] || {};
+    const keys = new Set([...Object.keys(currentBreakdown), ...Object.keys(previousBreakdown)]);
+    keys.forEach(key => {
+      const currentEntry = currentBreakdown[key] || {};
+      const previousEntry = previousBreakdown[key] || {};
+      const fields = new Set([...Object.keys(currentEntry), ...Object.keys(previousEntry)]);
+      deltas[breakdown][key] = {};
+      fields.forEach(field => {
+        deltas[breakdown][key][field] = calculateDelta(currentEntry[field], previousEntry[field]);
+      });
+    });
+  });
+
+  return deltas;
+}
+
+/**
+ * Compare Month-to-Date metrics with the same point of the prior month
+ * and of the same month last year
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for month boundaries
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @returns {Object} { current, priorMonth, lastYear } where each comparison period
+ *   carries its own metrics and `deltas` (current minus that period)
+ */
+function calculatePeriodComparison(transactions, { timeZone, reportingCurrency, now = new Date() } = {}) {
+  const options = { timeZone, reportingCurrency };
+  const nowWall = toWallClock(now, timeZone);
+  const current = summarizeWindow(transactions, startOfBucket(nowWall, 'month'), nowWall, options);
+
+  const compareWith = months => {
+    const endWall = shiftMonths(nowWall, months);
+    const period = summarizeWindow(transactions, startOfBucket(endWall, 'month'), endWall, options);
+    return { ...period, deltas: calculateDeltas(current, period) };
+  };
+
+  return {
+    current,
+    priorMonth: compareWith(-1),
+    lastYear: compareWith(-12)
+  };
+}
+
+module.exports = {
+  shiftMonths,
+  calculateDelta,
+  calculateDeltas,
+  calculatePeriodComparison
+};
@@ -0,0 +1,129 @@
+/**
+ * Currency Service
+ *
+ * Converts transaction amounts into a reporting currency using a local,
+ * date-effective FX rate table (FX_RATES_FILE, default src/data/fxRates.json):
+ *
+ *   {
+ *     "base": "USD",
+ *     "rates": [
+ *       { "effectiveDate": "2026-01-01", "rates": { "USD": 1, "EUR": 0.8531, ... } }
+ *     ]
+ *   }
+ *
+ * Each entry gives the units of every supported currency per one unit of
+ * the base currency, and applies from its effective date (00:00 UTC) until
+ * the next entry. Transactions dated before the first entry use the first.
+ *
+ * The table is read once on first use; setFxTable() swaps it (useful for testing).
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { CURRENCIES } = require('../utils/transactionSchema');
+
+let fxTable = null;
+
+/**
+ * Validate raw FX data and index it for lookups
+ * @param {Object} data - Parsed FX rate file
+ * @returns {{base: string, entries: Array<{effectiveDate: string, time: number, rates: Object}>}}
+ *   Entries sorted by effective date
+ * @throws {Error} If the table is empty, or an entry is undated or misses a currency
+ */
+function parseFxTable(data) {
+  if (!data || !Array.isArray(data.rates) || data.rates.length === 0) {
+    throw new Error('FX rate table must have a non-empty "rates" array');
+  }
+
+  const entries = data.rates.map(entry => {
+    const time = Date.parse(`${entry.effectiveDate}T00:00:00.000Z`);
+    if (Number.isNaN(time)) {
+      throw new Error(`FX rate entry has an invalid effectiveDate "${entry.effectiveDate}"`);
+    }
+    CURRENCIES.forEach(currency => {
+      const rate = entry.rates && entry.rates[currency];
+      if (typeof rate !== 'number' || !(rate > 0)) {
+        throw new Error(`FX rates effective ${entry.effectiveDate} have no valid rate for ${currency}`);
+      }
+    });
+    return { effectiveDate: entry.effectiveDate, time, rates: entry.rates };
+  });
+
+  entries.sort((a, b) => a.time - b.time);
+  return { base: data.base, entries };
+}
+
+/**
+ * Read and validate an FX rate file
+ * @param {string} filePath - Path to the JSON rate table
+ * @returns {Object} Parsed table, see parseFxTable()
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+function loadFxTable(filePath) {
+  try {
+    return parseFxTable(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Could not load FX rates from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the active FX table, loading the configured file on first use
+ * @returns {Object} Parsed table
+ */
+function getFxTable() {
+  if (!fxTable) {
+    fxTable = loadFxTable(config.fxRatesPath);
+  }
+  return fxTable;
+}
+
+/**
+ * Replace the active FX table (useful for testing)
+ * @param {Object|null} table - Raw table data, or null to reload the configured file
+ */
+function setFxTable(table) {
+  fxTable = table ? parseFxTable(table) : null;
+}
+
+/**
+ * Find the rates in effect at a given time
+ * @param {string|Date} date - Instant to look up
+ * @param {Object} [table] - Parsed table (defaults to the active one)
+ * @returns {Object} Units of each currency per unit of the base currency
+ */
+function getRatesAt(date, table = getFxTable()) {
+  const time = new Date(date).getTime();
+  let match = table.entries[0];
+  for (const entry of table.entries) {
+    if (entry.time > time) break;
+    match = entry;
+  }
+  return match.rates;
+}
+
+/**
+ * Convert an amount between currencies at the rates in effect on a date.
+ * The result is not rounded, so sums of many conversions stay accurate.
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {string|Date} date - Date whose rates apply
+ * @param {Object} [table] - Parsed table (defaults to the active one)
+ * @returns {number} Amount in the target currency
+ */
+function convertAmount(amount, from, to, date, table = getFxTable()) {
+  if (from === to) return amount;
+  const rates = getRatesAt(date, table);
+  return amount / rates[from] * rates[to];
+}
+
+module.exports = {
+  parseFxTable,
+  loadFxTable,
+  getFxTable,
+  setFxTable,
+  getRatesAt,
+  convertAmount
+};
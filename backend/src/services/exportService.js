@@ -0,0 +1,195 @@
+/**
+ * Export Service
+ * 
+ * Serializes transactions and summaries for download as CSV, NDJSON or XLSX.
+ * CSV and NDJSON are streamed to the response in batches so large exports
+ * never build the whole file in memory; XLSX is a zip archive and is
+ * assembled in one piece by utils/xlsxWriter.
+ */
+
+const { ValidationError } = require('../utils/errors');
+const { buildXlsx } = require('../utils/xlsxWriter');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Column order for transaction exports
+const TRANSACTION_COLUMNS = [
+  'transactionId',
+  'merchantId',
+  'transactionDate',
+  'cardBrand',
+  'status',
+  'declineReasonCode',
+  'amount',
+  'currency',
+  'type',
+  'originalTransactionId'
+];
+
+// Column order for the flattened month/brand summary export
+const SUMMARY_COLUMNS = [
+  'month',
+  'monthFormatted',
+  'cardBrand',
+  'totalTransactions',
+  'totalApproved',
+  'totalDeclined',
+  'totalAmount',
+  'reportingCurrency',
+  'approvalRate'
+];
+
+// Rows written per chunk when streaming
+const BATCH_SIZE = 500;
+
+/**
+ * Validate the requested export format
+ * @param {string} format - Raw format query parameter (defaults to csv)
+ * @returns {string} Normalized format key
+ * @throws {ValidationError} If the format is not supported
+ */
+function parseExportFormat(format) {
+  const normalized = format === undefined || format === '' ? 'csv' : String(format).toLowerCase();
+  if (!EXPORT_FORMATS[normalized]) {
+    throw new ValidationError(`Invalid "format": expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`, { field: 'format' });
+  }
+  return normalized;
+}
+
+/**
+ * Flatten Month-by-Month summaries into one row per month and card brand
+ * @param {Array} monthByMonth - Output of calculateMonthByMonthSummary()
+ * @returns {Array<Object>} Rows keyed by SUMMARY_COLUMNS
+ */
+function flattenMonthlySummary(monthByMonth) {
+  return monthByMonth.flatMap(month => {
+    return Object.entries(month.byCardBrand)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([cardBrand, stats]) => ({
+        month: month.month,
+        monthFormatted: month.monthFormatted,
+        cardBrand,
+        totalTransactions: stats.count,
+        totalApproved: stats.approved,
+        totalDeclined: stats.declined,
+        totalAmount: parseFloat(stats.amount.toFixed(2)),
+        reportingCurrency: month.reportingCurrency,
+        approvalRate: stats.count > 0 ? parseFloat((stats.approved / stats.count * 100).toFixed(2)) : 0
+      }));
+  });
+}
+
+/**
+ * Escape a single CSV field.
+ * Text starting with =, +, - or @ is prefixed with a quote so spreadsheet
+ * applications don't evaluate it as a formula.
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function toCsvField(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Render one CSV line (RFC 4180, CRLF terminated)
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+function toCsvLine(values) {
+  return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full.
+ * A client that disconnects never drains the buffer, so closing or failing
+ * ends the wait as well; callers check res.destroyed afterwards.
+ * @param {Object} res - Express response (writable stream)
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  if (res.destroyed) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      ['drain', 'close', 'error'].forEach(event => res.off(event, done));
+      resolve();
+    };
+    ['drain', 'close', 'error'].forEach(event => res.once(event, done));
+  });
+}
+
+/**
+ * Stream rows to the response as CSV or NDJSON, or send them as an XLSX workbook
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - csv, ndjson or xlsx
+ * @param {Array<string>} options.columns - Fields to export, in order
+ * @param {Array<Object>} options.rows - Records to export
+ * @param {string} options.filename - Download name without extension
+ * @returns {Promise<void>} Resolves once the response has been ended
+ */
+async function sendExport(res, { format, columns, rows, filename }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  if (format === 'xlsx') {
+    const workbook = buildXlsx({
+      sheetName: filename,
+      header: columns,
+      rows: rows.map(row => columns.map(column => row[column]))
+    });
+    res.end(workbook);
+    return;
+  }
+
+  if (format === 'csv') {
+    await writeChunk(res, toCsvLine(columns));
+  }
+
+  // Stop as soon as the client has gone away
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    if (res.destroyed) return;
+    const batch = rows.slice(i, i + BATCH_SIZE).map(row => {
+      if (format === 'csv') {
+        return toCsvLine(columns.map(column => row[column]));
+      }
+      const record = {};
+      columns.forEach(column => {
+        if (row[column] !== undefined) record[column] = row[column];
+      });
+      return `${JSON.stringify(record)}\n`;
+    });
+    await writeChunk(res, batch.join(''));
+  }
+
+  if (!res.destroyed) res.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  TRANSACTION_COLUMNS,
+  SUMMARY_COLUMNS,
+  parseExportFormat,
+  flattenMonthlySummary,
+  toCsvLine,
+  sendExport
+};
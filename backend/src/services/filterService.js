@@ -4,43 +4,162 @@
  * Provides composable filter functions for querying transactions.
  * Each filter is pure (no side effects) and can be combined via applyFilters().
  * 
+ * cardBrand, status and declineReasonCode accept a single value, a
+ * comma-separated string or an array. Values within a field are OR'ed,
+ * and separate fields are AND'ed together.
+ * 
  * Supported filters:
  * - cardBrand: Visa, Mastercard, Amex, Discover
  * - status: Approved, Declined
  * - declineReasonCode: 01-Insufficient funds, 02-Invalid card number, 03-Suspected fraud
+ * - from/to: Inclusive transaction date range (Date objects or ISO strings)
+ * - minAmount/maxAmount: Inclusive transaction amount range, compared in minor units
+ * - amountCurrency: Currency of minAmount/maxAmount; amounts in other currencies are
+ *   converted to it at the rate of their date (without it raw amounts are compared)
+ * - merchantId: Exact merchant identifier (e.g. MERCH-GX7AB6)
+ * - type: Payment, Refund, Chargeback (records without a type are payments)
+ * - originalTransactionId: Refunds and chargebacks of one payment
+ * - currency: USD, EUR, GBP, CAD (records without a currency are USD)
  */
 
+const { parseListParam } = require('../utils/listParams');
+const { getTransactionType, getTransactionCurrency } = require('../utils/transactionSchema');
+const { toMinorUnits } = require('../utils/money');
+const { convertAmount } = require('./currencyService');
+
+/**
+ * Keep transactions whose field matches any of the given values
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} field - Transaction field to compare
+ * @param {string|Array<string>} values - Accepted value(s)
+ * @returns {Array} Filtered transactions
+ */
+function filterByAnyOf(transactions, field, values) {
+  const accepted = parseListParam(values);
+  if (accepted.length === 0) return transactions;
+  if (accepted.length === 1) {
+    return transactions.filter(t => t[field] === accepted[0]);
+  }
+  const acceptedSet = new Set(accepted);
+  return transactions.filter(t => acceptedSet.has(t[field]));
+}
+
 /**
  * Filter transactions by card brand
  * @param {Array} transactions - Array of transaction objects
- * @param {string} cardBrand - Card brand to filter by (Visa, Mastercard, Amex, Discover)
+ * @param {string|Array<string>} cardBrand - Card brand(s) to filter by (Visa, Mastercard, Amex, Discover)
  * @returns {Array} Filtered transactions
  */
 function filterByCardBrand(transactions, cardBrand) {
-  if (!cardBrand || cardBrand === 'all') return transactions;
-  return transactions.filter(t => t.cardBrand === cardBrand);
+  return filterByAnyOf(transactions, 'cardBrand', cardBrand);
 }
 
 /**
  * Filter transactions by status
  * @param {Array} transactions - Array of transaction objects
- * @param {string} status - Status to filter by (Approved, Declined)
+ * @param {string|Array<string>} status - Status(es) to filter by (Approved, Declined)
  * @returns {Array} Filtered transactions
  */
 function filterByStatus(transactions, status) {
-  if (!status || status === 'all') return transactions;
-  return transactions.filter(t => t.status === status);
+  return filterByAnyOf(transactions, 'status', status);
 }
 
 /**
  * Filter transactions by decline reason code
  * @param {Array} transactions - Array of transaction objects
- * @param {string} declineReasonCode - Decline reason code to filter by
+ * @param {string|Array<string>} declineReasonCode - Decline reason code(s) to filter by
  * @returns {Array} Filtered transactions
  */
 function filterByDeclineReasonCode(transactions, declineReasonCode) {
-  if (!declineReasonCode || declineReasonCode === 'all') return transactions;
-  return transactions.filter(t => t.declineReasonCode === declineReasonCode);
+  return filterByAnyOf(transactions, 'declineReasonCode', declineReasonCode);
+}
+
+/**
+ * Filter transactions by date range (inclusive on both ends)
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Date|string} [from] - Earliest transaction date to include
+ * @param {Date|string} [to] - Latest transaction date to include
+ * @returns {Array} Filtered transactions
+ */
+function filterByDateRange(transactions, from, to) {
+  if (!from && !to) return transactions;
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  return transactions.filter(t => {
+    const time = new Date(t.transactionDate).getTime();
+    return time >= fromTime && time <= toTime;
+  });
+}
+
+/**
+ * Filter transactions by amount range (inclusive on both ends).
+ * Amounts already in the bounds' currency are compared exactly; others are
+ * converted first and compared once rounded to the cent.
+ * @param {Array} transactions - Array of transaction objects
+ * @param {number} [minAmount] - Smallest amount to include
+ * @param {number} [maxAmount] - Largest amount to include
+ * @param {string} [currency] - Currency of the bounds; omit to compare raw amounts
+ * @returns {Array} Filtered transactions
+ */
+function filterByAmountRange(transactions, minAmount, maxAmount, currency) {
+  const hasMin = minAmount !== undefined && minAmount !== null;
+  const hasMax = maxAmount !== undefined && maxAmount !== null;
+  if (!hasMin && !hasMax) return transactions;
+  const minUnits = hasMin ? toMinorUnits(minAmount) : -Infinity;
+  const maxUnits = hasMax ? toMinorUnits(maxAmount) : Infinity;
+  return transactions.filter(t => {
+    const amount = currency
+      ? convertAmount(t.amount, getTransactionCurrency(t), currency, t.transactionDate)
+      : t.amount;
+    const units = toMinorUnits(amount);
+    return units >= minUnits && units <= maxUnits;
+  });
+}
+
+/**
+ * Filter transactions by merchant
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} merchantId - Merchant identifier to filter by
+ * @returns {Array} Filtered transactions
+ */
+function filterByMerchantId(transactions, merchantId) {
+  if (!merchantId || merchantId === 'all') return transactions;
+  return transactions.filter(t => t.merchantId === merchantId);
+}
+
+/**
+ * Filter transactions by type
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string|Array<string>} type - Type(s) to filter by (Payment, Refund, Chargeback)
+ * @returns {Array} Filtered transactions
+ */
+function filterByType(transactions, type) {
+  const accepted = new Set(parseListParam(type));
+  if (accepted.size === 0) return transactions;
+  return transactions.filter(t => accepted.has(getTransactionType(t)));
+}
+
+/**
+ * Filter transactions by the currency their amount is in
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string|Array<string>} currency - Currency code(s) to filter by
+ * @returns {Array} Filtered transactions
+ */
+function filterByCurrency(transactions, currency) {
+  const accepted = new Set(parseListParam(currency));
+  if (accepted.size === 0) return transactions;
+  return transactions.filter(t => accepted.has(getTransactionCurrency(t)));
+}
+
+/**
+ * Filter transactions to the refunds and chargebacks of one payment
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} originalTransactionId - Payment identifier
+ * @returns {Array} Filtered transactions
+ */
+function filterByOriginalTransactionId(transactions, originalTransactionId) {
+  if (!originalTransactionId) return transactions;
+  return transactions.filter(t => t.originalTransactionId === originalTransactionId);
 }
 
 /**
@@ -64,6 +183,30 @@ function applyFilters(transactions, filters = {}) {
     result = filterByDeclineReasonCode(result, filters.declineReasonCode);
   }
   
+  if (filters.from || filters.to) {
+    result = filterByDateRange(result, filters.from, filters.to);
+  }
+  
+  if (filters.minAmount != null || filters.maxAmount != null) {
+    result = filterByAmountRange(result, filters.minAmount, filters.maxAmount, filters.amountCurrency);
+  }
+  
+  if (filters.merchantId) {
+    result = filterByMerchantId(result, filters.merchantId);
+  }
+  
+  if (filters.type) {
+    result = filterByType(result, filters.type);
+  }
+  
+  if (filters.originalTransactionId) {
+    result = filterByOriginalTransactionId(result, filters.originalTransactionId);
+  }
+  
+  if (filters.currency) {
+    result = filterByCurrency(result, filters.currency);
+  }
+  
   return result;
 }
 
@@ -71,5 +214,11 @@ module.exports = {
   filterByCardBrand,
   filterByStatus,
   filterByDeclineReasonCode,
+  filterByDateRange,
+  filterByAmountRange,
+  filterByMerchantId,
+  filterByType,
+  filterByOriginalTransactionId,
+  filterByCurrency,
   applyFilters
 };
@@ -0,0 +1,211 @@
+/**
+ * Forecast Service
+ *
+ * Projects where the current month will land: month-end volume, payment
+ * counts and approval rate, each with a confidence interval.
+ *
+ * The model is a weekday profile. Each day of the preceding `historyWeeks`
+ * weeks is grouped by weekday, and every day still to come this month is
+ * expected to look like the average of its weekday (the rest of today
+ * counts as the remaining fraction of a day). The projection is what has
+ * happened so far plus those expectations. Days are treated as independent,
+ * so the variance of the remaining total is the sum of the daily variances.
+ *
+ * The approval rate is projected from the projected approved and total
+ * payments; its interval comes from how much daily approval rates vary,
+ * averaged over the days remaining and weighted by their share of the month.
+ *
+ * Days before the first transaction in the history window are ignored, so
+ * a merchant that started last week is not forecast from weeks of zeros.
+ * Without any history there is nothing to project from and the projected
+ * figures are null.
+ */
+
+const { calculateMetrics, calculateTimeSeries, formatMonthKey } = require('./aggregationService');
+const {
+  toWallClock,
+  fromWallClock,
+  startOfBucket,
+  nextBucket,
+  formatBucketKey
+} = require('../utils/timeBuckets');
+
+// Metrics that add up over days; the approval rate is derived from them
+const SUMMED_METRICS = ['totalAmount', 'totalTransactions', 'totalApproved', 'totalDeclined'];
+// z-scores of the two-sided intervals offered
+const CONFIDENCE_LEVELS = { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 };
+const DEFAULT_OPTIONS = {
+  confidence: 95,
+  historyWeeks: 8
+};
+const MAX_HISTORY_WEEKS = 26;
+// Weekdays seen less often than this fall back to the profile of all days
+const MIN_WEEKDAY_SAMPLES = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out the time range whose transactions a forecast needs
+ * @param {Object} options
+ * @param {string} [options.timeZone] - IANA time zone for month and day boundaries
+ * @param {number} options.historyWeeks - Weeks of daily history the profile is built from
+ * @param {Date} [options.now] - Current time
+ * @returns {{from: Date, to: Date}} From the start of the history or the month,
+ *   whichever is earlier, to now
+ */
+function resolveForecastRange({ timeZone, historyWeeks, now = new Date() }) {
+  const nowWall = toWallClock(now, timeZone);
+  const historyWall = new Date(startOfBucket(nowWall, 'day').getTime() - historyWeeks * 7 * DAY_MS);
+  const monthWall = startOfBucket(nowWall, 'month');
+
+  return {
+    from: fromWallClock(historyWall < monthWall ? historyWall : monthWall, timeZone),
+    to: now
+  };
+}
+
+/**
+ * Mean and sample variance
+ * @param {Array<number>} values - Values
+ * @returns {{mean: number, variance: number}} Statistics; variance is 0 for fewer than two values
+ */
+function describe(values) {
+  if (values.length === 0) {
+    return { mean: 0, variance: 0 };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length < 2
+    ? 0
+    : values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return { mean, variance };
+}
+
+/**
+ * Weekday of a daily bucket
+ * @param {Object} bucket - Daily time series bucket (period YYYY-MM-DD)
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function weekdayOf(bucket) {
+  return new Date(`${bucket.period}T00:00:00.000Z`).getUTCDay();
+}
+
+/**
+ * Project the current month to its end
+ * @param {Array} transactions - Transactions in resolveForecastRange()
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for month and day boundaries
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @param {number} [options.confidence=95] - Interval coverage in percent, one of CONFIDENCE_LEVELS
+ * @param {number} [options.historyWeeks=8] - Weeks of daily history the profile is built from
+ * @param {Date} [options.now] - Current time
+ * @returns {Object} { month, label, asOf, daysRemaining, historyDays, metrics } where
+ *   metrics holds { actual, projected, lower, upper } for totalAmount, totalTransactions,
+ *   totalApproved, totalDeclined and approvalRate (projected figures are null without history)
+ */
+function forecastMonthEnd(transactions, options = {}) {
+  const { confidence, historyWeeks } = { ...DEFAULT_OPTIONS, ...options };
+  const { timeZone, reportingCurrency, now = new Date() } = options;
+  const z = CONFIDENCE_LEVELS[confidence];
+
+  const nowWall = toWallClock(now, timeZone);
+  const todayWall = startOfBucket(nowWall, 'day');
+  const tomorrowWall = nextBucket(todayWall, 'day');
+  const monthWall = startOfBucket(nowWall, 'month');
+  const monthEndWall = nextBucket(monthWall, 'month');
+  const monthStart = fromWallClock(monthWall, timeZone);
+  const todayStart = fromWallClock(todayWall, timeZone);
+
+  const actual = calculateMetrics(
+    transactions.filter(t => new Date(t.transactionDate) >= monthStart),
+    { reportingCurrency }
+  );
+
+  // Complete days of the history window, from the first one with payments
+  const series = calculateTimeSeries(transactions, {
+    granularity: 'day',
+    timeZone,
+    reportingCurrency,
+    from: fromWallClock(new Date(todayWall.getTime() - historyWeeks * 7 * DAY_MS), timeZone),
+    to: new Date(todayStart.getTime() - 1)
+  });
+  const firstActive = series.findIndex(bucket => bucket.totalTransactions > 0);
+  const history = firstActive === -1 ? [] : series.slice(firstActive);
+
+  // Days still to come, weighted by how much of each is left
+  const remaining = [{
+    weekday: todayWall.getUTCDay(),
+    weight: (tomorrowWall - nowWall) / (tomorrowWall - todayWall)
+  }];
+  for (let day = tomorrowWall; day < monthEndWall; day = nextBucket(day, 'day')) {
+    remaining.push({ weekday: day.getUTCDay(), weight: 1 });
+  }
+  const daysRemaining = remaining.reduce((sum, day) => sum + day.weight, 0);
+
+  const profileOf = weekday => {
+    const sameWeekday = history.filter(bucket => weekdayOf(bucket) === weekday);
+    return sameWeekday.length >= MIN_WEEKDAY_SAMPLES ? sameWeekday : history;
+  };
+
+  const rest = {};
+  SUMMED_METRICS.forEach(metric => {
+    rest[metric] = remaining.reduce((sum, { weekday, weight }) => {
+      const { mean, variance } = describe(profileOf(weekday).map(bucket => bucket[metric]));
+      return { expected: sum.expected + weight * mean, variance: sum.variance + weight * variance };
+    }, { expected: 0, variance: 0 });
+  });
+
+  const round = (metric, value) => (metric === 'totalAmount'
+    ? parseFloat(value.toFixed(2))
+    : Math.round(value));
+
+  const metrics = {};
+  SUMMED_METRICS.forEach(metric => {
+    const projected = actual[metric] + rest[metric].expected;
+    const margin = z * Math.sqrt(rest[metric].variance);
+    metrics[metric] = {
+      actual: actual[metric],
+      projected: history.length > 0 ? round(metric, projected) : null,
+      // What has already happened cannot be undone
+      lower: history.length > 0 ? round(metric, Math.max(actual[metric], projected - margin)) : null,
+      upper: history.length > 0 ? round(metric, projected + margin) : null
+    };
+  });
+
+  const projectedTransactions = actual.totalTransactions + rest.totalTransactions.expected;
+  const dailyRates = history
+    .filter(bucket => bucket.totalTransactions > 0)
+    .map(bucket => bucket.totalApproved / bucket.totalTransactions * 100);
+  const hasRate = history.length > 0 && projectedTransactions > 0;
+  const rate = hasRate
+    ? (actual.totalApproved + rest.totalApproved.expected) / projectedTransactions * 100
+    : null;
+  const rateMargin = hasRate && daysRemaining > 0
+    ? z * Math.sqrt(describe(dailyRates).variance / daysRemaining) *
+      (rest.totalTransactions.expected / projectedTransactions)
+    : 0;
+  metrics.approvalRate = {
+    actual: actual.totalTransactions > 0
+      ? parseFloat((actual.totalApproved / actual.totalTransactions * 100).toFixed(2))
+      : 0,
+    projected: hasRate ? parseFloat(rate.toFixed(2)) : null,
+    lower: hasRate ? parseFloat(Math.max(0, rate - rateMargin).toFixed(2)) : null,
+    upper: hasRate ? parseFloat(Math.min(100, rate + rateMargin).toFixed(2)) : null
+  };
+
+  const month = formatBucketKey(monthWall, 'month');
+  return {
+    month,
+    label: formatMonthKey(month),
+    asOf: now.toISOString(),
+    daysRemaining: parseFloat(daysRemaining.toFixed(2)),
+    historyDays: history.length,
+    metrics
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  DEFAULT_OPTIONS,
+  MAX_HISTORY_WEEKS,
+  resolveForecastRange,
+  forecastMonthEnd
+};
@@ -0,0 +1,241 @@
+/**
+ * Transaction Ingestion Service
+ *
+ * Validates and normalizes incoming transaction records before they are
+ * written to the data store. The rules live in utils/transactionSchema.js
+ * and match the shape generateMockData.js produces:
+ * - a known cardBrand and status
+ * - an amount greater than zero (at most two decimal places)
+ * - a declineReasonCode exactly when the status is Declined
+ * - for refunds and chargebacks, an approved original payment of the same
+ *   merchant with enough of its amount left to reverse
+ * - in a merchant context, the context's merchantId (filled in when omitted)
+ *
+ * Functions here are pure; routes pass in lookups against the data store
+ * and decide what to do with the result.
+ */
+
+const { generateId } = require('../utils/generateMockData');
+const {
+  getTransactionType,
+  getTransactionCurrency,
+  isAdjustment,
+  validateTransaction,
+  validateAdjustment
+} = require('../utils/transactionSchema');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Validate a record posted to the API. Same rules as stored records,
+ * except that transactionId may be omitted and generated on insert.
+ * @param {*} record - Candidate transaction
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when valid
+ */
+function validateNewTransaction(record) {
+  return validateTransaction(record, { requireId: false });
+}
+
+/**
+ * Give a record posted in a merchant context that context's merchantId
+ * when it names none. Records naming another merchant are left alone
+ * for validateMerchantScope() to reject.
+ * @param {*} record - Candidate transaction
+ * @param {string|null} merchantScope - Merchant the request is restricted to
+ * @returns {*} The record, with merchantId filled in where needed
+ */
+function applyMerchantScope(record, merchantScope) {
+  if (!merchantScope || !record || typeof record !== 'object' || Array.isArray(record)) return record;
+  if (record.merchantId !== undefined) return record;
+  return { ...record, merchantId: merchantScope };
+}
+
+/**
+ * Check that a valid record belongs to the merchant context
+ * @param {Object} record - Record that passed validateNewTransaction()
+ * @param {string|null} merchantScope - Merchant the request is restricted to
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when valid
+ */
+function validateMerchantScope(record, merchantScope) {
+  if (!merchantScope || record.merchantId.trim() === merchantScope) return [];
+  return [{ field: 'merchantId', message: `merchantId must match the merchant context (${merchantScope})` }];
+}
+
+/**
+ * Check a valid refund or chargeback against stored data.
+ * Payments need no lookup and always pass.
+ * @param {Object} record - Record that passed validateNewTransaction()
+ * @param {Object} lookups
+ * @param {Function} lookups.findOriginal - Returns the stored transaction with an ID, or null
+ * @param {Function} lookups.reversedAmount - Returns the amount already refunded or charged back for an ID
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when valid
+ */
+function validateAgainstOriginal(record, { findOriginal, reversedAmount }) {
+  if (!isAdjustment(record)) return [];
+  const originalTransactionId = record.originalTransactionId.trim();
+  return validateAdjustment(
+    { ...record, originalTransactionId },
+    findOriginal(originalTransactionId),
+    reversedAmount(originalTransactionId)
+  );
+}
+
+/**
+ * Build the stored form of a valid record: known fields only,
+ * a generated transactionId when none was given, an explicit type
+ * and currency, and an ISO UTC date
+ * @param {Object} record - Record that passed validateNewTransaction()
+ * @returns {Object} Transaction ready to insert
+ */
+function normalizeTransaction(record) {
+  const transaction = {
+    transactionId: record.transactionId ? record.transactionId.trim() : generateId(),
+    merchantId: record.merchantId.trim(),
+    amount: record.amount,
+    currency: getTransactionCurrency(record),
+    cardBrand: record.cardBrand,
+    status: record.status,
+    transactionDate: new Date(record.transactionDate).toISOString(),
+    type: getTransactionType(record)
+  };
+
+  if (record.status === 'Declined') {
+    transaction.declineReasonCode = record.declineReasonCode;
+  }
+  if (isAdjustment(record)) {
+    transaction.originalTransactionId = record.originalTransactionId.trim();
+  }
+
+  return transaction;
+}
+
+/**
+ * Validate a batch of records, splitting them into accepted and rejected.
+ * Duplicate transactionIds are rejected whether they clash with stored
+ * data or with an earlier record in the same batch. Refunds and
+ * chargebacks may reverse a stored payment or one accepted earlier in the
+ * same batch, and count towards the total reversed for later ones.
+ * @param {Array} records - Candidate transactions
+ * @param {Object} [options]
+ * @param {Function} [options.exists] - Returns true when a transactionId is already stored
+ * @param {Function} [options.findOriginal] - Returns the stored transaction with an ID, or null
+ * @param {Function} [options.reversedAmount] - Returns the stored amount already reversed for an ID
+ * @param {string|null} [options.merchantScope] - Merchant every record must belong to
+ * @param {Array} [options.parseErrors] - NDJSON line failures from parseNdjson(), reported as-is
+ * @returns {{accepted: Array, rejected: Array<{index: number, transactionId: string|null, errors: Array<{field: string, message: string}>}>}}
+ */
+function prepareTransactions(records, {
+  exists = () => false,
+  findOriginal = () => null,
+  reversedAmount = () => 0,
+  merchantScope = null,
+  parseErrors = []
+} = {}) {
+  const accepted = [];
+  const rejected = [];
+  const seenIds = new Set();
+  const parseErrorsByIndex = new Map(parseErrors.map(e => [e.index, e.errors]));
+  const acceptedById = new Map();
+  // Minor units reversed by records accepted earlier in this batch, per payment
+  const reversedInBatch = new Map();
+  const lookups = {
+    findOriginal: id => acceptedById.get(id) || findOriginal(id),
+    reversedAmount: id => fromMinorUnits(toMinorUnits(reversedAmount(id)) + (reversedInBatch.get(id) || 0))
+  };
+
+  records.forEach((input, index) => {
+    if (parseErrorsByIndex.has(index)) {
+      rejected.push({ index, transactionId: null, errors: parseErrorsByIndex.get(index) });
+      return;
+    }
+
+    const record = applyMerchantScope(input, merchantScope);
+    const errors = validateNewTransaction(record);
+    if (errors.length === 0) {
+      errors.push(...validateMerchantScope(record, merchantScope));
+    }
+    const transactionId = record && typeof record.transactionId === 'string'
+      ? record.transactionId.trim() || null
+      : null;
+
+    if (errors.length === 0 && transactionId && (seenIds.has(transactionId) || exists(transactionId))) {
+      errors.push({ field: 'transactionId', message: `transactionId ${transactionId} already exists` });
+    }
+    if (errors.length === 0) {
+      errors.push(...validateAgainstOriginal(record, lookups));
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ index, transactionId, errors });
+      return;
+    }
+
+    const transaction = normalizeTransaction(record);
+    seenIds.add(transaction.transactionId);
+    acceptedById.set(transaction.transactionId, transaction);
+    if (transaction.originalTransactionId) {
+      const id = transaction.originalTransactionId;
+      reversedInBatch.set(id, (reversedInBatch.get(id) || 0) + toMinorUnits(transaction.amount));
+    }
+    accepted.push(transaction);
+  });
+
+  return { accepted, rejected };
+}
+
+/**
+ * Parse an NDJSON upload into records. Blank lines are skipped; lines that
+ * are not valid JSON are reported instead of failing the whole upload.
+ * @param {string} text - Request body, one JSON object per line
+ * @returns {{records: Array, parseErrors: Array<{index: number, errors: Array<{field: string, message: string}>}>}}
+ *   Unparseable lines keep an undefined slot in records so indexes line up with the input
+ */
+function parseNdjson(text) {
+  const records = [];
+  const parseErrors = [];
+
+  String(text).split(/\r?\n/).forEach((line, lineIndex) => {
+    if (line.trim() === '') return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      parseErrors.push({ index: records.length, errors: [{ field: 'record', message: `line ${lineIndex + 1} is not valid JSON` }] });
+      records.push(undefined);
+    }
+  });
+
+  return { records, parseErrors };
+}
+
+/**
+ * Extract the records from a bulk request body
+ * @param {*} body - Parsed JSON array, or NDJSON text
+ * @returns {{records: Array, parseErrors: Array}} Candidate records and NDJSON parse failures
+ * @throws {ValidationError} If the body is neither an array nor NDJSON, or is empty
+ */
+function parseBulkBody(body) {
+  let parsed;
+  if (Array.isArray(body)) {
+    parsed = { records: body, parseErrors: [] };
+  } else if (typeof body === 'string') {
+    parsed = parseNdjson(body);
+  } else {
+    throw new ValidationError('Request body must be a JSON array or NDJSON (application/x-ndjson)');
+  }
+
+  if (parsed.records.length === 0) {
+    throw new ValidationError('Request body contains no transactions');
+  }
+  return parsed;
+}
+
+module.exports = {
+  validateNewTransaction,
+  applyMerchantScope,
+  validateMerchantScope,
+  validateAgainstOriginal,
+  normalizeTransaction,
+  prepareTransactions,
+  parseNdjson,
+  parseBulkBody
+};
@@ -0,0 +1,101 @@
+/**
+ * Merchant Leaderboard Service
+ *
+ * Ranks merchants against each other for the admin cross-merchant view.
+ * Each merchant's transactions are aggregated with calculateMetrics(), so
+ * the figures match what that merchant sees on its own dashboard, and
+ * merchants are ordered by one metric (rankBy), highest first.
+ */
+
+const { calculateMetrics } = require('./aggregationService');
+const { ValidationError } = require('../utils/errors');
+
+// Metrics merchants can be ranked by
+const RANK_METRICS = [
+  'netVolume',
+  'grossVolume',
+  'totalAmount',
+  'totalTransactions',
+  'approvalRate',
+  'refundedAmount',
+  'chargebackAmount'
+];
+const DEFAULT_RANK_METRIC = 'netVolume';
+
+/**
+ * Parse the `rankBy` query parameter
+ * @param {string} value - Raw query parameter value
+ * @returns {string} One of RANK_METRICS
+ * @throws {ValidationError} If the value is not a rankable metric
+ */
+function parseRankByParam(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_RANK_METRIC;
+
+  if (!RANK_METRICS.includes(value)) {
+    throw new ValidationError(`Invalid "rankBy": expected one of ${RANK_METRICS.join(', ')}`, { field: 'rankBy' });
+  }
+  return value;
+}
+
+/**
+ * Summarize one merchant's transactions as a leaderboard entry
+ * @param {string} merchantId - Merchant identifier
+ * @param {Array} records - The merchant's transactions of any type
+ * @param {string} reportingCurrency - Currency amounts are reported in
+ * @returns {Object} Entry without its rank
+ */
+function summarizeMerchant(merchantId, records, reportingCurrency) {
+  const metrics = calculateMetrics(records, { reportingCurrency });
+  return {
+    merchantId,
+    totalTransactions: metrics.totalTransactions,
+    totalApproved: metrics.totalApproved,
+    totalDeclined: metrics.totalDeclined,
+    approvalRate: metrics.totalTransactions > 0
+      ? parseFloat((metrics.totalApproved / metrics.totalTransactions * 100).toFixed(2))
+      : 0,
+    totalAmount: metrics.totalAmount,
+    grossVolume: metrics.grossVolume,
+    refundedAmount: metrics.refundedAmount,
+    chargebackAmount: metrics.chargebackAmount,
+    netVolume: metrics.netVolume
+  };
+}
+
+/**
+ * Rank merchants by a metric
+ * @param {Array} records - Transactions of every merchant, already filtered
+ * @param {Object} [options]
+ * @param {string} [options.rankBy=netVolume] - Metric to order by, highest first
+ * @param {number} [options.limit] - Number of merchants to return (default all)
+ * @param {string} [options.reportingCurrency] - Currency amounts are reported in
+ * @returns {{merchantCount: number, data: Array<Object>}} Total number of
+ *   merchants, and the top entries with 1-based ranks. Ties keep merchantId order.
+ */
+function calculateMerchantLeaderboard(records, { rankBy = DEFAULT_RANK_METRIC, limit, reportingCurrency } = {}) {
+  const byMerchant = new Map();
+  records.forEach(t => {
+    if (!byMerchant.has(t.merchantId)) {
+      byMerchant.set(t.merchantId, []);
+    }
+    byMerchant.get(t.merchantId).push(t);
+  });
+
+  const entries = [...byMerchant.entries()]
+    .map(([merchantId, merchantRecords]) => summarizeMerchant(merchantId, merchantRecords, reportingCurrency))
+    .sort((a, b) => b[rankBy] - a[rankBy] || a.merchantId.localeCompare(b.merchantId));
+
+  return {
+    merchantCount: entries.length,
+    data: entries
+      .slice(0, limit === undefined ? entries.length : limit)
+      .map((entry, index) => ({ rank: index + 1, ...entry }))
+  };
+}
+
+module.exports = {
+  RANK_METRICS,
+  DEFAULT_RANK_METRIC,
+  parseRankByParam,
+  calculateMerchantLeaderboard
+};
@@ -0,0 +1,178 @@
+/**
+ * Transaction Pagination Service
+ * 
+ * Sorting, field projection and page slicing for transaction lists.
+ * Like the filters, each function is pure and returns new arrays/objects.
+ *
+ * Storage adapters fetch a page themselves (queryTransactions() with
+ * sort, cursor and limit options); sortTransactions() and selectPage()
+ * are the in-memory version the JSON adapter uses. Text is compared by
+ * UTF-16 code unit and missing values sort as if above every value,
+ * which is also how SQLite orders them, so both adapters page alike.
+ */
+
+const { encodeCursor } = require('../utils/paginationParams');
+
+/**
+ * Compare two field values, placing missing values last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const [textA, textB] = [String(a), String(b)];
+  if (textA === textB) return 0;
+  return textA < textB ? -1 : 1;
+}
+
+/**
+ * Compare two sort keys
+ * @param {Array} a - Values of the sort fields of the first row
+ * @param {Array} b - Values of the sort fields of the second row
+ * @param {Array<{field: string, direction: string}>} sort - Sort keys in priority order
+ * @returns {number} Negative when a comes first, positive when b does, zero on a tie
+ */
+function compareKeys(a, b, sort) {
+  for (let i = 0; i < sort.length; i += 1) {
+    const { field, direction } = sort[i];
+    // Dates may carry different UTC offsets, so compare them as timestamps
+    const result = field === 'transactionDate' && a[i] !== null && b[i] !== null
+      ? compareValues(Date.parse(a[i]), Date.parse(b[i]))
+      : compareValues(a[i], b[i]);
+    if (result !== 0) {
+      return direction === 'desc' ? -result : result;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Get a row's sort key
+ * @param {Object} row - Transaction
+ * @param {Array<{field: string, direction: string}>} sort - Sort keys in priority order
+ * @returns {Array} Values of the sort fields, null where missing
+ */
+function sortKeyOf(row, sort) {
+  return sort.map(({ field }) => (row[field] === undefined ? null : row[field]));
+}
+
+/**
+ * Sort transactions by one or more keys.
+ * Ties on every key keep their original order (Array.prototype.sort is stable).
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array<{field: string, direction: string}>} sort - Sort keys in priority order
+ * @returns {Array} Sorted copy of the transactions
+ */
+function sortTransactions(transactions, sort = []) {
+  if (sort.length === 0) return transactions;
+
+  return [...transactions].sort((a, b) => compareKeys(sortKeyOf(a, sort), sortKeyOf(b, sort), sort));
+}
+
+/**
+ * Keep only the requested fields of each transaction
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array<string>|null} fields - Fields to keep; null keeps whole records
+ * @returns {Array} Projected transactions
+ */
+function projectFields(transactions, fields) {
+  if (!fields) return transactions;
+
+  return transactions.map(t => {
+    const projected = {};
+    fields.forEach(field => {
+      if (t[field] !== undefined) {
+        projected[field] = t[field];
+      }
+    });
+    return projected;
+  });
+}
+
+/**
+ * Index of the first item for which `predicate` holds, in a list where it
+ * is false up to some point and true from there on
+ * @param {Array} items - List to search
+ * @param {Function} predicate - Test of one item
+ * @returns {number} Index, or items.length when it holds for none
+ */
+function firstIndexWhere(items, predicate) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (predicate(items[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Select the rows right after (or before) a cursor's sort key,
+ * wherever they are in the list now
+ * @param {Array} items - Filtered list, already sorted by `sort`
+ * @param {Object} options
+ * @param {Array<{field: string, direction: string}>} options.sort - Sort of the list
+ * @param {Object|null} [options.cursor] - Output of decodeCursor(); null starts at the top
+ * @param {number} [options.limit] - Maximum number of rows; all of them when omitted
+ * @returns {Array} Selected rows in sort order
+ */
+function selectPage(items, { sort, cursor = null, limit = Infinity }) {
+  if (!cursor) return items.slice(0, limit);
+
+  const comparedToCursor = item => compareKeys(sortKeyOf(item, sort), cursor.key, sort);
+  if (cursor.direction === 'after') {
+    const start = firstIndexWhere(items, item => comparedToCursor(item) > 0);
+    return items.slice(start, start + limit);
+  }
+  const end = firstIndexWhere(items, item => comparedToCursor(item) >= 0);
+  return items.slice(Math.max(0, end - limit), end);
+}
+
+/**
+ * Build a page and its neighbouring cursors from the rows the store
+ * returned for it. The store is asked for one row more than the page
+ * size, so that row tells whether the list goes on. A page past the end
+ * has no cursors.
+ * @param {Array} rows - Up to limit + 1 rows next to the cursor, in sort order
+ *   (see selectPage())
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {Object|null} [options.cursor] - Output of decodeCursor(); null for the first page
+ * @param {Array<{field: string, direction: string}>} options.sort - Sort of the list, ending
+ *   with a unique field
+ * @param {number} options.total - Number of rows matching the filters
+ * @returns {{data: Array, total: number, pagination: Object}} Page and cursor metadata
+ */
+function paginate(rows, { limit, cursor = null, sort, total }) {
+  const backwards = Boolean(cursor) && cursor.direction === 'before';
+  const hasMore = rows.length > limit;
+  const data = backwards ? rows.slice(Math.max(0, rows.length - limit)) : rows.slice(0, limit);
+  // The cursor row itself lies on the side the cursor came from
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    data,
+    total,
+    pagination: {
+      limit,
+      nextCursor: data.length > 0 && hasNext ? encodeCursor(sortKeyOf(data[data.length - 1], sort), sort, 'after') : null,
+      prevCursor: data.length > 0 && hasPrev ? encodeCursor(sortKeyOf(data[0], sort), sort, 'before') : null
+    }
+  };
+}
+
+module.exports = {
+  sortTransactions,
+  projectFields,
+  selectPage,
+  paginate
+};
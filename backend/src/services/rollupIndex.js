@@ -0,0 +1,187 @@
+/**
+ * Rollup Index
+ *
+ * Pre-aggregated monthly cells (month × cardBrand × status ×
+ * declineReasonCode, split further by type and currency) for the whole
+ * dataset, so monthly summaries are computed from a few hundred cells
+ * instead of every transaction. Each cell keeps its amount converted to
+ * every supported currency, so any reporting currency can be served.
+ *
+ * Alongside the cells of all merchants, each index keeps a cell set per
+ * merchant, so merchant-scoped requests (every merchant dashboard) are
+ * served from the index as well.
+ *
+ * Months depend on the time zone, so there is one index per time zone,
+ * built from all transactions on first use and kept for the most recently
+ * used zones. Inserted and deleted transactions are added to or removed
+ * from every built index as they happen (see onDataChange() in
+ * data/dataStore.js); loading or replacing the data, or switching FX
+ * tables, drops the indexes so they are rebuilt on next use.
+ *
+ * Cells cannot tell transactions apart by date within the month,
+ * amount or original payment, so requests filtering on any of those are
+ * summarized by scanning the matching transactions instead. The result is
+ * the same either way.
+ */
+
+const { getTransactions, queryTransactions, onDataChange } = require('../data/dataStore');
+const { getFxTable } = require('./currencyService');
+const { addToMonthCells, buildMonthCells } = require('./aggregationService');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../utils/transactionSchema');
+const { parseListParam } = require('../utils/listParams');
+
+// Time zones to keep an index for; the least recently used is dropped first
+const MAX_TIME_ZONES = 8;
+
+// Time zone → { all, byMerchant }, each month key → cells (per merchant ID
+// for byMerchant). Map order doubles as recency order.
+const indexes = new Map();
+// FX table the indexes were converted with
+let indexedFxTable = null;
+
+/**
+ * Check whether the rollup index can answer a request with these filters
+ * @param {Object} filters - Filters accepted by applyFilters()
+ * @returns {boolean} True when every filter matches whole cells
+ */
+function supportsFilters(filters = {}) {
+  return !filters.from &&
+    !filters.to &&
+    (filters.minAmount === undefined || filters.minAmount === null) &&
+    (filters.maxAmount === undefined || filters.maxAmount === null) &&
+    !filters.originalTransactionId;
+}
+
+/**
+ * Add a record to (or, with sign -1, remove it from) an index: to the
+ * cells of all merchants and to those of its merchant
+ * @param {Object} index - { all, byMerchant }
+ * @param {Object} t - Transaction of any type
+ * @param {Object} options
+ * @param {string} [options.timeZone] - IANA time zone for month boundaries
+ * @param {number} [options.sign=1] - 1 to add the record, -1 to remove it
+ */
+function addToIndex(index, t, { timeZone, sign = 1 }) {
+  addToMonthCells(index.all, t, { timeZone, currencies: CURRENCIES, sign });
+
+  if (!index.byMerchant.has(t.merchantId)) {
+    index.byMerchant.set(t.merchantId, new Map());
+  }
+  const merchantCells = index.byMerchant.get(t.merchantId);
+  addToMonthCells(merchantCells, t, { timeZone, currencies: CURRENCIES, sign });
+  if (merchantCells.size === 0) {
+    index.byMerchant.delete(t.merchantId);
+  }
+}
+
+/**
+ * Get the index of a time zone, building it on first use
+ * @param {string} [timeZone] - IANA time zone for month boundaries
+ * @returns {Object} { all, byMerchant }
+ */
+function getIndex(timeZone) {
+  const fxTable = getFxTable();
+  if (fxTable !== indexedFxTable) {
+    indexes.clear();
+    indexedFxTable = fxTable;
+  }
+
+  let index = indexes.get(timeZone);
+  if (index) {
+    indexes.delete(timeZone);
+  } else {
+    index = { all: new Map(), byMerchant: new Map() };
+    getTransactions().forEach(t => addToIndex(index, t, { timeZone }));
+    if (indexes.size >= MAX_TIME_ZONES) {
+      indexes.delete(indexes.keys().next().value);
+    }
+  }
+  indexes.set(timeZone, index);
+  return index;
+}
+
+/**
+ * Select the cells matching the filters from an index
+ * @param {Map} index - Month key → cells
+ * @param {Object} filters - Filters supported by the index
+ * @returns {Map} Month key → matching cells; months without any are left out
+ */
+function selectCells(index, filters) {
+  const criteria = [
+    ['cardBrand', parseListParam(filters.cardBrand)],
+    ['status', parseListParam(filters.status)],
+    ['declineReasonCode', parseListParam(filters.declineReasonCode)],
+    ['type', parseListParam(filters.type)],
+    ['currency', parseListParam(filters.currency)]
+  ].filter(([, accepted]) => accepted.length > 0);
+  if (criteria.length === 0) return index;
+
+  const matches = cell => criteria.every(([field, accepted]) => accepted.includes(cell[field]));
+  const selected = new Map();
+  index.forEach((cells, monthKey) => {
+    const matching = new Map([...cells].filter(([, cell]) => matches(cell)));
+    if (matching.size > 0) {
+      selected.set(monthKey, matching);
+    }
+  });
+  return selected;
+}
+
+/**
+ * Get the monthly rollup cells of the transactions matching the filters,
+ * from the index when it supports the filters and by scanning otherwise
+ * @param {Object} filters - Filters accepted by applyFilters()
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for month boundaries
+ * @param {string} [options.reportingCurrency=USD] - Currency the cells must hold converted sums for
+ * @returns {Map} Month key → cells, for the *FromCells() functions of aggregationService
+ */
+function getMonthCells(filters, { timeZone, reportingCurrency = DEFAULT_CURRENCY } = {}) {
+  if (supportsFilters(filters)) {
+    const index = getIndex(timeZone);
+    const scoped = filters.merchantId && filters.merchantId !== 'all';
+    const cells = scoped ? index.byMerchant.get(filters.merchantId) || new Map() : index.all;
+    return selectCells(cells, filters);
+  }
+  return buildMonthCells(queryTransactions(filters), { timeZone, currencies: [reportingCurrency] });
+}
+
+/**
+ * Apply a data change to every built index
+ * @param {Object} change - { type, records } from onDataChange()
+ */
+function applyChange({ type, records }) {
+  if (type !== 'insert' && type !== 'delete') {
+    indexes.clear();
+    return;
+  }
+  const sign = type === 'insert' ? 1 : -1;
+  indexes.forEach((index, timeZone) => {
+    records.forEach(t => addToIndex(index, t, { timeZone, sign }));
+  });
+}
+
+/**
+ * Build the index of a time zone ahead of the first request for it
+ * @param {string} [timeZone] - IANA time zone for month boundaries
+ */
+function warmRollupIndex(timeZone) {
+  getIndex(timeZone);
+}
+
+/**
+ * Drop every index (useful for testing)
+ */
+function resetRollupIndex() {
+  indexes.clear();
+  indexedFxTable = null;
+}
+
+onDataChange(applyChange);
+
+module.exports = {
+  supportsFilters,
+  getMonthCells,
+  warmRollupIndex,
+  resetRollupIndex
+};
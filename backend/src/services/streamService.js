@@ -0,0 +1,102 @@
+/**
+ * Stream Service
+ *
+ * Server-Sent Events (text/event-stream) plumbing for live endpoints.
+ * Each event is written as
+ *
+ *   event: <name>
+ *   data: <JSON>
+ *
+ * followed by a blank line. The stream opens with a `retry` hint so
+ * clients reconnect a few seconds after losing the connection, and a
+ * comment line is sent periodically so proxies do not time out idle
+ * connections.
+ */
+
+// Reconnect delay suggested to clients
+const RETRY_MS = 3000;
+// Interval between keep-alive comments
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Serialize one event
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string} Event in text/event-stream format
+ */
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Turn a response into an event stream
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {number} [options.retryMs] - Reconnect delay suggested to the client
+ * @param {number} [options.heartbeatMs] - Interval between keep-alive comments
+ * @param {Function} [options.onHeartbeat] - Called after each keep-alive comment
+ * @returns {{send: Function, close: Function, onClose: Function, isOpen: Function}} Stream handle
+ */
+function openEventStream(res, { retryMs = RETRY_MS, heartbeatMs = HEARTBEAT_MS, onHeartbeat } = {}) {
+  const closeHandlers = [];
+  let open = true;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering events
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${retryMs}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (onHeartbeat) onHeartbeat();
+  }, heartbeatMs);
+
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+    closeHandlers.forEach(handler => handler());
+  });
+
+  return {
+    /**
+     * Send an event, unless the client has gone away
+     * @param {string} event - Event name
+     * @param {*} data - JSON-serializable payload
+     */
+    send(event, data) {
+      if (open) res.write(formatEvent(event, data));
+    },
+
+    /**
+     * End the stream from the server side
+     */
+    close() {
+      if (open) res.end();
+    },
+
+    /**
+     * Register cleanup for when the stream ends, from either side
+     * @param {Function} handler - Called once with no arguments
+     */
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+
+    /**
+     * @returns {boolean} True until the stream has ended
+     */
+    isOpen() {
+      return open;
+    }
+  };
+}
+
+module.exports = {
+  formatEvent,
+  openEventStream
+};
@@ -0,0 +1,144 @@
+/**
+ * Webhook Events
+ *
+ * Raises webhook events from newly inserted transactions (see
+ * onDataChange() in data/dataStore.js) and hands them to
+ * services/webhookService.js for delivery:
+ *
+ * - transaction.declined: a declined transaction was ingested
+ * - fraud.suspected: a transaction was declined as "03-Suspected fraud"
+ * - decline_rate.threshold_exceeded: the share of a merchant's payments in
+ *   the last config.webhooks.declineRate.windowMinutes that were declined
+ *   reached the threshold. It fires when the rate crosses the threshold,
+ *   and again only after it has dropped below, so a spike is reported once.
+ *   Rates are checked for merchants with a new payment inside the window,
+ *   so backfilling old transactions does not raise it.
+ *
+ * Loading, replacing or deleting data raises no events. The alert.* events
+ * are raised by services/alertService.js when an alert rule changes state;
+ * they are described here so every event type is listed in one place.
+ */
+
+const config = require('../config');
+const { queryTransactions, onDataChange } = require('../data/dataStore');
+const { hasSubscribers, dispatchEvent } = require('./webhookService');
+const { getTransactionType } = require('../utils/transactionSchema');
+
+const FRAUD_REASON_CODE = '03-Suspected fraud';
+
+const EVENT_DESCRIPTIONS = {
+  'transaction.declined': 'A declined transaction was ingested',
+  'fraud.suspected': `A transaction was declined with reason code "${FRAUD_REASON_CODE}"`,
+  'decline_rate.threshold_exceeded': "A merchant's recent decline rate reached the configured threshold",
+  'alert.firing': 'An alert rule started firing',
+  'alert.resolved': 'A firing alert rule is no longer breached'
+};
+
+// Merchants whose decline rate was at or above the threshold when last checked
+const merchantsOverThreshold = new Set();
+
+/**
+ * Describe the events webhooks can subscribe to
+ * @returns {{events: Array<{type: string, description: string}>, declineRate: Object}}
+ *   Event types, and the decline rate threshold settings
+ */
+function describeEvents() {
+  return {
+    events: Object.entries(EVENT_DESCRIPTIONS).map(([type, description]) => ({ type, description })),
+    declineRate: { ...config.webhooks.declineRate }
+  };
+}
+
+/**
+ * Measure a merchant's decline rate over the configured window
+ * @param {string} merchantId - Merchant identifier
+ * @param {Date} [now] - End of the window
+ * @returns {Object} Payload of decline_rate.threshold_exceeded
+ */
+function measureDeclineRate(merchantId, now = new Date()) {
+  const { threshold, windowMinutes } = config.webhooks.declineRate;
+  const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+  const payments = queryTransactions({ merchantId, type: ['Payment'], from: windowStart, to: now });
+  const declinedPayments = payments.filter(t => t.status === 'Declined').length;
+
+  return {
+    merchantId,
+    declineRate: payments.length > 0 ? parseFloat((declinedPayments / payments.length * 100).toFixed(2)) : 0,
+    threshold,
+    windowMinutes,
+    windowStart: windowStart.toISOString(),
+    windowEnd: now.toISOString(),
+    totalPayments: payments.length,
+    declinedPayments
+  };
+}
+
+/**
+ * Check a merchant's decline rate and raise an event if it has just
+ * crossed the threshold
+ * @param {string} merchantId - Merchant identifier
+ * @param {Date} [now] - End of the window
+ */
+function checkDeclineRate(merchantId, now = new Date()) {
+  const measurement = measureDeclineRate(merchantId, now);
+  const { threshold, minPayments } = config.webhooks.declineRate;
+
+  if (measurement.totalPayments < minPayments || measurement.declineRate < threshold) {
+    merchantsOverThreshold.delete(merchantId);
+    return;
+  }
+  if (!merchantsOverThreshold.has(merchantId)) {
+    merchantsOverThreshold.add(merchantId);
+    dispatchEvent('decline_rate.threshold_exceeded', measurement, { merchantId });
+  }
+}
+
+/**
+ * Raise the events for a batch of inserted transactions
+ * @param {Array<Object>} records - Transactions just inserted
+ * @param {Date} [now] - Current time
+ */
+function raiseEvents(records, now = new Date()) {
+  if (hasSubscribers('transaction.declined') || hasSubscribers('fraud.suspected')) {
+    records
+      .filter(t => t.status === 'Declined')
+      .forEach(t => {
+        const options = { merchantId: t.merchantId };
+        dispatchEvent('transaction.declined', { transaction: t }, options);
+        if (t.declineReasonCode === FRAUD_REASON_CODE) {
+          dispatchEvent('fraud.suspected', { transaction: t }, options);
+        }
+      });
+  }
+
+  if (hasSubscribers('decline_rate.threshold_exceeded')) {
+    const windowStart = now.getTime() - config.webhooks.declineRate.windowMinutes * 60 * 1000;
+    const merchants = new Set(records
+      .filter(t => getTransactionType(t) === 'Payment' && new Date(t.transactionDate).getTime() >= windowStart)
+      .map(t => t.merchantId));
+    merchants.forEach(merchantId => checkDeclineRate(merchantId, now));
+  }
+}
+
+/**
+ * Forget which merchants are over the threshold (useful for testing)
+ */
+function resetWebhookEvents() {
+  merchantsOverThreshold.clear();
+}
+
+onDataChange(({ type, records }) => {
+  if (type === 'load' || type === 'replace') {
+    merchantsOverThreshold.clear();
+  } else if (type === 'insert') {
+    raiseEvents(records);
+  }
+});
+
+module.exports = {
+  FRAUD_REASON_CODE,
+  describeEvents,
+  measureDeclineRate,
+  raiseEvents,
+  resetWebhookEvents
+};
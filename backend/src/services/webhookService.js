@@ -0,0 +1,573 @@
+/**
+ * Webhook Service
+ *
+ * Outbound webhooks. Admins register URLs through /api/webhooks for any of
+ * the WEBHOOK_EVENTS (raised by services/webhookEvents.js and
+ * services/alertService.js), and each matching event is POSTed to them as
+ * JSON:
+ *
+ *   { "id": "evt_…", "type": "transaction.declined", "createdAt": "…", "data": { … } }
+ *
+ * A webhook with a merchantId only receives that merchant's events.
+ * Registrations, including their signing secrets, live in a local JSON
+ * file (WEBHOOKS_FILE, default src/data/webhooks.json) that is read on
+ * first use and rewritten on every change.
+ *
+ * Every request is signed in the X-Webhook-Signature header:
+ *
+ *   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the secret>
+ *
+ * Receivers recompute it (see verifySignature()) and reject old timestamps
+ * so captured requests cannot be replayed. A delivery succeeds on any 2xx
+ * answer; anything else, including a timeout or redirect, is retried after
+ * config.webhooks.retryBaseMs, doubling each time, until
+ * config.webhooks.maxAttempts attempts have failed. Deliveries are kept in
+ * a bounded in-memory log, so it starts empty when the server restarts.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const WEBHOOK_EVENTS = [
+  'transaction.declined',
+  'fraud.suspected',
+  'decline_rate.threshold_exceeded',
+  'alert.firing',
+  'alert.resolved'
+];
+// Only sent on request, to check a receiver (POST /api/webhooks/:webhookId/test)
+const TEST_EVENT = 'webhook.test';
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const WEBHOOK_FIELDS = ['url', 'events', 'merchantId', 'description', 'secret'];
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const SECRET_PREFIX = 'whsec_';
+const MIN_SECRET_LENGTH = 16;
+const MAX_DESCRIPTION_LENGTH = 200;
+// How old a signature verifySignature() accepts by default
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Webhook ID → webhook, loaded on first use
+let webhooks = null;
+// Delivery log, oldest first
+let deliveries = [];
+// Timers of scheduled delivery attempts, so tests can cancel them
+const attemptTimers = new Set();
+
+/**
+ * Create a random identifier
+ * @param {string} prefix - e.g. "wh_"
+ * @returns {string} Prefixed identifier
+ */
+function createId(prefix) {
+  return `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Create a signing secret for a new webhook
+ * @returns {string} Random secret
+ */
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Check a webhook registration
+ * @param {Object} input - Fields of the webhook (see WEBHOOK_FIELDS)
+ * @param {string|null} [merchantScope] - Merchant the caller is bound to
+ * @returns {Array<{field: string, message: string}>} Field-level errors; empty when valid
+ */
+function validateWebhook(input, merchantScope = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+  const details = Object.keys(input)
+    .filter(field => !WEBHOOK_FIELDS.includes(field))
+    .map(field => ({ field, message: `Unknown field "${field}"` }));
+  const fail = (field, message) => details.push({ field, message });
+
+  let url = null;
+  try {
+    url = new URL(input.url);
+  } catch (error) {
+    // Reported below
+  }
+  if (typeof input.url !== 'string' || !url || !['http:', 'https:'].includes(url.protocol)) {
+    fail('url', 'url must be an absolute http or https URL');
+  } else if (url.username || url.password) {
+    fail('url', 'url must not contain credentials');
+  }
+
+  if (!Array.isArray(input.events) || input.events.length === 0) {
+    fail('events', `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  } else {
+    input.events
+      .filter(event => !WEBHOOK_EVENTS.includes(event))
+      .forEach(event => fail('events', `Unknown event "${event}"; expected one of ${WEBHOOK_EVENTS.join(', ')}`));
+  }
+
+  const { merchantId } = input;
+  if (merchantId !== undefined && merchantId !== null) {
+    if (typeof merchantId !== 'string' || merchantId.trim() === '') {
+      fail('merchantId', 'merchantId must be a non-empty string');
+    } else if (merchantScope && merchantId !== merchantScope) {
+      fail('merchantId', `merchantId must match the merchant context (${merchantScope})`);
+    }
+  }
+
+  const { description } = input;
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    fail('description', `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH)) {
+    fail('secret', `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  return details;
+}
+
+/**
+ * Validate and index the contents of the webhook file
+ * @param {Object} data - { webhooks: [...] }
+ * @returns {Map} Webhook ID → webhook
+ * @throws {Error} If an entry is invalid or an ID is used twice
+ */
+function parseWebhookStore(data) {
+  const store = new Map();
+  ((data && data.webhooks) || []).forEach(entry => {
+    const id = entry && entry.id;
+    if (typeof id !== 'string' || id === '' || typeof entry.secret !== 'string') {
+      throw new Error('Webhook entries need "id" and "secret"');
+    }
+    const fields = Object.fromEntries(WEBHOOK_FIELDS.filter(field => field in entry).map(field => [field, entry[field]]));
+    const details = validateWebhook(fields);
+    if (details.length > 0) {
+      throw new Error(`Webhook "${id}" is invalid: ${details.map(d => d.message).join('; ')}`);
+    }
+    if (store.has(id)) {
+      throw new Error(`Webhook "${id}" is defined more than once`);
+    }
+    store.set(id, {
+      id,
+      url: entry.url,
+      events: entry.events,
+      merchantId: entry.merchantId || null,
+      description: entry.description || null,
+      secret: entry.secret,
+      createdAt: entry.createdAt || null
+    });
+  });
+  return store;
+}
+
+/**
+ * Read the webhook file
+ * @param {string} filePath - Path to the webhook file
+ * @returns {Map} Webhook ID → webhook; empty when the file does not exist
+ * @throws {Error} If the file cannot be parsed
+ */
+function loadWebhooks(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return parseWebhookStore({});
+  }
+  try {
+    return parseWebhookStore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Could not load webhooks from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the registered webhooks, reading the file on first use
+ * @returns {Map} Webhook ID → webhook
+ */
+function getWebhookStore() {
+  if (!webhooks) {
+    webhooks = loadWebhooks(config.webhooks.filePath);
+  }
+  return webhooks;
+}
+
+/**
+ * Replace the registered webhooks without touching the file (useful for testing)
+ * @param {Object|null} data - { webhooks: [...] }, or null to read the file again on next use
+ */
+function setWebhookStore(data) {
+  webhooks = data ? parseWebhookStore(data) : null;
+}
+
+/**
+ * Write the registered webhooks, readable by their owner only as they hold secrets
+ * @param {Map} store - Webhook ID → webhook
+ */
+function saveWebhooks(store) {
+  const data = { webhooks: [...store.values()] };
+  fs.writeFileSync(config.webhooks.filePath, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Strip the signing secret from a webhook, for listing
+ * @param {Object} webhook - Registered webhook
+ * @returns {Object} Webhook without its secret
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * Check whether a webhook is visible to a caller
+ * @param {Object} webhook - Registered webhook
+ * @param {string|null} merchantScope - Merchant the caller is bound to
+ * @returns {boolean} True for unbound callers and for the merchant's own webhooks
+ */
+function inScope(webhook, merchantScope) {
+  return !merchantScope || webhook.merchantId === merchantScope;
+}
+
+/**
+ * List registered webhooks, without their secrets
+ * @param {string|null} [merchantScope] - Only list this merchant's webhooks
+ * @returns {Array<Object>} Webhooks, oldest first
+ */
+function listWebhooks(merchantScope = null) {
+  return [...getWebhookStore().values()]
+    .filter(webhook => inScope(webhook, merchantScope))
+    .map(toPublicWebhook);
+}
+
+/**
+ * Find a registered webhook
+ * @param {string} webhookId - Webhook identifier
+ * @param {string|null} [merchantScope] - Merchant the caller is bound to
+ * @returns {Object|null} The webhook, including its secret, or null if it
+ *   does not exist or belongs to another merchant
+ */
+function findWebhook(webhookId, merchantScope = null) {
+  const webhook = getWebhookStore().get(webhookId);
+  return webhook && inScope(webhook, merchantScope) ? webhook : null;
+}
+
+/**
+ * Register a webhook
+ * @param {Object} input - url, events, and optionally merchantId, description and secret
+ * @param {string|null} [merchantScope] - Merchant the caller is bound to; the webhook is pinned to it
+ * @returns {Object} The new webhook, including its secret
+ * @throws {ValidationError} If a field is invalid
+ */
+function createWebhook(input, merchantScope = null) {
+  const details = validateWebhook(input, merchantScope);
+  if (details.length > 0) {
+    throw new ValidationError(`Invalid webhook: ${details.map(d => d.message).join('; ')}`, { details });
+  }
+
+  const webhook = {
+    id: createId('wh_'),
+    url: input.url,
+    events: [...new Set(input.events)],
+    merchantId: merchantScope || input.merchantId || null,
+    description: input.description || null,
+    secret: input.secret || generateSecret(),
+    createdAt: new Date().toISOString()
+  };
+  const store = new Map(getWebhookStore()).set(webhook.id, webhook);
+  saveWebhooks(store);
+  webhooks = store;
+  return webhook;
+}
+
+/**
+ * Remove a webhook. Retries already scheduled for it fail instead of being sent.
+ * @param {string} webhookId - Webhook identifier
+ * @param {string|null} [merchantScope] - Merchant the caller is bound to
+ * @returns {boolean} True if a webhook was removed
+ */
+function deleteWebhook(webhookId, merchantScope = null) {
+  if (!findWebhook(webhookId, merchantScope)) {
+    return false;
+  }
+  const store = new Map(getWebhookStore());
+  store.delete(webhookId);
+  saveWebhooks(store);
+  webhooks = store;
+  return true;
+}
+
+/**
+ * Check whether any webhook listens for an event type
+ * @param {string} type - Event type
+ * @returns {boolean} True when at least one webhook is subscribed
+ */
+function hasSubscribers(type) {
+  return [...getWebhookStore().values()].some(webhook => webhook.events.includes(type));
+}
+
+/**
+ * Sign a request body
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Webhook secret
+ * @param {Object} [options]
+ * @param {number} [options.now] - Signing time in milliseconds (defaults to now)
+ * @returns {string} X-Webhook-Signature header value
+ */
+function signPayload(body, secret, { now = Date.now() } = {}) {
+  const timestamp = Math.floor(now / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check the signature of a received webhook, as a receiver would
+ * @param {string} body - Raw request body, exactly as received
+ * @param {string} header - X-Webhook-Signature header value
+ * @param {string} secret - Webhook secret
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds=300] - Oldest signature accepted
+ * @param {number} [options.now] - Current time in milliseconds (defaults to now)
+ * @returns {boolean} True when the signature matches and is recent enough
+ */
+function verifySignature(body, header, secret, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const parts = new Map(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.get('t'));
+  const signature = parts.get('v1');
+  if (!Number.isInteger(timestamp) || !signature || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(body, secret, { now: timestamp * 1000 }).split('v1=')[1], 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Delay before the next attempt of a delivery
+ * @param {number} failedAttempts - Attempts made so far
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelay(failedAttempts) {
+  return config.webhooks.retryBaseMs * 2 ** (failedAttempts - 1);
+}
+
+/**
+ * Run a delivery attempt after a delay
+ * @param {Object} delivery - Delivery log entry
+ * @param {number} delayMs - Milliseconds to wait
+ */
+function scheduleAttempt(delivery, delayMs) {
+  const timer = setTimeout(() => {
+    attemptTimers.delete(timer);
+    attemptDelivery(delivery);
+  }, delayMs);
+  // Pending retries should not keep the process alive
+  timer.unref();
+  attemptTimers.add(timer);
+}
+
+/**
+ * Close a delivery
+ * @param {Object} delivery - Delivery log entry
+ * @param {string} status - succeeded | failed
+ * @param {string|null} error - Why the delivery failed
+ */
+function completeDelivery(delivery, status, error) {
+  delivery.status = status;
+  delivery.error = error;
+  delivery.nextAttemptAt = null;
+  delivery.completedAt = new Date().toISOString();
+}
+
+/**
+ * POST a delivery to its webhook once, then record the outcome and
+ * schedule a retry if it failed and has attempts left
+ * @param {Object} delivery - Delivery log entry
+ * @returns {Promise<void>} Resolves once the attempt is recorded; never rejects
+ */
+async function attemptDelivery(delivery) {
+  const webhook = getWebhookStore().get(delivery.webhookId);
+  if (!webhook) {
+    completeDelivery(delivery, 'failed', 'Webhook was deleted');
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString(), responseStatus: null, error: null };
+  const started = Date.now();
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'merchant-dashboard-webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(body, webhook.secret)
+      },
+      body,
+      // A redirect could point the signed payload anywhere, so it counts as a failure
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+    });
+    attempt.responseStatus = response.status;
+    if (response.body) {
+      await response.body.cancel();
+    }
+    if (!response.ok) {
+      attempt.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No answer within ${config.webhooks.timeoutMs} ms`
+      : (error.cause && error.cause.message) || error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    completeDelivery(delivery, 'succeeded', null);
+  } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+    completeDelivery(delivery, 'failed', attempt.error);
+  } else {
+    const delay = getRetryDelay(delivery.attempts.length);
+    delivery.error = attempt.error;
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    scheduleAttempt(delivery, delay);
+  }
+}
+
+/**
+ * Add a delivery of an event to one webhook to the log and send it shortly
+ * @param {Object} webhook - Registered webhook
+ * @param {Object} event - { id, type, createdAt, data }
+ * @returns {Object} Delivery log entry
+ */
+function enqueueDelivery(webhook, event) {
+  const delivery = {
+    id: createId('dlv_'),
+    webhookId: webhook.id,
+    merchantId: webhook.merchantId,
+    url: webhook.url,
+    eventId: event.id,
+    event: event.type,
+    status: 'pending',
+    error: null,
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    completedAt: null,
+    payload: event
+  };
+
+  deliveries.push(delivery);
+  if (deliveries.length > config.webhooks.logSize) {
+    deliveries = deliveries.slice(-config.webhooks.logSize);
+  }
+  scheduleAttempt(delivery, 0);
+  return delivery;
+}
+
+/**
+ * Build an event envelope
+ * @param {string} type - Event type
+ * @param {Object} data - Event-specific payload
+ * @returns {Object} { id, type, createdAt, data }
+ */
+function createEvent(type, data) {
+  return { id: createId('evt_'), type, createdAt: new Date().toISOString(), data };
+}
+
+/**
+ * Send an event to every webhook subscribed to it. Delivery happens in
+ * the background; this returns immediately.
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event-specific payload
+ * @param {Object} [options]
+ * @param {string|null} [options.merchantId] - Merchant the event is about; webhooks of other merchants skip it
+ * @returns {Array<Object>} Delivery log entries created, one per webhook
+ */
+function dispatchEvent(type, data, { merchantId = null } = {}) {
+  const targets = [...getWebhookStore().values()].filter(webhook =>
+    webhook.events.includes(type) && (!webhook.merchantId || webhook.merchantId === merchantId)
+  );
+  if (targets.length === 0) {
+    return [];
+  }
+  const event = createEvent(type, data);
+  return targets.map(webhook => enqueueDelivery(webhook, event));
+}
+
+/**
+ * Send a test event to one webhook, whatever it is subscribed to
+ * @param {Object} webhook - Registered webhook
+ * @returns {Object} Delivery log entry
+ */
+function sendTestEvent(webhook) {
+  return enqueueDelivery(webhook, createEvent(TEST_EVENT, {
+    webhookId: webhook.id,
+    message: 'Test delivery; no action is needed'
+  }));
+}
+
+/**
+ * Query the delivery log
+ * @param {Object} [options]
+ * @param {string} [options.webhookId] - Only deliveries to this webhook
+ * @param {Array<string>} [options.event] - Only these event types
+ * @param {Array<string>} [options.status] - Only deliveries in these states (see DELIVERY_STATUSES)
+ * @param {string|null} [options.merchantScope] - Only deliveries to this merchant's webhooks
+ * @param {number} [options.limit=100] - Maximum number of deliveries to return
+ * @returns {Array<Object>} Matching deliveries, newest first
+ */
+function listDeliveries({ webhookId, event = [], status = [], merchantScope = null, limit = 100 } = {}) {
+  const matches = delivery =>
+    (!webhookId || delivery.webhookId === webhookId) &&
+    (event.length === 0 || event.includes(delivery.event)) &&
+    (status.length === 0 || status.includes(delivery.status)) &&
+    (!merchantScope || delivery.merchantId === merchantScope);
+
+  const result = [];
+  for (let i = deliveries.length - 1; i >= 0 && result.length < limit; i -= 1) {
+    if (matches(deliveries[i])) {
+      result.push(deliveries[i]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Cancel scheduled attempts, empty the delivery log and forget the loaded
+ * webhooks (useful for testing)
+ */
+function resetWebhooks() {
+  attemptTimers.forEach(timer => clearTimeout(timer));
+  attemptTimers.clear();
+  deliveries = [];
+  webhooks = null;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  validateWebhook,
+  parseWebhookStore,
+  loadWebhooks,
+  setWebhookStore,
+  listWebhooks,
+  findWebhook,
+  createWebhook,
+  deleteWebhook,
+  toPublicWebhook,
+  hasSubscribers,
+  signPayload,
+  verifySignature,
+  getRetryDelay,
+  dispatchEvent,
+  sendTestEvent,
+  listDeliveries,
+  resetWebhooks
+};
@@ -0,0 +1,72 @@
+/**
+ * Amount Query Parameter Parsing
+ * 
+ * Converts the `minAmount`/`maxAmount` query parameters into numbers.
+ * Both bounds are optional, inclusive, and must be non-negative with at
+ * most two decimal places, like the amounts they are compared with.
+ *
+ * Transactions come in several currencies, so the bounds are read in one
+ * currency (the amount currency) and each transaction is converted to it
+ * before comparing (see filterByAmountRange() in services/filterService.js):
+ * - with a `currency` filter naming exactly one currency, that currency,
+ *   so the bounds are compared with the stored amounts exactly
+ * - otherwise the reporting currency (`reportingCurrency`, defaulting to
+ *   config.reportingCurrency), at the rate in effect on each transaction's date
+ */
+
+const { ValidationError } = require('./errors');
+const { parseListParam } = require('./listParams');
+const { parseReportingCurrencyParam } = require('./currencyParams');
+
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+/**
+ * Parse a single amount query parameter
+ * @param {string} value - Raw query parameter value
+ * @param {string} name - Parameter name, used in error messages
+ * @returns {number|null} Parsed amount, or null when no value was given
+ * @throws {ValidationError} If the value is not a non-negative amount in whole cents
+ */
+function parseAmountParam(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value !== 'string' || !AMOUNT_PATTERN.test(value.trim())) {
+    throw new ValidationError(`Invalid "${name}": expected a non-negative amount with at most two decimal places`, { field: name });
+  }
+
+  return parseFloat(value);
+}
+
+/**
+ * Parse the minAmount/maxAmount pair, make sure the range is not inverted,
+ * and work out which currency it is in
+ * @param {Object} query - Request query object
+ * @param {string} defaultCurrency - Reporting currency when the query names none
+ * @returns {{minAmount: number|null, maxAmount: number|null, amountCurrency: string|null}}
+ *   Parsed amount range; amountCurrency is null without bounds
+ * @throws {ValidationError} If either bound or the reporting currency is invalid,
+ *   or minAmount exceeds maxAmount
+ */
+function parseAmountRange(query, defaultCurrency) {
+  const minAmount = parseAmountParam(query.minAmount, 'minAmount');
+  const maxAmount = parseAmountParam(query.maxAmount, 'maxAmount');
+
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw new ValidationError('Invalid amount range: "minAmount" must not exceed "maxAmount"', { field: 'minAmount' });
+  }
+
+  if (minAmount === null && maxAmount === null) {
+    return { minAmount, maxAmount, amountCurrency: null };
+  }
+  const currencies = parseListParam(query.currency);
+  const amountCurrency = currencies.length === 1
+    ? currencies[0]
+    : parseReportingCurrencyParam(query.reportingCurrency, defaultCurrency);
+
+  return { minAmount, maxAmount, amountCurrency };
+}
+
+module.exports = {
+  parseAmountParam,
+  parseAmountRange
+};
@@ -0,0 +1,93 @@
+/**
+ * Anomaly Query Parameter Parsing
+ *
+ * Options of the anomaly endpoint (see services/anomalyService.js):
+ * - granularity: day (default) or hour
+ * - metric: declineRate, totalDeclined, totalTransactions, totalAmount
+ *   (list; default declineRate and totalAmount)
+ * - dimension: total, cardBrand, declineReasonCode (list; default all)
+ * - threshold: z-score from which a bucket is anomalous (default 3)
+ * - baselineWeeks: weeks of history each baseline covers (default 8, at most 26)
+ */
+
+const { ValidationError } = require('./errors');
+const { parseListParam } = require('./listParams');
+const {
+  ANOMALY_GRANULARITIES,
+  ANOMALY_METRICS,
+  ANOMALY_DIMENSIONS,
+  DEFAULT_OPTIONS,
+  MAX_BASELINE_WEEKS
+} = require('../services/anomalyService');
+
+const ANOMALY_PARAMS = ['granularity', 'metric', 'dimension', 'threshold', 'baselineWeeks'];
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * Parse a list parameter whose values must come from a fixed set
+ * @param {string|Array<string>} value - Raw query parameter value
+ * @param {string} name - Parameter name
+ * @param {Array<string>} allowed - Accepted values
+ * @param {Array<string>} fallback - Values when the parameter is absent
+ * @param {Array} details - Collects field-level errors
+ * @returns {Array<string>} Parsed values
+ */
+function parseChoices(value, name, allowed, fallback, details) {
+  const values = parseListParam(value);
+  values
+    .filter(v => !allowed.includes(v))
+    .forEach(v => details.push({ field: name, message: `Invalid "${name}": "${v}" is not one of ${allowed.join(', ')}` }));
+  return values.length > 0 ? values : fallback;
+}
+
+/**
+ * Parse the anomaly endpoint's options
+ * @param {Object} query - Express request query
+ * @returns {Object} { granularity, metrics, dimensions, threshold, baselineWeeks }
+ * @throws {ValidationError} Listing every invalid parameter
+ */
+function parseAnomalyParams(query) {
+  const details = [];
+
+  let { granularity } = DEFAULT_OPTIONS;
+  if (query.granularity !== undefined && query.granularity !== '') {
+    granularity = typeof query.granularity === 'string' ? query.granularity.trim().toLowerCase() : null;
+    if (!ANOMALY_GRANULARITIES.includes(granularity)) {
+      details.push({ field: 'granularity', message: `Invalid "granularity": expected one of ${ANOMALY_GRANULARITIES.join(', ')}` });
+    }
+  }
+
+  const metrics = parseChoices(query.metric, 'metric', ANOMALY_METRICS, DEFAULT_OPTIONS.metrics, details);
+  const dimensions = parseChoices(query.dimension, 'dimension', ANOMALY_DIMENSIONS, DEFAULT_OPTIONS.dimensions, details);
+
+  let { threshold } = DEFAULT_OPTIONS;
+  if (query.threshold !== undefined && query.threshold !== '') {
+    threshold = typeof query.threshold === 'string' && NUMBER_PATTERN.test(query.threshold.trim())
+      ? parseFloat(query.threshold)
+      : NaN;
+    if (!(threshold > 0)) {
+      details.push({ field: 'threshold', message: 'Invalid "threshold": expected a positive number of standard deviations' });
+    }
+  }
+
+  let { baselineWeeks } = DEFAULT_OPTIONS;
+  if (query.baselineWeeks !== undefined && query.baselineWeeks !== '') {
+    baselineWeeks = typeof query.baselineWeeks === 'string' && INTEGER_PATTERN.test(query.baselineWeeks.trim())
+      ? parseInt(query.baselineWeeks, 10)
+      : NaN;
+    if (!(baselineWeeks >= 1 && baselineWeeks <= MAX_BASELINE_WEEKS)) {
+      details.push({ field: 'baselineWeeks', message: `Invalid "baselineWeeks": expected a whole number from 1 to ${MAX_BASELINE_WEEKS}` });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError(details.map(d => d.message).join('; '), { details });
+  }
+  return { granularity, metrics, dimensions, threshold, baselineWeeks };
+}
+
+module.exports = {
+  ANOMALY_PARAMS,
+  parseAnomalyParams
+};
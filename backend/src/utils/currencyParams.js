@@ -0,0 +1,46 @@
+/**
+ * Reporting Currency Query Parameter Parsing
+ *
+ * Summaries accept a `reportingCurrency` parameter (an ISO 4217 code the
+ * FX table supports, e.g. EUR) naming the currency amounts are converted to.
+ * Codes are case-insensitive.
+ */
+
+const { ValidationError } = require('./errors');
+const { CURRENCIES } = require('./transactionSchema');
+
+/**
+ * Normalize a currency code
+ * @param {string} value - Currency code in any case, e.g. "eur"
+ * @returns {string|null} Upper-case supported code, or null if unsupported
+ */
+function resolveCurrency(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toUpperCase();
+  return CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * Parse the `reportingCurrency` query parameter
+ * @param {string} value - Raw query parameter value
+ * @param {string} fallback - Currency used when no value was given
+ * @returns {string} Supported currency code
+ * @throws {ValidationError} If the value is not a supported currency
+ */
+function parseReportingCurrencyParam(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const currency = resolveCurrency(value);
+  if (!currency) {
+    throw new ValidationError(
+      `Invalid "reportingCurrency": expected one of ${CURRENCIES.join(', ')}`,
+      { field: 'reportingCurrency' }
+    );
+  }
+  return currency;
+}
+
+module.exports = {
+  resolveCurrency,
+  parseReportingCurrencyParam
+};
@@ -0,0 +1,137 @@
+/**
+ * Date Query Parameter Parsing
+ * 
+ * Converts the `from`/`to` query parameters into Date objects.
+ * Accepted formats:
+ * - ISO 8601 dates:     2026-01-01 (whole day, UTC)
+ * - ISO 8601 datetimes: 2026-01-01T08:30:00Z
+ * - Relative tokens:    -30d, -12h, -2w, -3m, -1y (offset back from now)
+ * - The literal "now"
+ *
+ * Relative tokens and "now" are resolved to whole minutes: a start bound
+ * from the start of the current minute, an end bound from its last
+ * millisecond. Repeating a request within the minute therefore yields the
+ * same range, so it can be answered from the aggregation cache and
+ * revalidated by ETag (see services/aggregationCache.js).
+ */
+
+const { ValidationError } = require('./errors');
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RELATIVE_PATTERN = /^-(\d+)([hdwmy])$/;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Resolve a relative token (e.g. "-30d") against a reference time
+ * @param {number} amount - Number of units to go back
+ * @param {string} unit - One of h, d, w, m, y
+ * @param {Date} now - Reference time
+ * @returns {Date} Resolved date
+ */
+function resolveRelative(amount, unit, now) {
+  const date = new Date(now.getTime());
+  switch (unit) {
+    case 'h':
+      return new Date(date.getTime() - amount * MS_PER_HOUR);
+    case 'd':
+      return new Date(date.getTime() - amount * MS_PER_DAY);
+    case 'w':
+      return new Date(date.getTime() - amount * 7 * MS_PER_DAY);
+    case 'm':
+      date.setUTCMonth(date.getUTCMonth() - amount);
+      return date;
+    case 'y':
+      date.setUTCFullYear(date.getUTCFullYear() - amount);
+      return date;
+    default:
+      return date;
+  }
+}
+
+/**
+ * Parse a single date query parameter
+ * @param {string} value - Raw query parameter value
+ * @param {Object} options
+ * @param {string} options.name - Parameter name, used in error messages
+ * @param {string} [options.boundary='start'] - 'start' or 'end'; date-only values
+ *   resolve to the start or the end of that day so ranges are inclusive
+ * @param {Date} [options.now] - Reference time for relative tokens (defaults to current time),
+ *   truncated to its minute (or extended to the minute's end for end bounds)
+ * @returns {Date|null} Parsed date, or null when no value was given
+ * @throws {ValidationError} If the value cannot be parsed
+ */
+function parseDateParam(value, { name, boundary = 'start', now = new Date() } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value !== 'string') {
+    throw new ValidationError(`Invalid "${name}" date: expected a single value`, { field: name });
+  }
+
+  const trimmed = value.trim();
+
+  const minuteStart = Math.floor(now.getTime() / MS_PER_MINUTE) * MS_PER_MINUTE;
+  const reference = new Date(boundary === 'end' ? minuteStart + MS_PER_MINUTE - 1 : minuteStart);
+
+  if (trimmed === 'now') {
+    return reference;
+  }
+
+  const relative = trimmed.match(RELATIVE_PATTERN);
+  if (relative) {
+    return resolveRelative(parseInt(relative[1], 10), relative[2], reference);
+  }
+
+  if (DATE_ONLY_PATTERN.test(trimmed)) {
+    const suffix = boundary === 'end' ? 'T23:59:59.999Z' : 'T00:00:00.000Z';
+    const date = new Date(`${trimmed}${suffix}`);
+    // Reject impossible calendar dates such as 2026-02-31
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== trimmed) {
+      throw new ValidationError(`Invalid "${name}" date: ${value}`, { field: name });
+    }
+    return date;
+  }
+
+  const date = new Date(trimmed);
+  if (isNaN(date.getTime()) || !/^\d{4}-\d{2}-\d{2}T/.test(trimmed)) {
+    throw new ValidationError(`Invalid "${name}" date: ${value}`, { field: name });
+  }
+  return date;
+}
+
+/**
+ * Whether a date query parameter depends on the current time
+ * @param {*} value - Raw query parameter value
+ * @returns {boolean} True for relative tokens and "now"
+ */
+function isRelativeDate(value) {
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  return trimmed === 'now' || RELATIVE_PATTERN.test(trimmed);
+}
+
+/**
+ * Parse the from/to pair and make sure the range is not inverted
+ * @param {Object} query - Request query object
+ * @param {Date} [now] - Reference time for relative tokens
+ * @returns {{from: Date|null, to: Date|null}} Parsed date range
+ * @throws {ValidationError} If either bound is invalid or from is after to
+ */
+function parseDateRange(query, now = new Date()) {
+  const from = parseDateParam(query.from, { name: 'from', boundary: 'start', now });
+  const to = parseDateParam(query.to, { name: 'to', boundary: 'end', now });
+
+  if (from && to && from > to) {
+    throw new ValidationError('Invalid date range: "from" must be before "to"', { field: 'from' });
+  }
+
+  return { from, to };
+}
+
+module.exports = {
+  isRelativeDate,
+  parseDateParam,
+  parseDateRange
+};
@@ -0,0 +1,82 @@
+/**
+ * Application Error Types
+ * 
+ * Errors carrying an HTTP status so route handlers can map them
+ * to the standard { success: false, error } response envelope.
+ */
+
+/**
+ * Raised when a request contains invalid input (e.g. a malformed query parameter).
+ * Route handlers respond with 400 instead of 500 for these, and include
+ * `details` (one { field, message } entry per problem) when present.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {Object} [options]
+   * @param {string} [options.field] - Offending field or parameter, for single-field errors
+   * @param {Array<{field: string, message: string}>} [options.details] - Field-level errors
+   */
+  constructor(message, { field, details } = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.details = details || (field ? [{ field, message }] : []);
+  }
+}
+
+/**
+ * Raised when a request carries no valid credentials (missing, malformed
+ * or expired API key or token). Route handlers respond with 401.
+ */
+class AuthenticationError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = 401;
+  }
+}
+
+/**
+ * Raised when a request is authenticated but not allowed, e.g. a viewer
+ * listing raw transactions or a cross-merchant request by a non-admin.
+ * Route handlers respond with 403.
+ */
+class ForbiddenError extends Error {
+  /**
+   * @param {string} message - Human-readable description of what was refused
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.status = 403;
+  }
+}
+
+/**
+ * Raised when a client has used up its request quota. Responses carry
+ * a Retry-After header and status 429.
+ */
+class RateLimitError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the limit
+   * @param {Object} options
+   * @param {number} options.retryAfter - Seconds until the client may retry
+   */
+  constructor(message, { retryAfter }) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  RateLimitError
+};
@@ -0,0 +1,57 @@
+/**
+ * Forecast Query Parameter Parsing
+ *
+ * Options of the forecast endpoint (see services/forecastService.js):
+ * - confidence: coverage of the intervals in percent, 80, 90, 95 (default) or 99
+ * - historyWeeks: weeks of daily history the forecast is built from (default 8, at most 26)
+ */
+
+const { ValidationError } = require('./errors');
+const {
+  CONFIDENCE_LEVELS,
+  DEFAULT_OPTIONS,
+  MAX_HISTORY_WEEKS
+} = require('../services/forecastService');
+
+const FORECAST_PARAMS = ['confidence', 'historyWeeks'];
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * Parse the forecast endpoint's options
+ * @param {Object} query - Express request query
+ * @returns {Object} { confidence, historyWeeks }
+ * @throws {ValidationError} Listing every invalid parameter
+ */
+function parseForecastParams(query) {
+  const details = [];
+  const levels = Object.keys(CONFIDENCE_LEVELS);
+
+  let { confidence } = DEFAULT_OPTIONS;
+  if (query.confidence !== undefined && query.confidence !== '') {
+    const value = typeof query.confidence === 'string' ? query.confidence.trim() : '';
+    confidence = levels.includes(value) ? parseInt(value, 10) : NaN;
+    if (Number.isNaN(confidence)) {
+      details.push({ field: 'confidence', message: `Invalid "confidence": expected one of ${levels.join(', ')}` });
+    }
+  }
+
+  let { historyWeeks } = DEFAULT_OPTIONS;
+  if (query.historyWeeks !== undefined && query.historyWeeks !== '') {
+    historyWeeks = typeof query.historyWeeks === 'string' && INTEGER_PATTERN.test(query.historyWeeks.trim())
+      ? parseInt(query.historyWeeks, 10)
+      : NaN;
+    if (!(historyWeeks >= 1 && historyWeeks <= MAX_HISTORY_WEEKS)) {
+      details.push({ field: 'historyWeeks', message: `Invalid "historyWeeks": expected a whole number from 1 to ${MAX_HISTORY_WEEKS}` });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError(details.map(d => d.message).join('; '), { details });
+  }
+  return { confidence, historyWeeks };
+}
+
+module.exports = {
+  FORECAST_PARAMS,
+  parseForecastParams
+};
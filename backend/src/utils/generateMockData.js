@@ -1,19 +1,24 @@
 /**
  * Mock Data Generator for Merchant Transaction Dashboard
- * Generates 50+ transaction records spanning multiple months
+ * Generates 50+ transaction records spanning multiple months, plus
+ * refunds and chargebacks against some of the approved payments
  */
 
 const fs = require('fs');
 const path = require('path');
 
-// Constants
-const CARD_BRANDS = ['Visa', 'Mastercard', 'Amex', 'Discover'];
-const STATUSES = ['Approved', 'Declined'];
-const DECLINE_REASON_CODES = [
-  '01-Insufficient funds',
-  '02-Invalid card number',
-  '03-Suspected fraud'
-];
+// Allowed values come from the shared schema so generated data always validates
+const { CARD_BRANDS, STATUSES, DECLINE_REASON_CODES } = require('./transactionSchema');
+const { toMinorUnits, fromMinorUnits } = require('./money');
+
+// Share of payments processed in each currency
+const CURRENCY_WEIGHTS = { USD: 0.65, EUR: 0.15, GBP: 0.12, CAD: 0.08 };
+
+// Share of approved payments that get refunded / charged back
+const REFUND_RATE = 0.12;
+const CHARGEBACK_RATE = 0.03;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // Generate a random ID
 function generateId() {
@@ -30,6 +35,16 @@ function generateAmount(min = 10, max = 5000) {
   return parseFloat((Math.random() * (max - min) + min).toFixed(2));
 }
 
+// Pick a processing currency according to CURRENCY_WEIGHTS
+function generateCurrency() {
+  let roll = Math.random();
+  for (const [currency, weight] of Object.entries(CURRENCY_WEIGHTS)) {
+    roll -= weight;
+    if (roll < 0) return currency;
+  }
+  return 'USD';
+}
+
 // Get a random element from an array
 function getRandomElement(arr) {
   return arr[Math.floor(Math.random() * arr.length)];
@@ -81,9 +96,11 @@ function generateTransaction() {
     transactionId: generateId(),
     merchantId: generateMerchantId(),
     amount: generateAmount(),
+    currency: generateCurrency(),
     cardBrand: getRandomElement(CARD_BRANDS),
     status: status,
-    transactionDate: generateRandomDate(6)
+    transactionDate: generateRandomDate(6),
+    type: 'Payment'
   };
   
   // Add decline reason code only if status is Declined
@@ -94,7 +111,64 @@ function generateTransaction() {
   return transaction;
 }
 
-// Generate multiple transactions
+// Generate a refund or chargeback of an approved payment, between minDays
+// and maxDays after it; null when that date would be in the future
+function generateAdjustment(original, type, amount, minDays, maxDays) {
+  const delay = (minDays + Math.random() * (maxDays - minDays)) * DAY_MS;
+  const date = new Date(new Date(original.transactionDate).getTime() + delay);
+  if (date > new Date()) {
+    return null;
+  }
+
+  return {
+    transactionId: generateId(),
+    merchantId: original.merchantId,
+    amount,
+    currency: original.currency,
+    cardBrand: original.cardBrand,
+    status: 'Approved',
+    transactionDate: date.toISOString(),
+    type,
+    originalTransactionId: original.transactionId
+  };
+}
+
+// Generate refund and chargeback streams for a set of payments.
+// Refunds follow within two weeks and are full or split into partials;
+// chargebacks arrive weeks later and dispute whatever was not refunded.
+function generateAdjustments(payments) {
+  const adjustments = [];
+
+  payments
+    .filter(p => p.status === 'Approved')
+    .forEach(payment => {
+      // Minor units of the payment not yet refunded
+      let remaining = toMinorUnits(payment.amount);
+
+      if (Math.random() < REFUND_RATE) {
+        const partials = Math.random() < 0.6 ? [1] : [0.3 + Math.random() * 0.3, 0.2 + Math.random() * 0.2];
+        partials.forEach(share => {
+          const units = Math.round(toMinorUnits(payment.amount) * share);
+          const refund = units > 0 && units <= remaining && generateAdjustment(payment, 'Refund', fromMinorUnits(units), 1, 14);
+          if (refund) {
+            adjustments.push(refund);
+            remaining -= units;
+          }
+        });
+      }
+
+      if (remaining > 0 && Math.random() < CHARGEBACK_RATE) {
+        const chargeback = generateAdjustment(payment, 'Chargeback', fromMinorUnits(remaining), 20, 60);
+        if (chargeback) {
+          adjustments.push(chargeback);
+        }
+      }
+    });
+
+  return adjustments;
+}
+
+// Generate multiple transactions (count payments, plus their refunds and chargebacks)
 function generateTransactions(count = 50) {
   const transactions = [];
   
@@ -125,6 +199,8 @@ function generateTransactions(count = 50) {
     transactions.push(generateTransaction());
   }
   
+  transactions.push(...generateAdjustments(transactions));
+  
   // Sort by date (most recent first)
   transactions.sort((a, b) => new Date(b.transactionDate) - new Date(a.transactionDate));
   
@@ -133,7 +209,7 @@ function generateTransactions(count = 50) {
 
 // Main execution
 function main() {
-  const transactionCount = 75; // Generate 75 transactions
+  const transactionCount = 75; // Generate 75 payments
   const transactions = generateTransactions(transactionCount);
   
   // Create data directory if it doesn't exist
@@ -150,12 +226,23 @@ function main() {
   console.log(`📁 Saved to: ${filePath}`);
   
   // Print summary
-  const approved = transactions.filter(t => t.status === 'Approved').length;
-  const declined = transactions.filter(t => t.status === 'Declined').length;
+  const payments = transactions.filter(t => t.type === 'Payment');
+  const approved = payments.filter(t => t.status === 'Approved').length;
+  const declined = payments.filter(t => t.status === 'Declined').length;
+  const refunds = transactions.filter(t => t.type === 'Refund').length;
+  const chargebacks = transactions.filter(t => t.type === 'Chargeback').length;
   
   console.log('\n📊 Summary:');
   console.log(`   Approved: ${approved}`);
   console.log(`   Declined: ${declined}`);
+  console.log(`   Refunds: ${refunds}`);
+  console.log(`   Chargebacks: ${chargebacks}`);
+  
+  const byCurrency = {};
+  payments.forEach(t => {
+    byCurrency[t.currency] = (byCurrency[t.currency] || 0) + 1;
+  });
+  console.log(`   Currencies: ${Object.entries(byCurrency).map(([c, n]) => `${c} ${n}`).join(', ')}`);
   
   // Group by month
   const byMonth = {};
@@ -176,8 +263,11 @@ module.exports = {
   generateId,
   generateMerchantId,
   generateAmount,
+  generateCurrency,
   getRandomElement,
   generateTransaction,
+  generateAdjustment,
+  generateAdjustments,
   generateTransactions,
   CARD_BRANDS,
   STATUSES,
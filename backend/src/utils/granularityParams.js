@@ -0,0 +1,32 @@
+/**
+ * Granularity Query Parameter Parsing
+ * 
+ * The time series endpoint groups transactions by `granularity`:
+ * hour, day, week, month (default), quarter or year.
+ */
+
+const { ValidationError } = require('./errors');
+const { GRANULARITIES } = require('./timeBuckets');
+
+const DEFAULT_GRANULARITY = 'month';
+
+/**
+ * Parse the `granularity` query parameter
+ * @param {string} value - Raw query parameter value
+ * @returns {string} One of GRANULARITIES
+ * @throws {ValidationError} If the value is not a supported granularity
+ */
+function parseGranularityParam(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_GRANULARITY;
+
+  const granularity = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new ValidationError(`Invalid "granularity": expected one of ${GRANULARITIES.join(', ')}`, { field: 'granularity' });
+  }
+  return granularity;
+}
+
+module.exports = {
+  DEFAULT_GRANULARITY,
+  parseGranularityParam
+};
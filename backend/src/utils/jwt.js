@@ -0,0 +1,108 @@
+/**
+ * HS256 JSON Web Tokens
+ *
+ * Minimal signing and verification of compact JWTs (RFC 7519) with
+ * HMAC-SHA256, enough for the dashboard's login tokens without an external
+ * dependency. Only HS256 is accepted: a token claiming any other algorithm
+ * (including "none") is rejected before its signature is looked at.
+ */
+
+const crypto = require('crypto');
+const { AuthenticationError } = require('./errors');
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * Encode a JSON value as base64url
+ * @param {Object} value - JSON-serializable value
+ * @returns {string} base64url text
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - base64url text
+ * @returns {Object} Parsed value
+ * @throws {AuthenticationError} If the segment is not base64url JSON
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthenticationError('Malformed token');
+  }
+}
+
+/**
+ * Compute the signature of a token's header and payload
+ * @param {string} signingInput - "<header>.<payload>"
+ * @param {string} secret - Shared secret
+ * @returns {Buffer} HMAC-SHA256 digest
+ */
+function sign(signingInput, secret) {
+  return crypto.createHmac('sha256', secret).update(signingInput).digest();
+}
+
+/**
+ * Create a signed token
+ * @param {Object} claims - Payload claims (sub, role, ...)
+ * @param {string} secret - Shared secret
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn] - Lifetime in seconds; sets iat and exp
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {string} Compact JWT
+ */
+function signJwt(claims, secret, { expiresIn, now = Date.now() } = {}) {
+  const issuedAt = Math.floor(now / 1000);
+  const payload = {
+    ...claims,
+    iat: issuedAt,
+    ...(expiresIn !== undefined && { exp: issuedAt + expiresIn })
+  };
+  const signingInput = `${encodeSegment(HEADER)}.${encodeSegment(payload)}`;
+  return `${signingInput}.${sign(signingInput, secret).toString('base64url')}`;
+}
+
+/**
+ * Verify a token's algorithm, signature and expiry
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared secret
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} The token's claims
+ * @throws {AuthenticationError} If the token is malformed, forged or expired
+ */
+function verifyJwt(token, secret, { now = Date.now() } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  if (!header || header.alg !== HEADER.alg) {
+    throw new AuthenticationError('Unsupported token algorithm');
+  }
+
+  const expected = sign(`${headerSegment}.${payloadSegment}`, secret);
+  const given = Buffer.from(signatureSegment, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AuthenticationError('Invalid token signature');
+  }
+
+  const claims = decodeSegment(payloadSegment);
+  if (!claims || typeof claims !== 'object') {
+    throw new AuthenticationError('Malformed token');
+  }
+  if (typeof claims.exp === 'number' && Math.floor(now / 1000) >= claims.exp) {
+    throw new AuthenticationError('Token expired');
+  }
+  return claims;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,28 @@
+/**
+ * List Query Parameter Parsing
+ * 
+ * Multi-value filters can be sent either comma-separated
+ * (?cardBrand=Visa,Amex) or repeated (?cardBrand=Visa&cardBrand=Amex).
+ * Both forms, and any mix of them, normalize to a de-duplicated array.
+ */
+
+/**
+ * Normalize a filter value into an array of distinct values
+ * @param {string|Array<string>} value - Raw value (string, comma-separated string, or array)
+ * @returns {Array<string>} Distinct values; empty when the filter means "all"
+ */
+function parseListParam(value) {
+  if (value === undefined || value === null) return [];
+
+  const raw = Array.isArray(value) ? value : [value];
+  const values = raw
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(v => v !== '' && v !== 'all');
+
+  return [...new Set(values)];
+}
+
+module.exports = {
+  parseListParam
+};
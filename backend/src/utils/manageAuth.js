@@ -0,0 +1,160 @@
+/**
+ * Credential Management CLI
+ *
+ * Edits the local credential file read by services/authService.js
+ * (AUTH_FILE, default src/data/auth.json):
+ *
+ *   npm run auth add-user <username> <role> [merchantId]   password prompted, or AUTH_PASSWORD
+ *   npm run auth add-key <id> <role> [merchantId]          prints the new key once
+ *   npm run auth remove <username|id>
+ *   npm run auth list
+ *
+ * Roles: viewer, analyst, admin. A merchantId restricts the credential to
+ * that merchant's data; users other than admins need one. Restart the
+ * server after changes.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const config = require('../config');
+const {
+  ROLES,
+  hashApiKey,
+  generateApiKey,
+  hashPassword,
+  parseAuthStore
+} = require('../services/authService');
+
+const USAGE = `Usage:
+  npm run auth add-user <username> <role> [merchantId]
+  npm run auth add-key <id> <role> [merchantId]
+  npm run auth remove <username|id>
+  npm run auth list
+
+Roles: ${ROLES.join(', ')}`;
+
+/**
+ * Read the raw credential file
+ * @param {string} filePath - Path to the credential file
+ * @returns {{apiKeys: Array, users: Array}} File contents; empty lists when it does not exist
+ */
+function readCredentials(filePath) {
+  const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  return { apiKeys: data.apiKeys || [], users: data.users || [] };
+}
+
+/**
+ * Validate and write the credential file, readable by its owner only
+ * @param {string} filePath - Path to the credential file
+ * @param {Object} data - Credentials to write
+ * @throws {Error} If the credentials are invalid (e.g. a duplicate name)
+ */
+function writeCredentials(filePath, data) {
+  parseAuthStore(data);
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Ask for a password without echoing it
+ * @returns {Promise<string>} The password typed
+ */
+function promptPassword() {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+  return new Promise(resolve => {
+    rl.question('Password: ', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Check a role argument
+ * @param {string} role - Role named on the command line
+ * @throws {Error} If it is not one of ROLES
+ */
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}"; expected one of ${ROLES.join(', ')}`);
+  }
+}
+
+async function main() {
+  const [command, name, role, merchantId = null] = process.argv.slice(2);
+  const filePath = config.auth.filePath;
+  const data = readCredentials(filePath);
+
+  switch (command) {
+    case 'add-user': {
+      if (!name || !role) throw new Error(USAGE);
+      checkRole(role);
+      // Checked again on write; failing here saves typing a password first
+      if (role !== 'admin' && !merchantId) {
+        throw new Error(`A ${role} user needs a merchantId; only admins may see every merchant`);
+      }
+      const password = process.env.AUTH_PASSWORD || await promptPassword();
+      if (password.length < 8) {
+        throw new Error('Passwords must be at least 8 characters');
+      }
+      data.users.push({ username: name, passwordHash: hashPassword(password), role, merchantId });
+      writeCredentials(filePath, data);
+      console.log(`✅ Added ${role} user "${name}"${merchantId ? ` for merchant ${merchantId}` : ''}`);
+      break;
+    }
+    case 'add-key': {
+      if (!name || !role) throw new Error(USAGE);
+      checkRole(role);
+      const key = generateApiKey();
+      data.apiKeys.push({ id: name, keyHash: hashApiKey(key), role, merchantId });
+      writeCredentials(filePath, data);
+      console.log(`✅ Added ${role} API key "${name}"${merchantId ? ` for merchant ${merchantId}` : ''}`);
+      console.log(`🔑 ${key}`);
+      console.log('   Store it now: only its hash is kept. Send it as the X-API-Key header.');
+      break;
+    }
+    case 'remove': {
+      if (!name) throw new Error(USAGE);
+      const next = {
+        apiKeys: data.apiKeys.filter(entry => entry.id !== name),
+        users: data.users.filter(entry => entry.username !== name)
+      };
+      if (next.apiKeys.length + next.users.length === data.apiKeys.length + data.users.length) {
+        throw new Error(`No user or API key named "${name}"`);
+      }
+      writeCredentials(filePath, next);
+      console.log(`✅ Removed "${name}"`);
+      break;
+    }
+    case 'list': {
+      console.log(`📁 ${filePath}`);
+      data.users.forEach(entry => {
+        console.log(`   user  ${entry.username}  ${entry.role}${entry.merchantId ? `  ${entry.merchantId}` : ''}`);
+      });
+      data.apiKeys.forEach(entry => {
+        console.log(`   key   ${entry.id}  ${entry.role}${entry.merchantId ? `  ${entry.merchantId}` : ''}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
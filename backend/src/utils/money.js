@@ -0,0 +1,58 @@
+/**
+ * Money Arithmetic
+ *
+ * Amounts travel through the API as decimal numbers with at most two
+ * places (every supported currency has cents), but binary floats cannot
+ * represent most of them exactly: 0.1 + 0.2 !== 0.3. Sums and comparisons
+ * are therefore done in integer minor units (cents), which stay exact up
+ * to Number.MAX_SAFE_INTEGER, and converted back only for output.
+ *
+ * Converting back divides once, so the result is the same number as the
+ * two-decimal literal (12345 -> 123.45) and breakdowns reconcile with
+ * their totals to the cent.
+ */
+
+const MINOR_UNITS_PER_MAJOR = 100;
+
+/**
+ * Convert an amount to whole minor units, rounding to the nearest cent
+ * @param {number} amount - Amount in major units, e.g. 4.35
+ * @returns {number} Integer minor units, e.g. 435
+ */
+function toMinorUnits(amount) {
+  return Math.round(amount * MINOR_UNITS_PER_MAJOR);
+}
+
+/**
+ * Convert whole minor units back to an amount
+ * @param {number} units - Integer minor units
+ * @returns {number} Amount in major units with at most two decimals
+ */
+function fromMinorUnits(units) {
+  return units / MINOR_UNITS_PER_MAJOR;
+}
+
+/**
+ * Check that an amount is a whole number of minor units
+ * @param {number} amount - Amount in major units
+ * @returns {boolean} True when the amount has at most two decimal places
+ */
+function hasMinorUnitPrecision(amount) {
+  return Math.abs(amount * MINOR_UNITS_PER_MAJOR - toMinorUnits(amount)) <= 1e-6;
+}
+
+/**
+ * Sum amounts exactly
+ * @param {Array<number>} amounts - Amounts in major units
+ * @returns {number} Total in integer minor units
+ */
+function sumMinorUnits(amounts) {
+  return amounts.reduce((total, amount) => total + toMinorUnits(amount), 0);
+}
+
+module.exports = {
+  toMinorUnits,
+  fromMinorUnits,
+  hasMinorUnitPrecision,
+  sumMinorUnits
+};
@@ -0,0 +1,157 @@
+/**
+ * Pagination Query Parameter Parsing
+ * 
+ * Parses the list-shaping parameters of GET /api/transactions:
+ * - limit:  Page size (1-1000, default 100)
+ * - cursor: Opaque cursor returned as nextCursor/prevCursor by a previous page
+ * - sort:   Comma-separated field:direction pairs, e.g. amount:desc,transactionDate:asc
+ * - fields: Comma-separated list of fields to return, e.g. transactionId,amount
+ *
+ * Paging is keyset-based: a cursor holds the sort key of the row a page
+ * ended (or started) at, and the next page starts right after it. Every
+ * sort ends with transactionId as a tiebreaker, so each row has a unique
+ * position and rows added or deleted between requests never make a page
+ * skip or repeat the rows around them. A cursor records the sort it was
+ * issued for and is rejected with any other.
+ */
+
+const { ValidationError } = require('./errors');
+const { parseListParam } = require('./listParams');
+const { TRANSACTION_FIELDS } = require('./transactionSchema');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Final sort key, unique per row
+const TIEBREAKER = { field: 'transactionId', direction: 'asc' };
+
+/**
+ * Describe a sort as text, e.g. "amount:desc,transactionId:asc"
+ * @param {Array<{field: string, direction: string}>} sort - Sort keys in priority order
+ * @returns {string} Sort description
+ */
+function describeSort(sort) {
+  return sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+}
+
+/**
+ * Encode a row's position as an opaque cursor string
+ * @param {Array} key - Sort key of the row the page ended (or started) at
+ * @param {Array<{field: string, direction: string}>} sort - Sort the key belongs to
+ * @param {string} [direction='after'] - 'after' for the rows following it, 'before' for those preceding it
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(key, sort, direction = 'after') {
+  return Buffer.from(JSON.stringify({ [direction]: key, sort: describeSort(sort) })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor()
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Array<{field: string, direction: string}>} sort - Sort of the current request
+ * @returns {{direction: string, key: Array}} Which side of the row to page to, and its sort key
+ * @throws {ValidationError} If the cursor is malformed or was issued for another sort
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  const direction = decoded && ['after', 'before'].find(name => Array.isArray(decoded[name]));
+  const key = direction && decoded[direction];
+  const valid = key && key.length === sort.length &&
+    key.every(value => value === null || ['string', 'number'].includes(typeof value));
+  if (!valid) {
+    throw new ValidationError('Invalid "cursor"', { field: 'cursor' });
+  }
+  if (decoded.sort !== describeSort(sort)) {
+    throw new ValidationError('Invalid "cursor": it was issued for a different sort', { field: 'cursor' });
+  }
+  return { direction, key };
+}
+
+/**
+ * Parse the limit parameter
+ * @param {string} value - Raw query parameter value
+ * @returns {number} Page size
+ * @throws {ValidationError} If the value is not an integer within range
+ */
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new ValidationError(`Invalid "limit": expected an integer between 1 and ${MAX_LIMIT}`, { field: 'limit' });
+  }
+  const limit = parseInt(value, 10);
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`Invalid "limit": expected an integer between 1 and ${MAX_LIMIT}`, { field: 'limit' });
+  }
+  return limit;
+}
+
+/**
+ * Parse the sort parameter
+ * @param {string|Array<string>} value - e.g. "amount:desc,transactionDate"
+ * @returns {Array<{field: string, direction: string}>} Sort keys in priority order,
+ *   ending with transactionId unless it was given
+ * @throws {ValidationError} If a field or direction is not supported
+ */
+function parseSort(value) {
+  const sort = parseListParam(value).map(entry => {
+    const [field, direction = 'asc'] = entry.split(':');
+    if (!TRANSACTION_FIELDS.includes(field)) {
+      throw new ValidationError(`Invalid "sort": unknown field "${field}"`, { field: 'sort' });
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new ValidationError(`Invalid "sort": direction must be "asc" or "desc"`, { field: 'sort' });
+    }
+    return { field, direction };
+  });
+  return sort.some(({ field }) => field === TIEBREAKER.field) ? sort : [...sort, TIEBREAKER];
+}
+
+/**
+ * Parse the fields parameter
+ * @param {string|Array<string>} value - e.g. "transactionId,amount"
+ * @returns {Array<string>|null} Fields to keep, or null to return whole records
+ * @throws {ValidationError} If a field is not supported
+ */
+function parseFields(value) {
+  const fields = parseListParam(value);
+  if (fields.length === 0) return null;
+
+  const unknown = fields.find(field => !TRANSACTION_FIELDS.includes(field));
+  if (unknown) {
+    throw new ValidationError(`Invalid "fields": unknown field "${unknown}"`, { field: 'fields' });
+  }
+  return fields;
+}
+
+/**
+ * Parse all list-shaping parameters
+ * @param {Object} query - Request query object
+ * @returns {{limit: number, cursor: Object|null, sort: Array, fields: Array<string>|null}}
+ *   where cursor is the output of decodeCursor()
+ * @throws {ValidationError} If any parameter is malformed
+ */
+function parsePaginationParams(query) {
+  const sort = parseSort(query.sort);
+  return {
+    limit: parseLimit(query.limit),
+    cursor: query.cursor ? decodeCursor(String(query.cursor), sort) : null,
+    sort,
+    fields: parseFields(query.fields)
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  TRANSACTION_FIELDS,
+  TIEBREAKER,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  parsePaginationParams
+};
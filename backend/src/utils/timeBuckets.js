@@ -0,0 +1,240 @@
+/**
+ * Time Buckets
+ *
+ * Calendar arithmetic for grouping transactions into hour, day, week,
+ * month, quarter or year buckets in an IANA time zone.
+ *
+ * Instants are first converted to "wall clock" Dates whose UTC fields
+ * hold the local date and time in the target zone. Bucket starts, steps
+ * and keys are then computed with plain UTC arithmetic, which has no DST
+ * transitions, and converted back to real instants only when needed.
+ *
+ * Weeks are ISO 8601 weeks: they start on Monday and belong to the year
+ * that contains their Thursday (keys look like 2026-W07).
+ */
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                     'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One formatter per time zone; constructing Intl.DateTimeFormat is expensive
+const partFormatters = new Map();
+
+/**
+ * Get a cached formatter producing every wall clock field in a time zone
+ * @param {string} [timeZone] - IANA time zone (undefined for the server's zone)
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartFormatter(timeZone) {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partFormatters.get(timeZone);
+}
+
+/**
+ * Convert an instant to its wall clock time in a time zone
+ * @param {string|Date} date - Instant to convert
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} Date whose UTC fields are the local date and time
+ */
+function toWallClock(date, timeZone) {
+  const instant = new Date(date);
+  const parts = {};
+  getPartFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  return new Date(Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    instant.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Convert a wall clock time in a time zone back to an instant.
+ * Times inside a DST gap resolve to the instant just after the gap.
+ * @param {Date} wall - Date whose UTC fields are the local date and time
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} The instant
+ */
+function fromWallClock(wall, timeZone) {
+  const offsetAt = instant => toWallClock(instant, timeZone).getTime() - instant.getTime();
+  // The offset at the wall time itself is only an estimate near DST changes,
+  // so re-read it at the estimated instant
+  const guess = new Date(wall.getTime() - offsetAt(wall));
+  return new Date(wall.getTime() - offsetAt(guess));
+}
+
+/**
+ * Truncate a wall clock time to the start of its bucket
+ * @param {Date} wall - Wall clock time
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {Date} Wall clock start of the bucket
+ */
+function startOfBucket(wall, granularity) {
+  const year = wall.getUTCFullYear();
+  const month = wall.getUTCMonth();
+  const day = wall.getUTCDate();
+
+  switch (granularity) {
+    case 'hour':
+      return new Date(Date.UTC(year, month, day, wall.getUTCHours()));
+    case 'day':
+      return new Date(Date.UTC(year, month, day));
+    case 'week': {
+      const daysSinceMonday = (wall.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(year, month, day - daysSinceMonday));
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+/**
+ * Advance a bucket start to the start of the next bucket
+ * @param {Date} start - Wall clock start of a bucket
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {Date} Wall clock start of the following bucket
+ */
+function nextBucket(start, granularity) {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const day = start.getUTCDate();
+
+  switch (granularity) {
+    case 'hour':
+      return new Date(start.getTime() + DAY_MS / 24);
+    case 'day':
+      return new Date(Date.UTC(year, month, day + 1));
+    case 'week':
+      return new Date(Date.UTC(year, month, day + 7));
+    case 'month':
+      return new Date(Date.UTC(year, month + 1, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, month + 3, 1));
+    case 'year':
+      return new Date(Date.UTC(year + 1, 0, 1));
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+/**
+ * Get the ISO 8601 week-numbering year and week of a wall clock date
+ * @param {Date} wall - Wall clock time
+ * @returns {{year: number, week: number}} ISO week-year and week number
+ */
+function getIsoWeek(wall) {
+  const monday = startOfBucket(wall, 'week');
+  const thursday = new Date(monday.getTime() + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+  return { year, week };
+}
+
+/**
+ * Format the sortable key of the bucket containing a wall clock time
+ * @param {Date} wall - Wall clock time
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {string} Key such as 2026-02-15T14, 2026-02-15, 2026-W07, 2026-02, 2026-Q1 or 2026
+ */
+function formatBucketKey(wall, granularity) {
+  const pad = n => String(n).padStart(2, '0');
+  const year = wall.getUTCFullYear();
+  const month = pad(wall.getUTCMonth() + 1);
+  const day = pad(wall.getUTCDate());
+
+  switch (granularity) {
+    case 'hour':
+      return `${year}-${month}-${day}T${pad(wall.getUTCHours())}`;
+    case 'day':
+      return `${year}-${month}-${day}`;
+    case 'week': {
+      const isoWeek = getIsoWeek(wall);
+      return `${isoWeek.year}-W${pad(isoWeek.week)}`;
+    }
+    case 'month':
+      return `${year}-${month}`;
+    case 'quarter':
+      return `${year}-Q${Math.floor(wall.getUTCMonth() / 3) + 1}`;
+    case 'year':
+      return `${year}`;
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+/**
+ * Format a readable label for a bucket
+ * @param {Date} start - Wall clock start of the bucket
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {string} Label such as "Feb 15, 2026 14:00", "Week of Feb 9, 2026" or "Q1 2026"
+ */
+function formatBucketLabel(start, granularity) {
+  const year = start.getUTCFullYear();
+  const monthName = MONTH_NAMES[start.getUTCMonth()];
+  const date = `${monthName} ${start.getUTCDate()}, ${year}`;
+
+  switch (granularity) {
+    case 'hour':
+      return `${date} ${String(start.getUTCHours()).padStart(2, '0')}:00`;
+    case 'day':
+      return date;
+    case 'week':
+      return `Week of ${date}`;
+    case 'month':
+      return `${monthName} ${year}`;
+    case 'quarter':
+      return `Q${Math.floor(start.getUTCMonth() / 3) + 1} ${year}`;
+    case 'year':
+      return `${year}`;
+    default:
+      throw new Error(`Unknown granularity "${granularity}"`);
+  }
+}
+
+/**
+ * Get the bucket key of an instant
+ * @param {string|Date} date - Instant to bucket
+ * @param {string} granularity - One of GRANULARITIES
+ * @param {string} [timeZone] - IANA time zone the bucket is evaluated in
+ * @returns {string} Bucket key
+ */
+function getBucketKey(date, granularity, timeZone) {
+  return formatBucketKey(toWallClock(date, timeZone), granularity);
+}
+
+module.exports = {
+  GRANULARITIES,
+  MONTH_NAMES,
+  toWallClock,
+  fromWallClock,
+  startOfBucket,
+  nextBucket,
+  formatBucketKey,
+  formatBucketLabel,
+  getBucketKey
+};
@@ -0,0 +1,44 @@
+/**
+ * Time Zone Query Parameter Parsing
+ * 
+ * Month-based summaries accept a `tz` parameter with an IANA time zone
+ * name (e.g. America/Los_Angeles) so month boundaries follow the
+ * merchant's books rather than the server's clock.
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Resolve an IANA time zone name to its canonical form
+ * @param {string} timeZone - Time zone name, e.g. "europe/london" or "UTC"
+ * @returns {string|null} Canonical name, or null if the runtime does not know it
+ */
+function resolveTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the `tz` query parameter
+ * @param {string} value - Raw query parameter value
+ * @param {string} fallback - Time zone used when no value was given
+ * @returns {string} Canonical IANA time zone name
+ * @throws {ValidationError} If the value is not a known time zone
+ */
+function parseTimeZoneParam(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const timeZone = typeof value === 'string' ? resolveTimeZone(value.trim()) : null;
+  if (!timeZone) {
+    throw new ValidationError(`Invalid "tz": expected an IANA time zone name such as America/New_York`, { field: 'tz' });
+  }
+  return timeZone;
+}
+
+module.exports = {
+  resolveTimeZone,
+  parseTimeZoneParam
+};
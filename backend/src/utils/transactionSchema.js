@@ -0,0 +1,337 @@
+/**
+ * Transaction Schema
+ *
+ * Single source of truth for what a transaction looks like and which
+ * values the filterable fields accept. Used to:
+ * - validate records as they are loaded (invalid ones are quarantined)
+ * - validate records posted to the ingestion endpoints
+ * - validate query parameters before any route filters data
+ *
+ * Validators return field-level errors ({ field, message }) rather than
+ * throwing, so callers can collect every problem in one pass.
+ *
+ * A transaction is a Payment unless its `type` says otherwise. Refunds and
+ * chargebacks reverse (part of) an approved payment named by
+ * `originalTransactionId`; together they may never exceed its amount.
+ * Records written before `type` existed have none and count as payments.
+ *
+ * `amount` is in the record's `currency` (USD when absent). A reversal is
+ * always in the currency of the payment it reverses.
+ */
+
+const { toMinorUnits, fromMinorUnits, hasMinorUnitPrecision } = require('./money');
+
+const CARD_BRANDS = ['Visa', 'Mastercard', 'Amex', 'Discover'];
+const STATUSES = ['Approved', 'Declined'];
+const TRANSACTION_TYPES = ['Payment', 'Refund', 'Chargeback'];
+const DEFAULT_TRANSACTION_TYPE = 'Payment';
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD'];
+const DEFAULT_CURRENCY = 'USD';
+const DECLINE_REASON_CODES = [
+  '01-Insufficient funds',
+  '02-Invalid card number',
+  '03-Suspected fraud'
+];
+
+// Stored field order, also the fields available for sorting and projection
+const TRANSACTION_FIELDS = [
+  'transactionId',
+  'merchantId',
+  'amount',
+  'currency',
+  'cardBrand',
+  'status',
+  'declineReasonCode',
+  'transactionDate',
+  'type',
+  'originalTransactionId'
+];
+
+// Query parameters that accept only a fixed set of values
+const ENUM_PARAMS = {
+  cardBrand: CARD_BRANDS,
+  status: STATUSES,
+  declineReasonCode: DECLINE_REASON_CODES,
+  type: TRANSACTION_TYPES,
+  currency: CURRENCIES
+};
+
+// Query parameters understood by every filtered route
+const FILTER_PARAMS = [
+  'cardBrand',
+  'status',
+  'declineReasonCode',
+  'from',
+  'to',
+  'minAmount',
+  'maxAmount',
+  'merchantId',
+  'type',
+  'originalTransactionId',
+  'currency'
+];
+
+/**
+ * Check whether a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings with visible content
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Get a transaction's type, treating records without one as payments
+ * @param {Object} record - Transaction
+ * @returns {string} One of TRANSACTION_TYPES
+ */
+function getTransactionType(record) {
+  return record.type === undefined || record.type === null ? DEFAULT_TRANSACTION_TYPE : record.type;
+}
+
+/**
+ * Get the currency a transaction's amount is in, treating records without one as USD
+ * @param {Object} record - Transaction
+ * @returns {string} One of CURRENCIES
+ */
+function getTransactionCurrency(record) {
+  return record.currency === undefined || record.currency === null ? DEFAULT_CURRENCY : record.currency;
+}
+
+/**
+ * Check whether a transaction reverses an earlier payment
+ * @param {Object} record - Transaction
+ * @returns {boolean} True for refunds and chargebacks
+ */
+function isAdjustment(record) {
+  return getTransactionType(record) !== DEFAULT_TRANSACTION_TYPE;
+}
+
+/**
+ * Validate one transaction record
+ * @param {*} record - Candidate transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.requireId=true] - Whether transactionId must be present
+ *   (new records posted to the API may omit it and have one generated)
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when valid
+ */
+function validateTransaction(record, { requireId = true } = {}) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: 'record', message: 'record must be a JSON object' }];
+  }
+
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (record.transactionId === undefined) {
+    if (requireId) fail('transactionId', 'transactionId is required');
+  } else if (!isNonEmptyString(record.transactionId)) {
+    fail('transactionId', 'transactionId must be a non-empty string');
+  }
+
+  if (!isNonEmptyString(record.merchantId)) {
+    fail('merchantId', 'merchantId is required');
+  }
+
+  if (typeof record.amount !== 'number' || !Number.isFinite(record.amount)) {
+    fail('amount', 'amount must be a number');
+  } else if (record.amount <= 0) {
+    fail('amount', 'amount must be greater than 0');
+  } else if (!hasMinorUnitPrecision(record.amount)) {
+    fail('amount', 'amount must have at most two decimal places');
+  }
+
+  if (!CURRENCIES.includes(getTransactionCurrency(record))) {
+    fail('currency', `currency must be one of: ${CURRENCIES.join(', ')}`);
+  }
+
+  if (!CARD_BRANDS.includes(record.cardBrand)) {
+    fail('cardBrand', `cardBrand must be one of: ${CARD_BRANDS.join(', ')}`);
+  }
+
+  const type = getTransactionType(record);
+  if (!TRANSACTION_TYPES.includes(type)) {
+    fail('type', `type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+  } else if (type === DEFAULT_TRANSACTION_TYPE) {
+    if (record.originalTransactionId !== undefined && record.originalTransactionId !== null) {
+      fail('originalTransactionId', 'originalTransactionId is only allowed on refunds and chargebacks');
+    }
+  } else if (!isNonEmptyString(record.originalTransactionId)) {
+    fail('originalTransactionId', `originalTransactionId is required for a ${type}`);
+  } else if (record.originalTransactionId === record.transactionId) {
+    fail('originalTransactionId', 'originalTransactionId must reference another transaction');
+  }
+
+  if (!STATUSES.includes(record.status)) {
+    fail('status', `status must be one of: ${STATUSES.join(', ')}`);
+  } else if (isAdjustment(record) && record.status !== 'Approved') {
+    fail('status', 'refunds and chargebacks must have status Approved');
+  } else if (record.status === 'Declined') {
+    if (!DECLINE_REASON_CODES.includes(record.declineReasonCode)) {
+      fail('declineReasonCode', `declineReasonCode must be one of: ${DECLINE_REASON_CODES.join(', ')} when status is Declined`);
+    }
+  } else if (record.declineReasonCode !== undefined && record.declineReasonCode !== null) {
+    fail('declineReasonCode', 'declineReasonCode is only allowed when status is Declined');
+  }
+
+  if (!isNonEmptyString(record.transactionDate) || Number.isNaN(Date.parse(record.transactionDate))) {
+    fail('transactionDate', 'transactionDate must be an ISO 8601 date string');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a refund or chargeback against the payment it reverses.
+ * Assumes the adjustment itself already passed validateTransaction().
+ * @param {Object} adjustment - Refund or chargeback record
+ * @param {Object|null} original - Transaction named by originalTransactionId
+ * @param {number} [alreadyReversed=0] - Sum of earlier refunds and chargebacks of the original
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when valid
+ */
+function validateAdjustment(adjustment, original, alreadyReversed = 0) {
+  const { originalTransactionId } = adjustment;
+  const type = getTransactionType(adjustment).toLowerCase();
+
+  if (!original) {
+    return [{ field: 'originalTransactionId', message: `originalTransactionId ${originalTransactionId} does not exist` }];
+  }
+  if (isAdjustment(original) || original.status !== 'Approved') {
+    return [{ field: 'originalTransactionId', message: `originalTransactionId ${originalTransactionId} is not an approved payment` }];
+  }
+
+  const errors = [];
+  if (adjustment.merchantId.trim() !== original.merchantId) {
+    errors.push({ field: 'merchantId', message: `merchantId must match the original payment (${original.merchantId})` });
+  }
+  if (getTransactionCurrency(adjustment) !== getTransactionCurrency(original)) {
+    errors.push({ field: 'currency', message: `currency must match the original payment (${getTransactionCurrency(original)})` });
+  }
+  if (Date.parse(adjustment.transactionDate) < Date.parse(original.transactionDate)) {
+    errors.push({ field: 'transactionDate', message: `a ${type} cannot be dated before the original payment` });
+  }
+
+  const remaining = toMinorUnits(original.amount) - toMinorUnits(alreadyReversed);
+  if (toMinorUnits(adjustment.amount) > remaining) {
+    errors.push({
+      field: 'amount',
+      message: `${type} of ${adjustment.amount.toFixed(2)} exceeds the ${fromMinorUnits(remaining).toFixed(2)} remaining on ${originalTransactionId}`
+    });
+  }
+  return errors;
+}
+
+/**
+ * Split stored records into valid ones and quarantine entries.
+ * A repeated transactionId is quarantined on its second and later occurrences.
+ * Refunds and chargebacks are then checked against their original payment
+ * in date order, so the one that pushes the total over the payment amount
+ * is the one quarantined, wherever it appears in the file.
+ * @param {Array} records - Records as read from storage
+ * @returns {{valid: Array, quarantined: Array<{index: number, transactionId: string|null, record: *, errors: Array}>}}
+ */
+function partitionRecords(records) {
+  const quarantined = [];
+  const seenIds = new Set();
+  const byId = new Map();
+  const candidates = [];
+
+  records.forEach((record, index) => {
+    const errors = validateTransaction(record);
+    const transactionId = record && isNonEmptyString(record.transactionId) ? record.transactionId : null;
+
+    if (errors.length === 0 && seenIds.has(transactionId)) {
+      errors.push({ field: 'transactionId', message: `transactionId ${transactionId} is duplicated` });
+    }
+
+    if (errors.length > 0) {
+      quarantined.push({ index, transactionId, record, errors });
+      return;
+    }
+
+    seenIds.add(transactionId);
+    byId.set(transactionId, record);
+    candidates.push({ index, transactionId, record });
+  });
+
+  // Minor units reversed so far, per payment
+  const reversed = new Map();
+  const rejected = new Set();
+  candidates
+    .filter(({ record }) => isAdjustment(record))
+    .sort((a, b) => Date.parse(a.record.transactionDate) - Date.parse(b.record.transactionDate) || a.index - b.index)
+    .forEach(entry => {
+      const { originalTransactionId, amount } = entry.record;
+      const alreadyReversed = reversed.get(originalTransactionId) || 0;
+      const errors = validateAdjustment(entry.record, byId.get(originalTransactionId) || null, fromMinorUnits(alreadyReversed));
+
+      if (errors.length > 0) {
+        quarantined.push({ ...entry, errors });
+        rejected.add(entry.index);
+        return;
+      }
+      reversed.set(originalTransactionId, alreadyReversed + toMinorUnits(amount));
+    });
+
+  quarantined.sort((a, b) => a.index - b.index);
+  return {
+    valid: candidates.filter(entry => !rejected.has(entry.index)).map(entry => entry.record),
+    quarantined
+  };
+}
+
+/**
+ * Validate a request's query string: every parameter must be known to the
+ * route, and enumerated filters must use exact (case-sensitive) values.
+ * Values are checked after comma-splitting, the same way parseListParam() does.
+ * @param {Object} query - Express request query
+ * @param {Array<string>} allowedParams - Parameters the route understands
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when valid
+ */
+function validateQueryParams(query, allowedParams) {
+  const errors = [];
+
+  Object.keys(query).forEach(param => {
+    if (!allowedParams.includes(param)) {
+      errors.push({ field: param, message: `Unknown query parameter "${param}"` });
+      return;
+    }
+
+    const allowedValues = ENUM_PARAMS[param];
+    if (!allowedValues) return;
+
+    [].concat(query[param])
+      .flatMap(v => String(v).split(','))
+      .map(v => v.trim())
+      .filter(v => v !== '' && v !== 'all' && !allowedValues.includes(v))
+      .forEach(value => {
+        const match = allowedValues.find(v => v.toLowerCase() === value.toLowerCase());
+        const hint = match ? ` (did you mean "${match}"?)` : '';
+        errors.push({
+          field: param,
+          message: `Invalid "${param}": "${value}" is not one of ${allowedValues.join(', ')}${hint}`
+        });
+      });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  CARD_BRANDS,
+  STATUSES,
+  DECLINE_REASON_CODES,
+  TRANSACTION_TYPES,
+  DEFAULT_TRANSACTION_TYPE,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  TRANSACTION_FIELDS,
+  FILTER_PARAMS,
+  getTransactionType,
+  getTransactionCurrency,
+  isAdjustment,
+  validateTransaction,
+  validateAdjustment,
+  partitionRecords,
+  validateQueryParams
+};
@@ -0,0 +1,231 @@
+/**
+ * Minimal XLSX Writer
+ *
+ * Builds a single-sheet Office Open XML workbook without external
+ * dependencies. An .xlsx file is a zip archive of a few XML parts;
+ * this module writes those parts (using inline strings, so no shared
+ * string table is needed) and packs them with zlib's raw deflate.
+ *
+ * Only what the exports need is supported: one sheet, a header row,
+ * string and number cells.
+ */
+
+const zlib = require('zlib');
+
+// CRC-32 lookup table (polynomial 0xEDB88320), required by the zip format
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Escape text for inclusion in XML content or attributes
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Strip control characters that are illegal in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Convert a zero-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ */
+function columnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Render one worksheet cell
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference (e.g. B3)
+ * @returns {string} Cell XML, or an empty string for empty values
+ */
+function renderCell(value, ref) {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Render the worksheet XML for a header row plus data rows
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array>} rows - Row values in column order
+ * @returns {string} Worksheet XML
+ */
+function renderSheet(header, rows) {
+  const xmlRows = [header, ...rows].map((values, rowIndex) => {
+    const rowNumber = rowIndex + 1;
+    const cells = values.map((value, colIndex) => renderCell(value, `${columnName(colIndex)}${rowNumber}`)).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${xmlRows.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+/**
+ * Pack files into a zip archive (deflate compression, no zip64)
+ * @param {Array<{name: string, data: string|Buffer}>} files - Archive entries
+ * @returns {Buffer} Zip archive
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // Fixed DOS timestamp (1980-01-01 00:00) keeps output deterministic
+  const dosTime = 0;
+  const dosDate = (0 << 9) | (1 << 5) | 1;
+
+  files.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const checksum = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4);           // version needed to extract
+    local.writeUInt16LE(0x0800, 6);       // flags: UTF-8 file names
+    local.writeUInt16LE(8, 8);            // compression: deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);           // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);         // version needed to extract
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt16LE(0, 30);         // extra field length
+    central.writeUInt16LE(0, 32);         // comment length
+    central.writeUInt16LE(0, 34);         // disk number
+    central.writeUInt16LE(0, 36);         // internal attributes
+    central.writeUInt32LE(0, 38);         // external attributes
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(0, 4);
+  end.writeUInt16LE(0, 6);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(0, 20);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Build an .xlsx workbook with a single sheet
+ * @param {Object} options
+ * @param {string} options.sheetName - Worksheet tab name (max 31 characters)
+ * @param {Array<string>} options.header - Column titles
+ * @param {Array<Array>} options.rows - Row values in column order
+ * @returns {Buffer} Workbook file contents
+ */
+function buildXlsx({ sheetName, header, rows }) {
+  const safeSheetName = escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: renderSheet(header, rows)
+    }
+  ]);
+}
+
+module.exports = {
+  buildXlsx,
+  crc32,
+  columnName
+};
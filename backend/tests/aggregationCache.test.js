@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for the Aggregation Cache
+ */
+
+const config = require('../src/config');
+const { setTransactions, insertTransactions } = require('../src/data/dataStore');
+const {
+  buildCacheKey,
+  getOrCompute,
+  invalidateCache,
+  getCacheStats,
+  resetCache
+} = require('../src/services/aggregationCache');
+
+const sampleTransaction = {
+  transactionId: 'TXN-001',
+  merchantId: 'MERCH-001',
+  amount: 100.00,
+  cardBrand: 'Visa',
+  status: 'Approved',
+  transactionDate: '2026-02-01T10:00:00.000Z'
+};
+
+describe('Aggregation Cache', () => {
+  const defaults = { ...config.aggregationCache };
+
+  beforeEach(() => {
+    resetCache();
+  });
+
+  afterEach(() => {
+    config.aggregationCache.enabled = defaults.enabled;
+    config.aggregationCache.maxEntries = defaults.maxEntries;
+    resetCache();
+  });
+
+  describe('buildCacheKey', () => {
+    it('should ignore the order of keys and list values', () => {
+      const a = buildCacheKey('summary', { cardBrand: ['Visa', 'Amex'], status: ['Approved'] }, { timeZone: 'UTC' });
+      const b = buildCacheKey('summary', { status: ['Approved'], cardBrand: ['Amex', 'Visa'] }, { timeZone: 'UTC' });
+
+      expect(a).toBe(b);
+    });
+
+    it('should treat missing, null and empty filters alike', () => {
+      const a = buildCacheKey('summary', { cardBrand: [], from: null });
+      const b = buildCacheKey('summary', { to: undefined });
+
+      expect(a).toBe(b);
+    });
+
+    it('should compare dates by instant', () => {
+      const a = buildCacheKey('monthly', { from: new Date('2026-02-01T00:00:00Z') });
+      const b = buildCacheKey('monthly', { from: new Date(Date.UTC(2026, 1, 1)) });
+
+      expect(a).toBe(b);
+      expect(a).not.toBe(buildCacheKey('monthly', { from: new Date('2026-02-02T00:00:00Z') }));
+    });
+
+    it('should tell kinds and options apart', () => {
+      const filters = { cardBrand: ['Visa'] };
+
+      expect(buildCacheKey('summary', filters)).not.toBe(buildCacheKey('monthly', filters));
+      expect(buildCacheKey('summary', filters, { timeZone: 'UTC' }))
+        .not.toBe(buildCacheKey('summary', filters, { timeZone: 'Europe/Berlin' }));
+    });
+  });
+
+  describe('getOrCompute', () => {
+    it('should compute once and serve repeats from the cache', () => {
+      const compute = jest.fn(() => ({ total: 1 }));
+
+      const first = getOrCompute('key', compute);
+      const second = getOrCompute('key', compute);
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(second).toBe(first);
+      expect(getCacheStats()).toMatchObject({ size: 1, hits: 1, misses: 1, hitRate: 50 });
+    });
+
+    it('should not cache failures', () => {
+      const failing = () => { throw new Error('boom'); };
+
+      expect(() => getOrCompute('key', failing)).toThrow('boom');
+      expect(getOrCompute('key', () => 'ok')).toBe('ok');
+      expect(getCacheStats().size).toBe(1);
+    });
+
+    it('should evict the least recently used entry when full', () => {
+      config.aggregationCache.maxEntries = 2;
+      getOrCompute('a', () => 'a');
+      getOrCompute('b', () => 'b');
+      getOrCompute('a', () => 'a');
+
+      getOrCompute('c', () => 'c');
+
+      const recompute = jest.fn(() => 'b');
+      getOrCompute('a', () => 'a');
+      getOrCompute('b', recompute);
+      expect(recompute).toHaveBeenCalledTimes(1);
+      expect(getCacheStats()).toMatchObject({ size: 2, evictions: 2 });
+    });
+
+    it('should always compute when disabled', () => {
+      config.aggregationCache.enabled = false;
+      const compute = jest.fn(() => 'value');
+
+      getOrCompute('key', compute);
+      getOrCompute('key', compute);
+
+      expect(compute).toHaveBeenCalledTimes(2);
+      expect(getCacheStats()).toMatchObject({ enabled: false, size: 0, hits: 0, misses: 0 });
+    });
+  });
+
+  describe('invalidation', () => {
+    it('should drop every entry when invalidated', () => {
+      getOrCompute('a', () => 'a');
+      getOrCompute('b', () => 'b');
+
+      invalidateCache();
+
+      expect(getCacheStats()).toMatchObject({ size: 0, invalidations: 1 });
+    });
+
+    it('should be invalidated when the data is replaced', () => {
+      getOrCompute('key', () => 'stale');
+
+      setTransactions([sampleTransaction]);
+
+      expect(getOrCompute('key', () => 'fresh')).toBe('fresh');
+    });
+
+    it('should be invalidated when transactions are inserted', () => {
+      setTransactions([]);
+      getOrCompute('key', () => 'stale');
+
+      insertTransactions([sampleTransaction]);
+
+      expect(getOrCompute('key', () => 'fresh')).toBe('fresh');
+    });
+  });
+
+  describe('getCacheStats', () => {
+    it('should report zeroes before any lookup', () => {
+      expect(getCacheStats()).toEqual({
+        enabled: defaults.enabled,
+        size: 0,
+        maxEntries: defaults.maxEntries,
+        hits: 0,
+        misses: 0,
+        evictions: 0,
+        invalidations: 0,
+        hitRate: 0
+      });
+    });
+  });
+});
@@ -8,7 +8,9 @@ const {
   formatMonthKey,
   calculateMetrics,
   calculateMTDSummary,
-  calculateMonthByMonthSummary
+  calculateMonthByMonthSummary,
+  calculateTimeSeries,
+  MAX_BUCKETS
 } = require('../src/services/aggregationService');
 
 // Sample test data - using fixed dates for predictable testing
@@ -87,6 +89,14 @@ describe('Aggregation Service', () => {
       const date = new Date(2026, 1, 15, 12, 0, 0); // February 15, 2026
       expect(getMonthKey(date)).toBe('2026-02');
     });
+
+    it('should evaluate the month in the given time zone', () => {
+      // 2026-03-01T07:30Z is still Feb 28 in Los Angeles
+      const date = '2026-02-28T23:30:00-08:00';
+      expect(getMonthKey(date, 'America/Los_Angeles')).toBe('2026-02');
+      expect(getMonthKey(date, 'UTC')).toBe('2026-03');
+      expect(getMonthKey(date, 'Asia/Tokyo')).toBe('2026-03');
+    });
   });
 
   describe('formatMonthKey', () => {
@@ -182,6 +192,186 @@ describe('Aggregation Service', () => {
       expect(metrics.totalApproved).toBe(0);
       expect(metrics.totalDeclined).toBe(0);
       expect(metrics.totalAmount).toBe(0);
+      expect(metrics.netVolume).toBe(0);
+    });
+
+    describe('currencies', () => {
+      const { setFxTable } = require('../src/services/currencyService');
+      const multiCurrency = [
+        { transactionId: 'E1', merchantId: 'M1', amount: 80, currency: 'EUR', cardBrand: 'Visa', status: 'Approved', transactionDate: '2026-02-10T10:00:00Z' },
+        { transactionId: 'E2', merchantId: 'M1', amount: 40, currency: 'EUR', cardBrand: 'Visa', status: 'Approved', type: 'Refund', originalTransactionId: 'E1', transactionDate: '2026-02-11T10:00:00Z' },
+        { transactionId: 'G1', merchantId: 'M2', amount: 50, currency: 'GBP', cardBrand: 'Amex', status: 'Declined', declineReasonCode: '03-Suspected fraud', transactionDate: '2026-01-10T10:00:00Z' },
+        { transactionId: 'U1', merchantId: 'M3', amount: 25, cardBrand: 'Amex', status: 'Approved', transactionDate: '2026-01-12T10:00:00Z' }
+      ];
+
+      beforeEach(() => {
+        setFxTable({
+          base: 'USD',
+          rates: [
+            { effectiveDate: '2026-01-01', rates: { USD: 1, EUR: 0.9, GBP: 0.5, CAD: 1.5 } },
+            { effectiveDate: '2026-02-01', rates: { USD: 1, EUR: 0.8, GBP: 0.5, CAD: 1.5 } }
+          ]
+        });
+      });
+
+      afterEach(() => {
+        setFxTable(null);
+      });
+
+      it('should convert amounts at each transaction date\'s rate', () => {
+        const metrics = calculateMetrics(multiCurrency);
+
+        expect(metrics.reportingCurrency).toBe('USD');
+        expect(metrics.totalAmount).toBe(225);
+        expect(metrics.grossVolume).toBe(125);
+        expect(metrics.refundedAmount).toBe(50);
+        expect(metrics.netVolume).toBe(75);
+        expect(metrics.byCardBrand.Amex.amount).toBe(125);
+        expect(metrics.byDeclineReason['03-Suspected fraud'].amount).toBe(100);
+      });
+
+      it('should report in the chosen currency', () => {
+        const metrics = calculateMetrics(multiCurrency, { reportingCurrency: 'GBP' });
+
+        expect(metrics.reportingCurrency).toBe('GBP');
+        expect(metrics.totalAmount).toBe(112.5);
+        expect(metrics.netVolume).toBe(37.5);
+      });
+
+      it('should total each original currency unconverted', () => {
+        const { byCurrency } = calculateMetrics(multiCurrency, { reportingCurrency: 'CAD' });
+
+        expect(Object.keys(byCurrency).sort()).toEqual(['EUR', 'GBP', 'USD']);
+        expect(byCurrency.EUR).toEqual({
+          count: 1,
+          totalAmount: 80,
+          approvedAmount: 80,
+          declinedAmount: 0,
+          refundedAmount: 40,
+          chargebackAmount: 0,
+          netVolume: 40
+        });
+        expect(byCurrency.GBP.declinedAmount).toBe(50);
+        expect(byCurrency.USD.netVolume).toBe(25);
+      });
+    });
+
+    describe('refunds and chargebacks', () => {
+      const adjustments = [
+        { transactionId: 'R1', merchantId: 'M1', amount: 25.5, cardBrand: 'Visa', status: 'Approved', type: 'Refund', originalTransactionId: '1', transactionDate: '2026-01-20T10:00:00Z' },
+        { transactionId: 'R2', merchantId: 'M1', amount: 10, cardBrand: 'Visa', status: 'Approved', type: 'Refund', originalTransactionId: '1', transactionDate: '2026-01-21T10:00:00Z' },
+        { transactionId: 'C1', merchantId: 'M1', amount: 200, cardBrand: 'Visa', status: 'Approved', type: 'Chargeback', originalTransactionId: '3', transactionDate: '2026-01-22T10:00:00Z' }
+      ];
+      const withAdjustments = [...mockTransactions, ...adjustments];
+
+      it('should report gross, refunded, chargeback and net volume', () => {
+        const metrics = calculateMetrics(withAdjustments);
+
+        expect(metrics.grossVolume).toBe(550.00);
+        expect(metrics.totalRefunds).toBe(2);
+        expect(metrics.refundedAmount).toBe(35.50);
+        expect(metrics.totalChargebacks).toBe(1);
+        expect(metrics.chargebackAmount).toBe(200.00);
+        expect(metrics.netVolume).toBe(314.50);
+      });
+
+      it('should keep payment metrics and breakdowns free of adjustments', () => {
+        const metrics = calculateMetrics(withAdjustments);
+        const paymentsOnly = calculateMetrics(mockTransactions);
+
+        expect(metrics.totalTransactions).toBe(paymentsOnly.totalTransactions);
+        expect(metrics.totalAmount).toBe(paymentsOnly.totalAmount);
+        expect(metrics.approvedAmount).toBe(paymentsOnly.approvedAmount);
+        expect(metrics.byCardBrand).toEqual(paymentsOnly.byCardBrand);
+      });
+    });
+
+    describe('exact money arithmetic', () => {
+      const { setFxTable } = require('../src/services/currencyService');
+      const { toMinorUnits, fromMinorUnits } = require('../src/utils/money');
+      const currencies = ['USD', 'EUR', 'GBP', 'CAD'];
+      const declineReasons = ['01-Insufficient funds', '02-Invalid card number', '03-Suspected fraud'];
+      const brands = ['Visa', 'Mastercard', 'Amex', 'Discover'];
+
+      // Amounts with awkward cents (0.01, 0.07, 0.10 ...) spread over brands, currencies and rates
+      const manyTransactions = Array.from({ length: 3000 }, (_, i) => {
+        const declined = i % 5 === 0;
+        return {
+          transactionId: `X${i}`,
+          merchantId: 'M1',
+          amount: fromMinorUnits(((i * 7919) % 50000) + 1),
+          currency: currencies[i % 4],
+          cardBrand: brands[(i * 3) % 4],
+          status: declined ? 'Declined' : 'Approved',
+          ...(declined && { declineReasonCode: declineReasons[i % 3] }),
+          transactionDate: new Date(Date.UTC(2025, 10, 1) + i * 3600 * 1000).toISOString()
+        };
+      });
+      const sumOf = values => fromMinorUnits(values.reduce((acc, value) => acc + toMinorUnits(value), 0));
+
+      beforeEach(() => {
+        setFxTable({
+          base: 'USD',
+          rates: [
+            { effectiveDate: '2025-11-01', rates: { USD: 1, EUR: 0.8617, GBP: 0.7603, CAD: 1.4011 } },
+            { effectiveDate: '2025-12-15', rates: { USD: 1, EUR: 0.8531, GBP: 0.7449, CAD: 1.3736 } }
+          ]
+        });
+      });
+
+      afterEach(() => {
+        setFxTable(null);
+      });
+
+      it('should not drift when summing many small amounts', () => {
+        const dimes = Array.from({ length: 10 }, (_, i) => ({
+          ...mockTransactions[0],
+          transactionId: `D${i}`,
+          amount: 0.1
+        }));
+
+        expect(calculateMetrics(dimes).totalAmount).toBe(1);
+        expect(calculateMetrics(dimes).byCardBrand.Visa.amount).toBe(1);
+      });
+
+      it.each(currencies)('should make card brand amounts add up exactly to totalAmount in %s', (reportingCurrency) => {
+        const metrics = calculateMetrics(manyTransactions, { reportingCurrency });
+        const brandAmounts = Object.values(metrics.byCardBrand).map(entry => entry.amount);
+
+        expect(sumOf(brandAmounts)).toBe(metrics.totalAmount);
+        expect(sumOf([metrics.approvedAmount, metrics.declinedAmount])).toBe(metrics.totalAmount);
+      });
+
+      it('should make decline reason amounts add up exactly to declinedAmount', () => {
+        const metrics = calculateMetrics(manyTransactions, { reportingCurrency: 'EUR' });
+        const reasonAmounts = Object.values(metrics.byDeclineReason).map(entry => entry.amount);
+
+        expect(sumOf(reasonAmounts)).toBe(metrics.declinedAmount);
+      });
+
+      it('should report every amount in whole cents', () => {
+        const metrics = calculateMetrics(manyTransactions, { reportingCurrency: 'GBP' });
+        const amounts = [
+          metrics.totalAmount,
+          metrics.netVolume,
+          ...Object.values(metrics.byCardBrand).map(entry => entry.amount),
+          ...Object.values(metrics.byDeclineReason).map(entry => entry.amount),
+          ...Object.values(metrics.byCurrency).map(entry => entry.totalAmount)
+        ];
+
+        amounts.forEach(amount => {
+          expect(fromMinorUnits(toMinorUnits(amount))).toBe(amount);
+        });
+      });
+
+      it('should total each original currency exactly', () => {
+        const { byCurrency } = calculateMetrics(manyTransactions);
+
+        currencies.forEach(currency => {
+          const expected = sumOf(manyTransactions.filter(t => t.currency === currency).map(t => t.amount));
+          expect(byCurrency[currency].totalAmount).toBe(expected);
+        });
+      });
     });
   });
 
@@ -228,6 +418,26 @@ describe('Aggregation Service', () => {
       expect(mtd.approvedAmount).toBe(250.00); // 100 + 150
       expect(mtd.declinedAmount).toBe(200.00); // 200
     });
+
+    it('should use the time zone for the current month and its transactions', () => {
+      // 2026-03-01T03:00Z: March in UTC, still February in New York
+      jest.setSystemTime(new Date('2026-03-01T03:00:00.000Z'));
+      const lateFebruary = {
+        ...mockTransactions[0],
+        transactionId: 'TXN-LATE',
+        transactionDate: '2026-03-01T02:00:00.000Z'
+      };
+
+      const utc = calculateMTDSummary([...mockTransactions, lateFebruary], { timeZone: 'UTC' });
+      const newYork = calculateMTDSummary([...mockTransactions, lateFebruary], { timeZone: 'America/New_York' });
+
+      expect(utc.month).toBe('2026-03');
+      expect(utc.totalTransactions).toBe(1);
+      expect(newYork.month).toBe('2026-02');
+      expect(newYork.totalTransactions).toBe(4);
+
+      jest.setSystemTime(new Date('2026-02-15T12:00:00.000Z'));
+    });
   });
 
   describe('calculateMonthByMonthSummary', () => {
@@ -283,5 +493,79 @@ describe('Aggregation Service', () => {
       const monthly = calculateMonthByMonthSummary([]);
       expect(monthly).toEqual([]);
     });
+
+    it('should bucket months in the given time zone', () => {
+      const boundary = [{
+        ...mockTransactions[0],
+        transactionDate: '2026-01-31T22:00:00.000Z'
+      }];
+
+      expect(calculateMonthByMonthSummary(boundary, { timeZone: 'UTC' })[0].month).toBe('2026-01');
+      expect(calculateMonthByMonthSummary(boundary, { timeZone: 'Europe/Berlin' })[0].month).toBe('2026-01');
+      expect(calculateMonthByMonthSummary(boundary, { timeZone: 'Asia/Kolkata' })[0].month).toBe('2026-02');
+    });
+  });
+
+  describe('calculateTimeSeries', () => {
+    it('should return ascending buckets with zero-filled gaps', () => {
+      const series = calculateTimeSeries(mockTransactions, { granularity: 'month', timeZone: 'UTC' });
+
+      expect(series.map(b => b.period)).toEqual(['2025-12', '2026-01', '2026-02']);
+      expect(series.map(b => b.totalTransactions)).toEqual([1, 2, 3]);
+      expect(series[0]).toMatchObject({ label: 'Dec 2025', start: '2025-12-01T00:00:00.000Z' });
+    });
+
+    it('should fill empty days with zero metrics', () => {
+      const series = calculateTimeSeries(mockTransactions, {
+        granularity: 'day',
+        timeZone: 'UTC',
+        from: new Date('2026-02-01T00:00:00.000Z'),
+        to: new Date('2026-02-10T23:59:59.999Z')
+      });
+
+      expect(series).toHaveLength(10);
+      const empty = series.find(b => b.period === '2026-02-02');
+      expect(empty).toMatchObject({
+        totalTransactions: 0,
+        totalAmount: 0,
+        byCardBrand: {},
+        byDeclineReason: {}
+      });
+      expect(series.reduce((sum, b) => sum + b.totalTransactions, 0)).toBe(3);
+    });
+
+    it('should cover the requested range even without transactions', () => {
+      const series = calculateTimeSeries([], {
+        granularity: 'quarter',
+        timeZone: 'UTC',
+        from: new Date('2025-01-01T00:00:00.000Z'),
+        to: new Date('2025-12-31T23:59:59.999Z')
+      });
+
+      expect(series.map(b => b.period)).toEqual(['2025-Q1', '2025-Q2', '2025-Q3', '2025-Q4']);
+    });
+
+    it('should return an empty series without transactions or range', () => {
+      expect(calculateTimeSeries([], { granularity: 'day', timeZone: 'UTC' })).toEqual([]);
+    });
+
+    it('should report bucket starts as instants in the time zone', () => {
+      const series = calculateTimeSeries(mockTransactions.slice(0, 1), {
+        granularity: 'day',
+        timeZone: 'Asia/Tokyo'
+      });
+
+      expect(series[0].period).toBe('2026-02-01');
+      expect(series[0].start).toBe('2026-01-31T15:00:00.000Z');
+    });
+
+    it('should refuse ranges with too many buckets', () => {
+      expect(() => calculateTimeSeries([], {
+        granularity: 'hour',
+        timeZone: 'UTC',
+        from: new Date('2020-01-01T00:00:00.000Z'),
+        to: new Date('2026-01-01T00:00:00.000Z')
+      })).toThrow(`more than ${MAX_BUCKETS} hour buckets`);
+    });
   });
 });
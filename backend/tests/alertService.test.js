@@ -0,0 +1,399 @@
+/**
+ * Unit Tests for the Alert Service
+ *
+ * Rules are written to a temporary file and evaluated at fixed times in UTC.
+ * Webhooks point at the discard port; the tests only look at which
+ * deliveries were created.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { setTransactions, insertTransactions } = require('../src/data/dataStore');
+const { setWebhookStore, listDeliveries, resetWebhooks } = require('../src/services/webhookService');
+const {
+  parseWindow,
+  validateRule,
+  loadAlertRules,
+  setAlertStore,
+  listRules,
+  findRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  measureRule,
+  evaluateAlerts,
+  listHistory,
+  resetAlerts
+} = require('../src/services/alertService');
+
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+const hoursBefore = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+let sequence = 0;
+
+/**
+ * Build a payment for MERCH-001
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} Transaction
+ */
+function payment(overrides = {}) {
+  sequence += 1;
+  return {
+    transactionId: `TXN-ALR-${sequence}`,
+    merchantId: 'MERCH-001',
+    amount: 100.00,
+    cardBrand: 'Amex',
+    status: 'Approved',
+    transactionDate: hoursBefore(0.5),
+    ...overrides
+  };
+}
+
+const declined = (overrides = {}) => payment({
+  status: 'Declined',
+  declineReasonCode: '01-Insufficient funds',
+  ...overrides
+});
+
+const amexDeclines = {
+  name: 'Amex declines',
+  metric: 'declineRate',
+  window: '1h',
+  filters: { cardBrand: ['Amex'] },
+  operator: '>',
+  threshold: 25
+};
+
+const waitForEvaluation = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('Alert Service', () => {
+  const originalConfig = { ...config.alerts };
+  const originalTimeZone = config.timeZone;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+    Object.assign(config.alerts, { filePath: path.join(tempDir, 'alerts.json'), historySize: 100 });
+    config.timeZone = 'UTC';
+    resetAlerts();
+    resetWebhooks();
+    setWebhookStore({});
+    setTransactions([]);
+  });
+
+  afterEach(() => {
+    resetAlerts();
+    resetWebhooks();
+    Object.assign(config.alerts, originalConfig);
+    config.timeZone = originalTimeZone;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseWindow', () => {
+    it('should parse month-to-date and rolling windows', () => {
+      expect(parseWindow('mtd')).toEqual({ type: 'mtd' });
+      expect(parseWindow('1h')).toEqual({ type: 'rolling', ms: 60 * 60 * 1000 });
+      expect(parseWindow('2w')).toEqual({ type: 'rolling', ms: 14 * 24 * 60 * 60 * 1000 });
+    });
+
+    it('should reject malformed, empty and overlong windows', () => {
+      ['1m', 'h', '0h', '91d', '1.5h', 5, undefined].forEach(window => {
+        expect(parseWindow(window)).toBeNull();
+      });
+    });
+  });
+
+  describe('validateRule', () => {
+    it('should accept a complete rule', () => {
+      expect(validateRule(amexDeclines)).toEqual([]);
+      expect(validateRule({
+        name: 'Slow month',
+        metric: 'grossVolume',
+        window: 'mtd',
+        compareTo: 'priorMonth',
+        operator: '<',
+        threshold: 70,
+        merchantId: 'MERCH-001',
+        minTransactions: 10,
+        enabled: false
+      })).toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+      const details = validateRule({
+        name: '',
+        metric: 'profit',
+        window: '1y',
+        operator: '!=',
+        threshold: '25',
+        filters: { cardBrand: ['Diners'], country: ['US'] },
+        minTransactions: -1,
+        enabled: 'yes',
+        color: 'red'
+      });
+
+      expect(details.map(d => d.field)).toEqual([
+        'color', 'name', 'metric', 'operator', 'threshold', 'window', 'filters', 'filters', 'minTransactions', 'enabled'
+      ]);
+    });
+
+    it('should only allow comparisons on month-to-date windows', () => {
+      expect(validateRule({ ...amexDeclines, compareTo: 'priorMonth' })).toEqual([
+        { field: 'compareTo', message: 'compareTo needs window "mtd"' }
+      ]);
+      expect(validateRule({ ...amexDeclines, window: 'mtd', compareTo: 'lastWeek' })[0].field).toBe('compareTo');
+    });
+
+    it('should not let a merchant name another merchant', () => {
+      expect(validateRule({ ...amexDeclines, merchantId: 'MERCH-002' }, 'MERCH-001')[0].field).toBe('merchantId');
+      expect(validateRule({ ...amexDeclines, merchantId: 'MERCH-001' }, 'MERCH-001')).toEqual([]);
+    });
+  });
+
+  describe('rule storage', () => {
+    it('should create, update and delete rules in the rule file', () => {
+      const rule = createRule(amexDeclines);
+      expect(rule).toEqual(expect.objectContaining({
+        ...amexDeclines,
+        merchantId: null,
+        compareTo: null,
+        minTransactions: 0,
+        enabled: true
+      }));
+      expect(rule.id).toMatch(/^alr_[0-9a-f]{16}$/);
+      expect(loadAlertRules(config.alerts.filePath).get(rule.id).name).toBe('Amex declines');
+
+      const updated = updateRule(rule.id, { ...amexDeclines, threshold: 40 });
+      expect(updated).toEqual(expect.objectContaining({ id: rule.id, threshold: 40, createdAt: rule.createdAt }));
+      expect(loadAlertRules(config.alerts.filePath).get(rule.id).threshold).toBe(40);
+
+      expect(deleteRule(rule.id)).toBe(true);
+      expect(deleteRule(rule.id)).toBe(false);
+      expect(loadAlertRules(config.alerts.filePath).size).toBe(0);
+    });
+
+    it('should reject invalid rules with field details', () => {
+      expect(() => createRule({ ...amexDeclines, metric: 'profit' })).toThrow(
+        expect.objectContaining({ status: 400, details: [expect.objectContaining({ field: 'metric' })] })
+      );
+      expect(listRules()).toEqual([]);
+    });
+
+    it('should pin rules to the merchant scope and hide other merchants\' rules', () => {
+      const own = createRule(amexDeclines, 'MERCH-001');
+      const global = createRule(amexDeclines);
+
+      expect(own.merchantId).toBe('MERCH-001');
+      expect(listRules('MERCH-001').map(r => r.id)).toEqual([own.id]);
+      expect(listRules().map(r => r.id)).toEqual([own.id, global.id]);
+      expect(findRule(global.id, 'MERCH-001')).toBeNull();
+      expect(updateRule(global.id, amexDeclines, 'MERCH-001')).toBeNull();
+      expect(deleteRule(global.id, 'MERCH-001')).toBe(false);
+    });
+
+    it('should refuse a rule file with invalid or duplicate rules', () => {
+      expect(() => setAlertStore({ rules: [{ id: 'alr_1', ...amexDeclines, window: 'forever' }] })).toThrow('alr_1');
+      expect(() => setAlertStore({ rules: [{ id: 'alr_1', ...amexDeclines }, { id: 'alr_1', ...amexDeclines }] }))
+        .toThrow('more than once');
+    });
+  });
+
+  describe('measureRule', () => {
+    it('should measure a rolling window with the rule\'s filters', () => {
+      setTransactions([
+        payment(),
+        declined(),
+        declined({ cardBrand: 'Visa' }),
+        declined({ transactionDate: hoursBefore(2) })
+      ]);
+      setAlertStore({ rules: [{ id: 'alr_1', ...amexDeclines }] });
+
+      const { value, current } = measureRule(findRule('alr_1'), NOW);
+
+      expect(value).toBe(50);
+      expect(current).toEqual({
+        start: hoursBefore(1),
+        end: NOW.toISOString(),
+        totalTransactions: 2,
+        value: 50
+      });
+    });
+
+    it('should only count the rule\'s merchant', () => {
+      setTransactions([payment(), declined({ merchantId: 'MERCH-002' })]);
+      setAlertStore({ rules: [{ id: 'alr_1', ...amexDeclines, merchantId: 'MERCH-001' }] });
+
+      expect(measureRule(findRule('alr_1'), NOW).value).toBe(0);
+    });
+
+    it('should have no value below the minimum number of transactions or without any', () => {
+      setTransactions([declined()]);
+      setAlertStore({
+        rules: [
+          { id: 'alr_1', ...amexDeclines, minTransactions: 2 },
+          { id: 'alr_2', ...amexDeclines, filters: { cardBrand: ['Visa'] } }
+        ]
+      });
+
+      expect(measureRule(findRule('alr_1'), NOW).value).toBeNull();
+      expect(measureRule(findRule('alr_2'), NOW).value).toBeNull();
+    });
+
+    it('should compare month-to-date volume with the same part of the prior month', () => {
+      setTransactions([
+        payment({ amount: 60, transactionDate: '2026-03-02T10:00:00.000Z' }),
+        payment({ amount: 100, transactionDate: '2026-02-05T10:00:00.000Z' }),
+        // After the same point of February, so not compared
+        payment({ amount: 500, transactionDate: '2026-02-20T10:00:00.000Z' })
+      ]);
+      setAlertStore({
+        rules: [{
+          id: 'alr_1',
+          name: 'Slow month',
+          metric: 'grossVolume',
+          window: 'mtd',
+          compareTo: 'priorMonth',
+          operator: '<',
+          threshold: 70
+        }]
+      });
+
+      const { value, current, comparison } = measureRule(findRule('alr_1'), NOW);
+
+      expect(value).toBe(60);
+      expect(current).toEqual(expect.objectContaining({ start: '2026-03-01T00:00:00.000Z', value: 60 }));
+      expect(comparison).toEqual({
+        start: '2026-02-01T00:00:00.000Z',
+        end: '2026-02-10T12:00:00.000Z',
+        totalTransactions: 1,
+        value: 100
+      });
+    });
+  });
+
+  describe('evaluateAlerts', () => {
+    beforeEach(() => {
+      setWebhookStore({
+        webhooks: [{ id: 'wh_test', url: 'http://127.0.0.1:9/hooks', events: ['alert.firing', 'alert.resolved'], secret: 'x'.repeat(16) }]
+      });
+    });
+
+    it('should fire once when a rule is breached and resolve when it recovers', () => {
+      setAlertStore({ rules: [{ id: 'alr_1', ...amexDeclines, merchantId: 'MERCH-001' }] });
+      expect(findRule('alr_1').status.state).toBe('pending');
+
+      setTransactions([payment(), declined()]);
+      evaluateAlerts({ now: NOW });
+      evaluateAlerts({ now: NOW });
+
+      const firing = findRule('alr_1').status;
+      expect(firing).toEqual(expect.objectContaining({ state: 'firing', value: 50, since: NOW.toISOString() }));
+
+      setTransactions([payment(), payment(), payment(), payment(), declined()]);
+      const later = new Date(NOW.getTime() + 60 * 1000);
+      evaluateAlerts({ now: later });
+
+      expect(findRule('alr_1').status).toEqual(expect.objectContaining({ state: 'ok', value: 20, since: later.toISOString() }));
+      expect(listHistory().map(entry => [entry.state, entry.value])).toEqual([['resolved', 20], ['firing', 50]]);
+      expect(listHistory()[1]).toEqual(expect.objectContaining({
+        ruleId: 'alr_1',
+        ruleName: 'Amex declines',
+        merchantId: 'MERCH-001',
+        metric: 'declineRate',
+        operator: '>',
+        threshold: 25,
+        at: NOW.toISOString()
+      }));
+
+      const deliveries = listDeliveries();
+      expect(deliveries.map(d => [d.event, d.payload.data.merchantId])).toEqual([
+        ['alert.resolved', 'MERCH-001'],
+        ['alert.firing', 'MERCH-001']
+      ]);
+      expect(deliveries[1].payload.data).toEqual(expect.objectContaining({ ruleId: 'alr_1', state: 'firing', value: 50 }));
+    });
+
+    it('should not record a resolution for a rule that was never firing', () => {
+      setAlertStore({ rules: [{ id: 'alr_1', ...amexDeclines }] });
+      setTransactions([payment()]);
+
+      evaluateAlerts({ now: NOW });
+
+      expect(findRule('alr_1').status.state).toBe('ok');
+      expect(listHistory()).toEqual([]);
+    });
+
+    it('should leave disabled rules pending', () => {
+      setAlertStore({ rules: [{ id: 'alr_1', ...amexDeclines, enabled: false }] });
+      setTransactions([declined()]);
+
+      evaluateAlerts({ now: NOW });
+
+      expect(findRule('alr_1').status.state).toBe('pending');
+    });
+
+    it('should start a changed rule over without a resolution', () => {
+      setTransactions([declined({ transactionDate: new Date().toISOString() })]);
+      const rule = createRule(amexDeclines);
+      expect(rule.status.state).toBe('firing');
+
+      const updated = updateRule(rule.id, { ...amexDeclines, threshold: 100 });
+
+      expect(updated.status.state).toBe('ok');
+      expect(listHistory().map(entry => entry.state)).toEqual(['firing']);
+    });
+
+    it('should evaluate rules again after new transactions arrive', async () => {
+      createRule(amexDeclines);
+      expect(listRules()[0].status.state).toBe('ok');
+
+      insertTransactions([declined({ transactionDate: new Date().toISOString() })]);
+      await waitForEvaluation();
+
+      expect(listRules()[0].status.state).toBe('firing');
+    });
+
+    it('should not fail a data change when the rules cannot be read', () => {
+      fs.writeFileSync(config.alerts.filePath, '{ not json');
+      // Read the file again on the next change
+      resetAlerts();
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        expect(() => insertTransactions([declined()])).not.toThrow();
+        expect(consoleError).toHaveBeenCalledWith('Data change listener failed (insert):', expect.stringContaining('Could not load alert rules'));
+      } finally {
+        consoleError.mockRestore();
+      }
+    });
+  });
+
+  describe('listHistory', () => {
+    it('should filter by rule, state and merchant, newest first, and stay bounded', () => {
+      config.alerts.historySize = 3;
+      setAlertStore({
+        rules: [
+          { id: 'alr_1', ...amexDeclines, merchantId: 'MERCH-001' },
+          { id: 'alr_2', ...amexDeclines, merchantId: 'MERCH-002' }
+        ]
+      });
+
+      setTransactions([declined(), declined({ merchantId: 'MERCH-002' })]);
+      evaluateAlerts({ now: NOW });
+      setTransactions([]);
+      evaluateAlerts({ now: NOW });
+
+      expect(listHistory().map(entry => [entry.ruleId, entry.state])).toEqual([
+        ['alr_2', 'resolved'],
+        ['alr_1', 'resolved'],
+        ['alr_2', 'firing']
+      ]);
+      expect(listHistory({ ruleId: 'alr_1' })).toHaveLength(1);
+      expect(listHistory({ state: ['firing'] }).map(entry => entry.ruleId)).toEqual(['alr_2']);
+      expect(listHistory({ merchantScope: 'MERCH-002' })).toHaveLength(2);
+      expect(listHistory({ limit: 1 })).toHaveLength(1);
+    });
+  });
+});
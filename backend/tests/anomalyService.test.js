@@ -0,0 +1,256 @@
+/**
+ * Unit Tests for the Anomaly Detection Service
+ *
+ * Series are built from generated payments in UTC, evaluated at a fixed time.
+ */
+
+const {
+  DEFAULT_OPTIONS,
+  resolveAnomalyRange,
+  detectAnomalies
+} = require('../src/services/anomalyService');
+const { parseAnomalyParams } = require('../src/utils/anomalyParams');
+const { partitionRecords } = require('../src/utils/transactionSchema');
+const { createDailyPayments } = require('./helpers/dailyPayments');
+
+// A Wednesday
+const NOW = new Date('2026-03-11T12:00:00.000Z');
+const FROM = new Date('2026-03-01T00:00:00.000Z');
+
+// Histories run up to and including the day of NOW
+const { paymentsOn, history } = createDailyPayments({ idPrefix: 'TXN-ANM', until: NOW });
+
+const detect = (transactions, options = {}) => detectAnomalies(transactions, {
+  timeZone: 'UTC',
+  reportingCurrency: 'USD',
+  from: FROM,
+  now: NOW,
+  ...options
+});
+
+describe('Anomaly Service', () => {
+  describe('resolveAnomalyRange', () => {
+    it('should start at the bucket of `from` and reach back for the baselines', () => {
+      const range = resolveAnomalyRange({
+        from: new Date('2026-03-01T15:30:00.000Z'),
+        granularity: 'day',
+        timeZone: 'UTC',
+        baselineWeeks: 8,
+        now: NOW
+      });
+
+      expect(range).toEqual({
+        from: new Date('2026-03-01T00:00:00.000Z'),
+        to: NOW,
+        historyStart: new Date('2026-01-04T00:00:00.000Z')
+      });
+    });
+
+    it('should check the last 30 days, or 7 for hourly buckets, by default', () => {
+      const daily = resolveAnomalyRange({ granularity: 'day', timeZone: 'UTC', baselineWeeks: 1, now: NOW });
+      const hourly = resolveAnomalyRange({ granularity: 'hour', timeZone: 'UTC', baselineWeeks: 1, now: NOW });
+
+      expect(daily.from).toEqual(new Date('2026-02-09T00:00:00.000Z'));
+      expect(hourly.from).toEqual(new Date('2026-03-04T12:00:00.000Z'));
+    });
+
+    it('should follow bucket boundaries in the time zone', () => {
+      const range = resolveAnomalyRange({
+        from: new Date('2026-03-01T04:00:00.000Z'),
+        granularity: 'day',
+        timeZone: 'America/New_York',
+        baselineWeeks: 1,
+        now: NOW
+      });
+
+      expect(range.from).toEqual(new Date('2026-02-28T05:00:00.000Z'));
+    });
+  });
+
+  describe('generated payments', () => {
+    it('should all pass the transaction schema', () => {
+      const transactions = history('2026-03-01', day => paymentsOn(day, { count: 4, declines: 2 }));
+      const { valid, quarantined } = partitionRecords(transactions);
+
+      expect(quarantined).toEqual([]);
+      expect(valid).toHaveLength(transactions.length);
+    });
+  });
+
+  describe('detectAnomalies', () => {
+    it('should flag a decline rate spike for the card brand, the total and the decline reason', () => {
+      const transactions = history('2026-01-04', day => [
+        ...paymentsOn(day, { cardBrand: 'Visa', count: 20, declines: 2 }),
+        ...paymentsOn(day, { cardBrand: 'Discover', count: 20, declines: day === '2026-03-03' ? 12 : 2 })
+      ]);
+
+      const result = detect(transactions, { metrics: ['declineRate'] });
+
+      expect(result).toEqual(expect.objectContaining({
+        from: FROM.toISOString(),
+        to: NOW.toISOString(),
+        buckets: 10,
+        segments: 4
+      }));
+      expect(result.anomalies.map(a => [a.period, a.dimension, a.segment])).toEqual([
+        ['2026-03-03', 'cardBrand', 'Discover'],
+        ['2026-03-03', 'total', null],
+        ['2026-03-03', 'declineReasonCode', '01-Insufficient funds']
+      ]);
+      expect(result.anomalies[0]).toEqual({
+        period: '2026-03-03',
+        label: 'Mar 3, 2026',
+        start: '2026-03-03T00:00:00.000Z',
+        dimension: 'cardBrand',
+        segment: 'Discover',
+        metric: 'declineRate',
+        value: 60,
+        expected: 10,
+        stdDev: 0,
+        zScore: 50,
+        direction: 'above',
+        baselineSamples: 8
+      });
+      // The reason's declines are measured against all payments
+      expect(result.anomalies[2]).toEqual(expect.objectContaining({ value: 35, expected: 10 }));
+    });
+
+    it('should compare each bucket with the same weekday only', () => {
+      // Tuesdays are always twice as busy; the Tuesday of Mar 10 is not
+      const transactions = history('2026-01-04', (day, date) => {
+        const tuesday = date.getUTCDay() === 2;
+        return paymentsOn(day, { cardBrand: 'Visa', count: tuesday && day !== '2026-03-10' ? 40 : 20 });
+      });
+
+      const { anomalies } = detect(transactions, { metrics: ['totalAmount'], dimensions: ['total'] });
+
+      expect(anomalies).toEqual([
+        expect.objectContaining({
+          period: '2026-03-10',
+          value: 2000,
+          expected: 4000,
+          direction: 'below'
+        })
+      ]);
+    });
+
+    it('should flag a day without any transactions', () => {
+      const transactions = history('2026-01-04', day => (
+        day === '2026-03-05' ? [] : paymentsOn(day, { cardBrand: 'Visa', count: 20 })
+      ));
+
+      const { anomalies } = detect(transactions, { metrics: ['totalTransactions'], dimensions: ['total'] });
+
+      expect(anomalies).toEqual([expect.objectContaining({ period: '2026-03-05', value: 0, direction: 'below' })]);
+    });
+
+    it('should tolerate ordinary variation', () => {
+      const transactions = history('2026-01-04', (day, date) => (
+        paymentsOn(day, { cardBrand: 'Visa', count: 20 + (date.getUTCDate() % 3) })
+      ));
+
+      expect(detect(transactions, { metrics: ['totalTransactions'] }).anomalies).toEqual([]);
+    });
+
+    it('should honor the threshold', () => {
+      const transactions = history('2026-01-04', (day, date) => (
+        paymentsOn(day, { cardBrand: 'Visa', count: day === '2026-03-04' ? 23 : 20 + (date.getUTCDate() % 2) })
+      ));
+      const options = { metrics: ['totalTransactions'], dimensions: ['total'] };
+
+      expect(detect(transactions, options).anomalies).toEqual([]);
+      expect(detect(transactions, { ...options, threshold: 2 }).anomalies.map(a => a.period)).toEqual(['2026-03-04']);
+    });
+
+    it('should skip decline rates of quiet buckets and buckets without enough history', () => {
+      const quiet = history('2026-01-04', day => (
+        paymentsOn(day, { cardBrand: 'Visa', count: 5, declines: day === '2026-03-03' ? 5 : 0 })
+      ));
+      const recent = history('2026-02-15', day => (
+        paymentsOn(day, { cardBrand: 'Visa', count: 20, declines: day === '2026-03-03' ? 15 : 0 })
+      ));
+      const options = { metrics: ['declineRate'], dimensions: ['total'] };
+
+      expect(detect(quiet, options).anomalies).toEqual([]);
+      expect(detect(quiet, { ...options, minTransactions: 5 }).anomalies).toHaveLength(1);
+      expect(detect(recent, options).anomalies).toEqual([]);
+    });
+
+    it('should use the same hour of the week for hourly buckets and skip the current hour', () => {
+      const now = new Date('2026-03-10T10:30:00.000Z');
+      // Nothing has come in yet during the hour that is still running
+      const transactions = history('2026-01-25', day => [
+        ...paymentsOn(day, { cardBrand: 'Visa', count: 5, hour: '09' }),
+        ...paymentsOn(day, { cardBrand: 'Visa', count: day === '2026-03-08' ? 25 : 5, hour: '10' })
+      ]).filter(t => t.transactionDate < '2026-03-10T10');
+
+      const { anomalies, buckets } = detectAnomalies(transactions, {
+        granularity: 'hour',
+        timeZone: 'UTC',
+        metrics: ['totalTransactions'],
+        dimensions: ['total'],
+        baselineWeeks: 4,
+        from: new Date('2026-03-08T00:00:00.000Z'),
+        now
+      });
+
+      expect(buckets).toBe(58);
+      expect(anomalies.map(a => [a.period, a.direction])).toEqual([['2026-03-08T10', 'above']]);
+    });
+
+    it('should order anomalies newest first', () => {
+      const transactions = history('2026-01-04', day => (
+        paymentsOn(day, { cardBrand: 'Visa', count: ['2026-03-02', '2026-03-06'].includes(day) ? 60 : 20 })
+      ));
+
+      const { anomalies } = detect(transactions, { metrics: ['totalTransactions', 'totalAmount'], dimensions: ['total'] });
+
+      expect(anomalies.map(a => [a.period, a.metric])).toEqual([
+        ['2026-03-06', 'totalTransactions'],
+        ['2026-03-06', 'totalAmount'],
+        ['2026-03-02', 'totalTransactions'],
+        ['2026-03-02', 'totalAmount']
+      ]);
+    });
+  });
+
+  describe('parseAnomalyParams', () => {
+    it('should apply the defaults', () => {
+      expect(parseAnomalyParams({})).toEqual({
+        granularity: 'day',
+        metrics: DEFAULT_OPTIONS.metrics,
+        dimensions: DEFAULT_OPTIONS.dimensions,
+        threshold: 3,
+        baselineWeeks: 8
+      });
+    });
+
+    it('should parse every option', () => {
+      expect(parseAnomalyParams({
+        granularity: 'HOUR',
+        metric: 'totalDeclined,declineRate',
+        dimension: 'cardBrand',
+        threshold: '2.5',
+        baselineWeeks: '4'
+      })).toEqual({
+        granularity: 'hour',
+        metrics: ['totalDeclined', 'declineRate'],
+        dimensions: ['cardBrand'],
+        threshold: 2.5,
+        baselineWeeks: 4
+      });
+    });
+
+    it('should report every invalid option', () => {
+      expect(() => parseAnomalyParams({
+        granularity: 'week',
+        metric: 'netVolume',
+        dimension: 'currency',
+        threshold: '0',
+        baselineWeeks: '27'
+      })).toThrow(expect.objectContaining({
+        details: ['granularity', 'metric', 'dimension', 'threshold', 'baselineWeeks'].map(field => expect.objectContaining({ field }))
+      }));
+    });
+  });
+});
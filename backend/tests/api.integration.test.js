@@ -2,9 +2,20 @@
  * Integration Tests for Transaction API
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
 const request = require('supertest');
 const app = require('../src/app');
-const { setTransactions } = require('../src/data/dataStore');
+const config = require('../src/config');
+const { setTransactions, findTransaction } = require('../src/data/dataStore');
+const { hashApiKey, hashPassword, setAuthStore } = require('../src/services/authService');
+const { resetRateLimits } = require('../src/middleware/rateLimit');
+const { resetCache } = require('../src/services/aggregationCache');
+const { verifySignature, resetWebhooks } = require('../src/services/webhookService');
+const { resetWebhookEvents } = require('../src/services/webhookEvents');
+const { resetAlerts } = require('../src/services/alertService');
 
 // Sample test data
 const mockTransactions = [
@@ -52,10 +63,41 @@ const mockTransactions = [
   }
 ];
 
+// API keys for the authentication tests, by name
+const testKeys = {
+  admin: 'key-admin',
+  analyst: 'key-analyst',
+  viewer: 'key-viewer',
+  merchantAnalyst: 'key-merchant-analyst',
+  merchantAdmin: 'key-merchant-admin'
+};
+
+const testCredentials = {
+  apiKeys: [
+    { id: 'admin', keyHash: hashApiKey(testKeys.admin), role: 'admin' },
+    { id: 'analyst', keyHash: hashApiKey(testKeys.analyst), role: 'analyst' },
+    { id: 'viewer', keyHash: hashApiKey(testKeys.viewer), role: 'viewer' },
+    { id: 'merchant-analyst', keyHash: hashApiKey(testKeys.merchantAnalyst), role: 'analyst', merchantId: 'MERCH-001' },
+    { id: 'merchant-admin', keyHash: hashApiKey(testKeys.merchantAdmin), role: 'admin', merchantId: 'MERCH-001' }
+  ],
+  users: [
+    { username: 'dana', passwordHash: hashPassword('correct horse'), role: 'viewer', merchantId: 'MERCH-001' }
+  ]
+};
+
 describe('Transaction API Integration Tests', () => {
   beforeAll(() => {
     // Set up mock data before tests
     setTransactions(mockTransactions);
+    // Authentication and rate limiting have their own blocks below; everything
+    // else runs as an unrestricted admin
+    config.auth.enabled = false;
+    config.rateLimit.enabled = false;
+  });
+
+  afterAll(() => {
+    config.auth.enabled = true;
+    config.rateLimit.enabled = true;
   });
 
   describe('GET /api/health', () => {
@@ -78,6 +120,108 @@ describe('Transaction API Integration Tests', () => {
       expect(response.body.data).toHaveLength(5);
     });
 
+    it('should include total and pagination metadata', async () => {
+      const response = await request(app).get('/api/transactions');
+      
+      expect(response.body.total).toBe(5);
+      expect(response.body.pagination).toEqual({
+        limit: 100,
+        nextCursor: null,
+        prevCursor: null
+      });
+    });
+
+    it('should page through results with cursors', async () => {
+      const first = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '2', sort: 'amount:desc' });
+      
+      expect(first.status).toBe(200);
+      expect(first.body.count).toBe(2);
+      expect(first.body.total).toBe(5);
+      expect(first.body.data.map(t => t.amount)).toEqual([400, 300]);
+      expect(first.body.pagination.prevCursor).toBeNull();
+      
+      const second = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '2', sort: 'amount:desc', cursor: first.body.pagination.nextCursor });
+      
+      expect(second.body.data.map(t => t.amount)).toEqual([200, 150]);
+      
+      const last = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '2', sort: 'amount:desc', cursor: second.body.pagination.nextCursor });
+      
+      expect(last.body.data.map(t => t.amount)).toEqual([100]);
+      expect(last.body.pagination.nextCursor).toBeNull();
+
+      const back = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '2', sort: 'amount:desc', cursor: last.body.pagination.prevCursor });
+
+      expect(back.body.data).toEqual(second.body.data);
+    });
+
+    it('should keep paging from the last row seen when transactions are added', async () => {
+      const first = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '2', sort: 'amount:desc' });
+
+      try {
+        await request(app)
+          .post('/api/transactions')
+          .send({ ...mockTransactions[0], transactionId: 'TXN-BIG', amount: 999 })
+          .expect(201);
+        const second = await request(app)
+          .get('/api/transactions')
+          .query({ limit: '2', sort: 'amount:desc', cursor: first.body.pagination.nextCursor });
+
+        expect(second.body.data.map(t => t.amount)).toEqual([200, 150]);
+      } finally {
+        setTransactions(mockTransactions);
+      }
+    });
+
+    it('should reject a cursor used with another sort', async () => {
+      const first = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '2', sort: 'amount:desc' });
+
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '2', sort: 'amount:asc', cursor: first.body.pagination.nextCursor });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('cursor');
+    });
+
+    it('should sort by multiple keys', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ sort: 'cardBrand:asc,transactionDate:desc' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(t => t.transactionId)).toEqual(['TXN-004', 'TXN-005', 'TXN-002', 'TXN-003', 'TXN-001']);
+    });
+
+    it('should project requested fields', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ fields: 'transactionId,amount', limit: '1' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([{ transactionId: 'TXN-001', amount: 100 }]);
+    });
+
+    it('should reject invalid pagination parameters', async () => {
+      const badSort = await request(app).get('/api/transactions').query({ sort: 'amount:sideways' });
+      expect(badSort.status).toBe(400);
+      
+      const badCursor = await request(app).get('/api/transactions').query({ cursor: '!!!' });
+      expect(badCursor.status).toBe(400);
+      expect(badCursor.body.success).toBe(false);
+    });
+
     it('should filter by cardBrand', async () => {
       const response = await request(app)
         .get('/api/transactions')
@@ -122,6 +266,120 @@ describe('Transaction API Integration Tests', () => {
       expect(response.body.data[0].cardBrand).toBe('Mastercard');
       expect(response.body.data[0].status).toBe('Declined');
     });
+
+    it('should filter by date range', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ from: '2026-02-01', to: '2026-02-05' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-002']);
+    });
+
+    it('should filter by comma-separated card brands', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ cardBrand: 'Visa,Mastercard' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(3);
+      expect(response.body.data.every(t => ['Visa', 'Mastercard'].includes(t.cardBrand))).toBe(true);
+    });
+
+    it('should filter by repeated query parameters', async () => {
+      const response = await request(app)
+        .get('/api/transactions?cardBrand=Amex&cardBrand=Discover&status=Declined');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].transactionId).toBe('TXN-005');
+    });
+
+    it('should filter by amount range', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ minAmount: '200', maxAmount: '350', currency: 'USD' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.every(t => t.amount >= 200 && t.amount <= 350)).toBe(true);
+    });
+
+    it('should filter by an amount range without a currency in the reporting currency', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ minAmount: '300' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(t => t.amount).sort()).toEqual([300, 400]);
+    });
+
+    it('should filter by merchantId', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ merchantId: 'MERCH-004' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].transactionId).toBe('TXN-004');
+    });
+
+    it('should reject a non-numeric amount', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ minAmount: 'lots' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('minAmount');
+    });
+
+    it('should reject a repeated or empty merchantId or originalTransactionId', async () => {
+      for (const query of ['merchantId=MERCH-001&merchantId=MERCH-002', 'merchantId=', 'originalTransactionId=TXN-001&originalTransactionId=TXN-002', 'originalTransactionId[a]=TXN-001']) {
+        const response = await request(app).get(`/api/transactions?${query}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual([expect.objectContaining({ field: query.match(/^\w+/)[0] })]);
+      }
+    });
+
+    it('should reject an amount with fractions of a cent', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ maxAmount: '200.005' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('maxAmount');
+    });
+
+    it('should reject an inverted amount range', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ minAmount: '500', maxAmount: '100' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject an invalid date', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ from: 'yesterday' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('from');
+    });
+
+    it('should reject an inverted date range', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ from: '2026-02-10', to: '2026-02-01' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe('GET /api/transactions/summary', () => {
@@ -141,7 +399,44 @@ describe('Transaction API Integration Tests', () => {
         .query({ cardBrand: 'Visa' });
       
       expect(response.status).toBe(200);
-      expect(response.body.filters.cardBrand).toBe('Visa');
+      expect(response.body.filters.cardBrand).toEqual(['Visa']);
+    });
+
+    it('should report list filters as arrays', async () => {
+      const response = await request(app)
+        .get('/api/transactions/summary')
+        .query({ cardBrand: 'Visa,Amex', status: 'Approved' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.filters.cardBrand).toEqual(['Visa', 'Amex']);
+      expect(response.body.filters.status).toEqual(['Approved']);
+      expect(response.body.filters.declineReasonCode).toEqual([]);
+      const total = response.body.monthByMonth.reduce((sum, m) => sum + m.totalTransactions, 0);
+      expect(total).toBe(3);
+    });
+
+    it('should summarize high-ticket transactions only', async () => {
+      const response = await request(app)
+        .get('/api/transactions/summary')
+        .query({ minAmount: '300' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.filters.minAmount).toBe(300);
+      expect(response.body.filters.maxAmount).toBeNull();
+      const total = response.body.monthByMonth.reduce((sum, m) => sum + m.totalTransactions, 0);
+      expect(total).toBe(2);
+    });
+
+    it('should restrict summaries to the requested date range', async () => {
+      const response = await request(app)
+        .get('/api/transactions/summary')
+        .query({ from: '2026-01-01', to: '2026-01-31' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.filters.from).toBe('2026-01-01T00:00:00.000Z');
+      expect(response.body.filters.to).toBe('2026-01-31T23:59:59.999Z');
+      expect(response.body.monthByMonth).toHaveLength(1);
+      expect(response.body.monthByMonth[0].totalTransactions).toBe(2);
     });
   });
 
@@ -157,6 +452,15 @@ describe('Transaction API Integration Tests', () => {
       expect(response.body.data).toHaveProperty('byCardBrand');
       expect(response.body.data).toHaveProperty('byDeclineReason');
     });
+
+    it('should validate date parameters', async () => {
+      const response = await request(app)
+        .get('/api/transactions/mtd')
+        .query({ to: '2026-13-01' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe('GET /api/transactions/monthly', () => {
@@ -167,21 +471,1855 @@ describe('Transaction API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.data)).toBe(true);
     });
-  });
 
-  describe('GET /api/transactions/filters', () => {
-    it('should return available filter options', async () => {
-      const response = await request(app).get('/api/transactions/filters');
+    it('should accept relative date tokens', async () => {
+      const response = await request(app)
+        .get('/api/transactions/monthly')
+        .query({ from: '-30d' });
       
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.cardBrands).toContain('Visa');
-      expect(response.body.data.cardBrands).toContain('Mastercard');
-      expect(response.body.data.cardBrands).toContain('Amex');
-      expect(response.body.data.cardBrands).toContain('Discover');
-      expect(response.body.data.statuses).toContain('Approved');
-      expect(response.body.data.statuses).toContain('Declined');
-      expect(response.body.data.declineReasonCodes).toHaveLength(3);
+    });
+  });
+
+  describe('GET /api/transactions/export', () => {
+    // Collect binary responses (xlsx) into a Buffer
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    it('should export filtered transactions as CSV by default', async () => {
+      const response = await request(app)
+        .get('/api/transactions/export')
+        .query({ status: 'Declined' });
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="transactions-\d{4}-\d{2}-\d{2}\.csv"/);
+      
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('transactionId,merchantId,transactionDate,cardBrand,status,declineReasonCode,amount,currency,type,originalTransactionId');
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toBe('TXN-002,MERCH-002,2026-02-05T11:00:00.000Z,Mastercard,Declined,01-Insufficient funds,200,,,');
+    });
+
+    it('should export transactions as NDJSON', async () => {
+      const response = await request(app)
+        .get('/api/transactions/export')
+        .query({ format: 'ndjson', cardBrand: 'Visa' });
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/x-ndjson');
+      
+      const records = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(records.map(r => r.transactionId)).toEqual(['TXN-001', 'TXN-003']);
+    });
+
+    it('should export transactions as XLSX', async () => {
+      const response = await request(app)
+        .get('/api/transactions/export')
+        .query({ format: 'xlsx' })
+        .buffer(true)
+        .parse(binaryParser);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('spreadsheetml.sheet');
+      expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    it('should export the monthly summary flattened by card brand', async () => {
+      const response = await request(app)
+        .get('/api/transactions/export/summary')
+        .query({ format: 'csv' });
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('monthly-summary-');
+      
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('month,monthFormatted,cardBrand,totalTransactions,totalApproved,totalDeclined,totalAmount,reportingCurrency,approvalRate');
+      // Feb: Mastercard + Visa, Jan: Amex + Discover
+      expect(lines).toHaveLength(5);
+      expect(lines[1]).toBe('2026-02,Feb 2026,Mastercard,1,0,1,200,USD,0');
+    });
+
+    it('should reject unsupported formats', async () => {
+      const response = await request(app)
+        .get('/api/transactions/export')
+        .query({ format: 'pdf' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('format');
+    });
+
+    it('should validate filters before streaming', async () => {
+      const response = await request(app)
+        .get('/api/transactions/export/summary')
+        .query({ from: 'soon' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Time zone parameter', () => {
+    // 2026-02-01T05:00Z is still January 31 in Los Angeles
+    const boundaryTransaction = {
+      transactionId: 'TXN-TZ',
+      merchantId: 'MERCH-TZ',
+      amount: 10,
+      cardBrand: 'Visa',
+      status: 'Approved',
+      transactionDate: '2026-02-01T05:00:00.000Z'
+    };
+
+    beforeAll(() => {
+      setTransactions([boundaryTransaction]);
+    });
+
+    afterAll(() => {
+      setTransactions(mockTransactions);
+    });
+
+    it('should bucket months in the requested time zone', async () => {
+      const utc = await request(app).get('/api/transactions/monthly').query({ tz: 'UTC' });
+      const la = await request(app).get('/api/transactions/monthly').query({ tz: 'America/Los_Angeles' });
+
+      expect(utc.body.timeZone).toBe('UTC');
+      expect(utc.body.data[0].month).toBe('2026-02');
+      expect(la.body.timeZone).toBe('America/Los_Angeles');
+      expect(la.body.data[0].month).toBe('2026-01');
+    });
+
+    it('should default to the configured time zone', async () => {
+      const response = await request(app).get('/api/transactions/summary');
+
+      expect(response.body.timeZone).toBe(config.timeZone);
+    });
+
+    it('should reject unknown time zones', async () => {
+      const response = await request(app).get('/api/transactions/mtd').query({ tz: 'Nowhere/Special' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('tz');
+    });
+
+    it('should not accept tz on routes without month buckets', async () => {
+      const response = await request(app).get('/api/transactions').query({ tz: 'UTC' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/transactions/comparison', () => {
+    beforeAll(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      jest.setSystemTime(new Date('2026-02-08T18:00:00.000Z'));
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    it('should compare month-to-date with earlier periods', async () => {
+      const response = await request(app)
+        .get('/api/transactions/comparison')
+        .query({ tz: 'UTC' });
+
+      expect(response.status).toBe(200);
+      const { current, priorMonth, lastYear } = response.body.data;
+      expect(current.totalTransactions).toBe(3);
+      // Only TXN-004 (Jan 15) falls after Jan 8, so January to date is empty
+      expect(priorMonth.label).toBe('Jan 1–8, 2026');
+      expect(priorMonth.totalTransactions).toBe(0);
+      expect(priorMonth.deltas.totalTransactions).toEqual({ absolute: 3, percent: null });
+      expect(lastYear.label).toBe('Feb 1–8, 2025');
+    });
+
+    it('should apply filters to every period', async () => {
+      const response = await request(app)
+        .get('/api/transactions/comparison')
+        .query({ tz: 'UTC', cardBrand: 'Mastercard' });
+
+      expect(response.body.data.current.totalTransactions).toBe(1);
+      expect(Object.keys(response.body.data.current.byCardBrand)).toEqual(['Mastercard']);
+    });
+  });
+
+  describe('GET /api/transactions/forecast', () => {
+    beforeAll(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      jest.setSystemTime(new Date('2026-02-08T18:00:00.000Z'));
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    it('should project the current month to its end', async () => {
+      const response = await request(app)
+        .get('/api/transactions/forecast')
+        .query({ tz: 'UTC' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({ confidence: 95, historyWeeks: 8, timeZone: 'UTC' }));
+      const { month, daysRemaining, historyDays, metrics } = response.body.data;
+      expect(month).toBe('2026-02');
+      expect(daysRemaining).toBe(20.25);
+      // From TXN-004 on Jan 15 to yesterday
+      expect(historyDays).toBe(24);
+      expect(metrics.totalTransactions.actual).toBe(3);
+      ['totalAmount', 'totalTransactions', 'totalApproved', 'totalDeclined', 'approvalRate'].forEach(metric => {
+        const { actual, projected, lower, upper } = metrics[metric];
+        expect(lower).toBeLessThanOrEqual(projected);
+        expect(upper).toBeGreaterThanOrEqual(projected);
+        if (metric !== 'approvalRate') expect(projected).toBeGreaterThanOrEqual(actual);
+      });
+    });
+
+    it('should stay within the merchant context', async () => {
+      const response = await request(app)
+        .get('/api/merchants/MERCH-002/transactions/forecast')
+        .query({ tz: 'UTC' });
+
+      expect(response.status).toBe(200);
+      // MERCH-002's only payment was on Feb 5
+      expect(response.body.data.historyDays).toBe(3);
+      expect(response.body.data.metrics.totalAmount.actual).toBe(200);
+    });
+
+    it('should reject invalid options', async () => {
+      const response = await request(app)
+        .get('/api/transactions/forecast')
+        .query({ confidence: '50', historyWeeks: 'all' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.field)).toEqual(['confidence', 'historyWeeks']);
+    });
+  });
+
+  describe('GET /api/transactions/timeseries', () => {
+    it('should default to monthly buckets', async () => {
+      const response = await request(app)
+        .get('/api/transactions/timeseries')
+        .query({ tz: 'UTC' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.granularity).toBe('month');
+      expect(response.body.timeZone).toBe('UTC');
+      expect(response.body.data.map(b => b.period)).toEqual(['2026-01', '2026-02']);
+      expect(response.body.count).toBe(2);
+    });
+
+    it('should zero-fill buckets across the requested range', async () => {
+      const response = await request(app)
+        .get('/api/transactions/timeseries')
+        .query({ granularity: 'week', tz: 'UTC', from: '2026-01-01', to: '2026-02-28', cardBrand: 'Visa' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].period).toBe('2026-W01');
+      expect(response.body.data[response.body.data.length - 1].period).toBe('2026-W09');
+      const total = response.body.data.reduce((sum, b) => sum + b.totalTransactions, 0);
+      expect(total).toBe(2);
+    });
+
+    it('should reject unknown granularities', async () => {
+      const response = await request(app)
+        .get('/api/transactions/timeseries')
+        .query({ granularity: 'fortnight' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('granularity');
+    });
+
+    it('should reject ranges with too many buckets', async () => {
+      const response = await request(app)
+        .get('/api/transactions/timeseries')
+        .query({ granularity: 'hour', from: '2000-01-01', to: '2026-01-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/Time series too long/);
+    });
+  });
+
+  describe('GET /api/transactions/anomalies', () => {
+    it('should flag buckets far from the same weekday of earlier weeks', async () => {
+      const response = await request(app)
+        .get('/api/transactions/anomalies')
+        .query({ tz: 'UTC', from: '2026-02-01', to: '2026-02-28', metric: 'totalAmount', dimension: 'total' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({
+        granularity: 'day',
+        metrics: ['totalAmount'],
+        dimensions: ['total'],
+        threshold: 3,
+        baselineWeeks: 8,
+        from: '2026-02-01T00:00:00.000Z',
+        buckets: 28,
+        segments: 1
+      }));
+      // Payments on weekdays that were empty in earlier weeks stand out; Feb 5
+      // does not, as Thursday Jan 15 had a larger one
+      expect(response.body.data.map(a => [a.period, a.value, a.direction])).toEqual([
+        ['2026-02-08', 150, 'above'],
+        ['2026-02-01', 100, 'above']
+      ]);
+      expect(response.body.count).toBe(2);
+    });
+
+    it('should stay within the merchant context', async () => {
+      const response = await request(app)
+        .get('/api/merchants/MERCH-002/transactions/anomalies')
+        .query({ tz: 'UTC', from: '2026-02-01', to: '2026-02-28', metric: 'totalAmount', dimension: 'total' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(a => a.period)).toEqual(['2026-02-05']);
+    });
+
+    it('should reject invalid options', async () => {
+      const response = await request(app)
+        .get('/api/transactions/anomalies')
+        .query({ granularity: 'month', threshold: 'high' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.field)).toEqual(['granularity', 'threshold']);
+    });
+  });
+
+  describe('GET /api/transactions/filters', () => {
+    it('should return available filter options', async () => {
+      const response = await request(app).get('/api/transactions/filters');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.cardBrands).toContain('Visa');
+      expect(response.body.data.cardBrands).toContain('Mastercard');
+      expect(response.body.data.cardBrands).toContain('Amex');
+      expect(response.body.data.cardBrands).toContain('Discover');
+      expect(response.body.data.statuses).toContain('Approved');
+      expect(response.body.data.statuses).toContain('Declined');
+      expect(response.body.data.declineReasonCodes).toHaveLength(3);
+      expect(response.body.data.types).toEqual(['Payment', 'Refund', 'Chargeback']);
+      expect(response.body.data.currencies).toEqual(['USD', 'EUR', 'GBP', 'CAD']);
+    });
+  });
+
+  describe('POST /api/transactions', () => {
+    const newTransaction = {
+      transactionId: 'TXN-100',
+      merchantId: 'MERCH-100',
+      amount: 75.5,
+      cardBrand: 'Amex',
+      status: 'Declined',
+      declineReasonCode: '03-Suspected fraud',
+      transactionDate: '2026-02-10T09:30:00.000Z'
+    };
+
+    afterEach(() => {
+      setTransactions(mockTransactions);
+    });
+
+    it('should store a valid transaction and return it', async () => {
+      const response = await request(app)
+        .post('/api/transactions')
+        .send(newTransaction);
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({ ...newTransaction, type: 'Payment', currency: 'USD' });
+
+      const list = await request(app).get('/api/transactions').query({ cardBrand: 'Amex' });
+      expect(list.body.data.map(t => t.transactionId)).toContain('TXN-100');
+    });
+
+    it('should generate a transactionId when none is given', async () => {
+      const { transactionId, ...withoutId } = newTransaction;
+      const response = await request(app)
+        .post('/api/transactions')
+        .send(withoutId);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.transactionId).toMatch(/^TXN-/);
+    });
+
+    it('should reject an invalid transaction with field-level details', async () => {
+      const response = await request(app)
+        .post('/api/transactions')
+        .send({ ...newTransaction, amount: 0, cardBrand: 'Diners' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.details).toEqual([
+        { field: 'amount', message: 'amount must be greater than 0' },
+        { field: 'cardBrand', message: 'cardBrand must be one of: Visa, Mastercard, Amex, Discover' }
+      ]);
+    });
+
+    it('should reject a duplicate transactionId with 409', async () => {
+      const response = await request(app)
+        .post('/api/transactions')
+        .send({ ...newTransaction, transactionId: 'TXN-001' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('transactionId TXN-001 already exists');
+    });
+
+    it('should return 400 for malformed JSON', async () => {
+      const response = await request(app)
+        .post('/api/transactions')
+        .set('Content-Type', 'application/json')
+        .send('{"amount": ');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/transactions/bulk', () => {
+    const valid = (id) => ({
+      transactionId: id,
+      merchantId: 'MERCH-200',
+      amount: 20,
+      cardBrand: 'Visa',
+      status: 'Approved',
+      transactionDate: '2026-02-11T08:00:00.000Z'
+    });
+
+    afterEach(() => {
+      setTransactions(mockTransactions);
+    });
+
+    it('should return 201 when every record is accepted', async () => {
+      const response = await request(app)
+        .post('/api/transactions/bulk')
+        .send([valid('TXN-201'), valid('TXN-202')]);
+
+      expect(response.status).toBe(201);
+      expect(response.body.summary).toEqual({ received: 2, accepted: 2, rejected: 0 });
+      expect(response.body.rejected).toEqual([]);
+    });
+
+    it('should return 207 and store the valid records when some are rejected', async () => {
+      const response = await request(app)
+        .post('/api/transactions/bulk')
+        .send([
+          valid('TXN-201'),
+          { ...valid('TXN-202'), status: 'Declined' },
+          valid('TXN-001'),
+          valid('TXN-201')
+        ]);
+
+      expect(response.status).toBe(207);
+      expect(response.body.success).toBe(true);
+      expect(response.body.summary).toEqual({ received: 4, accepted: 1, rejected: 3 });
+      expect(response.body.rejected.map(r => r.index)).toEqual([1, 2, 3]);
+      expect(response.body.rejected[2].errors).toEqual([
+        { field: 'transactionId', message: 'transactionId TXN-201 already exists' }
+      ]);
+
+      const list = await request(app).get('/api/transactions');
+      expect(list.body.total).toBe(mockTransactions.length + 1);
+    });
+
+    it('should return 400 when nothing is accepted', async () => {
+      const response = await request(app)
+        .post('/api/transactions/bulk')
+        .send([{ ...valid('TXN-201'), amount: -5 }]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('No transactions were accepted');
+    });
+
+    it('should accept NDJSON uploads and report unparseable lines', async () => {
+      const body = [
+        JSON.stringify(valid('TXN-201')),
+        '',
+        '{not json',
+        JSON.stringify(valid('TXN-202'))
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/transactions/bulk')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(body);
+
+      expect(response.status).toBe(207);
+      expect(response.body.summary).toEqual({ received: 3, accepted: 2, rejected: 1 });
+      expect(response.body.rejected).toEqual([
+        { index: 1, transactionId: null, errors: [{ field: 'record', message: 'line 3 is not valid JSON' }] }
+      ]);
+    });
+
+    it('should return 400 for a body that is not an array', async () => {
+      const response = await request(app)
+        .post('/api/transactions/bulk')
+        .send(valid('TXN-201'));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Request body must be a JSON array or NDJSON (application/x-ndjson)');
+    });
+  });
+
+  describe('Refunds and chargebacks', () => {
+    const refund = {
+      transactionId: 'TXN-R01',
+      merchantId: 'MERCH-004',
+      amount: 120,
+      cardBrand: 'Amex',
+      status: 'Approved',
+      type: 'Refund',
+      originalTransactionId: 'TXN-004',
+      transactionDate: '2026-01-25T09:00:00.000Z'
+    };
+
+    afterEach(() => {
+      setTransactions(mockTransactions);
+    });
+
+    it('should store a refund of an approved payment', async () => {
+      const response = await request(app).post('/api/transactions').send(refund);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({ ...refund, currency: 'USD' });
+
+      const list = await request(app).get('/api/transactions').query({ originalTransactionId: 'TXN-004' });
+      expect(list.body.data.map(t => t.transactionId)).toEqual(['TXN-R01']);
+    });
+
+    it('should reject refunds exceeding what is left of the payment', async () => {
+      await request(app).post('/api/transactions').send(refund);
+      const response = await request(app)
+        .post('/api/transactions')
+        .send({ ...refund, transactionId: 'TXN-R02', type: 'Chargeback', amount: 180.01 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'amount', message: 'chargeback of 180.01 exceeds the 180.00 remaining on TXN-004' }
+      ]);
+    });
+
+    it('should reject refunds of declined payments in bulk uploads', async () => {
+      const response = await request(app)
+        .post('/api/transactions/bulk')
+        .send([refund, { ...refund, transactionId: 'TXN-R02', merchantId: 'MERCH-005', originalTransactionId: 'TXN-005' }]);
+
+      expect(response.status).toBe(207);
+      expect(response.body.rejected).toEqual([{
+        index: 1,
+        transactionId: 'TXN-R02',
+        errors: [{ field: 'originalTransactionId', message: 'originalTransactionId TXN-005 is not an approved payment' }]
+      }]);
+    });
+
+    it('should net refunds and chargebacks in summaries', async () => {
+      await request(app).post('/api/transactions').send(refund);
+      const response = await request(app).get('/api/transactions/monthly').query({ tz: 'UTC' });
+      const january = response.body.data.find(m => m.month === '2026-01');
+
+      expect(january.totalTransactions).toBe(2);
+      expect(january.grossVolume).toBe(300);
+      expect(january.refundedAmount).toBe(120);
+      expect(january.netVolume).toBe(180);
+    });
+
+    it('should filter by transaction type', async () => {
+      await request(app).post('/api/transactions').send(refund);
+      const response = await request(app).get('/api/transactions').query({ type: 'Payment' });
+
+      expect(response.body.total).toBe(5);
+    });
+  });
+
+  describe('Reporting currency', () => {
+    const euroPayment = {
+      transactionId: 'TXN-E01',
+      merchantId: 'MERCH-006',
+      amount: 85.31,
+      currency: 'EUR',
+      cardBrand: 'Visa',
+      status: 'Approved',
+      transactionDate: '2026-01-10T10:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      setTransactions([...mockTransactions, euroPayment]);
+    });
+
+    afterEach(() => {
+      setTransactions(mockTransactions);
+    });
+
+    it('should convert summaries to USD by default and total each currency', async () => {
+      const response = await request(app).get('/api/transactions/monthly').query({ tz: 'UTC' });
+      const january = response.body.data.find(m => m.month === '2026-01');
+
+      expect(response.body.reportingCurrency).toBe('USD');
+      expect(january.reportingCurrency).toBe('USD');
+      // 85.31 EUR at the 2026-01-01 rate of 0.8531 EUR per USD
+      expect(january.totalAmount).toBe(800);
+      expect(january.byCurrency.EUR.totalAmount).toBe(85.31);
+      expect(january.byCurrency.USD.totalAmount).toBe(700);
+    });
+
+    it('should compare amount ranges in the reporting currency unless one currency is filtered', async () => {
+      const ids = async (query) => (await request(app).get('/api/transactions').query(query))
+        .body.data.map(t => t.transactionId);
+
+      // 85.31 EUR is 100 USD
+      expect(await ids({ minAmount: '100', maxAmount: '100' })).toEqual(expect.arrayContaining(['TXN-001', 'TXN-E01']));
+      expect(await ids({ minAmount: '100', currency: 'EUR' })).toEqual([]);
+      expect(await ids({ minAmount: '85.31', maxAmount: '85.31', currency: 'EUR' })).toEqual(['TXN-E01']);
+    });
+
+    it('should convert to the requested currency', async () => {
+      const response = await request(app)
+        .get('/api/transactions/monthly')
+        .query({ tz: 'UTC', reportingCurrency: 'eur' });
+      const january = response.body.data.find(m => m.month === '2026-01');
+
+      expect(response.body.reportingCurrency).toBe('EUR');
+      expect(january.approvedAmount).toBe(341.24);
+    });
+
+    it('should filter by currency', async () => {
+      const response = await request(app).get('/api/transactions').query({ currency: 'EUR' });
+      expect(response.body.data.map(t => t.transactionId)).toEqual(['TXN-E01']);
+    });
+
+    it('should reject unsupported reporting currencies', async () => {
+      const response = await request(app)
+        .get('/api/transactions/summary')
+        .query({ reportingCurrency: 'JPY' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('reportingCurrency');
+    });
+  });
+
+  describe('Query parameter validation', () => {
+    it('should reject values outside the allowed set instead of returning no rows', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ status: 'approved' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{
+        field: 'status',
+        message: 'Invalid "status": "approved" is not one of Approved, Declined (did you mean "Approved"?)'
+      }]);
+    });
+
+    it('should reject unknown parameters', async () => {
+      const response = await request(app)
+        .get('/api/transactions/summary')
+        .query({ cardbrand: 'Visa' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'cardbrand', message: 'Unknown query parameter "cardbrand"' }
+      ]);
+    });
+
+    it('should report every invalid parameter at once', async () => {
+      const response = await request(app)
+        .get('/api/transactions/mtd')
+        .query({ cardBrand: 'Visa,Diners', from: 'someday', minAmount: '-1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.field)).toEqual(['cardBrand', 'from', 'minAmount']);
+    });
+
+    it('should only accept route-specific parameters on their own routes', async () => {
+      const response = await request(app)
+        .get('/api/transactions/monthly')
+        .query({ limit: '10' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('limit');
+    });
+
+    it('should include details for single-parameter errors', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ limit: '0' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'limit', message: response.body.error }
+      ]);
+    });
+  });
+
+  describe('GET /api/transactions/quarantine', () => {
+    it('should return an empty list when every record is valid', async () => {
+      const response = await request(app).get('/api/transactions/quarantine');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, count: 0, data: [] });
+    });
+  });
+
+  describe('Merchant scoping', () => {
+    const merchantPayments = [
+      ...mockTransactions,
+      { ...mockTransactions[0], transactionId: 'TXN-006', amount: 50, transactionDate: '2026-02-03T10:00:00.000Z' },
+      { ...mockTransactions[3], transactionId: 'TXN-007', merchantId: 'MERCH-001', amount: 75 }
+    ];
+
+    beforeEach(() => {
+      setTransactions(merchantPayments);
+    });
+
+    afterEach(() => {
+      config.auth.enabled = false;
+      setAuthStore(null);
+      setTransactions(mockTransactions);
+    });
+
+    it('should list only the merchant in the path', async () => {
+      const response = await request(app).get('/api/merchants/MERCH-001/transactions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(t => t.transactionId).sort()).toEqual(['TXN-001', 'TXN-006', 'TXN-007']);
+    });
+
+    it('should scope by the X-Merchant-Id header', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .set('X-Merchant-Id', 'MERCH-004');
+
+      expect(response.body.data.map(t => t.transactionId)).toEqual(['TXN-004']);
+    });
+
+    it('should scope every aggregation', async () => {
+      const response = await request(app)
+        .get('/api/merchants/MERCH-001/transactions/summary')
+        .query({ tz: 'UTC' });
+
+      expect(response.body.filters.merchantId).toBe('MERCH-001');
+      expect(response.body.monthByMonth.map(m => [m.month, m.totalAmount])).toEqual([
+        ['2026-02', 150],
+        ['2026-01', 75]
+      ]);
+    });
+
+    it('should reject a merchantId filter naming another merchant', async () => {
+      const response = await request(app)
+        .get('/api/merchants/MERCH-001/transactions/mtd')
+        .query({ merchantId: 'MERCH-002' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'merchantId', message: 'merchantId must match the merchant context (MERCH-001)' }
+      ]);
+    });
+
+    it('should reject a header that contradicts the path', async () => {
+      const response = await request(app)
+        .get('/api/merchants/MERCH-001/transactions')
+        .set('X-Merchant-Id', 'MERCH-002');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.details[0].field).toBe('merchantId');
+    });
+
+    it('should store new transactions under the merchant in context', async () => {
+      const { merchantId, ...withoutMerchant } = mockTransactions[0];
+      const response = await request(app)
+        .post('/api/merchants/MERCH-009/transactions')
+        .send({ ...withoutMerchant, transactionId: 'TXN-NEW' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.merchantId).toBe('MERCH-009');
+    });
+
+    it('should refuse to ingest another merchant\'s transactions', async () => {
+      const response = await request(app)
+        .post('/api/merchants/MERCH-001/transactions/bulk')
+        .send([
+          { ...mockTransactions[0], transactionId: 'TXN-NEW1' },
+          { ...mockTransactions[1], transactionId: 'TXN-NEW2' }
+        ]);
+
+      expect(response.status).toBe(207);
+      expect(response.body.rejected).toEqual([{
+        index: 1,
+        transactionId: 'TXN-NEW2',
+        errors: [{ field: 'merchantId', message: 'merchantId must match the merchant context (MERCH-001)' }]
+      }]);
+    });
+
+    it('should not let a merchant refund another merchant\'s payment', async () => {
+      const response = await request(app)
+        .post('/api/merchants/MERCH-001/transactions')
+        .send({
+          merchantId: 'MERCH-001',
+          amount: 10,
+          cardBrand: 'Visa',
+          status: 'Approved',
+          type: 'Refund',
+          originalTransactionId: 'TXN-003',
+          transactionDate: '2026-02-09T10:00:00.000Z'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'originalTransactionId', message: 'originalTransactionId TXN-003 does not exist' }
+      ]);
+    });
+
+    describe('with authentication enabled', () => {
+      beforeEach(() => {
+        config.auth.enabled = true;
+        setAuthStore(testCredentials);
+      });
+
+      it('should refuse cross-merchant requests from non-admins', async () => {
+        const response = await request(app)
+          .get('/api/transactions/summary')
+          .set('X-API-Key', testKeys.analyst);
+
+        expect(response.status).toBe(403);
+        expect(response.body.success).toBe(false);
+        expect(response.body.error).toContain('merchant context is required');
+      });
+
+      it('should allow cross-merchant requests from admins', async () => {
+        const response = await request(app)
+          .get('/api/transactions')
+          .set('X-API-Key', testKeys.admin);
+
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(7);
+      });
+
+      it('should still serve merchant-scoped requests', async () => {
+        const response = await request(app)
+          .get('/api/merchants/MERCH-002/transactions/mtd')
+          .set('X-API-Key', testKeys.viewer);
+
+        expect(response.status).toBe(200);
+      });
+
+      it('should scope merchant-bound credentials to their merchant', async () => {
+        const response = await request(app)
+          .get('/api/transactions')
+          .set('X-API-Key', testKeys.merchantAnalyst);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(t => t.transactionId).sort()).toEqual(['TXN-001', 'TXN-006', 'TXN-007']);
+      });
+
+      it('should not let merchant-bound credentials name another merchant', async () => {
+        const byPath = await request(app)
+          .get('/api/merchants/MERCH-002/transactions')
+          .set('X-API-Key', testKeys.merchantAdmin);
+        const byHeader = await request(app)
+          .get('/api/transactions/summary')
+          .set('X-API-Key', testKeys.merchantAnalyst)
+          .set('X-Merchant-Id', 'MERCH-002');
+
+        expect(byPath.status).toBe(403);
+        expect(byPath.body).toEqual({ success: false, error: 'These credentials only give access to merchant MERCH-001' });
+        expect(byHeader.status).toBe(403);
+      });
+    });
+
+    describe('GET /api/admin/leaderboard', () => {
+      it('should rank merchants by net volume', async () => {
+        const response = await request(app).get('/api/admin/leaderboard');
+
+        expect(response.status).toBe(200);
+        expect(response.body.rankBy).toBe('netVolume');
+        expect(response.body.merchantCount).toBe(5);
+        expect(response.body.data.slice(0, 3).map(e => [e.rank, e.merchantId, e.netVolume])).toEqual([
+          [1, 'MERCH-004', 300],
+          [2, 'MERCH-001', 225],
+          [3, 'MERCH-003', 150]
+        ]);
+      });
+
+      it('should rank by the requested metric and apply filters', async () => {
+        const response = await request(app)
+          .get('/api/admin/leaderboard')
+          .query({ rankBy: 'totalAmount', status: 'Declined', limit: '1' });
+
+        expect(response.body.count).toBe(1);
+        expect(response.body.merchantCount).toBe(2);
+        expect(response.body.data[0]).toMatchObject({ rank: 1, merchantId: 'MERCH-005', totalAmount: 400 });
+      });
+
+      it('should reject an unknown ranking metric', async () => {
+        const response = await request(app).get('/api/admin/leaderboard').query({ rankBy: 'profit' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details[0].field).toBe('rankBy');
+      });
+
+      it('should be admin-only', async () => {
+        config.auth.enabled = true;
+        setAuthStore(testCredentials);
+
+        const denied = await request(app).get('/api/admin/leaderboard').set('X-API-Key', testKeys.analyst);
+        const merchantAdmin = await request(app).get('/api/admin/leaderboard').set('X-API-Key', testKeys.merchantAdmin);
+        const allowed = await request(app).get('/api/admin/leaderboard').set('X-API-Key', testKeys.admin);
+
+        expect(denied.status).toBe(403);
+        expect(denied.body).toEqual({ success: false, error: 'Admin access required' });
+        expect(merchantAdmin.status).toBe(403);
+        expect(allowed.status).toBe(200);
+      });
+    });
+  });
+
+  describe('DELETE /api/transactions/:transactionId', () => {
+    const payment = { ...mockTransactions[0], transactionId: 'TXN-DEL' };
+    const refund = {
+      ...mockTransactions[0],
+      transactionId: 'TXN-DEL-R',
+      type: 'Refund',
+      originalTransactionId: 'TXN-DEL',
+      amount: 10,
+      transactionDate: '2026-02-02T10:00:00.000Z'
+    };
+
+    afterEach(() => {
+      setTransactions(mockTransactions);
+    });
+
+    it('should delete a transaction and return it', async () => {
+      setTransactions([...mockTransactions, payment]);
+
+      const response = await request(app).delete('/api/transactions/TXN-DEL');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, data: payment });
+      expect(findTransaction('TXN-DEL')).toBeNull();
+    });
+
+    it('should return 404 for an unknown transaction', async () => {
+      const response = await request(app).delete('/api/transactions/TXN-NOPE');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ success: false, error: 'Transaction TXN-NOPE not found' });
+    });
+
+    it('should not delete another merchant\'s transaction', async () => {
+      const response = await request(app).delete('/api/merchants/MERCH-002/transactions/TXN-001');
+
+      expect(response.status).toBe(404);
+      expect(findTransaction('TXN-001')).not.toBeNull();
+    });
+
+    it('should refuse to delete a payment that refunds reference', async () => {
+      setTransactions([...mockTransactions, payment, refund]);
+
+      const blocked = await request(app).delete('/api/transactions/TXN-DEL');
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.error).toContain('referenced by 1 refund(s) or chargeback(s)');
+
+      await request(app).delete('/api/transactions/TXN-DEL-R').expect(200);
+      await request(app).delete('/api/transactions/TXN-DEL').expect(200);
+    });
+  });
+
+  describe('Authentication', () => {
+    beforeEach(() => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+    });
+
+    afterEach(() => {
+      config.auth.enabled = false;
+      setAuthStore(null);
+      setTransactions(mockTransactions);
+    });
+
+    it('should reject requests without credentials', async () => {
+      const response = await request(app).get('/api/transactions/summary');
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('Authentication required');
+    });
+
+    it('should reject unknown API keys and forged tokens', async () => {
+      const badKey = await request(app).get('/api/transactions/summary').set('X-API-Key', 'key-guess');
+      const badToken = await request(app).get('/api/transactions/summary').set('Authorization', 'Bearer a.b.c');
+
+      expect(badKey.status).toBe(401);
+      expect(badKey.body.error).toBe('Invalid API key');
+      expect(badToken.status).toBe(401);
+    });
+
+    it('should keep the health check public', async () => {
+      const response = await request(app).get('/api/health');
+
+      expect(response.status).toBe(200);
+    });
+
+    describe('roles', () => {
+      const as = (role, req) => req.set('X-API-Key', testKeys[role]).set('X-Merchant-Id', 'MERCH-001');
+
+      it('should let viewers see summaries, filters and the summary export', async () => {
+        const paths = ['/summary', '/mtd', '/monthly', '/comparison', '/timeseries', '/filters', '/export/summary'];
+        for (const path of paths) {
+          const response = await as('viewer', request(app).get(`/api/transactions${path}`));
+          expect([path, response.status]).toEqual([path, 200]);
+        }
+      });
+
+      it('should keep raw transactions from viewers', async () => {
+        for (const path of ['', '/export', '/quarantine']) {
+          const response = await as('viewer', request(app).get(`/api/transactions${path}`));
+          expect(response.status).toBe(403);
+          expect(response.body).toEqual({ success: false, error: 'This action requires the analyst role' });
+        }
+      });
+
+      it('should let analysts list and export but not ingest or delete', async () => {
+        const list = await as('analyst', request(app).get('/api/transactions'));
+        const exported = await as('analyst', request(app).get('/api/transactions/export'));
+        const created = await as('analyst', request(app).post('/api/transactions')).send(mockTransactions[0]);
+        const bulk = await as('analyst', request(app).post('/api/transactions/bulk')).send([mockTransactions[0]]);
+        const deleted = await as('analyst', request(app).delete('/api/transactions/TXN-001'));
+
+        expect(list.status).toBe(200);
+        expect(exported.status).toBe(200);
+        expect(created.status).toBe(403);
+        expect(created.body.error).toBe('This action requires the admin role');
+        expect(bulk.status).toBe(403);
+        expect(deleted.status).toBe(403);
+        expect(findTransaction('TXN-001')).not.toBeNull();
+      });
+
+      it('should let admins ingest and delete', async () => {
+        const { transactionId, ...newPayment } = mockTransactions[0];
+        const created = await as('admin', request(app).post('/api/transactions')).send(newPayment);
+        const deleted = await as('admin', request(app).delete(`/api/transactions/${created.body.data.transactionId}`));
+
+        expect(created.status).toBe(201);
+        expect(deleted.status).toBe(200);
+      });
+    });
+
+    describe('login', () => {
+      it('should issue a token that authenticates later requests', async () => {
+        const login = await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'dana', password: 'correct horse' });
+
+        expect(login.status).toBe(200);
+        expect(login.body.user).toEqual({ username: 'dana', role: 'viewer', merchantId: 'MERCH-001' });
+        expect(new Date(login.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+        const auth = `Bearer ${login.body.token}`;
+        const me = await request(app).get('/api/auth/me').set('Authorization', auth);
+        const summary = await request(app).get('/api/transactions/mtd').set('Authorization', auth);
+
+        expect(me.body).toEqual({ success: true, data: login.body.user });
+        expect(summary.status).toBe(200);
+      });
+
+      it('should reject a wrong password or unknown user', async () => {
+        const wrongPassword = await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'dana', password: 'battery staple' });
+        const unknownUser = await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'eve', password: 'correct horse' });
+
+        expect(wrongPassword.status).toBe(401);
+        expect(wrongPassword.body).toEqual({ success: false, error: 'Invalid username or password' });
+        expect(unknownUser.body).toEqual(wrongPassword.body);
+      });
+
+      it('should require a username and password', async () => {
+        const response = await request(app).post('/api/auth/login').send({ username: 'dana' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual([{ field: 'password', message: 'password is required' }]);
+      });
+
+      it('should stop accepting tokens of removed users', async () => {
+        const login = await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'dana', password: 'correct horse' });
+        setAuthStore({ apiKeys: testCredentials.apiKeys });
+
+        const response = await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', `Bearer ${login.body.token}`);
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('CORS', () => {
+      it('should only allow the configured origins', async () => {
+        const allowed = await request(app).get('/api/health').set('Origin', 'http://localhost:5173');
+        const other = await request(app).get('/api/health').set('Origin', 'https://evil.example');
+
+        expect(allowed.headers['access-control-allow-origin']).toBe('http://localhost:5173');
+        expect(other.headers['access-control-allow-origin']).toBeUndefined();
+      });
+    });
+  });
+
+  describe('Rate limiting', () => {
+    const defaultPolicies = { ...config.rateLimit.policies };
+
+    beforeEach(() => {
+      config.rateLimit.enabled = true;
+      config.rateLimit.policies = { default: 5, summary: 2, export: 1, login: 2, auth: 2 };
+      resetRateLimits();
+    });
+
+    afterEach(() => {
+      config.rateLimit.enabled = false;
+      config.rateLimit.policies = { ...defaultPolicies };
+      config.auth.enabled = false;
+      setAuthStore(null);
+      resetRateLimits();
+    });
+
+    it('should report the remaining quota in RateLimit headers', async () => {
+      const response = await request(app).get('/api/transactions');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['ratelimit-limit']).toBe('5');
+      expect(response.headers['ratelimit-remaining']).toBe('4');
+      expect(response.headers['ratelimit-reset']).toBe('12');
+      expect(response.headers['ratelimit-policy']).toBe('5;w=60');
+    });
+
+    it('should answer 429 with Retry-After once the bucket is empty', async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app).get('/api/transactions').expect(200);
+      }
+      const response = await request(app).get('/api/transactions');
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('12');
+      expect(response.headers['ratelimit-remaining']).toBe('0');
+      expect(response.body).toEqual({ success: false, error: 'Too many requests: retry in 12 second(s)' });
+    });
+
+    it('should apply the tighter limit of expensive endpoints', async () => {
+      await request(app).get('/api/transactions/summary').expect(200);
+      const second = await request(app).get('/api/transactions/mtd');
+      const third = await request(app).get('/api/transactions/monthly');
+      const listing = await request(app).get('/api/transactions');
+
+      expect(second.status).toBe(200);
+      expect(second.headers['ratelimit-limit']).toBe('2');
+      expect(second.headers['ratelimit-remaining']).toBe('0');
+      expect(third.status).toBe(429);
+      expect(listing.status).toBe(200);
+    });
+
+    it('should limit exports separately from summaries', async () => {
+      await request(app).get('/api/transactions/export').expect(200);
+      const summaryExport = await request(app).get('/api/transactions/export/summary');
+      const summary = await request(app).get('/api/transactions/summary');
+
+      expect(summaryExport.status).toBe(429);
+      expect(summary.status).toBe(200);
+    });
+
+    it('should keep a separate bucket per API key', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+
+      await request(app).get('/api/transactions/summary').set('X-API-Key', testKeys.admin).expect(200);
+      await request(app).get('/api/transactions/summary').set('X-API-Key', testKeys.admin).expect(200);
+      const exhausted = await request(app).get('/api/transactions/summary').set('X-API-Key', testKeys.admin);
+      const otherKey = await request(app).get('/api/transactions/summary').set('X-API-Key', testKeys.analyst)
+        .set('X-Merchant-Id', 'MERCH-001');
+
+      expect(exhausted.status).toBe(429);
+      expect(otherKey.status).toBe(200);
+    });
+
+    it('should limit login attempts', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+      const attempt = () => request(app).post('/api/auth/login').send({ username: 'dana', password: 'guess' });
+
+      expect((await attempt()).status).toBe(401);
+      expect((await attempt()).status).toBe(401);
+      expect((await attempt()).status).toBe(429);
+    });
+
+    it('should limit requests with bad credentials per IP', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+      const guess = (key) => request(app).get('/api/transactions/summary').set('X-API-Key', key);
+
+      expect((await guess('guess-1')).status).toBe(401);
+      expect((await guess('guess-2')).status).toBe(401);
+      const refused = await guess('guess-3');
+      // Valid keys from the same IP are refused too until the bucket refills
+      const valid = await guess(testKeys.admin);
+
+      expect(refused.status).toBe(429);
+      expect(refused.headers['retry-after']).toBe('30');
+      expect(refused.body.error).toMatch(/Too many failed authentication attempts/);
+      expect(valid.status).toBe(429);
+    });
+
+    it('should not count requests that authenticate against the IP', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/api/transactions').set('X-API-Key', testKeys.admin).expect(200);
+      }
+      expect((await request(app).get('/api/transactions').set('X-API-Key', 'guess')).status).toBe(401);
+    });
+
+    it('should not limit the health check', async () => {
+      for (let i = 0; i < 7; i++) {
+        await request(app).get('/api/health').expect(200);
+      }
+    });
+  });
+
+  describe('GET /api/transactions/stream', () => {
+    let server;
+    const streams = [];
+
+    // supertest waits for the response to end, so streams are read from a real server
+    const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+      const req = http.get(`http://127.0.0.1:${server.address().port}${path}`, { headers }, res => {
+        const events = [];
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach(block => {
+            const fields = Object.fromEntries(block.split('\n')
+              .filter(line => line && !line.startsWith(':'))
+              .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+          });
+        });
+        const stream = { res, events, close: () => req.destroy() };
+        streams.push(stream);
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+
+    const waitForEvents = async (stream, count) => {
+      const start = Date.now();
+      while (stream.events.length < count) {
+        if (Date.now() - start > 2000) throw new Error(`Expected ${count} event(s), got ${stream.events.length}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      return stream.events;
+    };
+
+    const livePayment = (overrides = {}) => ({
+      merchantId: 'MERCH-001',
+      amount: 25.00,
+      cardBrand: 'Visa',
+      status: 'Approved',
+      transactionDate: new Date(Date.now() - 1000).toISOString(),
+      ...overrides
+    });
+
+    beforeAll(() => {
+      server = app.listen(0);
+    });
+
+    afterEach(() => {
+      streams.splice(0).forEach(stream => stream.close());
+      setTransactions(mockTransactions);
+      config.auth.enabled = false;
+      setAuthStore(null);
+    });
+
+    afterAll(() => {
+      server.close();
+    });
+
+    it('should open an event stream with the current MTD summary', async () => {
+      const stream = await openStream('/api/transactions/stream?tz=UTC');
+
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+      const [first] = await waitForEvents(stream, 1);
+      expect(first.event).toBe('mtd');
+      expect(first.data).toMatchObject({ success: true, timeZone: 'UTC', reportingCurrency: 'USD' });
+      expect(first.data.data.month).toMatch(/^\d{4}-\d{2}$/);
+    });
+
+    it('should push new transactions and the updated MTD summary', async () => {
+      const stream = await openStream('/api/transactions/stream?tz=UTC');
+      const [initial] = await waitForEvents(stream, 1);
+
+      await request(app).post('/api/transactions').send(livePayment({ transactionId: 'TXN-LIVE-1' })).expect(201);
+
+      const [, transactions, mtd] = await waitForEvents(stream, 3);
+      expect(transactions.event).toBe('transactions');
+      expect(transactions.data.count).toBe(1);
+      expect(transactions.data.data[0].transactionId).toBe('TXN-LIVE-1');
+      expect(mtd.event).toBe('mtd');
+      expect(mtd.data.data.totalTransactions).toBe(initial.data.data.totalTransactions + 1);
+      expect(mtd.data.data.grossVolume).toBe(initial.data.data.grossVolume + 25);
+    });
+
+    it('should only push transactions matching the filters', async () => {
+      const stream = await openStream('/api/transactions/stream?tz=UTC&cardBrand=Amex');
+      await waitForEvents(stream, 1);
+
+      await request(app).post('/api/transactions').send(livePayment({ transactionId: 'TXN-LIVE-VISA' })).expect(201);
+      await request(app)
+        .post('/api/transactions')
+        .send(livePayment({ transactionId: 'TXN-LIVE-AMEX', cardBrand: 'Amex' }))
+        .expect(201);
+
+      const events = await waitForEvents(stream, 3);
+      expect(events[1].data.data.map(t => t.transactionId)).toEqual(['TXN-LIVE-AMEX']);
+      expect(events[2].data.data.totalTransactions).toBe(1);
+    });
+
+    it('should push an updated MTD summary when a transaction is deleted', async () => {
+      await request(app).post('/api/transactions').send(livePayment({ transactionId: 'TXN-LIVE-2' })).expect(201);
+      const stream = await openStream('/api/transactions/stream?tz=UTC');
+      const [initial] = await waitForEvents(stream, 1);
+
+      await request(app).delete('/api/transactions/TXN-LIVE-2').expect(200);
+
+      const [, mtd] = await waitForEvents(stream, 2);
+      expect(mtd.event).toBe('mtd');
+      expect(mtd.data.data.totalTransactions).toBe(initial.data.data.totalTransactions - 1);
+    });
+
+    it('should only stream one merchant to credentials bound to it', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+      const stream = await openStream('/api/transactions/stream?tz=UTC', { 'X-API-Key': testKeys.merchantAnalyst });
+      await waitForEvents(stream, 1);
+
+      await request(app).post('/api/transactions').send(livePayment({ transactionId: 'TXN-OTHER', merchantId: 'MERCH-002' }))
+        .set('X-API-Key', testKeys.admin).expect(201);
+      await request(app).post('/api/transactions').send(livePayment({ transactionId: 'TXN-OWN' }))
+        .set('X-API-Key', testKeys.admin).expect(201);
+
+      const events = await waitForEvents(stream, 3);
+      expect(events[1].data.data.map(t => t.transactionId)).toEqual(['TXN-OWN']);
+    });
+
+    it('should send viewers the metrics but not the transactions', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+      const stream = await openStream('/api/transactions/stream?tz=UTC', {
+        'X-API-Key': testKeys.viewer,
+        'X-Merchant-Id': 'MERCH-001'
+      });
+      await waitForEvents(stream, 1);
+
+      await request(app).post('/api/transactions').send(livePayment()).set('X-API-Key', testKeys.admin).expect(201);
+
+      const events = await waitForEvents(stream, 2);
+      expect(events.map(e => e.event)).toEqual(['mtd', 'mtd']);
+    });
+
+    it('should require authentication', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+
+      const response = await request(app).get('/api/transactions/stream');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject invalid parameters before opening the stream', async () => {
+      const response = await request(app).get('/api/transactions/stream?status=approved');
+
+      expect(response.status).toBe(400);
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Aggregation cache', () => {
+    beforeEach(() => {
+      setTransactions(mockTransactions);
+      resetCache();
+    });
+
+    it('should send cache validators with aggregations', async () => {
+      const response = await request(app).get('/api/transactions/monthly');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+      expect(response.headers['last-modified']).toBeDefined();
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+    });
+
+    it('should answer 304 when the ETag still matches', async () => {
+      const first = await request(app).get('/api/transactions/monthly');
+
+      const response = await request(app)
+        .get('/api/transactions/monthly')
+        .set('If-None-Match', first.headers.etag);
+
+      expect(response.status).toBe(304);
+      expect(response.text).toBe('');
+    });
+
+    it('should answer 304 when nothing changed since Last-Modified', async () => {
+      const first = await request(app).get('/api/transactions/monthly');
+
+      const response = await request(app)
+        .get('/api/transactions/monthly')
+        .set('If-Modified-Since', first.headers['last-modified']);
+
+      expect(response.status).toBe(304);
+    });
+
+    it('should leave out Last-Modified when the result depends on the current time', async () => {
+      const lastChange = (await request(app).get('/api/transactions/monthly')).headers['last-modified'];
+
+      for (const path of ['/api/transactions/mtd', '/api/transactions/summary', '/api/transactions/monthly?from=-30d']) {
+        const response = await request(app).get(path).set('If-Modified-Since', lastChange);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).toBeDefined();
+        expect(response.headers['last-modified']).toBeUndefined();
+      }
+    });
+
+    it('should stop answering 304 for the month to date once the month rolls over', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        jest.setSystemTime(new Date('2026-02-28T23:30:00.000Z'));
+        const first = await request(app).get('/api/transactions/mtd');
+        jest.setSystemTime(new Date('2026-03-01T00:30:00.000Z'));
+
+        const response = await request(app)
+          .get('/api/transactions/mtd')
+          .set('If-None-Match', first.headers.etag);
+
+        expect(response.status).toBe(200);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should give equivalent filters the same ETag', async () => {
+      const a = await request(app).get('/api/transactions/summary?cardBrand=Visa,Amex');
+      const b = await request(app).get('/api/transactions/summary?cardBrand=Amex&cardBrand=Visa');
+      const other = await request(app).get('/api/transactions/summary?cardBrand=Visa');
+
+      expect(a.headers.etag).toBe(b.headers.etag);
+      expect(other.headers.etag).not.toBe(a.headers.etag);
+    });
+
+    it('should serve repeated requests from the cache', async () => {
+      await request(app).get('/api/transactions/timeseries?granularity=month').expect(200);
+      const second = await request(app).get('/api/transactions/timeseries?granularity=month');
+
+      const stats = await request(app).get('/api/admin/cache');
+
+      expect(second.status).toBe(200);
+      expect(second.body.count).toBeGreaterThan(0);
+      expect(stats.body.data).toMatchObject({ size: 1, hits: 1, misses: 1, hitRate: 50 });
+    });
+
+    it('should share entries between relative ranges resolved within the same minute', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        jest.setSystemTime(new Date('2026-02-08T18:00:05.000Z'));
+        const first = await request(app).get('/api/transactions/monthly?from=-30d&to=now');
+        jest.setSystemTime(new Date('2026-02-08T18:00:55.000Z'));
+        const second = await request(app).get('/api/transactions/monthly?from=-30d&to=now');
+        jest.setSystemTime(new Date('2026-02-08T18:01:05.000Z'));
+        const nextMinute = await request(app).get('/api/transactions/monthly?from=-30d&to=now');
+
+        expect(second.headers.etag).toBe(first.headers.etag);
+        expect(nextMinute.headers.etag).not.toBe(first.headers.etag);
+        const stats = await request(app).get('/api/admin/cache');
+        expect(stats.body.data).toMatchObject({ hits: 1, misses: 2 });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should recompute and change the ETag after new transactions', async () => {
+      const before = await request(app).get('/api/transactions/summary');
+
+      await request(app)
+        .post('/api/transactions')
+        .send({
+          transactionId: 'TXN-CACHE-1',
+          merchantId: 'MERCH-001',
+          amount: 50.00,
+          cardBrand: 'Visa',
+          status: 'Approved',
+          transactionDate: '2026-02-10T10:00:00.000Z'
+        })
+        .expect(201);
+
+      const revalidated = await request(app)
+        .get('/api/transactions/summary')
+        .set('If-None-Match', before.headers.etag);
+
+      expect(revalidated.status).toBe(200);
+      expect(revalidated.headers.etag).not.toBe(before.headers.etag);
+      const monthlyCount = (body) => body.monthByMonth.reduce((sum, month) => sum + month.totalTransactions, 0);
+      expect(monthlyCount(revalidated.body)).toBe(monthlyCount(before.body) + 1);
+    });
+
+    it('should not cache the comparison, whose windows end now', async () => {
+      const response = await request(app).get('/api/transactions/comparison');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBeUndefined();
+    });
+
+    it('should not send validators with errors', async () => {
+      const response = await request(app).get('/api/transactions/summary?timeZone=Mars/Olympus');
+
+      expect(response.status).toBe(400);
+      expect(response.headers['last-modified']).toBeUndefined();
+    });
+
+    describe('GET /api/admin/cache', () => {
+      it('should report the counters and the data version', async () => {
+        const response = await request(app).get('/api/admin/cache');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+          success: true,
+          data: {
+            enabled: true,
+            size: 0,
+            maxEntries: config.aggregationCache.maxEntries,
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            invalidations: 0,
+            hitRate: 0,
+            dataVersion: expect.stringMatching(/^[0-9a-f]+\.\d+$/),
+            lastModified: expect.any(String)
+          }
+        });
+      });
+
+      it('should be for admins only', async () => {
+        config.auth.enabled = true;
+        setAuthStore(testCredentials);
+        try {
+          const response = await request(app).get('/api/admin/cache').set('X-API-Key', testKeys.analyst);
+          expect(response.status).toBe(403);
+        } finally {
+          config.auth.enabled = false;
+          setAuthStore(null);
+        }
+      });
+    });
+  });
+
+  describe('Webhooks', () => {
+    const originalConfig = { ...config.webhooks };
+    let tempDir;
+    let receiver;
+    const received = [];
+
+    beforeAll(async () => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+      Object.assign(config.webhooks, { filePath: path.join(tempDir, 'webhooks.json'), retryBaseMs: 20 });
+      resetWebhooks();
+      resetWebhookEvents();
+      received.length = 0;
+    });
+
+    afterEach(() => {
+      resetWebhooks();
+      Object.assign(config.webhooks, originalConfig);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      setTransactions(mockTransactions);
+    });
+
+    const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    const waitForDeliveries = async (count) => {
+      const start = Date.now();
+      while (received.length < count) {
+        if (Date.now() - start > 3000) throw new Error(`Expected ${count} webhook deliveries, got ${received.length}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    it('should register, list, show and delete webhooks', async () => {
+      const created = await request(app)
+        .post('/api/webhooks')
+        .send({ url: receiverUrl(), events: ['transaction.declined'], description: 'Ops alerts' });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.secret).toMatch(/^whsec_/);
+      const { id } = created.body.data;
+
+      const list = await request(app).get('/api/webhooks');
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0]).toEqual(expect.objectContaining({ id, description: 'Ops alerts', merchantId: null }));
+      expect(list.body.data[0]).not.toHaveProperty('secret');
+
+      const shown = await request(app).get(`/api/webhooks/${id}`);
+      expect(shown.status).toBe(200);
+      expect(shown.body.data).not.toHaveProperty('secret');
+
+      const deleted = await request(app).delete(`/api/webhooks/${id}`);
+      expect(deleted.status).toBe(200);
+      expect((await request(app).get(`/api/webhooks/${id}`)).status).toBe(404);
+    });
+
+    it('should reject invalid registrations with details', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .send({ url: 'ftp://example.com', events: ['transaction.approved'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.field)).toEqual(['url', 'events']);
+    });
+
+    it('should list the event types', async () => {
+      const response = await request(app).get('/api/webhooks/events');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events.map(e => e.type)).toContain('fraud.suspected');
+      expect(response.body.data.declineRate).toEqual(config.webhooks.declineRate);
+    });
+
+    it('should deliver signed events for ingested declines and log them', async () => {
+      const created = await request(app)
+        .post('/api/webhooks')
+        .send({ url: receiverUrl(), events: ['transaction.declined', 'fraud.suspected'] });
+      const { id, secret } = created.body.data;
+
+      await request(app).post('/api/transactions').send({
+        transactionId: 'TXN-HOOK-1',
+        merchantId: 'MERCH-001',
+        amount: 80,
+        cardBrand: 'Visa',
+        status: 'Declined',
+        declineReasonCode: '03-Suspected fraud',
+        transactionDate: new Date().toISOString()
+      }).expect(201);
+      await waitForDeliveries(2);
+
+      const events = received.map(({ headers, body }) => {
+        expect(verifySignature(body, headers['x-webhook-signature'], secret)).toBe(true);
+        return JSON.parse(body);
+      });
+      expect(events.map(e => e.type).sort()).toEqual(['fraud.suspected', 'transaction.declined']);
+      expect(events[0].data.transaction.transactionId).toBe('TXN-HOOK-1');
+
+      const log = await request(app).get(`/api/webhooks/${id}/deliveries`).query({ event: 'fraud.suspected' });
+      expect(log.status).toBe(200);
+      expect(log.body.count).toBe(1);
+      expect(log.body.data[0]).toEqual(expect.objectContaining({ webhookId: id, event: 'fraud.suspected' }));
+    });
+
+    it('should send test events on request', async () => {
+      const created = await request(app).post('/api/webhooks').send({ url: receiverUrl(), events: ['fraud.suspected'] });
+
+      const response = await request(app).post(`/api/webhooks/${created.body.data.id}/test`);
+      await waitForDeliveries(1);
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.event).toBe('webhook.test');
+      expect(received[0].headers['x-webhook-delivery']).toBe(response.body.data.id);
+
+      // The receiver has answered; the outcome is recorded right after
+      let log;
+      for (let tries = 0; tries < 50; tries += 1) {
+        log = await request(app).get('/api/webhooks/deliveries').query({ status: 'succeeded' });
+        if (log.body.count > 0) break;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(log.body.data.map(d => d.id)).toEqual([response.body.data.id]);
+    });
+
+    it('should validate delivery log parameters', async () => {
+      const response = await request(app).get('/api/webhooks/deliveries').query({ status: 'done', page: '2' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.field).sort()).toEqual(['page', 'status']);
+    });
+
+    it('should be limited to admins, and keep merchant admins to their own webhooks', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+      try {
+        const analyst = await request(app).get('/api/webhooks').set('X-API-Key', testKeys.analyst);
+        expect(analyst.status).toBe(403);
+
+        const other = await request(app)
+          .post('/api/webhooks')
+          .set('X-API-Key', testKeys.admin)
+          .send({ url: receiverUrl(), events: ['fraud.suspected'], merchantId: 'MERCH-002' });
+        const own = await request(app)
+          .post('/api/webhooks')
+          .set('X-API-Key', testKeys.merchantAdmin)
+          .send({ url: receiverUrl(), events: ['fraud.suspected'] });
+        expect(own.status).toBe(201);
+        expect(own.body.data.merchantId).toBe('MERCH-001');
+
+        const list = await request(app).get('/api/webhooks').set('X-API-Key', testKeys.merchantAdmin);
+        expect(list.body.data.map(w => w.id)).toEqual([own.body.data.id]);
+        const hidden = await request(app)
+          .delete(`/api/webhooks/${other.body.data.id}`)
+          .set('X-API-Key', testKeys.merchantAdmin);
+        expect(hidden.status).toBe(404);
+
+        const forOther = await request(app)
+          .post('/api/webhooks')
+          .set('X-API-Key', testKeys.merchantAdmin)
+          .send({ url: receiverUrl(), events: ['fraud.suspected'], merchantId: 'MERCH-002' });
+        expect(forOther.status).toBe(400);
+      } finally {
+        config.auth.enabled = false;
+        setAuthStore(null);
+      }
+    });
+  });
+
+  describe('Alerts', () => {
+    const originalConfig = { ...config.alerts };
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+      config.alerts.filePath = path.join(tempDir, 'alerts.json');
+      resetAlerts();
+    });
+
+    afterEach(() => {
+      resetAlerts();
+      Object.assign(config.alerts, originalConfig);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const volumeRule = {
+      name: 'Any volume',
+      metric: 'grossVolume',
+      window: '90d',
+      operator: '>=',
+      threshold: 0
+    };
+
+    it('should create, list, show, update and delete rules', async () => {
+      const created = await request(app).post('/api/alerts').send(volumeRule);
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toEqual(expect.objectContaining({ ...volumeRule, merchantId: null, enabled: true }));
+      expect(created.body.data.status.state).toBe('firing');
+      const { id } = created.body.data;
+
+      const list = await request(app).get('/api/alerts');
+      expect(list.body.count).toBe(1);
+
+      const shown = await request(app).get(`/api/alerts/${id}`);
+      expect(shown.body.data.status.measurement.current).toHaveProperty('totalTransactions');
+
+      const updated = await request(app).put(`/api/alerts/${id}`).send({ ...volumeRule, enabled: false });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.status.state).toBe('pending');
+
+      const deleted = await request(app).delete(`/api/alerts/${id}`);
+      expect(deleted.status).toBe(200);
+      const missing = await request(app).get(`/api/alerts/${id}`);
+      expect(missing.status).toBe(404);
+      expect(missing.body.error).toBe(`Alert rule ${id} not found`);
+    });
+
+    it('should reject invalid rules with field details', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .send({ ...volumeRule, window: '1y', operator: '!=' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.field)).toEqual(['operator', 'window']);
+    });
+
+    it('should list alert history and validate its query', async () => {
+      await request(app).post('/api/alerts').send(volumeRule);
+
+      const history = await request(app).get('/api/alerts/history?state=firing');
+      expect(history.status).toBe(200);
+      expect(history.body.data).toEqual([expect.objectContaining({ ruleName: 'Any volume', state: 'firing' })]);
+
+      const invalid = await request(app).get('/api/alerts/history?state=open');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details[0].field).toBe('state');
+    });
+
+    it('should scope rules to the merchant and only let admins change them', async () => {
+      config.auth.enabled = true;
+      setAuthStore(testCredentials);
+      try {
+        const global = await request(app).post('/api/alerts').set('X-API-Key', testKeys.admin).send(volumeRule);
+        const own = await request(app)
+          .post('/api/merchants/MERCH-001/alerts')
+          .set('X-API-Key', testKeys.merchantAdmin)
+          .send(volumeRule);
+        expect(own.status).toBe(201);
+        expect(own.body.data.merchantId).toBe('MERCH-001');
+
+        const forbidden = await request(app)
+          .post('/api/merchants/MERCH-001/alerts')
+          .set('X-API-Key', testKeys.merchantAnalyst)
+          .send(volumeRule);
+        expect(forbidden.status).toBe(403);
+
+        const list = await request(app)
+          .get('/api/alerts')
+          .set('X-API-Key', testKeys.viewer)
+          .set('X-Merchant-Id', 'MERCH-001');
+        expect(list.status).toBe(200);
+        expect(list.body.data.map(rule => rule.id)).toEqual([own.body.data.id]);
+
+        const hidden = await request(app)
+          .get(`/api/merchants/MERCH-001/alerts/${global.body.data.id}`)
+          .set('X-API-Key', testKeys.merchantAnalyst);
+        expect(hidden.status).toBe(404);
+
+        const unscoped = await request(app).get('/api/alerts').set('X-API-Key', testKeys.viewer);
+        expect(unscoped.status).toBe(403);
+      } finally {
+        config.auth.enabled = false;
+        setAuthStore(null);
+      }
     });
   });
 
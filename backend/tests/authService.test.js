@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Authentication Service
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const {
+  hasRole,
+  hashApiKey,
+  generateApiKey,
+  hashPassword,
+  verifyPassword,
+  parseAuthStore,
+  loadAuthStore,
+  setAuthStore,
+  authenticateApiKey,
+  authenticateUser,
+  issueToken,
+  authenticateToken
+} = require('../src/services/authService');
+const { signJwt } = require('../src/utils/jwt');
+
+const credentials = {
+  apiKeys: [
+    { id: 'billing-sync', keyHash: hashApiKey('mtd_secret'), role: 'analyst', merchantId: 'MERCH-001' }
+  ],
+  users: [
+    { username: 'ops', passwordHash: hashPassword('hunter22'), role: 'admin' }
+  ]
+};
+
+describe('Auth Service', () => {
+  beforeEach(() => {
+    setAuthStore(credentials);
+  });
+
+  afterEach(() => {
+    setAuthStore(null);
+  });
+
+  describe('hasRole', () => {
+    it('should treat higher roles as including lower ones', () => {
+      expect(hasRole({ role: 'admin' }, 'viewer')).toBe(true);
+      expect(hasRole({ role: 'analyst' }, 'analyst')).toBe(true);
+      expect(hasRole({ role: 'analyst' }, 'admin')).toBe(false);
+      expect(hasRole({ role: 'viewer' }, 'analyst')).toBe(false);
+    });
+
+    it('should refuse missing principals and unknown roles', () => {
+      expect(hasRole(undefined, 'viewer')).toBe(false);
+      expect(hasRole({ role: 'root' }, 'viewer')).toBe(false);
+    });
+  });
+
+  describe('passwords and keys', () => {
+    it('should verify passwords against salted hashes', () => {
+      const first = hashPassword('hunter22');
+      const second = hashPassword('hunter22');
+
+      expect(first).not.toBe(second);
+      expect(first).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+      expect(verifyPassword('hunter22', first)).toBe(true);
+      expect(verifyPassword('hunter23', first)).toBe(false);
+      expect(verifyPassword('hunter22', 'plain-text')).toBe(false);
+    });
+
+    it('should generate distinct prefixed API keys', () => {
+      const key = generateApiKey();
+
+      expect(key).toMatch(/^mtd_[A-Za-z0-9_-]{43}$/);
+      expect(generateApiKey()).not.toBe(key);
+      expect(hashApiKey(key)).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('parseAuthStore', () => {
+    it('should index keys by hash and users by name', () => {
+      const store = parseAuthStore(credentials);
+
+      expect(store.apiKeys.get(hashApiKey('mtd_secret'))).toEqual({
+        type: 'apiKey', id: 'billing-sync', role: 'analyst', merchantId: 'MERCH-001'
+      });
+      expect(store.users.get('ops').principal).toEqual({ type: 'user', id: 'ops', role: 'admin', merchantId: null });
+    });
+
+    it('should reject unknown roles, missing fields and duplicates', () => {
+      expect(() => parseAuthStore({ users: [{ username: 'x', passwordHash: 'h', role: 'root' }] }))
+        .toThrow('unknown role "root"');
+      expect(() => parseAuthStore({ apiKeys: [{ id: 'x', role: 'viewer' }] }))
+        .toThrow('"id" and "keyHash"');
+      expect(() => parseAuthStore({
+        apiKeys: [{ id: 'ops', keyHash: 'h', role: 'viewer' }],
+        users: [{ username: 'ops', passwordHash: 'h', role: 'viewer' }]
+      })).toThrow('"ops" is defined more than once');
+    });
+
+    it('should require users other than admins to be bound to a merchant', () => {
+      expect(() => parseAuthStore({ users: [{ username: 'dana', passwordHash: 'h', role: 'analyst' }] }))
+        .toThrow('User "dana" needs a merchantId');
+      expect(() => parseAuthStore({
+        apiKeys: [{ id: 'billing-sync', keyHash: 'h', role: 'analyst' }],
+        users: [{ username: 'ops', passwordHash: 'h', role: 'admin' }]
+      })).not.toThrow();
+    });
+  });
+
+  describe('loadAuthStore', () => {
+    it('should treat a missing file as no credentials', () => {
+      const store = loadAuthStore(path.join(os.tmpdir(), 'missing-auth.json'));
+
+      expect(store.apiKeys.size).toBe(0);
+      expect(store.users.size).toBe(0);
+    });
+
+    it('should name the file when it is invalid', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+      const filePath = path.join(tempDir, 'auth.json');
+      fs.writeFileSync(filePath, '{ not json');
+
+      expect(() => loadAuthStore(filePath)).toThrow(`Could not load credentials from ${filePath}`);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('authentication', () => {
+    it('should identify API keys', () => {
+      expect(authenticateApiKey('mtd_secret')).toMatchObject({ id: 'billing-sync', role: 'analyst' });
+      expect(authenticateApiKey('mtd_guess')).toBeNull();
+      expect(authenticateApiKey('')).toBeNull();
+    });
+
+    it('should check user passwords', () => {
+      expect(authenticateUser('ops', 'hunter22')).toMatchObject({ type: 'user', id: 'ops', role: 'admin' });
+      expect(authenticateUser('ops', 'wrong')).toBeNull();
+      expect(authenticateUser('nobody', 'hunter22')).toBeNull();
+      expect(authenticateUser('ops', undefined)).toBeNull();
+    });
+
+    it('should issue tokens that identify the user', () => {
+      const principal = authenticateUser('ops', 'hunter22');
+      const now = Date.now();
+      const { token, expiresAt } = issueToken(principal, { now });
+
+      expect(new Date(expiresAt).getTime()).toBe(now + config.auth.tokenTtl * 1000);
+      expect(authenticateToken(token)).toEqual(principal);
+    });
+
+    it('should take the role from the credential file, not the token', () => {
+      const { token } = issueToken(authenticateUser('ops', 'hunter22'));
+      setAuthStore({ users: [{ ...credentials.users[0], role: 'viewer', merchantId: 'MERCH-001' }] });
+
+      expect(authenticateToken(token).role).toBe('viewer');
+
+      setAuthStore({});
+      expect(() => authenticateToken(token)).toThrow('Unknown user');
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const forged = signJwt({ sub: 'ops', role: 'admin' }, 'guessed-secret');
+
+      expect(() => authenticateToken(forged)).toThrow('Invalid token signature');
+    });
+  });
+});
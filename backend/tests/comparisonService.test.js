@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for Period Comparison Service
+ */
+
+const {
+  shiftMonths,
+  calculateDelta,
+  calculateDeltas,
+  calculatePeriodComparison
+} = require('../src/services/comparisonService');
+
+/**
+ * Build a minimal transaction for comparison scenarios
+ */
+const txn = (transactionDate, amount, overrides = {}) => ({
+  transactionId: `TXN-${transactionDate}`,
+  merchantId: 'MERCH-001',
+  amount,
+  cardBrand: 'Visa',
+  status: 'Approved',
+  transactionDate,
+  ...overrides
+});
+
+const now = new Date('2026-03-15T12:00:00.000Z');
+
+const transactions = [
+  // Current month to date
+  txn('2026-03-02T09:00:00.000Z', 100),
+  txn('2026-03-15T11:00:00.000Z', 300, { cardBrand: 'Amex' }),
+  // Prior month: two inside the window, one after the same day
+  txn('2026-02-01T00:00:00.000Z', 100),
+  txn('2026-02-15T11:59:59.000Z', 100, { status: 'Declined', declineReasonCode: '03-Suspected fraud' }),
+  txn('2026-02-15T12:00:01.000Z', 1000),
+  // Same month last year
+  txn('2025-03-10T10:00:00.000Z', 200),
+  // Outside every window
+  txn('2026-01-10T10:00:00.000Z', 999)
+];
+
+describe('Comparison Service', () => {
+  describe('shiftMonths', () => {
+    it('should keep the day and time', () => {
+      expect(shiftMonths(new Date('2026-03-15T12:30:00.000Z'), -1).toISOString()).toBe('2026-02-15T12:30:00.000Z');
+    });
+
+    it('should clamp to the end of shorter months', () => {
+      expect(shiftMonths(new Date('2026-03-31T08:00:00.000Z'), -1).toISOString()).toBe('2026-02-28T08:00:00.000Z');
+      expect(shiftMonths(new Date('2028-02-29T08:00:00.000Z'), -12).toISOString()).toBe('2027-02-28T08:00:00.000Z');
+    });
+
+    it('should cross year boundaries', () => {
+      expect(shiftMonths(new Date('2026-01-20T00:00:00.000Z'), -1).toISOString()).toBe('2025-12-20T00:00:00.000Z');
+    });
+  });
+
+  describe('calculateDelta', () => {
+    it('should return absolute and percentage change', () => {
+      expect(calculateDelta(150, 100)).toEqual({ absolute: 50, percent: 50 });
+      expect(calculateDelta(0.3, 0.1)).toEqual({ absolute: 0.2, percent: 200 });
+    });
+
+    it('should leave the percentage null when the previous value is zero', () => {
+      expect(calculateDelta(10, 0)).toEqual({ absolute: 10, percent: null });
+      expect(calculateDelta(undefined, undefined)).toEqual({ absolute: 0, percent: null });
+    });
+  });
+
+  describe('calculateDeltas', () => {
+    it('should compare breakdown entries present in only one period against zero', () => {
+      const empty = {
+        totalTransactions: 0, totalApproved: 0, totalDeclined: 0, totalAmount: 0,
+        approvedAmount: 0, declinedAmount: 0, approvalRate: 0, byCardBrand: {}, byDeclineReason: {}
+      };
+      const current = { ...empty, byCardBrand: { Visa: { count: 2, approved: 2, declined: 0, amount: 50 } } };
+
+      const deltas = calculateDeltas(current, empty);
+      expect(deltas.byCardBrand.Visa.count).toEqual({ absolute: 2, percent: null });
+      expect(calculateDeltas(empty, current).byCardBrand.Visa.amount).toEqual({ absolute: -50, percent: -100 });
+    });
+  });
+
+  describe('calculatePeriodComparison', () => {
+    const comparison = calculatePeriodComparison(transactions, { timeZone: 'UTC', now });
+
+    it('should summarize the current month up to now', () => {
+      expect(comparison.current).toMatchObject({
+        label: 'Mar 1–15, 2026',
+        start: '2026-03-01T00:00:00.000Z',
+        end: '2026-03-15T12:00:00.000Z',
+        totalTransactions: 2,
+        totalAmount: 400,
+        approvalRate: 100
+      });
+    });
+
+    it('should cut the prior month off at the same day and time', () => {
+      expect(comparison.priorMonth).toMatchObject({
+        label: 'Feb 1–15, 2026',
+        totalTransactions: 2,
+        totalAmount: 200,
+        approvalRate: 50
+      });
+      expect(comparison.priorMonth.deltas.totalAmount).toEqual({ absolute: 200, percent: 100 });
+      expect(comparison.priorMonth.deltas.approvalRate).toEqual({ absolute: 50, percent: 100 });
+      expect(comparison.priorMonth.deltas.byDeclineReason['03-Suspected fraud'].count)
+        .toEqual({ absolute: -1, percent: -100 });
+    });
+
+    it('should compare with the same month last year', () => {
+      expect(comparison.lastYear).toMatchObject({
+        label: 'Mar 1–15, 2025',
+        totalTransactions: 1,
+        totalAmount: 200
+      });
+      expect(comparison.lastYear.deltas.totalTransactions).toEqual({ absolute: 1, percent: 100 });
+      expect(comparison.lastYear.deltas.byCardBrand.Amex.amount).toEqual({ absolute: 300, percent: null });
+    });
+
+    it('should evaluate windows in the time zone', () => {
+      // 03:00Z on March 1 is still February in Los Angeles
+      const la = calculatePeriodComparison(
+        [txn('2026-03-01T03:00:00.000Z', 10)],
+        { timeZone: 'America/Los_Angeles', now: new Date('2026-03-01T05:00:00.000Z') }
+      );
+
+      expect(la.current.label).toBe('Feb 1–28, 2026');
+      expect(la.current.totalTransactions).toBe(1);
+      expect(la.current.start).toBe('2026-02-01T08:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Currency Service and Reporting Currency Parsing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseFxTable,
+  loadFxTable,
+  getFxTable,
+  setFxTable,
+  getRatesAt,
+  convertAmount
+} = require('../src/services/currencyService');
+const { resolveCurrency, parseReportingCurrencyParam } = require('../src/utils/currencyParams');
+const { ValidationError } = require('../src/utils/errors');
+
+const fxData = {
+  base: 'USD',
+  rates: [
+    { effectiveDate: '2026-02-01', rates: { USD: 1, EUR: 0.8, GBP: 0.5, CAD: 1.25 } },
+    { effectiveDate: '2026-01-01', rates: { USD: 1, EUR: 0.9, GBP: 0.75, CAD: 1.5 } }
+  ]
+};
+
+describe('Currency Service', () => {
+  afterEach(() => {
+    setFxTable(null);
+  });
+
+  describe('parseFxTable', () => {
+    it('should sort entries by effective date', () => {
+      const table = parseFxTable(fxData);
+      expect(table.base).toBe('USD');
+      expect(table.entries.map(e => e.effectiveDate)).toEqual(['2026-01-01', '2026-02-01']);
+    });
+
+    it('should reject empty tables, bad dates and missing currencies', () => {
+      expect(() => parseFxTable({ rates: [] })).toThrow('non-empty "rates" array');
+      expect(() => parseFxTable({ rates: [{ effectiveDate: 'soon', rates: fxData.rates[0].rates }] }))
+        .toThrow('invalid effectiveDate "soon"');
+      expect(() => parseFxTable({ rates: [{ effectiveDate: '2026-01-01', rates: { USD: 1, EUR: 0.9, GBP: 0 } }] }))
+        .toThrow('no valid rate for GBP');
+    });
+  });
+
+  describe('loadFxTable', () => {
+    it('should load the bundled rate table', () => {
+      const table = getFxTable();
+      expect(table.entries.length).toBeGreaterThan(0);
+    });
+
+    it('should name the file when it cannot be loaded', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+      const filePath = path.join(tempDir, 'fx.json');
+      fs.writeFileSync(filePath, '{ not json');
+
+      expect(() => loadFxTable(filePath)).toThrow(`Could not load FX rates from ${filePath}`);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('getRatesAt', () => {
+    const table = parseFxTable(fxData);
+
+    it('should use the latest entry effective on the date', () => {
+      expect(getRatesAt('2026-01-31T23:59:59.999Z', table).EUR).toBe(0.9);
+      expect(getRatesAt('2026-02-01T00:00:00.000Z', table).EUR).toBe(0.8);
+      expect(getRatesAt('2027-06-01T00:00:00.000Z', table).EUR).toBe(0.8);
+    });
+
+    it('should use the first entry for dates before the table starts', () => {
+      expect(getRatesAt('2020-01-01T00:00:00.000Z', table).EUR).toBe(0.9);
+    });
+  });
+
+  describe('convertAmount', () => {
+    it('should convert through the base currency at the dated rate', () => {
+      setFxTable(fxData);
+      expect(convertAmount(80, 'EUR', 'USD', '2026-02-10T00:00:00Z')).toBeCloseTo(100);
+      expect(convertAmount(90, 'EUR', 'GBP', '2026-01-10T00:00:00Z')).toBeCloseTo(75);
+    });
+
+    it('should return the amount unchanged for the same currency', () => {
+      expect(convertAmount(12.34, 'CAD', 'CAD', '2026-01-10T00:00:00Z')).toBe(12.34);
+    });
+  });
+});
+
+describe('Reporting Currency Params', () => {
+  it('should resolve supported codes in any case', () => {
+    expect(resolveCurrency(' eur ')).toBe('EUR');
+    expect(resolveCurrency('JPY')).toBeNull();
+    expect(resolveCurrency(['EUR'])).toBeNull();
+  });
+
+  it('should fall back when no value is given', () => {
+    expect(parseReportingCurrencyParam(undefined, 'GBP')).toBe('GBP');
+    expect(parseReportingCurrencyParam('', 'GBP')).toBe('GBP');
+  });
+
+  it('should reject unsupported currencies', () => {
+    expect(() => parseReportingCurrencyParam('XYZ', 'USD')).toThrow(ValidationError);
+    expect(() => parseReportingCurrencyParam('XYZ', 'USD')).toThrow('Invalid "reportingCurrency": expected one of USD, EUR, GBP, CAD');
+  });
+});
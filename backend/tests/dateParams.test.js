@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for Date Query Parameter Parsing
+ */
+
+const { isRelativeDate, parseDateParam, parseDateRange } = require('../src/utils/dateParams');
+const { ValidationError } = require('../src/utils/errors');
+
+const now = new Date('2026-02-15T12:00:00.000Z');
+
+describe('Date Params', () => {
+  describe('parseDateParam', () => {
+    it('should return null when no value is given', () => {
+      expect(parseDateParam(undefined, { name: 'from' })).toBeNull();
+      expect(parseDateParam('', { name: 'from' })).toBeNull();
+    });
+
+    it('should parse a date-only value to the start of the day', () => {
+      const date = parseDateParam('2026-01-10', { name: 'from' });
+      expect(date.toISOString()).toBe('2026-01-10T00:00:00.000Z');
+    });
+
+    it('should parse a date-only end boundary to the end of the day', () => {
+      const date = parseDateParam('2026-01-10', { name: 'to', boundary: 'end' });
+      expect(date.toISOString()).toBe('2026-01-10T23:59:59.999Z');
+    });
+
+    it('should parse full ISO datetimes', () => {
+      const date = parseDateParam('2026-01-10T08:30:00-05:00', { name: 'from' });
+      expect(date.toISOString()).toBe('2026-01-10T13:30:00.000Z');
+    });
+
+    it('should resolve relative day, week and hour tokens', () => {
+      expect(parseDateParam('-30d', { name: 'from', now }).toISOString()).toBe('2026-01-16T12:00:00.000Z');
+      expect(parseDateParam('-2w', { name: 'from', now }).toISOString()).toBe('2026-02-01T12:00:00.000Z');
+      expect(parseDateParam('-12h', { name: 'from', now }).toISOString()).toBe('2026-02-15T00:00:00.000Z');
+    });
+
+    it('should resolve relative month and year tokens', () => {
+      expect(parseDateParam('-3m', { name: 'from', now }).toISOString()).toBe('2025-11-15T12:00:00.000Z');
+      expect(parseDateParam('-1y', { name: 'from', now }).toISOString()).toBe('2025-02-15T12:00:00.000Z');
+    });
+
+    it('should resolve "now"', () => {
+      expect(parseDateParam('now', { name: 'to', now }).toISOString()).toBe(now.toISOString());
+    });
+
+    it('should reject unparseable values', () => {
+      expect(() => parseDateParam('last week', { name: 'from' })).toThrow(ValidationError);
+      expect(() => parseDateParam('+30d', { name: 'from' })).toThrow(ValidationError);
+      expect(() => parseDateParam('1700000000', { name: 'from' })).toThrow(ValidationError);
+    });
+
+    it('should reject impossible calendar dates', () => {
+      expect(() => parseDateParam('2026-02-31', { name: 'from' })).toThrow('Invalid "from" date');
+    });
+
+    it('should reject repeated parameters', () => {
+      expect(() => parseDateParam(['2026-01-01', '2026-02-01'], { name: 'from' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseDateRange', () => {
+    it('should parse both bounds', () => {
+      const { from, to } = parseDateRange({ from: '-7d', to: 'now' }, now);
+      expect(from.toISOString()).toBe('2026-02-08T12:00:00.000Z');
+      // The end bound covers the whole current minute
+      expect(to.toISOString()).toBe('2026-02-15T12:00:59.999Z');
+    });
+
+    it('should resolve relative bounds to whole minutes', () => {
+      const early = parseDateRange({ from: '-30d', to: 'now' }, new Date('2026-02-15T12:34:00.250Z'));
+      const late = parseDateRange({ from: '-30d', to: 'now' }, new Date('2026-02-15T12:34:59.900Z'));
+
+      expect(early).toEqual(late);
+      expect(early.from.toISOString()).toBe('2026-01-16T12:34:00.000Z');
+    });
+
+    it('should allow open-ended ranges', () => {
+      const { from, to } = parseDateRange({ from: '2026-01-01' }, now);
+      expect(from.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+      expect(to).toBeNull();
+    });
+
+    it('should reject ranges where from is after to', () => {
+      expect(() => parseDateRange({ from: '2026-02-01', to: '2026-01-01' }, now)).toThrow(ValidationError);
+    });
+
+    it('should accept a single-day range', () => {
+      const { from, to } = parseDateRange({ from: '2026-01-01', to: '2026-01-01' }, now);
+      expect(to.getTime() - from.getTime()).toBe(24 * 60 * 60 * 1000 - 1);
+    });
+  });
+
+  describe('isRelativeDate', () => {
+    it('should recognise relative tokens and now', () => {
+      expect(['-30d', ' -12h ', 'now'].every(isRelativeDate)).toBe(true);
+      expect([undefined, '', '2026-01-01', '2026-01-01T08:30:00Z', ['-30d']].some(isRelativeDate)).toBe(false);
+    });
+  });
+});
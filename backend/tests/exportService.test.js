@@ -0,0 +1,216 @@
+/**
+ * Unit Tests for Export Service and XLSX Writer
+ */
+
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const {
+  parseExportFormat,
+  flattenMonthlySummary,
+  toCsvLine,
+  sendExport
+} = require('../src/services/exportService');
+const { buildXlsx, crc32, columnName } = require('../src/utils/xlsxWriter');
+const { calculateMonthByMonthSummary } = require('../src/services/aggregationService');
+const { ValidationError } = require('../src/utils/errors');
+
+// Sample test data
+const mockTransactions = [
+  {
+    transactionId: 'TXN-001',
+    merchantId: 'MERCH-001',
+    amount: 100.10,
+    cardBrand: 'Visa',
+    status: 'Approved',
+    transactionDate: '2026-02-01T10:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-002',
+    merchantId: 'MERCH-002',
+    amount: 200.20,
+    cardBrand: 'Visa',
+    status: 'Declined',
+    declineReasonCode: '01-Insufficient funds',
+    transactionDate: '2026-02-05T11:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-003',
+    merchantId: 'MERCH-003',
+    amount: 300.00,
+    cardBrand: 'Amex',
+    status: 'Approved',
+    transactionDate: '2026-01-15T12:00:00.000Z'
+  }
+];
+
+/**
+ * Read the entries of a zip archive through its central directory
+ * @param {Buffer} zip - Archive contents
+ * @returns {Object} Map of entry name to decompressed content
+ */
+function readZip(zip) {
+  const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+  const entryCount = zip.readUInt16LE(endOffset + 10);
+  let pointer = zip.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    const compressedSize = zip.readUInt32LE(pointer + 20);
+    const nameLength = zip.readUInt16LE(pointer + 28);
+    const localOffset = zip.readUInt32LE(pointer + 42);
+    const name = zip.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    const localNameLength = zip.readUInt16LE(localOffset + 26);
+    const dataStart = localOffset + 30 + localNameLength;
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+    expect(crc32(content)).toBe(zip.readUInt32LE(pointer + 16));
+
+    entries[name] = content.toString('utf8');
+    pointer += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('Export Service', () => {
+  describe('parseExportFormat', () => {
+    it('should default to csv', () => {
+      expect(parseExportFormat(undefined)).toBe('csv');
+    });
+
+    it('should accept supported formats case-insensitively', () => {
+      expect(parseExportFormat('NDJSON')).toBe('ndjson');
+      expect(parseExportFormat('xlsx')).toBe('xlsx');
+    });
+
+    it('should reject unsupported formats', () => {
+      expect(() => parseExportFormat('pdf')).toThrow(ValidationError);
+    });
+  });
+
+  describe('flattenMonthlySummary', () => {
+    it('should produce one row per month and card brand', () => {
+      const rows = flattenMonthlySummary(calculateMonthByMonthSummary(mockTransactions));
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toEqual({
+        month: '2026-02',
+        monthFormatted: 'Feb 2026',
+        cardBrand: 'Visa',
+        totalTransactions: 2,
+        totalApproved: 1,
+        totalDeclined: 1,
+        totalAmount: 300.30,
+        reportingCurrency: 'USD',
+        approvalRate: 50
+      });
+      expect(rows[1].month).toBe('2026-01');
+      expect(rows[1].cardBrand).toBe('Amex');
+    });
+
+    it('should return no rows for an empty summary', () => {
+      expect(flattenMonthlySummary([])).toEqual([]);
+    });
+  });
+
+  describe('toCsvLine', () => {
+    it('should join plain values with commas', () => {
+      expect(toCsvLine(['TXN-001', 100.5, 'Visa'])).toBe('TXN-001,100.5,Visa\r\n');
+    });
+
+    it('should quote values containing commas, quotes or newlines', () => {
+      expect(toCsvLine(['a,b', 'say "hi"', 'line\nbreak'])).toBe('"a,b","say ""hi""","line\nbreak"\r\n');
+    });
+
+    it('should leave missing values empty', () => {
+      expect(toCsvLine(['x', undefined, null, 'y'])).toBe('x,,,y\r\n');
+    });
+
+    it('should neutralize text that looks like a spreadsheet formula', () => {
+      expect(toCsvLine(['=SUM(A1:A9)', '@cmd'])).toBe("'=SUM(A1:A9),'@cmd\r\n");
+    });
+
+    it('should not alter negative numbers', () => {
+      expect(toCsvLine([-42.5])).toBe('-42.5\r\n');
+    });
+  });
+
+  describe('sendExport', () => {
+    /**
+     * A response whose client stops reading: nothing written is ever
+     * flushed, so the buffer stays full until the response is destroyed
+     * @returns {Writable} Response stand-in
+     */
+    function stalledResponse() {
+      const res = new Writable({ highWaterMark: 16, write() {} });
+      res.status = jest.fn();
+      res.setHeader = jest.fn();
+      res.chunks = [];
+      const write = res.write.bind(res);
+      res.write = chunk => {
+        res.chunks.push(chunk);
+        return write(chunk);
+      };
+      return res;
+    }
+
+    const rows = Array.from({ length: 2000 }, (_, i) => ({ transactionId: `TXN-${i}`, amount: i }));
+
+    it('should stop writing when the client disconnects mid-export', async () => {
+      const res = stalledResponse();
+      const done = sendExport(res, { format: 'csv', columns: ['transactionId', 'amount'], rows, filename: 'transactions' });
+
+      // The header line fills the buffer; the export waits for it to drain
+      await new Promise(resolve => setImmediate(resolve));
+      expect(res.chunks).toHaveLength(1);
+      res.destroy();
+
+      await expect(done).resolves.toBeUndefined();
+      expect(res.chunks).toHaveLength(1);
+    });
+
+    it('should stop writing when the response fails mid-export', async () => {
+      const res = stalledResponse();
+      res.on('error', () => {});
+      const done = sendExport(res, { format: 'ndjson', columns: ['transactionId', 'amount'], rows, filename: 'transactions' });
+
+      await new Promise(resolve => setImmediate(resolve));
+      res.destroy(new Error('socket hang up'));
+
+      await expect(done).resolves.toBeUndefined();
+      expect(res.chunks).toHaveLength(1);
+    });
+  });
+
+  describe('buildXlsx', () => {
+    it('should name columns like a spreadsheet', () => {
+      expect(columnName(0)).toBe('A');
+      expect(columnName(25)).toBe('Z');
+      expect(columnName(26)).toBe('AA');
+    });
+
+    it('should produce a zip archive with the workbook parts', () => {
+      const workbook = buildXlsx({
+        sheetName: 'transactions',
+        header: ['transactionId', 'amount'],
+        rows: [['TXN-001', 100.1], ['TXN-<2>', 5]]
+      });
+
+      expect(workbook.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4B, 0x03, 0x04]));
+
+      const entries = readZip(workbook);
+      expect(Object.keys(entries)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml'
+      ]);
+      expect(entries['xl/workbook.xml']).toContain('name="transactions"');
+
+      const sheet = entries['xl/worksheets/sheet1.xml'];
+      expect(sheet).toContain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">transactionId</t></is></c>');
+      expect(sheet).toContain('<c r="B2"><v>100.1</v></c>');
+      expect(sheet).toContain('TXN-&lt;2&gt;');
+    });
+  });
+});
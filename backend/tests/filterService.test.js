@@ -6,6 +6,12 @@ const {
   filterByCardBrand,
   filterByStatus,
   filterByDeclineReasonCode,
+  filterByDateRange,
+  filterByAmountRange,
+  filterByMerchantId,
+  filterByType,
+  filterByOriginalTransactionId,
+  filterByCurrency,
   applyFilters
 } = require('../src/services/filterService');
 
@@ -96,6 +102,23 @@ describe('Filter Service', () => {
       const result = filterByCardBrand(mockTransactions, 'NonExistent');
       expect(result).toHaveLength(0);
     });
+
+    it('should filter by several card brands given as an array', () => {
+      const result = filterByCardBrand(mockTransactions, ['Visa', 'Amex']);
+      expect(result).toHaveLength(3);
+      expect(result.every(t => ['Visa', 'Amex'].includes(t.cardBrand))).toBe(true);
+    });
+
+    it('should filter by several card brands given as a comma-separated string', () => {
+      const result = filterByCardBrand(mockTransactions, 'Mastercard,Discover');
+      expect(result).toHaveLength(2);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-002', 'TXN-005']);
+    });
+
+    it('should return all transactions for an empty array', () => {
+      const result = filterByCardBrand(mockTransactions, []);
+      expect(result).toHaveLength(5);
+    });
   });
 
   describe('filterByStatus', () => {
@@ -120,6 +143,11 @@ describe('Filter Service', () => {
       expect(result).toHaveLength(3);
       expect(result.every(t => t.status === 'Declined')).toBe(true);
     });
+
+    it('should return all transactions when every status is selected', () => {
+      const result = filterByStatus(mockTransactions, ['Approved', 'Declined']);
+      expect(result).toHaveLength(5);
+    });
   });
 
   describe('filterByDeclineReasonCode', () => {
@@ -144,6 +172,154 @@ describe('Filter Service', () => {
       expect(result).toHaveLength(1);
       expect(result[0].declineReasonCode).toBe('03-Suspected fraud');
     });
+
+    it('should filter by several decline reasons', () => {
+      const result = filterByDeclineReasonCode(mockTransactions, ['01-Insufficient funds', '03-Suspected fraud']);
+      expect(result).toHaveLength(2);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-002', 'TXN-005']);
+    });
+  });
+
+  describe('filterByDateRange', () => {
+    it('should return all transactions when no bounds are specified', () => {
+      const result = filterByDateRange(mockTransactions, null, null);
+      expect(result).toHaveLength(5);
+    });
+
+    it('should filter transactions on or after from', () => {
+      const result = filterByDateRange(mockTransactions, new Date('2026-01-15T12:00:00.000Z'), null);
+      expect(result).toHaveLength(4);
+      expect(result.map(t => t.transactionId)).not.toContain('TXN-005');
+    });
+
+    it('should filter transactions on or before to', () => {
+      const result = filterByDateRange(mockTransactions, null, new Date('2026-01-15T12:00:00.000Z'));
+      expect(result).toHaveLength(2);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-003', 'TXN-005']);
+    });
+
+    it('should filter transactions within both bounds', () => {
+      const result = filterByDateRange(mockTransactions, '2026-01-01T00:00:00.000Z', '2026-01-31T23:59:59.999Z');
+      expect(result).toHaveLength(2);
+      expect(result.every(t => t.transactionDate.startsWith('2026-01'))).toBe(true);
+    });
+  });
+
+  describe('filterByAmountRange', () => {
+    it('should return all transactions when no bounds are specified', () => {
+      const result = filterByAmountRange(mockTransactions, null, null);
+      expect(result).toHaveLength(5);
+    });
+
+    it('should filter transactions at or above minAmount', () => {
+      const result = filterByAmountRange(mockTransactions, 300, null);
+      expect(result).toHaveLength(3);
+      expect(result.every(t => t.amount >= 300)).toBe(true);
+    });
+
+    it('should filter transactions at or below maxAmount', () => {
+      const result = filterByAmountRange(mockTransactions, null, 200);
+      expect(result).toHaveLength(2);
+      expect(result.every(t => t.amount <= 200)).toBe(true);
+    });
+
+    it('should filter transactions within both bounds', () => {
+      const result = filterByAmountRange(mockTransactions, 150, 350);
+      expect(result).toHaveLength(2);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-002', 'TXN-003']);
+    });
+
+    it('should treat a zero minAmount as a real bound', () => {
+      const result = filterByAmountRange(mockTransactions, 0, 100);
+      expect(result).toHaveLength(1);
+      expect(result[0].transactionId).toBe('TXN-001');
+    });
+
+    it('should include amounts equal to a bound despite float representation', () => {
+      const transactions = [{ transactionId: 'T1', amount: 0.3 }, { transactionId: 'T2', amount: 4.35 }];
+
+      expect(filterByAmountRange(transactions, 0.1 + 0.2, null)).toHaveLength(2);
+      expect(filterByAmountRange(transactions, null, 0.1 + 0.2)).toHaveLength(1);
+    });
+
+    it('should convert amounts into the currency of the bounds', () => {
+      const transactions = [
+        { transactionId: 'T1', amount: 100, transactionDate: '2026-01-10T10:00:00.000Z' },
+        // 100 USD at the 2026-01-01 rate of 0.8531 EUR per USD
+        { transactionId: 'T2', amount: 85.31, currency: 'EUR', transactionDate: '2026-01-10T10:00:00.000Z' },
+        { transactionId: 'T3', amount: 85.30, currency: 'EUR', transactionDate: '2026-01-10T10:00:00.000Z' }
+      ];
+
+      expect(filterByAmountRange(transactions, 100, 100, 'USD').map(t => t.transactionId)).toEqual(['T1', 'T2']);
+      expect(filterByAmountRange(transactions, 85.31, null, 'EUR').map(t => t.transactionId)).toEqual(['T1', 'T2']);
+      // Without a currency the stored amounts are compared as they are
+      expect(filterByAmountRange(transactions, 100, null).map(t => t.transactionId)).toEqual(['T1']);
+    });
+  });
+
+  describe('filterByMerchantId', () => {
+    it('should return all transactions when merchantId is not specified', () => {
+      const result = filterByMerchantId(mockTransactions, null);
+      expect(result).toHaveLength(5);
+    });
+
+    it('should return all transactions when merchantId is "all"', () => {
+      const result = filterByMerchantId(mockTransactions, 'all');
+      expect(result).toHaveLength(5);
+    });
+
+    it('should filter transactions by merchant', () => {
+      const result = filterByMerchantId(mockTransactions, 'MERCH-003');
+      expect(result).toHaveLength(1);
+      expect(result[0].merchantId).toBe('MERCH-003');
+    });
+
+    it('should return empty array for non-existent merchant', () => {
+      const result = filterByMerchantId(mockTransactions, 'MERCH-999');
+      expect(result).toHaveLength(0);
+    });
+  });
+
+  describe('filterByType', () => {
+    const refund = {
+      transactionId: 'TXN-006',
+      merchantId: 'MERCH-001',
+      amount: 50.00,
+      cardBrand: 'Visa',
+      status: 'Approved',
+      transactionDate: '2026-02-03T10:00:00.000Z',
+      type: 'Refund',
+      originalTransactionId: 'TXN-001'
+    };
+    const withRefund = [...mockTransactions, refund];
+
+    it('should treat records without a type as payments', () => {
+      const result = filterByType(withRefund, 'Payment');
+      expect(result).toHaveLength(5);
+    });
+
+    it('should filter by several types', () => {
+      expect(filterByType(withRefund, 'Refund')).toEqual([refund]);
+      expect(filterByType(withRefund, ['Refund', 'Chargeback'])).toEqual([refund]);
+      expect(filterByType(withRefund, 'Payment,Refund')).toHaveLength(6);
+    });
+
+    it('should find the refunds of one payment', () => {
+      expect(filterByOriginalTransactionId(withRefund, 'TXN-001')).toEqual([refund]);
+      expect(filterByOriginalTransactionId(withRefund, 'TXN-002')).toEqual([]);
+      expect(filterByOriginalTransactionId(withRefund, undefined)).toHaveLength(6);
+    });
+  });
+
+  describe('filterByCurrency', () => {
+    const euro = { ...mockTransactions[0], transactionId: 'TXN-006', currency: 'EUR' };
+    const withEuro = [...mockTransactions, euro];
+
+    it('should treat records without a currency as USD', () => {
+      expect(filterByCurrency(withEuro, 'USD')).toHaveLength(5);
+      expect(filterByCurrency(withEuro, 'EUR')).toEqual([euro]);
+      expect(filterByCurrency(withEuro, 'USD,EUR')).toHaveLength(6);
+    });
   });
 
   describe('applyFilters', () => {
@@ -186,6 +362,39 @@ describe('Filter Service', () => {
       expect(result).toHaveLength(0);
     });
 
+    it('should OR values within a field and AND across fields', () => {
+      const result = applyFilters(mockTransactions, {
+        cardBrand: ['Visa', 'Mastercard'],
+        status: ['Declined']
+      });
+      expect(result).toHaveLength(2);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-002', 'TXN-003']);
+    });
+
+    it('should combine date range with other filters', () => {
+      const result = applyFilters(mockTransactions, {
+        status: 'Declined',
+        from: new Date('2026-01-01T00:00:00.000Z')
+      });
+      expect(result).toHaveLength(2);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-002', 'TXN-003']);
+    });
+
+    it('should combine amount and merchant filters with other filters', () => {
+      const result = applyFilters(mockTransactions, {
+        cardBrand: 'Visa',
+        minAmount: 250
+      });
+      expect(result).toHaveLength(1);
+      expect(result[0].transactionId).toBe('TXN-003');
+
+      const byMerchant = applyFilters(mockTransactions, {
+        merchantId: 'MERCH-003',
+        maxAmount: 250
+      });
+      expect(byMerchant).toHaveLength(0);
+    });
+
     it('should not modify the original array', () => {
       const originalLength = mockTransactions.length;
       applyFilters(mockTransactions, { cardBrand: 'Visa' });
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for the Forecast Service
+ *
+ * Histories are built from generated payments in UTC, forecast at a fixed time.
+ */
+
+const {
+  resolveForecastRange,
+  forecastMonthEnd
+} = require('../src/services/forecastService');
+const { parseForecastParams } = require('../src/utils/forecastParams');
+const { DAY_MS, createDailyPayments } = require('./helpers/dailyPayments');
+
+// Noon on a Wednesday; 20 whole days of March remain after today
+const NOW = new Date('2026-03-11T12:00:00.000Z');
+const TODAY = new Date(`${NOW.toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+// Histories stop at the day before NOW; tests add today's payments themselves
+const { paymentsOn, history } = createDailyPayments({ idPrefix: 'TXN-FC', until: TODAY });
+
+const forecast = (transactions, options = {}) => forecastMonthEnd(transactions, {
+  timeZone: 'UTC',
+  reportingCurrency: 'USD',
+  now: NOW,
+  ...options
+});
+
+describe('Forecast Service', () => {
+  describe('resolveForecastRange', () => {
+    it('should reach back over the history weeks', () => {
+      expect(resolveForecastRange({ timeZone: 'UTC', historyWeeks: 8, now: NOW })).toEqual({
+        from: new Date('2026-01-14T00:00:00.000Z'),
+        to: NOW
+      });
+    });
+
+    it('should cover the whole month when the history is shorter', () => {
+      expect(resolveForecastRange({ timeZone: 'UTC', historyWeeks: 1, now: NOW }).from)
+        .toEqual(new Date('2026-03-01T00:00:00.000Z'));
+    });
+  });
+
+  describe('forecastMonthEnd', () => {
+    it('should add the expected rest of the month to the month to date', () => {
+      const transactions = [
+        ...history('2026-01-01', day => paymentsOn(day, { count: 10, declines: 2 })),
+        // The morning of today
+        ...paymentsOn('2026-03-11', { count: 5, declines: 2 })
+      ];
+
+      const result = forecast(transactions);
+
+      expect(result).toEqual(expect.objectContaining({
+        month: '2026-03',
+        label: 'Mar 2026',
+        asOf: NOW.toISOString(),
+        daysRemaining: 20.5,
+        historyDays: 56
+      }));
+      // 105 so far; half of today and 20 more days of 10
+      expect(result.metrics.totalTransactions).toEqual({ actual: 105, projected: 310, lower: 310, upper: 310 });
+      expect(result.metrics.totalAmount).toEqual({ actual: 10500, projected: 31000, lower: 31000, upper: 31000 });
+      expect(result.metrics.totalDeclined).toEqual({ actual: 22, projected: 63, lower: 63, upper: 63 });
+      // (83 approved so far + 164 to come) / 310
+      expect(result.metrics.approvalRate).toEqual({ actual: 79.05, projected: 79.68, lower: 79.68, upper: 79.68 });
+    });
+
+    it('should expect each remaining day to look like its weekday', () => {
+      // Weekends are three times as busy
+      const transactions = history('2026-01-01', (day, date) => (
+        paymentsOn(day, { count: [0, 6].includes(date.getUTCDay()) ? 30 : 10 })
+      ));
+
+      const { metrics } = forecast(transactions);
+
+      // 160 so far; half a Wednesday, 6 weekend days and 14 weekdays to come
+      expect(metrics.totalTransactions.actual).toBe(160);
+      expect(metrics.totalTransactions.projected).toBe(160 + 5 + 6 * 30 + 14 * 10);
+    });
+
+    it('should widen the intervals with the confidence and keep them around the projection', () => {
+      // Alternate busy and quiet weeks
+      const transactions = history('2026-01-01', (day, date) => {
+        const busy = Math.floor(date.getTime() / (7 * DAY_MS)) % 2 === 0;
+        return paymentsOn(day, { count: busy ? 14 : 6, declines: busy ? 1 : 3 });
+      });
+
+      const narrow = forecast(transactions, { confidence: 80 }).metrics;
+      const wide = forecast(transactions, { confidence: 99 }).metrics;
+
+      ['totalAmount', 'totalTransactions', 'approvalRate'].forEach(metric => {
+        expect(narrow[metric].projected).toBe(wide[metric].projected);
+        expect(wide[metric].lower).toBeLessThan(narrow[metric].lower);
+        expect(narrow[metric].lower).toBeLessThan(narrow[metric].projected);
+        expect(narrow[metric].upper).toBeGreaterThan(narrow[metric].projected);
+        expect(wide[metric].upper).toBeGreaterThan(narrow[metric].upper);
+      });
+      expect(wide.totalTransactions.lower).toBeGreaterThanOrEqual(wide.totalTransactions.actual);
+      expect(wide.approvalRate.upper).toBeLessThanOrEqual(100);
+    });
+
+    it('should ignore the days before the first payment', () => {
+      // A merchant that went live on Monday
+      const transactions = [
+        ...history('2026-03-09', day => paymentsOn(day, { count: 20 })),
+        ...paymentsOn('2026-03-11', { count: 10 })
+      ];
+
+      const result = forecast(transactions);
+
+      expect(result.historyDays).toBe(2);
+      expect(result.metrics.totalTransactions.projected).toBe(50 + 10 + 20 * 20);
+    });
+
+    it('should not project without any history', () => {
+      const result = forecast(paymentsOn('2026-03-11', { count: 3 }));
+
+      expect(result.historyDays).toBe(0);
+      expect(result.metrics.totalTransactions).toEqual({ actual: 3, projected: null, lower: null, upper: null });
+      expect(result.metrics.approvalRate).toEqual({ actual: 100, projected: null, lower: null, upper: null });
+    });
+
+    it('should use the month and day of the time zone', () => {
+      // 10pm on March 31 in New York
+      const result = forecast([], { timeZone: 'America/New_York', now: new Date('2026-04-01T02:00:00.000Z') });
+
+      expect(result.month).toBe('2026-03');
+      expect(result.daysRemaining).toBe(0.08);
+    });
+  });
+
+  describe('parseForecastParams', () => {
+    it('should apply the defaults', () => {
+      expect(parseForecastParams({})).toEqual({ confidence: 95, historyWeeks: 8 });
+    });
+
+    it('should parse every option', () => {
+      expect(parseForecastParams({ confidence: '80', historyWeeks: '12' })).toEqual({ confidence: 80, historyWeeks: 12 });
+    });
+
+    it('should report every invalid option', () => {
+      expect(() => parseForecastParams({ confidence: '75', historyWeeks: '0' })).toThrow(expect.objectContaining({
+        details: ['confidence', 'historyWeeks'].map(field => expect.objectContaining({ field }))
+      }));
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Generated Daily Payments
+ *
+ * Builds day-by-day payment histories in UTC for the tests of services
+ * that learn from past days (anomaly detection, forecasting).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create payment generators for one test file
+ * @param {Object} options
+ * @param {string} options.idPrefix - Prefix of the generated transaction IDs
+ * @param {Date} options.until - History stops before this time (exclusive)
+ * @returns {{paymentsOn: Function, history: Function}} Generators
+ */
+function createDailyPayments({ idPrefix, until }) {
+  let sequence = 0;
+
+  /**
+   * Build one day's payments
+   * @param {string} day - YYYY-MM-DD
+   * @param {Object} options
+   * @param {number} options.count - Payments that day
+   * @param {number} [options.declines=0] - How many of them are declined
+   * @param {string} [options.cardBrand='Visa'] - Card brand
+   * @param {string} [options.hour='10'] - Hour of day (UTC) they happen at
+   * @returns {Array<Object>} Transactions
+   */
+  function paymentsOn(day, { count, declines = 0, cardBrand = 'Visa', hour = '10' }) {
+    return Array.from({ length: count }, (_, i) => {
+      sequence += 1;
+      return {
+        transactionId: `${idPrefix}-${sequence}`,
+        merchantId: 'MERCH-001',
+        amount: 100,
+        cardBrand,
+        status: i < declines ? 'Declined' : 'Approved',
+        ...(i < declines && { declineReasonCode: '01-Insufficient funds' }),
+        transactionDate: `${day}T${hour}:00:00.000Z`
+      };
+    });
+  }
+
+  /**
+   * Generate payments for every day from `start` whose midnight is before `until`
+   * @param {string} start - First day, YYYY-MM-DD
+   * @param {Function} perDay - (day, date) → transactions for that day
+   * @returns {Array<Object>} Transactions
+   */
+  function history(start, perDay) {
+    const transactions = [];
+    for (let date = new Date(`${start}T00:00:00.000Z`); date < until; date = new Date(date.getTime() + DAY_MS)) {
+      transactions.push(...perDay(date.toISOString().slice(0, 10), date));
+    }
+    return transactions;
+  }
+
+  return { paymentsOn, history };
+}
+
+module.exports = {
+  DAY_MS,
+  createDailyPayments
+};
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for Ingestion Service
+ */
+
+const {
+  validateNewTransaction,
+  applyMerchantScope,
+  validateMerchantScope,
+  normalizeTransaction,
+  prepareTransactions,
+  parseNdjson,
+  parseBulkBody
+} = require('../src/services/ingestionService');
+
+const approved = {
+  transactionId: 'TXN-001',
+  merchantId: 'MERCH-001',
+  amount: 100,
+  cardBrand: 'Visa',
+  status: 'Approved',
+  transactionDate: '2026-02-01T10:00:00.000Z'
+};
+
+const declined = {
+  transactionId: 'TXN-002',
+  merchantId: 'MERCH-002',
+  amount: 49.99,
+  cardBrand: 'Mastercard',
+  status: 'Declined',
+  declineReasonCode: '01-Insufficient funds',
+  transactionDate: '2026-02-02T11:00:00.000Z'
+};
+
+const refund = {
+  transactionId: 'TXN-R01',
+  merchantId: 'MERCH-001',
+  amount: 60,
+  cardBrand: 'Visa',
+  status: 'Approved',
+  transactionDate: '2026-02-03T09:00:00.000Z',
+  type: 'Refund',
+  originalTransactionId: 'TXN-001'
+};
+
+describe('Ingestion Service', () => {
+  describe('validateNewTransaction', () => {
+    it('should accept records shaped like the mock data', () => {
+      expect(validateNewTransaction(approved)).toEqual([]);
+      expect(validateNewTransaction(declined)).toEqual([]);
+    });
+
+    it('should allow transactionId to be omitted', () => {
+      const { transactionId, ...withoutId } = approved;
+      expect(validateNewTransaction(withoutId)).toEqual([]);
+    });
+  });
+
+  describe('normalizeTransaction', () => {
+    it('should drop unknown fields, store dates in UTC and default type and currency', () => {
+      const result = normalizeTransaction({
+        ...approved,
+        transactionDate: '2026-02-01T05:00:00.000-05:00',
+        note: 'ignored'
+      });
+
+      expect(result).toEqual({ ...approved, transactionDate: '2026-02-01T10:00:00.000Z', type: 'Payment', currency: 'USD' });
+    });
+
+    it('should keep originalTransactionId on refunds and chargebacks', () => {
+      const result = normalizeTransaction({ ...refund, originalTransactionId: ' TXN-001 ' });
+      expect(result).toEqual({ ...refund, currency: 'USD' });
+    });
+
+    it('should generate an id when none is given', () => {
+      const { transactionId, ...withoutId } = approved;
+      expect(normalizeTransaction(withoutId).transactionId).toMatch(/^TXN-[A-Z0-9]+$/);
+    });
+  });
+
+  describe('prepareTransactions', () => {
+    it('should split accepted and rejected records by input index', () => {
+      const { accepted, rejected } = prepareTransactions([approved, { ...declined, amount: -1 }, declined]);
+
+      expect(accepted.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-002']);
+      expect(rejected).toEqual([
+        { index: 1, transactionId: 'TXN-002', errors: [{ field: 'amount', message: 'amount must be greater than 0' }] }
+      ]);
+    });
+
+    it('should reject ids that are stored or repeated in the batch', () => {
+      const { accepted, rejected } = prepareTransactions([approved, declined, declined], {
+        exists: id => id === 'TXN-001'
+      });
+
+      expect(accepted.map(t => t.transactionId)).toEqual(['TXN-002']);
+      expect(rejected.map(r => r.index)).toEqual([0, 2]);
+      expect(rejected[0].errors).toEqual([
+        { field: 'transactionId', message: 'transactionId TXN-001 already exists' }
+      ]);
+    });
+  });
+
+  describe('refunds and chargebacks', () => {
+    it('should accept reversals of a stored payment up to its amount', () => {
+      const { accepted, rejected } = prepareTransactions([refund, { ...refund, transactionId: 'TXN-R02', type: 'Chargeback' }], {
+        findOriginal: id => (id === 'TXN-001' ? approved : null),
+        reversedAmount: () => 0
+      });
+
+      expect(accepted.map(t => t.transactionId)).toEqual(['TXN-R01']);
+      expect(rejected).toEqual([{
+        index: 1,
+        transactionId: 'TXN-R02',
+        errors: [{ field: 'amount', message: 'chargeback of 60.00 exceeds the 40.00 remaining on TXN-001' }]
+      }]);
+    });
+
+    it('should count amounts already reversed in storage', () => {
+      const { rejected } = prepareTransactions([refund], {
+        findOriginal: () => approved,
+        reversedAmount: () => 50
+      });
+      expect(rejected[0].errors[0].field).toBe('amount');
+    });
+
+    it('should accept a refund of a payment earlier in the same batch', () => {
+      const { accepted, rejected } = prepareTransactions([approved, refund]);
+      expect(accepted.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-R01']);
+      expect(rejected).toEqual([]);
+    });
+
+    it('should reject refunds of unknown payments', () => {
+      const { rejected } = prepareTransactions([refund]);
+      expect(rejected[0].errors).toEqual([
+        { field: 'originalTransactionId', message: 'originalTransactionId TXN-001 does not exist' }
+      ]);
+    });
+  });
+
+  describe('merchant scope', () => {
+    it('should fill in the merchant in context when none is given', () => {
+      const { merchantId, ...withoutMerchant } = approved;
+
+      expect(applyMerchantScope(withoutMerchant, 'MERCH-009').merchantId).toBe('MERCH-009');
+      expect(applyMerchantScope(approved, 'MERCH-009')).toBe(approved);
+      expect(applyMerchantScope(withoutMerchant, null)).toBe(withoutMerchant);
+    });
+
+    it('should only accept records of the merchant in context', () => {
+      expect(validateMerchantScope(approved, 'MERCH-001')).toEqual([]);
+      expect(validateMerchantScope(approved, null)).toEqual([]);
+      expect(validateMerchantScope(approved, 'MERCH-002')).toEqual([
+        { field: 'merchantId', message: 'merchantId must match the merchant context (MERCH-002)' }
+      ]);
+    });
+
+    it('should reject other merchants\' records in a batch', () => {
+      const { accepted, rejected } = prepareTransactions(
+        [approved, { ...approved, transactionId: 'TXN-002', merchantId: 'MERCH-002' }],
+        { merchantScope: 'MERCH-001' }
+      );
+
+      expect(accepted.map(t => t.transactionId)).toEqual(['TXN-001']);
+      expect(rejected[0].errors[0].field).toBe('merchantId');
+    });
+  });
+
+  describe('parseNdjson', () => {
+    it('should parse one record per line and skip blank lines', () => {
+      const { records, parseErrors } = parseNdjson(`${JSON.stringify(approved)}\r\n\n${JSON.stringify(declined)}\n`);
+
+      expect(records).toEqual([approved, declined]);
+      expect(parseErrors).toEqual([]);
+    });
+
+    it('should report invalid lines against the record index', () => {
+      const { records, parseErrors } = parseNdjson(`oops\n${JSON.stringify(approved)}`);
+
+      expect(records).toHaveLength(2);
+      expect(parseErrors).toEqual([
+        { index: 0, errors: [{ field: 'record', message: 'line 1 is not valid JSON' }] }
+      ]);
+    });
+  });
+
+  describe('parseBulkBody', () => {
+    it('should reject bodies that are neither arrays nor text', () => {
+      expect(() => parseBulkBody(approved)).toThrow('Request body must be a JSON array');
+    });
+
+    it('should reject empty uploads', () => {
+      expect(() => parseBulkBody([])).toThrow('Request body contains no transactions');
+      expect(() => parseBulkBody('\n')).toThrow('Request body contains no transactions');
+    });
+  });
+});
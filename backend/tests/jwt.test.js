@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for HS256 JSON Web Tokens
+ */
+
+const crypto = require('crypto');
+const { signJwt, verifyJwt } = require('../src/utils/jwt');
+const { AuthenticationError } = require('../src/utils/errors');
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2026, 1, 15, 12, 0, 0);
+
+/**
+ * Build a token from raw parts, for tokens signJwt() would never produce
+ */
+function craftToken(header, payload, secret = SECRET) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+describe('JWT', () => {
+  it('should round-trip claims with issued-at and expiry times', () => {
+    const token = signJwt({ sub: 'dana', role: 'viewer' }, SECRET, { expiresIn: 60, now: NOW });
+
+    expect(token.split('.')).toHaveLength(3);
+    expect(verifyJwt(token, SECRET, { now: NOW })).toEqual({
+      sub: 'dana',
+      role: 'viewer',
+      iat: NOW / 1000,
+      exp: NOW / 1000 + 60
+    });
+  });
+
+  it('should reject expired tokens', () => {
+    const token = signJwt({ sub: 'dana' }, SECRET, { expiresIn: 60, now: NOW });
+
+    expect(() => verifyJwt(token, SECRET, { now: NOW + 59 * 1000 })).not.toThrow();
+    expect(() => verifyJwt(token, SECRET, { now: NOW + 60 * 1000 })).toThrow('Token expired');
+  });
+
+  it('should reject tokens signed with another secret', () => {
+    const token = signJwt({ sub: 'dana' }, 'other-secret');
+
+    expect(() => verifyJwt(token, SECRET)).toThrow('Invalid token signature');
+  });
+
+  it('should reject tampered claims', () => {
+    const [header, , signature] = signJwt({ sub: 'dana', role: 'viewer' }, SECRET).split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 'dana', role: 'admin' })).toString('base64url');
+
+    expect(() => verifyJwt(`${header}.${payload}.${signature}`, SECRET)).toThrow('Invalid token signature');
+  });
+
+  it('should reject algorithms other than HS256, including none', () => {
+    const unsigned = craftToken({ alg: 'none', typ: 'JWT' }, { sub: 'dana' }).replace(/[^.]+$/, '');
+    const hs512 = craftToken({ alg: 'HS512', typ: 'JWT' }, { sub: 'dana' });
+
+    expect(() => verifyJwt(unsigned, SECRET)).toThrow('Unsupported token algorithm');
+    expect(() => verifyJwt(hs512, SECRET)).toThrow('Unsupported token algorithm');
+  });
+
+  it('should reject malformed tokens with an AuthenticationError', () => {
+    ['', 'abc', 'a.b', 'a.b.c.d', '!!!.e30.sig', undefined].forEach(token => {
+      expect(() => verifyJwt(token, SECRET)).toThrow(AuthenticationError);
+    });
+    expect(() => verifyJwt(craftToken({ alg: 'HS256' }, 'just a string'), SECRET)).toThrow('Malformed token');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit Tests for Merchant Leaderboard Service
+ */
+
+const {
+  RANK_METRICS,
+  parseRankByParam,
+  calculateMerchantLeaderboard
+} = require('../src/services/leaderboardService');
+const { ValidationError } = require('../src/utils/errors');
+
+const transactions = [
+  { transactionId: 'A1', merchantId: 'MERCH-A', amount: 100, cardBrand: 'Visa', status: 'Approved', transactionDate: '2026-02-01T10:00:00Z' },
+  { transactionId: 'A2', merchantId: 'MERCH-A', amount: 50, cardBrand: 'Visa', status: 'Declined', declineReasonCode: '01-Insufficient funds', transactionDate: '2026-02-02T10:00:00Z' },
+  { transactionId: 'A3', merchantId: 'MERCH-A', amount: 60, cardBrand: 'Visa', status: 'Approved', type: 'Refund', originalTransactionId: 'A1', transactionDate: '2026-02-03T10:00:00Z' },
+  { transactionId: 'B1', merchantId: 'MERCH-B', amount: 80, cardBrand: 'Amex', status: 'Approved', transactionDate: '2026-02-01T11:00:00Z' },
+  { transactionId: 'C1', merchantId: 'MERCH-C', amount: 80, cardBrand: 'Amex', status: 'Approved', transactionDate: '2026-02-01T12:00:00Z' }
+];
+
+describe('Leaderboard Service', () => {
+  describe('parseRankByParam', () => {
+    it('should default to net volume', () => {
+      expect(parseRankByParam(undefined)).toBe('netVolume');
+      expect(parseRankByParam('')).toBe('netVolume');
+    });
+
+    it('should accept every rank metric', () => {
+      RANK_METRICS.forEach(metric => {
+        expect(parseRankByParam(metric)).toBe(metric);
+      });
+    });
+
+    it('should reject unknown metrics', () => {
+      expect(() => parseRankByParam('profit')).toThrow(ValidationError);
+    });
+  });
+
+  describe('calculateMerchantLeaderboard', () => {
+    it('should summarize each merchant', () => {
+      const { merchantCount, data } = calculateMerchantLeaderboard(transactions, { rankBy: 'totalAmount' });
+
+      expect(merchantCount).toBe(3);
+      expect(data[0]).toEqual({
+        rank: 1,
+        merchantId: 'MERCH-A',
+        totalTransactions: 2,
+        totalApproved: 1,
+        totalDeclined: 1,
+        approvalRate: 50,
+        totalAmount: 150,
+        grossVolume: 100,
+        refundedAmount: 60,
+        chargebackAmount: 0,
+        netVolume: 40
+      });
+    });
+
+    it('should rank by net volume and break ties by merchantId', () => {
+      const { data } = calculateMerchantLeaderboard(transactions);
+
+      expect(data.map(e => [e.rank, e.merchantId])).toEqual([
+        [1, 'MERCH-B'],
+        [2, 'MERCH-C'],
+        [3, 'MERCH-A']
+      ]);
+    });
+
+    it('should return only the top entries when limited', () => {
+      const { merchantCount, data } = calculateMerchantLeaderboard(transactions, { rankBy: 'approvalRate', limit: 1 });
+
+      expect(merchantCount).toBe(3);
+      expect(data).toHaveLength(1);
+      expect(data[0].merchantId).toBe('MERCH-B');
+    });
+
+    it('should return an empty board without transactions', () => {
+      expect(calculateMerchantLeaderboard([])).toEqual({ merchantCount: 0, data: [] });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Unit Tests for List Query Parameter Parsing
+ */
+
+const { parseListParam } = require('../src/utils/listParams');
+
+describe('List Params', () => {
+  describe('parseListParam', () => {
+    it('should return an empty array when no value is given', () => {
+      expect(parseListParam(undefined)).toEqual([]);
+      expect(parseListParam(null)).toEqual([]);
+      expect(parseListParam('')).toEqual([]);
+    });
+
+    it('should wrap a single value', () => {
+      expect(parseListParam('Visa')).toEqual(['Visa']);
+    });
+
+    it('should split comma-separated values and trim whitespace', () => {
+      expect(parseListParam('Visa, Amex ,Discover')).toEqual(['Visa', 'Amex', 'Discover']);
+    });
+
+    it('should accept repeated values as an array', () => {
+      expect(parseListParam(['Visa', 'Amex'])).toEqual(['Visa', 'Amex']);
+    });
+
+    it('should accept a mix of repeated and comma-separated values', () => {
+      expect(parseListParam(['Visa,Amex', 'Discover'])).toEqual(['Visa', 'Amex', 'Discover']);
+    });
+
+    it('should drop duplicates and "all"', () => {
+      expect(parseListParam(['Visa', 'Visa,all'])).toEqual(['Visa']);
+      expect(parseListParam('all')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for Money Arithmetic
+ */
+
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  hasMinorUnitPrecision,
+  sumMinorUnits
+} = require('../src/utils/money');
+
+describe('Money', () => {
+  describe('toMinorUnits', () => {
+    it('should convert amounts to whole cents', () => {
+      expect(toMinorUnits(123.45)).toBe(12345);
+      expect(toMinorUnits(0.01)).toBe(1);
+      expect(toMinorUnits(100)).toBe(10000);
+    });
+
+    it('should absorb binary representation error', () => {
+      // 4.35 * 100 is 434.99999999999994 in floating point
+      expect(toMinorUnits(4.35)).toBe(435);
+      expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+    });
+
+    it('should round fractions of a cent to the nearest cent', () => {
+      expect(toMinorUnits(10.004)).toBe(1000);
+      expect(toMinorUnits(10.006)).toBe(1001);
+    });
+  });
+
+  describe('fromMinorUnits', () => {
+    it('should give the same number as the two-decimal literal', () => {
+      expect(fromMinorUnits(435)).toBe(4.35);
+      expect(fromMinorUnits(30)).toBe(0.3);
+      expect(fromMinorUnits(-1050)).toBe(-10.5);
+    });
+  });
+
+  describe('hasMinorUnitPrecision', () => {
+    it('should accept amounts with at most two decimal places', () => {
+      expect(hasMinorUnitPrecision(100)).toBe(true);
+      expect(hasMinorUnitPrecision(4.35)).toBe(true);
+      expect(hasMinorUnitPrecision(0.1)).toBe(true);
+    });
+
+    it('should reject fractions of a cent', () => {
+      expect(hasMinorUnitPrecision(10.005)).toBe(false);
+      expect(hasMinorUnitPrecision(0.001)).toBe(false);
+    });
+  });
+
+  describe('sumMinorUnits', () => {
+    it('should sum amounts exactly', () => {
+      const dimes = Array(10).fill(0.1);
+
+      expect(dimes.reduce((a, b) => a + b, 0)).not.toBe(1);
+      expect(sumMinorUnits(dimes)).toBe(100);
+      expect(fromMinorUnits(sumMinorUnits(dimes))).toBe(1);
+    });
+
+    it('should return zero for no amounts', () => {
+      expect(sumMinorUnits([])).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit Tests for Pagination Service
+ */
+
+const {
+  sortTransactions,
+  projectFields,
+  selectPage,
+  paginate
+} = require('../src/services/paginationService');
+const {
+  encodeCursor,
+  decodeCursor,
+  parsePaginationParams,
+  DEFAULT_LIMIT
+} = require('../src/utils/paginationParams');
+const { ValidationError } = require('../src/utils/errors');
+
+// Sample test data
+const mockTransactions = [
+  {
+    transactionId: 'TXN-001',
+    merchantId: 'MERCH-001',
+    amount: 300.00,
+    cardBrand: 'Visa',
+    status: 'Approved',
+    transactionDate: '2026-02-01T10:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-002',
+    merchantId: 'MERCH-002',
+    amount: 100.00,
+    cardBrand: 'Mastercard',
+    status: 'Declined',
+    declineReasonCode: '01-Insufficient funds',
+    transactionDate: '2026-02-03T11:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-003',
+    merchantId: 'MERCH-003',
+    amount: 300.00,
+    cardBrand: 'Amex',
+    status: 'Approved',
+    transactionDate: '2026-02-02T12:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-004',
+    merchantId: 'MERCH-004',
+    amount: 200.00,
+    cardBrand: 'Discover',
+    status: 'Approved',
+    // Same instant as 2026-02-02T10:00Z, written with an offset
+    transactionDate: '2026-02-02T05:00:00.000-05:00'
+  }
+];
+
+describe('Pagination Service', () => {
+  describe('sortTransactions', () => {
+    it('should keep the original order when no sort is given', () => {
+      const result = sortTransactions(mockTransactions, []);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-002', 'TXN-003', 'TXN-004']);
+    });
+
+    it('should sort by amount descending', () => {
+      const result = sortTransactions(mockTransactions, [{ field: 'amount', direction: 'desc' }]);
+      expect(result.map(t => t.amount)).toEqual([300, 300, 200, 100]);
+    });
+
+    it('should break ties with secondary keys', () => {
+      const result = sortTransactions(mockTransactions, [
+        { field: 'amount', direction: 'desc' },
+        { field: 'transactionDate', direction: 'asc' }
+      ]);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-003', 'TXN-004', 'TXN-002']);
+    });
+
+    it('should compare dates with different UTC offsets chronologically', () => {
+      const result = sortTransactions(mockTransactions, [{ field: 'transactionDate', direction: 'asc' }]);
+      expect(result.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-004', 'TXN-003', 'TXN-002']);
+    });
+
+    it('should place missing values last', () => {
+      const result = sortTransactions(mockTransactions, [{ field: 'declineReasonCode', direction: 'asc' }]);
+      expect(result[0].transactionId).toBe('TXN-002');
+    });
+
+    it('should not modify the original array', () => {
+      sortTransactions(mockTransactions, [{ field: 'amount', direction: 'asc' }]);
+      expect(mockTransactions[0].transactionId).toBe('TXN-001');
+    });
+  });
+
+  describe('projectFields', () => {
+    it('should return whole records when fields is null', () => {
+      expect(projectFields(mockTransactions, null)).toBe(mockTransactions);
+    });
+
+    it('should keep only the requested fields', () => {
+      const result = projectFields(mockTransactions, ['transactionId', 'amount']);
+      expect(result[0]).toEqual({ transactionId: 'TXN-001', amount: 300 });
+    });
+
+    it('should omit fields a record does not have', () => {
+      const result = projectFields(mockTransactions, ['transactionId', 'declineReasonCode']);
+      expect(result[0]).toEqual({ transactionId: 'TXN-001' });
+      expect(result[1]).toEqual({ transactionId: 'TXN-002', declineReasonCode: '01-Insufficient funds' });
+    });
+  });
+
+  describe('paginate', () => {
+    const byAmount = [{ field: 'amount', direction: 'desc' }, { field: 'transactionId', direction: 'asc' }];
+    const sorted = sortTransactions(mockTransactions, byAmount);
+    const ids = page => page.data.map(t => t.transactionId);
+    const cursor = value => decodeCursor(value, byAmount);
+    // Fetch one row past the page, as the storage adapters are asked to
+    const pageOf = (items, { limit, cursor: position = null }) => paginate(
+      selectPage(items, { sort: byAmount, cursor: position, limit: limit + 1 }),
+      { limit, cursor: position, sort: byAmount, total: items.length }
+    );
+
+    it('should return the first page with a next cursor only', () => {
+      const page = pageOf(sorted, { limit: 2 });
+      expect(ids(page)).toEqual(['TXN-001', 'TXN-003']);
+      expect(page.total).toBe(4);
+      expect(cursor(page.pagination.nextCursor)).toEqual({ direction: 'after', key: [300, 'TXN-003'] });
+      expect(page.pagination.prevCursor).toBeNull();
+    });
+
+    it('should continue after the cursor and page back before it', () => {
+      const first = pageOf(sorted, { limit: 2 });
+      const last = pageOf(sorted, { limit: 2, cursor: cursor(first.pagination.nextCursor) });
+      expect(ids(last)).toEqual(['TXN-004', 'TXN-002']);
+      expect(last.pagination.nextCursor).toBeNull();
+      expect(cursor(last.pagination.prevCursor)).toEqual({ direction: 'before', key: [200, 'TXN-004'] });
+
+      const back = pageOf(sorted, { limit: 2, cursor: cursor(last.pagination.prevCursor) });
+      expect(ids(back)).toEqual(['TXN-001', 'TXN-003']);
+      expect(back.pagination.prevCursor).toBeNull();
+    });
+
+    it('should neither skip nor repeat rows when rows change between pages', () => {
+      const first = pageOf(sorted, { limit: 2 });
+      // A row is deleted from the first page and another added ahead of it
+      const changed = sortTransactions([
+        ...mockTransactions.filter(t => t.transactionId !== 'TXN-001'),
+        { ...mockTransactions[0], transactionId: 'TXN-000', amount: 500 }
+      ], byAmount);
+
+      const next = pageOf(changed, { limit: 2, cursor: cursor(first.pagination.nextCursor) });
+      expect(ids(next)).toEqual(['TXN-004', 'TXN-002']);
+    });
+
+    it('should break ties on the transactionId', () => {
+      const first = pageOf(sorted, { limit: 1 });
+      const second = pageOf(sorted, { limit: 1, cursor: cursor(first.pagination.nextCursor) });
+      expect([...ids(first), ...ids(second)]).toEqual(['TXN-001', 'TXN-003']);
+    });
+
+    it('should select the rows nearest to the cursor on its side', () => {
+      const key = [300, 'TXN-003'];
+      expect(selectPage(sorted, { sort: byAmount, cursor: { direction: 'after', key }, limit: 1 })
+        .map(t => t.transactionId)).toEqual(['TXN-004']);
+      expect(selectPage(sorted, { sort: byAmount, cursor: { direction: 'before', key }, limit: 5 })
+        .map(t => t.transactionId)).toEqual(['TXN-001']);
+      expect(selectPage(sorted, { sort: byAmount })).toEqual(sorted);
+    });
+
+    it('should return an empty page without cursors past the end', () => {
+      const page = pageOf(sorted, { limit: 2, cursor: { direction: 'after', key: [0, 'TXN-999'] } });
+      expect(page.data).toEqual([]);
+      expect(page.total).toBe(4);
+      expect(page.pagination).toEqual({ limit: 2, nextCursor: null, prevCursor: null });
+    });
+  });
+
+  describe('parsePaginationParams', () => {
+    it('should apply defaults', () => {
+      expect(parsePaginationParams({})).toEqual({
+        limit: DEFAULT_LIMIT,
+        cursor: null,
+        sort: [{ field: 'transactionId', direction: 'asc' }],
+        fields: null
+      });
+    });
+
+    it('should parse limit, cursor, sort and fields', () => {
+      const sort = [
+        { field: 'amount', direction: 'desc' },
+        { field: 'transactionDate', direction: 'asc' },
+        { field: 'transactionId', direction: 'asc' }
+      ];
+      const params = parsePaginationParams({
+        limit: '25',
+        cursor: encodeCursor([300, '2026-02-01T10:00:00.000Z', 'TXN-001'], sort),
+        sort: 'amount:desc,transactionDate',
+        fields: 'transactionId,amount'
+      });
+      expect(params).toEqual({
+        limit: 25,
+        cursor: { direction: 'after', key: [300, '2026-02-01T10:00:00.000Z', 'TXN-001'] },
+        sort,
+        fields: ['transactionId', 'amount']
+      });
+    });
+
+    it('should not add a tiebreaker to a sort by transactionId', () => {
+      expect(parsePaginationParams({ sort: 'transactionId:desc' }).sort).toEqual([
+        { field: 'transactionId', direction: 'desc' }
+      ]);
+    });
+
+    it('should reject out-of-range limits', () => {
+      expect(() => parsePaginationParams({ limit: '0' })).toThrow(ValidationError);
+      expect(() => parsePaginationParams({ limit: '5000' })).toThrow(ValidationError);
+      expect(() => parsePaginationParams({ limit: 'ten' })).toThrow(ValidationError);
+    });
+
+    it('should reject unknown sort fields and directions', () => {
+      expect(() => parsePaginationParams({ sort: 'password:asc' })).toThrow('unknown field');
+      expect(() => parsePaginationParams({ sort: 'amount:up' })).toThrow(ValidationError);
+    });
+
+    it('should reject unknown projection fields', () => {
+      expect(() => parsePaginationParams({ fields: 'transactionId,secret' })).toThrow('unknown field "secret"');
+    });
+
+    it('should reject malformed cursors', () => {
+      const sort = [{ field: 'transactionId', direction: 'asc' }];
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      expect(() => decodeCursor('not-a-cursor', sort)).toThrow(ValidationError);
+      expect(() => decodeCursor(encode({ offset: 50 }), sort)).toThrow(ValidationError);
+      expect(() => decodeCursor(encode({ after: ['TXN-001', 'extra'], sort: 'transactionId:asc' }), sort)).toThrow(ValidationError);
+      expect(() => decodeCursor(encode({ after: [{}], sort: 'transactionId:asc' }), sort)).toThrow(ValidationError);
+    });
+
+    it('should reject a cursor issued for another sort', () => {
+      const cursor = encodeCursor([300, 'TXN-001'], [{ field: 'amount', direction: 'desc' }, { field: 'transactionId', direction: 'asc' }]);
+      expect(() => parsePaginationParams({ cursor, sort: 'amount:asc' })).toThrow('different sort');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Rate Limiting
+ */
+
+const { createBucketStore, clientKey } = require('../src/middleware/rateLimit');
+
+const T0 = Date.UTC(2026, 1, 15, 12, 0, 0);
+
+describe('Rate Limiting', () => {
+  describe('createBucketStore', () => {
+    it('should allow a burst up to the limit, then refuse', () => {
+      const store = createBucketStore({ limit: 3, windowSeconds: 60 });
+
+      const results = [1, 2, 3, 4].map(() => store.take('client', T0));
+
+      expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+      expect(results.map(r => r.remaining)).toEqual([2, 1, 0, 0]);
+      expect(results[3].retryAfter).toBe(20);
+    });
+
+    it('should refill one token every window/limit seconds', () => {
+      const store = createBucketStore({ limit: 3, windowSeconds: 60 });
+      [1, 2, 3].forEach(() => store.take('client', T0));
+
+      expect(store.take('client', T0 + 19999).allowed).toBe(false);
+      expect(store.take('client', T0 + 20000).allowed).toBe(true);
+      expect(store.take('client', T0 + 20000).allowed).toBe(false);
+    });
+
+    it('should never refill beyond the limit', () => {
+      const store = createBucketStore({ limit: 3, windowSeconds: 60 });
+      store.take('client', T0);
+
+      const later = store.take('client', T0 + 60 * 60 * 1000);
+
+      expect(later.remaining).toBe(2);
+      expect(later.reset).toBe(20);
+    });
+
+    it('should report seconds until the bucket is full again', () => {
+      const store = createBucketStore({ limit: 10, windowSeconds: 60 });
+      [1, 2, 3, 4].forEach(() => store.take('client', T0));
+
+      expect(store.take('client', T0).reset).toBe(30);
+    });
+
+    it('should keep clients independent', () => {
+      const store = createBucketStore({ limit: 1, windowSeconds: 60 });
+
+      expect(store.take('a', T0).allowed).toBe(true);
+      expect(store.take('a', T0).allowed).toBe(false);
+      expect(store.take('b', T0).allowed).toBe(true);
+    });
+
+    it('should sweep refilled buckets once too many clients are tracked', () => {
+      const store = createBucketStore({ limit: 1, windowSeconds: 1, maxClients: 2 });
+      store.take('a', T0);
+      store.take('b', T0 + 900);
+
+      store.take('c', T0 + 1000);
+
+      // a has refilled and is dropped; b is still refilling and kept
+      expect(store.size()).toBe(2);
+      expect(store.take('b', T0 + 1000).allowed).toBe(false);
+    });
+  });
+
+  describe('peek', () => {
+    it('should report the bucket without spending from it', () => {
+      const store = createBucketStore({ limit: 1, windowSeconds: 60 });
+
+      expect(store.peek('client', T0)).toEqual({ allowed: true, retryAfter: 0 });
+      expect(store.peek('client', T0)).toEqual({ allowed: true, retryAfter: 0 });
+      store.take('client', T0);
+      expect(store.peek('client', T0 + 30000)).toEqual({ allowed: false, retryAfter: 30 });
+    });
+  });
+
+  describe('clientKey', () => {
+    it('should prefer the authenticated caller over the IP', () => {
+      expect(clientKey({ principal: { type: 'apiKey', id: 'billing-sync' }, ip: '10.0.0.1' })).toBe('apiKey:billing-sync');
+      expect(clientKey({ principal: { type: 'user', id: 'dana' }, ip: '10.0.0.1' })).toBe('user:dana');
+    });
+
+    it('should fall back to the IP for anonymous requests', () => {
+      expect(clientKey({ ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+      expect(clientKey({ principal: { type: 'anonymous', id: 'anonymous' }, ip: '10.0.0.2' })).toBe('ip:10.0.0.2');
+    });
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Unit Tests for the Rollup Index
+ *
+ * Results from the index must equal scanning the transactions. The
+ * benchmark at the end is skipped unless RUN_BENCHMARKS=true:
+ *
+ *   RUN_BENCHMARKS=true npx jest tests/rollupIndex.test.js
+ *
+ * BENCHMARK_ROWS sets its size (default 1,000,000 payments).
+ */
+
+const {
+  setTransactions,
+  getTransactions,
+  insertTransactions,
+  deleteTransaction
+} = require('../src/data/dataStore');
+const { applyFilters } = require('../src/services/filterService');
+const { setFxTable } = require('../src/services/currencyService');
+const {
+  calculateMTDSummary,
+  calculateMonthByMonthSummary,
+  calculateMTDSummaryFromCells,
+  calculateMonthByMonthSummaryFromCells
+} = require('../src/services/aggregationService');
+const { supportsFilters, getMonthCells, resetRollupIndex } = require('../src/services/rollupIndex');
+const { generateTransactions } = require('../src/utils/generateMockData');
+
+const transactions = [
+  {
+    transactionId: 'TXN-001',
+    merchantId: 'MERCH-001',
+    amount: 100.00,
+    cardBrand: 'Visa',
+    status: 'Approved',
+    transactionDate: '2026-02-01T10:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-002',
+    merchantId: 'MERCH-002',
+    amount: 200.00,
+    currency: 'EUR',
+    cardBrand: 'Mastercard',
+    status: 'Declined',
+    declineReasonCode: '01-Insufficient funds',
+    transactionDate: '2026-02-05T11:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-003',
+    merchantId: 'MERCH-001',
+    amount: 150.10,
+    currency: 'GBP',
+    cardBrand: 'Visa',
+    status: 'Approved',
+    transactionDate: '2026-01-31T23:30:00.000Z'
+  },
+  {
+    transactionId: 'TXN-004',
+    merchantId: 'MERCH-001',
+    amount: 40.00,
+    cardBrand: 'Visa',
+    status: 'Approved',
+    transactionDate: '2026-02-10T09:00:00.000Z',
+    type: 'Refund',
+    originalTransactionId: 'TXN-001'
+  },
+  {
+    transactionId: 'TXN-005',
+    merchantId: 'MERCH-003',
+    amount: 300.00,
+    cardBrand: 'Amex',
+    status: 'Approved',
+    transactionDate: '2026-01-15T13:00:00.000Z'
+  }
+];
+
+const newPayment = {
+  transactionId: 'TXN-006',
+  merchantId: 'MERCH-002',
+  amount: 75.25,
+  currency: 'CAD',
+  cardBrand: 'Discover',
+  status: 'Declined',
+  declineReasonCode: '03-Suspected fraud',
+  transactionDate: '2025-12-20T08:00:00.000Z'
+};
+
+/**
+ * Monthly summary from the index, as the routes compute it
+ */
+function monthlyFromIndex(filters, options) {
+  return calculateMonthByMonthSummaryFromCells(getMonthCells(filters, options), options);
+}
+
+/**
+ * Monthly summary from scanning every stored transaction
+ */
+function monthlyFromScan(filters, options) {
+  return calculateMonthByMonthSummary(applyFilters(getTransactions(), filters), options);
+}
+
+describe('Rollup Index', () => {
+  beforeEach(() => {
+    setTransactions([...transactions]);
+    resetRollupIndex();
+  });
+
+  afterAll(() => {
+    setFxTable(null);
+  });
+
+  describe('supportsFilters', () => {
+    it('should support filters that match whole cells', () => {
+      expect(supportsFilters({})).toBe(true);
+      expect(supportsFilters({
+        cardBrand: ['Visa'],
+        status: ['Approved'],
+        declineReasonCode: [],
+        type: ['Payment'],
+        currency: ['EUR'],
+        merchantId: 'MERCH-001',
+        from: null,
+        to: null
+      })).toBe(true);
+    });
+
+    it('should not support date, amount or payment filters', () => {
+      expect(supportsFilters({ from: new Date('2026-02-01') })).toBe(false);
+      expect(supportsFilters({ to: new Date('2026-02-01') })).toBe(false);
+      expect(supportsFilters({ minAmount: 0 })).toBe(false);
+      expect(supportsFilters({ maxAmount: 100 })).toBe(false);
+      expect(supportsFilters({ originalTransactionId: 'TXN-001' })).toBe(false);
+    });
+  });
+
+  describe('getMonthCells', () => {
+    it.each([
+      ['no filters', {}],
+      ['card brands', { cardBrand: ['Visa', 'Amex'] }],
+      ['status', { status: ['Declined'] }],
+      ['decline reason', { declineReasonCode: ['01-Insufficient funds'] }],
+      ['type', { type: ['Refund'] }],
+      ['currency', { currency: ['GBP', 'EUR'] }],
+      ['a filter nothing matches', { cardBrand: ['Discover'] }],
+      ['a merchant', { merchantId: 'MERCH-001' }],
+      ['a merchant and card brand', { merchantId: 'MERCH-001', cardBrand: ['Visa'] }],
+      ['a merchant without transactions', { merchantId: 'MERCH-404' }],
+      ['all merchants', { merchantId: 'all' }],
+      ['a date range (scanned)', { from: new Date('2026-02-01T00:00:00Z'), to: new Date('2026-02-06T00:00:00Z') }]
+    ])('should match a scan with %s', (name, filters) => {
+      const options = { timeZone: 'UTC', reportingCurrency: 'USD' };
+
+      expect(monthlyFromIndex(filters, options)).toEqual(monthlyFromScan(filters, options));
+    });
+
+    it('should convert to any reporting currency', () => {
+      ['EUR', 'GBP', 'CAD'].forEach(reportingCurrency => {
+        const options = { timeZone: 'UTC', reportingCurrency };
+        expect(monthlyFromIndex({}, options)).toEqual(monthlyFromScan({}, options));
+      });
+    });
+
+    it('should group months in the requested time zone', () => {
+      const utc = monthlyFromIndex({}, { timeZone: 'UTC', reportingCurrency: 'USD' });
+      const losAngeles = monthlyFromIndex({}, { timeZone: 'America/Los_Angeles', reportingCurrency: 'USD' });
+
+      expect(utc.find(m => m.month === '2026-01').totalTransactions).toBe(2);
+      expect(losAngeles.find(m => m.month === '2026-01').totalTransactions).toBe(2);
+      expect(utc.find(m => m.month === '2026-02').totalTransactions).toBe(2);
+      expect(monthlyFromIndex({}, { timeZone: 'Asia/Tokyo', reportingCurrency: 'USD' })
+        .find(m => m.month === '2026-02').totalTransactions).toBe(3);
+    });
+
+    it('should give the same MTD summary as a scan', () => {
+      const now = new Date().toISOString();
+      setTransactions([...transactions, { ...newPayment, transactionDate: now }]);
+      const options = { timeZone: 'UTC', reportingCurrency: 'USD' };
+
+      const fromIndex = calculateMTDSummaryFromCells(getMonthCells({}, options), options);
+
+      expect(fromIndex).toEqual(calculateMTDSummary(getTransactions(), options));
+      expect(fromIndex.totalTransactions).toBe(1);
+    });
+  });
+
+  describe('incremental maintenance', () => {
+    const options = { timeZone: 'UTC', reportingCurrency: 'USD' };
+
+    it('should add inserted transactions to a built index', () => {
+      monthlyFromIndex({}, options);
+
+      insertTransactions([newPayment]);
+
+      const monthly = monthlyFromIndex({}, options);
+      expect(monthly.map(m => m.month)).toEqual(['2026-02', '2026-01', '2025-12']);
+      expect(monthly).toEqual(monthlyFromScan({}, options));
+    });
+
+    it('should remove deleted transactions and drop emptied months', () => {
+      monthlyFromIndex({}, options);
+
+      deleteTransaction('TXN-003');
+      deleteTransaction('TXN-005');
+
+      const monthly = monthlyFromIndex({}, options);
+      expect(monthly.map(m => m.month)).toEqual(['2026-02']);
+      expect(monthly).toEqual(monthlyFromScan({}, options));
+      // TXN-005 was MERCH-003's only transaction
+      expect(monthlyFromIndex({ merchantId: 'MERCH-003' }, options)).toEqual([]);
+    });
+
+    it('should rebuild after the data is replaced', () => {
+      monthlyFromIndex({}, options);
+
+      setTransactions([newPayment]);
+
+      expect(monthlyFromIndex({}, options).map(m => m.month)).toEqual(['2025-12']);
+    });
+
+    it('should rebuild when the FX table changes', () => {
+      const before = monthlyFromIndex({ currency: ['EUR'] }, options);
+
+      setFxTable({
+        base: 'USD',
+        rates: [{ effectiveDate: '2020-01-01', rates: { USD: 1, EUR: 0.5, GBP: 0.5, CAD: 2 } }]
+      });
+      const after = monthlyFromIndex({ currency: ['EUR'] }, options);
+      setFxTable(null);
+
+      expect(after[0].totalAmount).toBe(400);
+      expect(after[0].totalAmount).not.toBe(before[0].totalAmount);
+    });
+
+    it('should match a scan of generated data after a series of changes', () => {
+      setTransactions(generateTransactions(300));
+      monthlyFromIndex({}, options);
+      monthlyFromIndex({}, { ...options, timeZone: 'Asia/Kolkata' });
+
+      insertTransactions(generateTransactions(40));
+      getTransactions().slice(0, 25).map(t => t.transactionId).forEach(deleteTransaction);
+
+      [options, { ...options, timeZone: 'Asia/Kolkata' }].forEach(opts => {
+        expect(monthlyFromIndex({}, opts)).toEqual(monthlyFromScan({}, opts));
+        expect(monthlyFromIndex({ status: ['Approved'], currency: ['EUR'] }, opts))
+          .toEqual(monthlyFromScan({ status: ['Approved'], currency: ['EUR'] }, opts));
+        const merchantId = getTransactions()[0].merchantId;
+        expect(monthlyFromIndex({ merchantId }, opts)).toEqual(monthlyFromScan({ merchantId }, opts));
+      });
+    });
+  });
+
+  const benchmark = process.env.RUN_BENCHMARKS === 'true' ? describe : describe.skip;
+
+  benchmark('benchmark', () => {
+    const rows = parseInt(process.env.BENCHMARK_ROWS, 10) || 1000000;
+    const options = { timeZone: 'UTC', reportingCurrency: 'USD' };
+
+    const time = (fn) => {
+      const start = process.hrtime.bigint();
+      const result = fn();
+      return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+    };
+
+    it(`should summarize ${rows} generated payments faster from the index`, () => {
+      setTransactions(generateTransactions(rows));
+      resetRollupIndex();
+
+      const scan = time(() => monthlyFromScan({}, options));
+      const build = time(() => monthlyFromIndex({}, options));
+      const indexed = time(() => monthlyFromIndex({}, options));
+      const filtered = time(() => monthlyFromIndex({ cardBrand: ['Visa'], status: ['Approved'] }, options));
+      const merchantId = getTransactions()[0].merchantId;
+      const merchantScan = time(() => monthlyFromScan({ merchantId }, options));
+      const merchant = time(() => monthlyFromIndex({ merchantId }, options));
+
+      console.log([
+        `Rollup index benchmark, ${getTransactions().length} transactions:`,
+        `  scan:                 ${scan.ms.toFixed(1)} ms`,
+        `  index build (once):   ${build.ms.toFixed(1)} ms`,
+        `  from index:           ${indexed.ms.toFixed(2)} ms (${Math.round(scan.ms / indexed.ms)}x faster)`,
+        `  from index, filtered: ${filtered.ms.toFixed(2)} ms`,
+        `  one merchant, scan:   ${merchantScan.ms.toFixed(1)} ms`,
+        `  one merchant, index:  ${merchant.ms.toFixed(2)} ms`
+      ].join('\n'));
+
+      expect(indexed.result).toEqual(scan.result);
+      expect(indexed.ms * 100).toBeLessThan(scan.ms);
+      expect(merchant.result).toEqual(merchantScan.result);
+      expect(merchant.ms * 100).toBeLessThan(merchantScan.ms);
+    }, 600000);
+  });
+});
@@ -0,0 +1,468 @@
+/**
+ * Tests for Storage Adapters
+ * 
+ * Runs the same scenarios against the JSON and SQLite adapters and checks
+ * that SQL filtering returns exactly what applyFilters() returns, and
+ * SQL paging exactly what the in-memory sort and slice return.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const { createJsonAdapter } = require('../src/data/adapters/jsonAdapter');
+const { createSqliteAdapter, buildWhereClause } = require('../src/data/adapters/sqliteAdapter');
+const {
+  createAdapter,
+  getAdapter,
+  setAdapter,
+  loadTransactions,
+  queryTransactions,
+  getQuarantinedTransactions,
+  setTransactions,
+  onDataChange
+} = require('../src/data/dataStore');
+const { applyFilters } = require('../src/services/filterService');
+const { sortTransactions, paginate } = require('../src/services/paginationService');
+const { parsePaginationParams, decodeCursor } = require('../src/utils/paginationParams');
+
+// Sample test data
+const mockTransactions = [
+  {
+    transactionId: 'TXN-001',
+    merchantId: 'MERCH-001',
+    amount: 100.00,
+    cardBrand: 'Visa',
+    status: 'Approved',
+    transactionDate: '2026-02-01T10:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-002',
+    merchantId: 'MERCH-002',
+    amount: 200.00,
+    cardBrand: 'Mastercard',
+    status: 'Declined',
+    declineReasonCode: '01-Insufficient funds',
+    transactionDate: '2026-02-02T11:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-003',
+    merchantId: 'MERCH-001',
+    amount: 300.00,
+    cardBrand: 'Visa',
+    status: 'Declined',
+    declineReasonCode: '02-Invalid card number',
+    transactionDate: '2026-01-15T12:00:00.000Z'
+  },
+  {
+    transactionId: 'TXN-004',
+    merchantId: 'MERCH-004',
+    amount: 400.00,
+    cardBrand: 'Amex',
+    status: 'Approved',
+    // 2026-01-20T04:00Z written with an offset
+    transactionDate: '2026-01-19T23:00:00.000-05:00'
+  },
+  {
+    transactionId: 'TXN-005',
+    merchantId: 'MERCH-005',
+    amount: 500.00,
+    cardBrand: 'Discover',
+    status: 'Declined',
+    declineReasonCode: '03-Suspected fraud',
+    transactionDate: '2025-12-10T14:00:00.000Z'
+  }
+];
+
+const filterScenarios = [
+  ['no filters', {}],
+  ['single card brand', { cardBrand: 'Visa' }],
+  ['several card brands', { cardBrand: ['Visa', 'Amex'] }],
+  ['status and decline reason', { status: ['Declined'], declineReasonCode: ['01-Insufficient funds', '03-Suspected fraud'] }],
+  ['date range', { from: new Date('2026-01-20T00:00:00.000Z'), to: new Date('2026-02-01T23:59:59.999Z') }],
+  ['amount range', { minAmount: 200, maxAmount: 400 }],
+  ['amount range in another currency', { minAmount: 170.62, maxAmount: 340, amountCurrency: 'EUR' }],
+  ['amount range in the stored currency', { minAmount: 200, maxAmount: 400, amountCurrency: 'USD', currency: ['USD'] }],
+  ['merchant', { merchantId: 'MERCH-001' }],
+  ['everything combined', { cardBrand: ['Visa'], status: ['Declined'], merchantId: 'MERCH-001', maxAmount: 300 }],
+  ['no matches', { cardBrand: ['Amex'], status: ['Declined'] }]
+];
+
+// Sorts covering missing values, both directions and dates with offsets
+const sortScenarios = [
+  'transactionId',
+  'declineReasonCode:asc',
+  'declineReasonCode:desc,amount:asc',
+  'cardBrand:asc,transactionDate:desc',
+  'status:desc,transactionDate:asc'
+];
+
+describe('Storage Adapters', () => {
+  const adapters = {
+    json: () => createJsonAdapter({ filePath: '/nonexistent/transactions.json' }),
+    sqlite: () => createSqliteAdapter({ filePath: ':memory:' })
+  };
+
+  Object.entries(adapters).forEach(([name, create]) => {
+    describe(`${name} adapter`, () => {
+      let adapter;
+
+      beforeEach(() => {
+        adapter = create();
+        adapter.replaceAll(mockTransactions);
+      });
+
+      afterEach(() => {
+        adapter.close();
+      });
+
+      it('should return all transactions in stored order', () => {
+        expect(adapter.getAll()).toEqual(mockTransactions);
+      });
+
+      it.each(filterScenarios)('should match applyFilters for %s', (label, filters) => {
+        expect(adapter.query(filters)).toEqual(applyFilters(mockTransactions, filters));
+      });
+
+      it('should count matches like applyFilters', () => {
+        filterScenarios.forEach(([, filters]) => {
+          expect(adapter.count(filters)).toBe(applyFilters(mockTransactions, filters).length);
+        });
+      });
+
+      it.each(sortScenarios)('should page through %s like the in-memory sort in both directions', sortParam => {
+        const { sort } = parsePaginationParams({ sort: sortParam });
+        const filters = { status: ['Approved', 'Declined'] };
+        const expected = sortTransactions(applyFilters(mockTransactions, filters), sort).map(t => t.transactionId);
+        const pageAt = cursor => paginate(
+          adapter.query(filters, { sort, cursor, limit: 3 }),
+          { limit: 2, cursor, sort, total: adapter.count(filters) }
+        );
+
+        const forward = [pageAt(null)];
+        while (forward[forward.length - 1].pagination.nextCursor) {
+          forward.push(pageAt(decodeCursor(forward[forward.length - 1].pagination.nextCursor, sort)));
+        }
+        expect(forward.flatMap(page => page.data.map(t => t.transactionId))).toEqual(expected);
+
+        const backward = [forward[forward.length - 1]];
+        while (backward[0].pagination.prevCursor) {
+          backward.unshift(pageAt(decodeCursor(backward[0].pagination.prevCursor, sort)));
+        }
+        expect(backward.flatMap(page => page.data.map(t => t.transactionId))).toEqual(expected);
+        expect(forward[0].total).toBe(expected.length);
+      });
+
+      it('should replace the whole dataset', () => {
+        adapter.replaceAll(mockTransactions.slice(0, 2));
+        expect(adapter.getAll()).toHaveLength(2);
+      });
+
+      it('should find a transaction by id', () => {
+        expect(adapter.findById('TXN-002')).toEqual(mockTransactions[1]);
+        expect(adapter.findById('TXN-999')).toBeNull();
+      });
+
+      it('should move quarantined records out of the dataset', () => {
+        const entry = {
+          index: 1,
+          transactionId: 'TXN-002',
+          record: adapter.findById('TXN-002'),
+          errors: [{ field: 'amount', message: 'amount must be a number' }]
+        };
+        adapter.quarantine([entry]);
+
+        expect(adapter.getAll().map(t => t.transactionId)).not.toContain('TXN-002');
+        expect(adapter.getQuarantined()).toEqual([entry]);
+      });
+
+      it('should convert mixed currencies for amount ranges like applyFilters', () => {
+        const mixed = [
+          ...mockTransactions,
+          { ...mockTransactions[0], transactionId: 'TXN-E01', amount: 85.31, currency: 'EUR', transactionDate: '2026-01-10T10:00:00.000Z' },
+          { ...mockTransactions[1], transactionId: 'TXN-G01', amount: 150, currency: 'GBP' }
+        ];
+        adapter.replaceAll(mixed);
+
+        [
+          { minAmount: 100, maxAmount: 200, amountCurrency: 'USD' },
+          { maxAmount: 100, amountCurrency: 'EUR' },
+          { minAmount: 150, amountCurrency: 'GBP', currency: ['GBP', 'USD'] }
+        ].forEach(filters => {
+          expect(adapter.query(filters)).toEqual(applyFilters(mixed, filters));
+        });
+        expect(adapter.query({ minAmount: 100, maxAmount: 100, amountCurrency: 'USD' }).map(t => t.transactionId))
+          .toEqual(['TXN-001', 'TXN-E01']);
+      });
+
+      it('should filter refunds and chargebacks like applyFilters', () => {
+        const adjustments = [
+          { ...mockTransactions[0], transactionId: 'TXN-R01', amount: 30, type: 'Refund', originalTransactionId: 'TXN-001' },
+          { ...mockTransactions[3], transactionId: 'TXN-C01', type: 'Chargeback', originalTransactionId: 'TXN-004' },
+          { ...mockTransactions[3], transactionId: 'TXN-006', type: 'Payment', currency: 'EUR' }
+        ];
+        adapter.insert(adjustments);
+        const all = [...mockTransactions, ...adjustments];
+
+        [
+          { type: ['Payment'] },
+          { type: ['Refund', 'Chargeback'] },
+          { originalTransactionId: 'TXN-004' },
+          { currency: ['USD'] },
+          { currency: ['EUR', 'GBP'] }
+        ].forEach(filters => {
+          expect(adapter.query(filters)).toEqual(applyFilters(all, filters));
+        });
+        expect(adapter.findById('TXN-R01')).toEqual(adjustments[0]);
+      });
+
+      it('should append inserted transactions', () => {
+        const extra = { ...mockTransactions[0], transactionId: 'TXN-006' };
+        adapter.insert([extra]);
+
+        expect(adapter.getAll()).toHaveLength(6);
+        expect(adapter.findById('TXN-006')).toEqual(extra);
+      });
+
+      it('should remove transactions by ID', () => {
+        expect(adapter.remove('TXN-002')).toBe(true);
+        expect(adapter.remove('TXN-002')).toBe(false);
+
+        expect(adapter.findById('TXN-002')).toBeNull();
+        expect(adapter.getAll().map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-003', 'TXN-004', 'TXN-005']);
+      });
+    });
+  });
+
+  describe('json adapter persistence', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write inserts back to the file it loaded', () => {
+      const filePath = path.join(tempDir, 'transactions.json');
+      fs.writeFileSync(filePath, JSON.stringify(mockTransactions.slice(0, 2)));
+
+      const adapter = createJsonAdapter({ filePath });
+      adapter.load();
+      adapter.insert([mockTransactions[2]]);
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-002', 'TXN-003']);
+    });
+
+    it('should keep quarantined records in the file when persisting', () => {
+      const filePath = path.join(tempDir, 'transactions.json');
+      const broken = { ...mockTransactions[1], amount: null };
+      fs.writeFileSync(filePath, JSON.stringify([mockTransactions[0], broken]));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const adapter = createJsonAdapter({ filePath });
+      adapter.load();
+      adapter.quarantine([{ index: 1, transactionId: 'TXN-002', record: adapter.getAll()[1], errors: [] }]);
+      adapter.insert([mockTransactions[2]]);
+      console.warn.mockRestore();
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-003', 'TXN-002']);
+    });
+
+    it('should write deletes back to the file it loaded', () => {
+      const filePath = path.join(tempDir, 'transactions.json');
+      fs.writeFileSync(filePath, JSON.stringify(mockTransactions.slice(0, 3)));
+
+      const adapter = createJsonAdapter({ filePath });
+      adapter.load();
+      adapter.remove('TXN-002');
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved.map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-003']);
+    });
+
+    it('should not write to disk when the file was never loaded', () => {
+      const filePath = path.join(tempDir, 'transactions.json');
+
+      const adapter = createJsonAdapter({ filePath });
+      adapter.replaceAll(mockTransactions);
+      adapter.insert([{ ...mockTransactions[0], transactionId: 'TXN-006' }]);
+
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('sqlite adapter persistence', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should import the seed file into an empty database', () => {
+      const seedPath = path.join(tempDir, 'seed.json');
+      fs.writeFileSync(seedPath, JSON.stringify(mockTransactions));
+
+      const adapter = createSqliteAdapter({ filePath: path.join(tempDir, 'test.db'), seedPath });
+      expect(adapter.load()).toHaveLength(5);
+      adapter.close();
+    });
+
+    it('should quarantine seed records that fail validation', () => {
+      const seedPath = path.join(tempDir, 'seed.json');
+      const { amount, ...missingAmount } = mockTransactions[4];
+      fs.writeFileSync(seedPath, JSON.stringify([...mockTransactions.slice(0, 4), missingAmount]));
+
+      const adapter = createSqliteAdapter({ filePath: path.join(tempDir, 'test.db'), seedPath });
+      expect(adapter.load()).toHaveLength(4);
+      expect(adapter.getQuarantined()).toEqual([{
+        index: 4,
+        transactionId: 'TXN-005',
+        record: missingAmount,
+        errors: [{ field: 'amount', message: 'amount must be a number' }]
+      }]);
+      adapter.close();
+    });
+
+    it('should add columns missing from databases created by earlier versions', () => {
+      const dbPath = path.join(tempDir, 'legacy.db');
+      const Database = require('better-sqlite3');
+      const legacy = new Database(dbPath);
+      legacy.exec(`
+        CREATE TABLE transactions (
+          transactionId TEXT PRIMARY KEY, merchantId TEXT NOT NULL, amount REAL NOT NULL,
+          cardBrand TEXT NOT NULL, status TEXT NOT NULL, declineReasonCode TEXT,
+          transactionDate TEXT NOT NULL, transactionTime INTEGER NOT NULL
+        );
+        INSERT INTO transactions VALUES ('TXN-001', 'MERCH-001', 100, 'Visa', 'Approved', NULL, '2026-02-01T10:00:00.000Z', 0);
+      `);
+      legacy.close();
+
+      const adapter = createSqliteAdapter({ filePath: dbPath });
+      expect(adapter.load()).toEqual([mockTransactions[0]]);
+      expect(adapter.query({ type: 'Payment' })).toHaveLength(1);
+      adapter.close();
+    });
+
+    it('should keep data across restarts without re-importing', () => {
+      const dbPath = path.join(tempDir, 'test.db');
+      const seedPath = path.join(tempDir, 'seed.json');
+      fs.writeFileSync(seedPath, JSON.stringify(mockTransactions));
+
+      const first = createSqliteAdapter({ filePath: dbPath, seedPath });
+      first.load();
+      first.replaceAll(mockTransactions.slice(0, 3));
+      first.close();
+
+      const second = createSqliteAdapter({ filePath: dbPath, seedPath });
+      expect(second.load().map(t => t.transactionId)).toEqual(['TXN-001', 'TXN-002', 'TXN-003']);
+      second.close();
+    });
+  });
+
+  describe('buildWhereClause', () => {
+    it('should produce no clause without filters', () => {
+      expect(buildWhereClause({})).toEqual({ where: '', params: [] });
+    });
+
+    it('should use parameters for every value', () => {
+      const { where, params } = buildWhereClause({ cardBrand: 'Visa,Amex', minAmount: 0 });
+      expect(where).toBe('WHERE cardBrand IN (?, ?) AND amount >= ?');
+      expect(params).toEqual(['Visa', 'Amex', 0]);
+    });
+  });
+
+  describe('dataStore', () => {
+    let originalAdapter;
+
+    beforeAll(() => {
+      originalAdapter = getAdapter();
+      config.auth.enabled = false;
+    });
+
+    afterAll(() => {
+      setAdapter(originalAdapter);
+      config.auth.enabled = true;
+    });
+
+    it('should reject unknown adapters', () => {
+      expect(() => createAdapter({ adapter: 'mongo' })).toThrow('Unknown storage adapter "mongo"');
+    });
+
+    it('should delegate queries to the active adapter', () => {
+      setAdapter(createSqliteAdapter({ filePath: ':memory:' }));
+      setTransactions(mockTransactions);
+
+      expect(getAdapter().name).toBe('sqlite');
+      expect(queryTransactions({ cardBrand: 'Visa' })).toHaveLength(2);
+    });
+
+    it('should log a failing change listener and still notify the others', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const changes = [];
+      const unsubscribeFailing = onDataChange(() => {
+        throw new Error('listener broke');
+      });
+      const unsubscribeRecording = onDataChange(change => changes.push(change.type));
+
+      try {
+        expect(() => setTransactions(mockTransactions)).not.toThrow();
+        expect(changes).toEqual(['replace']);
+        expect(consoleError).toHaveBeenCalledWith('Data change listener failed (replace):', 'listener broke');
+      } finally {
+        unsubscribeFailing();
+        unsubscribeRecording();
+        consoleError.mockRestore();
+      }
+    });
+
+    it('should quarantine invalid records on load so aggregates stay numeric', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-dashboard-'));
+      const filePath = path.join(tempDir, 'transactions.json');
+      const badDate = { ...mockTransactions[0], transactionId: 'TXN-BAD', transactionDate: 'not a date' };
+      fs.writeFileSync(filePath, JSON.stringify([...mockTransactions, badDate]));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      setAdapter(createJsonAdapter({ filePath }));
+      expect(loadTransactions()).toHaveLength(5);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Quarantined 1 invalid transaction'));
+      expect(getQuarantinedTransactions().map(q => q.transactionId)).toEqual(['TXN-BAD']);
+
+      const response = await request(app).get('/api/transactions/quarantine');
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].errors[0].field).toBe('transactionDate');
+
+      console.log.mockRestore();
+      console.warn.mockRestore();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should serve API routes from the sqlite adapter', async () => {
+      setAdapter(createSqliteAdapter({ filePath: ':memory:' }));
+      setTransactions(mockTransactions);
+
+      const response = await request(app)
+        .get('/api/transactions/summary')
+        .query({ cardBrand: 'Visa,Amex', from: '2026-01-01' });
+
+      expect(response.status).toBe(200);
+      const total = response.body.monthByMonth.reduce((sum, m) => sum + m.totalTransactions, 0);
+      expect(total).toBe(3);
+    });
+  });
+});
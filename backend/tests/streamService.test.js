@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for the Stream Service
+ */
+
+const http = require('http');
+const express = require('express');
+const { formatEvent, openEventStream } = require('../src/services/streamService');
+
+/**
+ * Serve one event stream on an ephemeral port and connect to it
+ * @param {Function} handler - Receives the stream handle from openEventStream()
+ * @param {Object} [options] - Passed to openEventStream()
+ * @returns {Promise<{response: Object, received: Function, ended: Function, disconnect: Function, server: Object}>}
+ */
+function connect(handler, options) {
+  const app = express();
+  app.get('/events', (req, res) => handler(openEventStream(res, options)));
+  const server = app.listen(0);
+
+  return new Promise((resolve, reject) => {
+    const request = http.get(`http://127.0.0.1:${server.address().port}/events`, response => {
+      let body = '';
+      let ended = false;
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => { ended = true; });
+      resolve({
+        response,
+        server,
+        received: () => body,
+        ended: () => ended,
+        disconnect: () => request.destroy()
+      });
+    });
+    request.on('error', reject);
+  });
+}
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Stream Service', () => {
+  describe('formatEvent', () => {
+    it('should write the event name and JSON data, ended by a blank line', () => {
+      expect(formatEvent('mtd', { total: 1 })).toBe('event: mtd\ndata: {"total":1}\n\n');
+    });
+
+    it('should keep multi-line strings on one data line', () => {
+      expect(formatEvent('note', 'a\nb')).toBe('event: note\ndata: "a\\nb"\n\n');
+    });
+  });
+
+  describe('openEventStream', () => {
+    let connection;
+
+    afterEach(() => {
+      connection.disconnect();
+      connection.server.close();
+    });
+
+    it('should send event-stream headers and a retry hint', async () => {
+      connection = await connect(() => {});
+
+      expect(connection.response.statusCode).toBe(200);
+      expect(connection.response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+      expect(connection.response.headers['cache-control']).toBe('no-cache, no-transform');
+      await waitFor(() => connection.received().includes('retry: 3000\n\n'));
+    });
+
+    it('should deliver events as they are sent', async () => {
+      connection = await connect(stream => {
+        stream.send('greeting', { hello: 'world' });
+        setTimeout(() => stream.send('greeting', { hello: 'again' }), 20);
+      });
+
+      await waitFor(() => connection.received().includes('again'));
+      expect(connection.received()).toBe(
+        'retry: 3000\n\n' +
+        'event: greeting\ndata: {"hello":"world"}\n\n' +
+        'event: greeting\ndata: {"hello":"again"}\n\n'
+      );
+    });
+
+    it('should send keep-alive comments and call onHeartbeat', async () => {
+      const onHeartbeat = jest.fn();
+      connection = await connect(() => {}, { heartbeatMs: 20, onHeartbeat });
+
+      await waitFor(() => onHeartbeat.mock.calls.length >= 2);
+      expect(connection.received()).toContain(': keep-alive\n\n');
+    });
+
+    it('should run close handlers and stop sending once the client disconnects', async () => {
+      let handle;
+      const onClose = jest.fn();
+      connection = await connect(stream => {
+        handle = stream;
+        stream.onClose(onClose);
+      });
+      await waitFor(() => Boolean(handle));
+
+      connection.disconnect();
+      await waitFor(() => onClose.mock.calls.length === 1);
+
+      expect(handle.isOpen()).toBe(false);
+      expect(() => handle.send('late', {})).not.toThrow();
+    });
+
+    it('should end the response when closed by the server', async () => {
+      connection = await connect(stream => stream.close());
+
+      await waitFor(connection.ended);
+      expect(connection.received()).toBe('retry: 3000\n\n');
+    });
+  });
+});
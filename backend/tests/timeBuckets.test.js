@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for Time Buckets
+ */
+
+const {
+  toWallClock,
+  fromWallClock,
+  startOfBucket,
+  nextBucket,
+  formatBucketKey,
+  formatBucketLabel,
+  getBucketKey
+} = require('../src/utils/timeBuckets');
+
+describe('Time Buckets', () => {
+  describe('toWallClock / fromWallClock', () => {
+    it('should expose local time as UTC fields', () => {
+      const wall = toWallClock('2026-02-01T05:00:00.000Z', 'America/Los_Angeles');
+      expect(wall.toISOString()).toBe('2026-01-31T21:00:00.000Z');
+    });
+
+    it('should round-trip across a DST change', () => {
+      // New York switches to EDT on 2026-03-08
+      const before = toWallClock('2026-03-08T06:30:00.000Z', 'America/New_York');
+      const after = toWallClock('2026-03-08T07:30:00.000Z', 'America/New_York');
+
+      expect(fromWallClock(before, 'America/New_York').toISOString()).toBe('2026-03-08T06:30:00.000Z');
+      expect(fromWallClock(after, 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+  });
+
+  describe('getBucketKey', () => {
+    const date = '2026-02-15T14:45:00.000Z';
+
+    it.each([
+      ['hour', '2026-02-15T14'],
+      ['day', '2026-02-15'],
+      ['week', '2026-W07'],
+      ['month', '2026-02'],
+      ['quarter', '2026-Q1'],
+      ['year', '2026']
+    ])('should format %s keys', (granularity, expected) => {
+      expect(getBucketKey(date, granularity, 'UTC')).toBe(expected);
+    });
+
+    it('should use ISO week-years at year boundaries', () => {
+      // Thursday 2026-01-01 puts Monday 2025-12-29 in 2026-W01
+      expect(getBucketKey('2025-12-29T12:00:00.000Z', 'week', 'UTC')).toBe('2026-W01');
+      // Friday 2027-01-01 still belongs to the last week of 2026
+      expect(getBucketKey('2027-01-01T12:00:00.000Z', 'week', 'UTC')).toBe('2026-W53');
+    });
+
+    it('should evaluate buckets in the time zone', () => {
+      expect(getBucketKey('2026-01-01T03:00:00.000Z', 'year', 'America/Chicago')).toBe('2025');
+      expect(getBucketKey('2026-01-01T03:00:00.000Z', 'year', 'UTC')).toBe('2026');
+    });
+  });
+
+  describe('startOfBucket / nextBucket', () => {
+    const wall = new Date('2026-05-20T13:25:00.000Z'); // Wednesday
+
+    it.each([
+      ['hour', '2026-05-20T13:00:00.000Z', '2026-05-20T14:00:00.000Z'],
+      ['day', '2026-05-20T00:00:00.000Z', '2026-05-21T00:00:00.000Z'],
+      ['week', '2026-05-18T00:00:00.000Z', '2026-05-25T00:00:00.000Z'],
+      ['month', '2026-05-01T00:00:00.000Z', '2026-06-01T00:00:00.000Z'],
+      ['quarter', '2026-04-01T00:00:00.000Z', '2026-07-01T00:00:00.000Z'],
+      ['year', '2026-01-01T00:00:00.000Z', '2027-01-01T00:00:00.000Z']
+    ])('should step %s buckets', (granularity, start, next) => {
+      const bucketStart = startOfBucket(wall, granularity);
+      expect(bucketStart.toISOString()).toBe(start);
+      expect(nextBucket(bucketStart, granularity).toISOString()).toBe(next);
+    });
+
+    it('should reject unknown granularities', () => {
+      expect(() => startOfBucket(wall, 'fortnight')).toThrow('Unknown granularity "fortnight"');
+      expect(() => formatBucketKey(wall, 'fortnight')).toThrow('Unknown granularity "fortnight"');
+    });
+  });
+
+  describe('formatBucketLabel', () => {
+    it('should produce readable labels', () => {
+      const start = new Date('2026-02-09T08:00:00.000Z');
+      expect(formatBucketLabel(start, 'hour')).toBe('Feb 9, 2026 08:00');
+      expect(formatBucketLabel(start, 'day')).toBe('Feb 9, 2026');
+      expect(formatBucketLabel(start, 'week')).toBe('Week of Feb 9, 2026');
+      expect(formatBucketLabel(start, 'month')).toBe('Feb 2026');
+      expect(formatBucketLabel(start, 'quarter')).toBe('Q1 2026');
+      expect(formatBucketLabel(start, 'year')).toBe('2026');
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Unit Tests for Time Zone Query Parameter Parsing
+ */
+
+const { resolveTimeZone, parseTimeZoneParam } = require('../src/utils/timeZoneParams');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('Time Zone Params', () => {
+  describe('resolveTimeZone', () => {
+    it('should return canonical names for known zones', () => {
+      expect(resolveTimeZone('America/Los_Angeles')).toBe('America/Los_Angeles');
+      expect(resolveTimeZone('utc')).toBe('UTC');
+    });
+
+    it('should return null for unknown zones', () => {
+      expect(resolveTimeZone('Mars/Olympus_Mons')).toBeNull();
+    });
+  });
+
+  describe('parseTimeZoneParam', () => {
+    it('should fall back when no value is given', () => {
+      expect(parseTimeZoneParam(undefined, 'Europe/London')).toBe('Europe/London');
+      expect(parseTimeZoneParam('', 'Europe/London')).toBe('Europe/London');
+    });
+
+    it('should accept IANA names', () => {
+      expect(parseTimeZoneParam(' Asia/Tokyo ', 'UTC')).toBe('Asia/Tokyo');
+    });
+
+    it('should reject unknown zones and repeated values', () => {
+      expect(() => parseTimeZoneParam('PST8PDT-ish', 'UTC')).toThrow(ValidationError);
+      expect(() => parseTimeZoneParam(['UTC', 'Asia/Tokyo'], 'UTC')).toThrow('Invalid "tz"');
+    });
+  });
+});
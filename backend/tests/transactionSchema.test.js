@@ -0,0 +1,248 @@
+/**
+ * Unit Tests for Transaction Schema
+ */
+
+const {
+  FILTER_PARAMS,
+  validateTransaction,
+  validateAdjustment,
+  partitionRecords,
+  validateQueryParams
+} = require('../src/utils/transactionSchema');
+
+const approved = {
+  transactionId: 'TXN-001',
+  merchantId: 'MERCH-001',
+  amount: 100,
+  cardBrand: 'Visa',
+  status: 'Approved',
+  transactionDate: '2026-02-01T10:00:00.000Z'
+};
+
+const declined = {
+  transactionId: 'TXN-002',
+  merchantId: 'MERCH-002',
+  amount: 49.99,
+  cardBrand: 'Mastercard',
+  status: 'Declined',
+  declineReasonCode: '01-Insufficient funds',
+  transactionDate: '2026-02-02T11:00:00.000Z'
+};
+
+const refund = {
+  transactionId: 'TXN-R01',
+  merchantId: 'MERCH-001',
+  amount: 40,
+  cardBrand: 'Visa',
+  status: 'Approved',
+  transactionDate: '2026-02-05T10:00:00.000Z',
+  type: 'Refund',
+  originalTransactionId: 'TXN-001'
+};
+
+/**
+ * Fields named in a list of validation errors
+ */
+const fieldsOf = errors => errors.map(e => e.field);
+
+describe('Transaction Schema', () => {
+  describe('validateTransaction', () => {
+    it('should accept records shaped like the mock data', () => {
+      expect(validateTransaction(approved)).toEqual([]);
+      expect(validateTransaction(declined)).toEqual([]);
+    });
+
+    it('should reject non-objects', () => {
+      expect(validateTransaction(null)).toEqual([{ field: 'record', message: 'record must be a JSON object' }]);
+      expect(fieldsOf(validateTransaction([approved]))).toEqual(['record']);
+    });
+
+    it('should require transactionId unless told otherwise', () => {
+      const { transactionId, ...withoutId } = approved;
+      expect(validateTransaction(withoutId)).toEqual([{ field: 'transactionId', message: 'transactionId is required' }]);
+      expect(validateTransaction(withoutId, { requireId: false })).toEqual([]);
+      expect(fieldsOf(validateTransaction({ ...approved, transactionId: '' }, { requireId: false }))).toEqual(['transactionId']);
+    });
+
+    it('should require a positive amount with at most two decimals', () => {
+      const { amount, ...missingAmount } = approved;
+      expect(validateTransaction(missingAmount)).toEqual([{ field: 'amount', message: 'amount must be a number' }]);
+      expect(validateTransaction({ ...approved, amount: 0 })[0].message).toBe('amount must be greater than 0');
+      expect(validateTransaction({ ...approved, amount: '10' })[0].message).toBe('amount must be a number');
+      expect(validateTransaction({ ...approved, amount: 1.005 })[0].message).toBe('amount must have at most two decimal places');
+    });
+
+    it('should require a known card brand and status', () => {
+      expect(validateTransaction({ ...approved, cardBrand: 'visa', status: 'Pending' })).toEqual([
+        { field: 'cardBrand', message: 'cardBrand must be one of: Visa, Mastercard, Amex, Discover' },
+        { field: 'status', message: 'status must be one of: Approved, Declined' }
+      ]);
+    });
+
+    it('should require a decline reason exactly when declined', () => {
+      const { declineReasonCode, ...missingReason } = declined;
+      expect(fieldsOf(validateTransaction(missingReason))).toEqual(['declineReasonCode']);
+      expect(validateTransaction({ ...approved, declineReasonCode: '01-Insufficient funds' })).toEqual([
+        { field: 'declineReasonCode', message: 'declineReasonCode is only allowed when status is Declined' }
+      ]);
+    });
+
+    it('should require merchantId and a parseable date', () => {
+      expect(fieldsOf(validateTransaction({ ...approved, merchantId: ' ', transactionDate: 'yesterday' })))
+        .toEqual(['merchantId', 'transactionDate']);
+    });
+  });
+
+  describe('transaction types', () => {
+    it('should treat records without a type as payments', () => {
+      expect(validateTransaction({ ...approved, type: 'Payment' })).toEqual([]);
+      expect(validateTransaction(refund)).toEqual([]);
+    });
+
+    it('should reject unknown types', () => {
+      expect(fieldsOf(validateTransaction({ ...approved, type: 'Payout' }))).toEqual(['type']);
+    });
+
+    it('should require originalTransactionId on refunds and chargebacks only', () => {
+      const { originalTransactionId, ...orphan } = refund;
+      expect(fieldsOf(validateTransaction(orphan))).toEqual(['originalTransactionId']);
+      expect(fieldsOf(validateTransaction({ ...refund, type: 'Chargeback', originalTransactionId: ' ' }))).toEqual(['originalTransactionId']);
+      expect(fieldsOf(validateTransaction({ ...approved, originalTransactionId: 'TXN-009' }))).toEqual(['originalTransactionId']);
+      expect(fieldsOf(validateTransaction({ ...refund, originalTransactionId: 'TXN-R01' }))).toEqual(['originalTransactionId']);
+    });
+
+    it('should accept supported currencies only', () => {
+      expect(validateTransaction({ ...approved, currency: 'EUR' })).toEqual([]);
+      expect(validateTransaction({ ...approved, currency: 'eur' })).toEqual([
+        { field: 'currency', message: 'currency must be one of: USD, EUR, GBP, CAD' }
+      ]);
+    });
+
+    it('should require refunds and chargebacks to be approved', () => {
+      const errors = validateTransaction({ ...refund, status: 'Declined', declineReasonCode: '01-Insufficient funds' });
+      expect(errors).toEqual([{ field: 'status', message: 'refunds and chargebacks must have status Approved' }]);
+    });
+  });
+
+  describe('validateAdjustment', () => {
+    it('should accept a refund within the original amount', () => {
+      expect(validateAdjustment(refund, approved)).toEqual([]);
+      expect(validateAdjustment({ ...refund, amount: 60 }, approved, 40)).toEqual([]);
+    });
+
+    it('should reject a refund exceeding what is left of the original', () => {
+      expect(validateAdjustment({ ...refund, amount: 60.01 }, approved, 40)).toEqual([
+        { field: 'amount', message: 'refund of 60.01 exceeds the 60.00 remaining on TXN-001' }
+      ]);
+    });
+
+    it('should compare amounts in whole cents', () => {
+      expect(validateAdjustment({ ...refund, amount: 0.3 }, { ...approved, amount: 0.6 }, 0.1 + 0.2)).toEqual([]);
+    });
+
+    it('should require an existing approved payment', () => {
+      expect(validateAdjustment(refund, null)).toEqual([
+        { field: 'originalTransactionId', message: 'originalTransactionId TXN-001 does not exist' }
+      ]);
+      expect(fieldsOf(validateAdjustment(refund, { ...declined, transactionId: 'TXN-001' }))).toEqual(['originalTransactionId']);
+      expect(fieldsOf(validateAdjustment(refund, { ...refund, transactionId: 'TXN-001' }))).toEqual(['originalTransactionId']);
+    });
+
+    it('should require the currency of the original payment', () => {
+      expect(validateAdjustment({ ...refund, currency: 'USD' }, approved)).toEqual([]);
+      expect(validateAdjustment({ ...refund, currency: 'GBP' }, approved)).toEqual([
+        { field: 'currency', message: 'currency must match the original payment (USD)' }
+      ]);
+    });
+
+    it('should require the same merchant and a later date', () => {
+      const errors = validateAdjustment(
+        { ...refund, type: 'Chargeback', merchantId: 'MERCH-999', transactionDate: '2026-01-31T00:00:00.000Z' },
+        approved
+      );
+      expect(errors).toEqual([
+        { field: 'merchantId', message: 'merchantId must match the original payment (MERCH-001)' },
+        { field: 'transactionDate', message: 'a chargeback cannot be dated before the original payment' }
+      ]);
+    });
+  });
+
+  describe('partitionRecords', () => {
+    it('should quarantine invalid records with their position and errors', () => {
+      const broken = { ...approved, transactionId: 'TXN-003', amount: undefined };
+      const { valid, quarantined } = partitionRecords([approved, broken, declined]);
+
+      expect(valid).toEqual([approved, declined]);
+      expect(quarantined).toEqual([{
+        index: 1,
+        transactionId: 'TXN-003',
+        record: broken,
+        errors: [{ field: 'amount', message: 'amount must be a number' }]
+      }]);
+    });
+
+    it('should quarantine repeated transaction ids after the first', () => {
+      const { valid, quarantined } = partitionRecords([approved, { ...approved, amount: 5 }]);
+
+      expect(valid).toEqual([approved]);
+      expect(quarantined[0].errors).toEqual([
+        { field: 'transactionId', message: 'transactionId TXN-001 is duplicated' }
+      ]);
+    });
+
+    it('should quarantine the refund that over-reverses a payment, in date order', () => {
+      const early = { ...refund, amount: 70 };
+      const late = { ...refund, transactionId: 'TXN-R02', amount: 50, transactionDate: '2026-02-06T10:00:00.000Z' };
+      const { valid, quarantined } = partitionRecords([late, early, approved]);
+
+      expect(valid).toEqual([early, approved]);
+      expect(quarantined).toHaveLength(1);
+      expect(quarantined[0]).toMatchObject({ index: 0, transactionId: 'TXN-R02' });
+      expect(quarantined[0].errors[0].field).toBe('amount');
+    });
+
+    it('should quarantine refunds of quarantined payments', () => {
+      const { valid, quarantined } = partitionRecords([{ ...approved, amount: 'x' }, refund]);
+
+      expect(valid).toEqual([]);
+      expect(quarantined.map(q => q.index)).toEqual([0, 1]);
+      expect(quarantined[1].errors[0].message).toBe('originalTransactionId TXN-001 does not exist');
+    });
+
+    it('should keep records without an id in the report', () => {
+      const { quarantined } = partitionRecords(['not a record']);
+      expect(quarantined).toEqual([{
+        index: 0,
+        transactionId: null,
+        record: 'not a record',
+        errors: [{ field: 'record', message: 'record must be a JSON object' }]
+      }]);
+    });
+  });
+
+  describe('validateQueryParams', () => {
+    it('should accept known parameters with allowed values', () => {
+      const query = { cardBrand: 'Visa,Amex', status: ['Declined'], declineReasonCode: 'all', from: '-30d' };
+      expect(validateQueryParams(query, FILTER_PARAMS)).toEqual([]);
+    });
+
+    it('should reject unknown parameters', () => {
+      expect(validateQueryParams({ limit: '10' }, FILTER_PARAMS)).toEqual([
+        { field: 'limit', message: 'Unknown query parameter "limit"' }
+      ]);
+    });
+
+    it('should reject each value outside the allowed set', () => {
+      const errors = validateQueryParams({ cardBrand: ['Visa,Diners', 'JCB'] }, FILTER_PARAMS);
+      expect(errors.map(e => e.message)).toEqual([
+        'Invalid "cardBrand": "Diners" is not one of Visa, Mastercard, Amex, Discover',
+        'Invalid "cardBrand": "JCB" is not one of Visa, Mastercard, Amex, Discover'
+      ]);
+    });
+
+    it('should suggest the correctly cased value', () => {
+      const [error] = validateQueryParams({ status: 'declined' }, FILTER_PARAMS);
+      expect(error.message).toMatch(/did you mean "Declined"\?/);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for Webhook Events
+ *
+ * Webhooks point at the discard port, so deliveries are created but never
+ * reach a receiver; the tests look at which deliveries were created.
+ */
+
+const config = require('../src/config');
+const { setTransactions, insertTransactions, deleteTransaction } = require('../src/data/dataStore');
+const { setWebhookStore, listDeliveries, resetWebhooks } = require('../src/services/webhookService');
+const {
+  describeEvents,
+  measureDeclineRate,
+  resetWebhookEvents
+} = require('../src/services/webhookEvents');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+let sequence = 0;
+
+/**
+ * Build a payment for MERCH-001
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} Transaction
+ */
+function payment(overrides = {}) {
+  sequence += 1;
+  return {
+    transactionId: `TXN-EVT-${sequence}`,
+    merchantId: 'MERCH-001',
+    amount: 10.00,
+    cardBrand: 'Visa',
+    status: 'Approved',
+    transactionDate: minutesAgo(5),
+    ...overrides
+  };
+}
+
+const declined = (overrides = {}) => payment({
+  status: 'Declined',
+  declineReasonCode: '01-Insufficient funds',
+  ...overrides
+});
+
+/**
+ * Register webhooks for every merchant
+ * @param {Array<string>} events - Event types to subscribe to
+ */
+function subscribe(events) {
+  setWebhookStore({
+    webhooks: [{ id: 'wh_test', url: 'http://127.0.0.1:9/hooks', events, secret: 'x'.repeat(16) }]
+  });
+}
+
+const raised = (event) => listDeliveries({ event: [event] }).map(d => d.payload.data);
+
+describe('Webhook Events', () => {
+  const originalDeclineRate = { ...config.webhooks.declineRate };
+
+  beforeEach(() => {
+    resetWebhooks();
+    resetWebhookEvents();
+    setWebhookStore({});
+    setTransactions([]);
+    Object.assign(config.webhooks.declineRate, { threshold: 50, windowMinutes: 60, minPayments: 4 });
+  });
+
+  afterAll(() => {
+    resetWebhooks();
+    Object.assign(config.webhooks.declineRate, originalDeclineRate);
+  });
+
+  describe('describeEvents', () => {
+    it('should list every event type and the threshold settings', () => {
+      const { events, declineRate } = describeEvents();
+
+      expect(events.map(e => e.type)).toEqual([
+        'transaction.declined',
+        'fraud.suspected',
+        'decline_rate.threshold_exceeded',
+        'alert.firing',
+        'alert.resolved'
+      ]);
+      expect(declineRate).toEqual({ threshold: 50, windowMinutes: 60, minPayments: 4 });
+    });
+  });
+
+  describe('transaction.declined and fraud.suspected', () => {
+    it('should raise transaction.declined for each declined transaction inserted', () => {
+      subscribe(['transaction.declined']);
+      const transaction = declined();
+
+      insertTransactions([payment(), transaction]);
+
+      expect(raised('transaction.declined')).toEqual([{ transaction }]);
+    });
+
+    it('should also raise fraud.suspected for suspected fraud', () => {
+      subscribe(['transaction.declined', 'fraud.suspected']);
+      const fraud = declined({ declineReasonCode: '03-Suspected fraud' });
+
+      insertTransactions([declined(), fraud]);
+
+      expect(raised('fraud.suspected')).toEqual([{ transaction: fraud }]);
+      expect(raised('transaction.declined')).toHaveLength(2);
+    });
+
+    it('should not raise events without subscribers, or for deletes and loads', () => {
+      const transaction = declined({ declineReasonCode: '03-Suspected fraud' });
+      insertTransactions([transaction]);
+      expect(listDeliveries()).toEqual([]);
+
+      subscribe(['transaction.declined', 'fraud.suspected']);
+      deleteTransaction(transaction.transactionId);
+      setTransactions([declined()]);
+
+      expect(listDeliveries()).toEqual([]);
+    });
+  });
+
+  describe('decline_rate.threshold_exceeded', () => {
+    beforeEach(() => {
+      subscribe(['decline_rate.threshold_exceeded']);
+    });
+
+    it('should measure the decline rate of recent payments', () => {
+      setTransactions([
+        payment(),
+        declined(),
+        declined({ transactionDate: minutesAgo(90) }),
+        declined({ merchantId: 'MERCH-002' }),
+        payment({ type: 'Refund', status: 'Declined', declineReasonCode: '01-Insufficient funds', originalTransactionId: 'X' })
+      ]);
+
+      expect(measureDeclineRate('MERCH-001')).toEqual(expect.objectContaining({
+        merchantId: 'MERCH-001',
+        declineRate: 50,
+        threshold: 50,
+        windowMinutes: 60,
+        totalPayments: 2,
+        declinedPayments: 1
+      }));
+    });
+
+    it('should fire when the rate crosses the threshold, once', () => {
+      insertTransactions([payment(), payment(), declined()]);
+      expect(raised('decline_rate.threshold_exceeded')).toEqual([]);
+
+      insertTransactions([declined()]);
+      insertTransactions([declined()]);
+
+      const events = raised('decline_rate.threshold_exceeded');
+      expect(events).toHaveLength(1);
+      expect(events[0]).toEqual(expect.objectContaining({
+        merchantId: 'MERCH-001',
+        declineRate: 50,
+        totalPayments: 4,
+        declinedPayments: 2
+      }));
+    });
+
+    it('should fire again after the rate has recovered', () => {
+      insertTransactions([payment(), payment(), declined(), declined()]);
+      insertTransactions([payment()]);
+      insertTransactions([declined()]);
+
+      expect(raised('decline_rate.threshold_exceeded')).toHaveLength(2);
+    });
+
+    it('should wait for the minimum number of payments', () => {
+      insertTransactions([declined(), declined(), declined()]);
+
+      expect(raised('decline_rate.threshold_exceeded')).toEqual([]);
+    });
+
+    it('should track merchants separately and ignore backfilled payments', () => {
+      insertTransactions([payment(), payment(), declined(), declined()]);
+      insertTransactions([
+        payment({ merchantId: 'MERCH-002', transactionDate: minutesAgo(120) }),
+        declined({ merchantId: 'MERCH-002', transactionDate: minutesAgo(120) })
+      ]);
+
+      expect(raised('decline_rate.threshold_exceeded').map(e => e.merchantId)).toEqual(['MERCH-001']);
+    });
+  });
+});
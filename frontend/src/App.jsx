@@ -1,10 +1,16 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { AlertTriangle, CreditCard, CheckCircle, XCircle, Zap, X } from 'lucide-react';
+import { AlertTriangle, CreditCard, CheckCircle, XCircle, Zap, X, Calendar, LogOut, Loader2 } from 'lucide-react';
 import FilterSection from './components/FilterSection';
 import MTDSummary from './components/MTDSummary';
 import MonthlySummary from './components/MonthlySummary';
-import { fetchSummary, fetchFilterOptions } from './api/transactionApi';
+import AlertsPanel from './components/AlertsPanel';
+import TransactionTable from './components/TransactionTable';
+import ExportMenu from './components/ExportMenu';
+import LoginScreen from './components/LoginScreen';
+import { fetchSummary, fetchComparison, fetchForecast, fetchAnomalies, fetchFilterOptions, subscribeToStream } from './api/transactionApi';
+import { fetchCurrentUser, logout, onUnauthorized, hasRole } from './api/authApi';
+import { DEFAULT_CURRENCY } from './utils/currency';
 
 /**
  * AnimatedBackground Component
@@ -57,8 +63,11 @@ function AnimatedBackground() {
  * Sticky header with gradient text branding.
  * Provides visual anchor and context for the dashboard.
  * Uses backdrop blur for depth when content scrolls beneath.
+ * Hosts the reporting currency picker, which sets the currency summary
+ * amounts are converted to, the Export menu, which downloads data
+ * for the active filters, and the signed-in user with a logout button.
  */
-function HeroHeader() {
+function HeroHeader({ filters, reportingCurrency, currencies, onReportingCurrencyChange, user, onLogout }) {
   return (
     <motion.header 
       initial={{ opacity: 0, y: -20 }}
@@ -91,27 +100,88 @@ function HeroHeader() {
               Real-time transaction analytics & insights
             </motion.p>
           </div>
+          <div className="flex items-center gap-3">
+            <label className="sr-only" htmlFor="reporting-currency">Reporting currency</label>
+            <select
+              id="reporting-currency"
+              value={reportingCurrency}
+              onChange={(e) => onReportingCurrencyChange(e.target.value)}
+              className="px-3 py-2.5 rounded-xl text-sm font-medium bg-slate-900 text-slate-200 border border-white/10 hover:border-white/20 focus:outline-none focus:ring-2 focus:ring-amber-500/40 transition-colors"
+            >
+              {currencies.map((currency) => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+            <ExportMenu
+              filters={filters}
+              reportingCurrency={reportingCurrency}
+              canExportTransactions={hasRole(user, 'analyst')}
+            />
+            <div className="hidden sm:block text-right pl-3 border-l border-white/10">
+              <p className="text-sm font-medium text-slate-200">{user.username}</p>
+              <p className="text-xs text-slate-500 capitalize">{user.role}</p>
+            </div>
+            <button
+              type="button"
+              onClick={onLogout}
+              aria-label="Log out"
+              className="p-2.5 rounded-xl text-slate-400 border border-white/10 hover:text-slate-200 hover:border-white/20 transition-colors"
+            >
+              <LogOut className="w-4 h-4" />
+            </button>
+          </div>
         </div>
       </div>
     </motion.header>
   );
 }
 
-function App() {
+// Decline reasons are meaningless when only approved transactions are selected
+const isApprovedOnly = (statuses) => statuses.length === 1 && statuses[0] === 'Approved';
+
+// Filters as sent to the API
+const toEffectiveFilters = (filters) => (
+  isApprovedOnly(filters.status) ? { ...filters, declineReasonCode: [] } : filters
+);
+
+/**
+ * Dashboard Component
+ * 
+ * Everything shown to a signed-in user. Viewers see the summaries and
+ * alerts only; the raw transaction table needs the analyst role.
+ * 
+ * Summaries load whenever the filters change; in between, the live stream
+ * keeps the MTD figures (and this month's row of the monthly summary)
+ * up to date as transactions come in.
+ */
+function Dashboard({ user, onLogout }) {
+  // List filters hold arrays of selected values; an empty array means "all"
   const [filters, setFilters] = useState({
-    cardBrand: 'all',
-    status: 'all',
-    declineReasonCode: 'all',
+    cardBrand: [],
+    status: [],
+    declineReasonCode: [],
+    from: '',
+    to: '',
   });
   const [filterOptions, setFilterOptions] = useState({
     cardBrands: [],
     statuses: [],
     declineReasonCodes: [],
+    currencies: [DEFAULT_CURRENCY],
   });
+  // Currency summary amounts are converted to; transactions keep their own
+  const [reportingCurrency, setReportingCurrency] = useState(DEFAULT_CURRENCY);
   const [mtdSummary, setMtdSummary] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [forecast, setForecast] = useState(null);
   const [monthlySummary, setMonthlySummary] = useState([]);
+  const [anomalies, setAnomalies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [newTransactions, setNewTransactions] = useState(0);
+  // Multi-selects stay interactive while loading, so only the latest request may update state
+  const latestRequestRef = useRef(0);
 
   useEffect(() => {
     async function loadFilterOptions() {
@@ -128,48 +198,116 @@ function App() {
   }, []);
 
   const loadSummaryData = useCallback(async () => {
+    const requestId = ++latestRequestRef.current;
     setLoading(true);
     setError(null);
     
     try {
-      const effectiveFilters = { ...filters };
-      if (effectiveFilters.status === 'Approved') {
-        effectiveFilters.declineReasonCode = 'all';
-      }
+      const effectiveFilters = toEffectiveFilters(filters);
       
-      const response = await fetchSummary(effectiveFilters);
+      // Deltas, projections and anomalies are supplementary, so failing to load them must not hide the summary
+      const [response, comparisonResponse, forecastResponse, anomaliesResponse] = await Promise.all([
+        fetchSummary(effectiveFilters, { reportingCurrency }),
+        fetchComparison(effectiveFilters, { reportingCurrency }).catch((err) => {
+          console.error('Failed to load comparison:', err);
+          return null;
+        }),
+        // The forecast covers the whole month, which a date range would not match
+        effectiveFilters.from || effectiveFilters.to
+          ? null
+          : fetchForecast(effectiveFilters, { reportingCurrency }).catch((err) => {
+            console.error('Failed to load forecast:', err);
+            return null;
+          }),
+        fetchAnomalies(effectiveFilters, { reportingCurrency }).catch((err) => {
+          console.error('Failed to load anomalies:', err);
+          return null;
+        }),
+      ]);
+      if (requestId !== latestRequestRef.current) return;
       
       if (response.success) {
         setMtdSummary(response.mtdSummary);
         setMonthlySummary(response.monthByMonth);
+        setComparison(comparisonResponse?.success ? comparisonResponse.data : null);
+        setForecast(forecastResponse?.success ? { ...forecastResponse.data, confidence: forecastResponse.confidence } : null);
+        setAnomalies(anomaliesResponse?.success ? anomaliesResponse.data : []);
       } else {
         throw new Error('Failed to fetch summary data');
       }
     } catch (err) {
+      if (requestId !== latestRequestRef.current) return;
       setError(err.message || 'An error occurred while fetching data');
       console.error('Error fetching summary:', err);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequestRef.current) {
+        setLoading(false);
+      }
     }
-  }, [filters]);
+  }, [filters, reportingCurrency]);
 
   useEffect(() => {
     loadSummaryData();
   }, [loadSummaryData]);
 
+  useEffect(() => {
+    setNewTransactions(0);
+    const unsubscribe = subscribeToStream(toEffectiveFilters(filters), { reportingCurrency }, {
+      onMtd: (summary) => {
+        setMtdSummary(summary);
+        // This month's row of the monthly summary has the same figures
+        setMonthlySummary((months) => {
+          const others = months.filter((month) => month.month !== summary.month);
+          const hasActivity = summary.totalTransactions + summary.totalRefunds + summary.totalChargebacks > 0;
+          if (others.length === months.length && !hasActivity) return months;
+          return [summary, ...others].sort((a, b) => b.month.localeCompare(a.month));
+        });
+      },
+      onTransactions: (transactions) => setNewTransactions((count) => count + transactions.length),
+      onStatusChange: setLiveStatus,
+    });
+    return () => {
+      unsubscribe();
+      setLiveStatus(null);
+    };
+  }, [filters, reportingCurrency]);
+
   const handleFilterChange = (newFilters) => {
-    if (newFilters.status === 'Approved') {
-      newFilters.declineReasonCode = 'all';
+    if (isApprovedOnly(newFilters.status)) {
+      newFilters.declineReasonCode = [];
     }
     setFilters(newFilters);
   };
 
-  const hasActiveFilters = filters.cardBrand !== 'all' || filters.status !== 'all' || filters.declineReasonCode !== 'all';
+  // Removes a single value from one of the list filters (used by the chips)
+  const removeFilterValue = (field, value) => {
+    handleFilterChange({ ...filters, [field]: filters[field].filter(v => v !== value) });
+  };
+
+  const hasDateRange = Boolean(filters.from || filters.to);
+  const activeFilterCount = filters.cardBrand.length + filters.status.length + filters.declineReasonCode.length + (hasDateRange ? 1 : 0);
+  const hasActiveFilters = activeFilterCount > 0;
+
+  // Human-readable label for the active date range chip
+  const dateRangeLabel = (() => {
+    const presetLabels = { '-7d': 'Last 7 days', '-30d': 'Last 30 days', '-90d': 'Last 90 days' };
+    if (!filters.to && presetLabels[filters.from]) return presetLabels[filters.from];
+    if (filters.from && filters.to) return `${filters.from} → ${filters.to}`;
+    if (filters.from) return `Since ${filters.from}`;
+    return `Until ${filters.to}`;
+  })();
 
   return (
     <div className="min-h-screen relative">
       <AnimatedBackground />
-      <HeroHeader />
+      <HeroHeader
+        filters={filters}
+        reportingCurrency={reportingCurrency}
+        currencies={filterOptions.currencies || [DEFAULT_CURRENCY]}
+        onReportingCurrencyChange={setReportingCurrency}
+        user={user}
+        onLogout={onLogout}
+      />
 
       <main className="max-w-7xl mx-auto px-4 py-8 sm:px-6 lg:px-8">
         <AnimatePresence>
@@ -222,75 +360,96 @@ function App() {
               className="mb-8 flex items-center flex-wrap gap-3"
             >
               <span className="text-slate-500 text-sm font-medium">Active:</span>
-              {filters.cardBrand !== 'all' && (
+              {filters.cardBrand.map((brand) => (
                 <motion.span 
+                  key={`cardBrand-${brand}`}
                   initial={{ scale: 0.8, opacity: 0 }}
                   animate={{ scale: 1, opacity: 1 }}
                   exit={{ scale: 0.8, opacity: 0 }}
                   className="inline-flex items-center gap-2 bg-amber-500/10 text-amber-300 px-4 py-2 rounded-xl text-sm font-medium border border-amber-500/20 group"
                 >
                   <CreditCard className="w-4 h-4" />
-                  {filters.cardBrand}
+                  {brand}
                   <button
-                    onClick={() => handleFilterChange({ ...filters, cardBrand: 'all' })}
+                    onClick={() => removeFilterValue('cardBrand', brand)}
                     className="ml-1 p-0.5 rounded-full hover:bg-amber-500/30 transition-colors"
-                    aria-label="Remove card brand filter"
+                    aria-label={`Remove ${brand} card brand filter`}
                   >
                     <X className="w-3.5 h-3.5" />
                   </button>
                 </motion.span>
-              )}
-              {filters.status !== 'all' && (
+              ))}
+              {filters.status.map((status) => (
                 <motion.span 
+                  key={`status-${status}`}
                   initial={{ scale: 0.8, opacity: 0 }}
                   animate={{ scale: 1, opacity: 1 }}
                   exit={{ scale: 0.8, opacity: 0 }}
                   className={`inline-flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium border group ${
-                    filters.status === 'Approved' 
+                    status === 'Approved' 
                       ? 'bg-emerald-500/10 text-emerald-300 border-emerald-500/20' 
                       : 'bg-rose-500/10 text-rose-300 border-rose-500/20'
                   }`}
                 >
-                  {filters.status === 'Approved' ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
-                  {filters.status}
+                  {status === 'Approved' ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+                  {status}
                   <button
-                    onClick={() => handleFilterChange({ ...filters, status: 'all' })}
+                    onClick={() => removeFilterValue('status', status)}
                     className={`ml-1 p-0.5 rounded-full transition-colors ${
-                      filters.status === 'Approved' 
+                      status === 'Approved' 
                         ? 'hover:bg-emerald-500/30' 
                         : 'hover:bg-rose-500/30'
                     }`}
-                    aria-label="Remove status filter"
+                    aria-label={`Remove ${status} status filter`}
                   >
                     <X className="w-3.5 h-3.5" />
                   </button>
                 </motion.span>
-              )}
-              {filters.declineReasonCode !== 'all' && (
+              ))}
+              {filters.declineReasonCode.map((reason) => (
                 <motion.span 
+                  key={`declineReasonCode-${reason}`}
                   initial={{ scale: 0.8, opacity: 0 }}
                   animate={{ scale: 1, opacity: 1 }}
                   exit={{ scale: 0.8, opacity: 0 }}
                   className="inline-flex items-center gap-2 bg-amber-500/10 text-amber-300 px-4 py-2 rounded-xl text-sm font-medium border border-amber-500/20 group"
                 >
                   <AlertTriangle className="w-4 h-4" />
-                  {filters.declineReasonCode.replace('-', ' – ')}
+                  {reason.replace('-', ' – ')}
                   <button
-                    onClick={() => handleFilterChange({ ...filters, declineReasonCode: 'all' })}
+                    onClick={() => removeFilterValue('declineReasonCode', reason)}
                     className="ml-1 p-0.5 rounded-full hover:bg-amber-500/30 transition-colors"
-                    aria-label="Remove decline reason filter"
+                    aria-label={`Remove ${reason} decline reason filter`}
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </motion.span>
+              ))}
+              {hasDateRange && (
+                <motion.span 
+                  initial={{ scale: 0.8, opacity: 0 }}
+                  animate={{ scale: 1, opacity: 1 }}
+                  exit={{ scale: 0.8, opacity: 0 }}
+                  className="inline-flex items-center gap-2 bg-cyan-500/10 text-cyan-300 px-4 py-2 rounded-xl text-sm font-medium border border-cyan-500/20 group"
+                >
+                  <Calendar className="w-4 h-4" />
+                  {dateRangeLabel}
+                  <button
+                    onClick={() => handleFilterChange({ ...filters, from: '', to: '' })}
+                    className="ml-1 p-0.5 rounded-full hover:bg-cyan-500/30 transition-colors"
+                    aria-label="Remove date range filter"
                   >
                     <X className="w-3.5 h-3.5" />
                   </button>
                 </motion.span>
               )}
               {/* Clear All button when multiple filters are active */}
-              {(filters.cardBrand !== 'all' ? 1 : 0) + (filters.status !== 'all' ? 1 : 0) + (filters.declineReasonCode !== 'all' ? 1 : 0) > 1 && (
+              {activeFilterCount > 1 && (
                 <motion.button
                   initial={{ scale: 0.8, opacity: 0 }}
                   animate={{ scale: 1, opacity: 1 }}
                   exit={{ scale: 0.8, opacity: 0 }}
-                  onClick={() => handleFilterChange({ cardBrand: 'all', status: 'all', declineReasonCode: 'all' })}
+                  onClick={() => handleFilterChange({ cardBrand: [], status: [], declineReasonCode: [], from: '', to: '' })}
                   className="inline-flex items-center gap-2 bg-slate-700/50 text-slate-300 px-4 py-2 rounded-xl text-sm font-medium border border-slate-600/30 hover:bg-slate-600/50 transition-colors"
                 >
                   <X className="w-4 h-4" />
@@ -306,7 +465,22 @@ function App() {
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.5, delay: 0.3 }}
         >
-          <MTDSummary data={mtdSummary} loading={loading} />
+          <MTDSummary
+            data={mtdSummary}
+            comparison={comparison}
+            forecast={forecast}
+            loading={loading}
+            liveStatus={liveStatus}
+            newTransactions={newTransactions}
+          />
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.35 }}
+        >
+          <AlertsPanel refreshKey={mtdSummary} />
         </motion.div>
 
         <motion.div
@@ -314,11 +488,70 @@ function App() {
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.5, delay: 0.4 }}
         >
-          <MonthlySummary data={monthlySummary} loading={loading} filters={filters} />
+          <MonthlySummary data={monthlySummary} loading={loading} filters={filters} anomalies={anomalies} />
         </motion.div>
+
+        {hasRole(user, 'analyst') && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5, delay: 0.5 }}
+          >
+            <TransactionTable filters={filters} />
+          </motion.div>
+        )}
       </main>
     </div>
   );
 }
 
+/**
+ * App Component
+ * 
+ * Holds the session: checks the stored token on load, shows the login
+ * screen until a user signs in, and returns to it when any request
+ * answers 401 (e.g. the token expired).
+ */
+function App() {
+  // undefined while the stored token is being checked, null when signed out
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    const unsubscribe = onUnauthorized(() => setUser(null));
+    fetchCurrentUser()
+      .then(setUser)
+      .catch((err) => {
+        console.error('Failed to check session:', err);
+        setUser(null);
+      });
+    return unsubscribe;
+  }, []);
+
+  const handleLogout = () => {
+    logout();
+    setUser(null);
+  };
+
+  if (user === undefined) {
+    return (
+      <div className="min-h-screen relative flex items-center justify-center">
+        <AnimatedBackground />
+        <Loader2 className="w-8 h-8 text-slate-500 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen relative">
+        <AnimatedBackground />
+        <LoginScreen onLogin={setUser} />
+      </div>
+    );
+  }
+
+  // Keyed by user so nothing from a previous session survives a new login
+  return <Dashboard key={user.username} user={user} onLogout={handleLogout} />;
+}
+
 export default App;
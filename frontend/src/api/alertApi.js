@@ -0,0 +1,45 @@
+/**
+ * Alert API Client
+ *
+ * Reads alert rules, their current state and the alert history from
+ * /api/alerts. Like transactionApi.js, a build with VITE_MERCHANT_ID set
+ * goes through /api/merchants/:merchantId/alerts, so only that merchant's
+ * rules are returned.
+ */
+
+import { authFetch } from './authApi';
+
+const API_BASE_URL = '/api';
+const MERCHANT_ID = import.meta.env.VITE_MERCHANT_ID;
+const ALERTS_URL = MERCHANT_ID
+  ? `${API_BASE_URL}/merchants/${encodeURIComponent(MERCHANT_ID)}/alerts`
+  : `${API_BASE_URL}/alerts`;
+
+/**
+ * Fetches alert rules with their current state.
+ *
+ * @returns {Promise<Object>} { success, count, data: Rule[] } where each rule
+ *   has a `status` of { state: 'pending' | 'ok' | 'firing', value, since, ... }
+ */
+export async function fetchAlerts() {
+  const response = await authFetch(ALERTS_URL);
+  if (!response.ok) {
+    throw new Error('Failed to fetch alerts');
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the most recent alerts that fired or resolved, newest first.
+ *
+ * @param {Object} options - { limit } number of entries (server default 100)
+ * @returns {Promise<Object>} { success, count, data: HistoryEntry[] }
+ */
+export async function fetchAlertHistory({ limit } = {}) {
+  const url = limit ? `${ALERTS_URL}/history?limit=${limit}` : `${ALERTS_URL}/history`;
+  const response = await authFetch(url);
+  if (!response.ok) {
+    throw new Error('Failed to fetch alert history');
+  }
+  return response.json();
+}
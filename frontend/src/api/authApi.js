@@ -0,0 +1,111 @@
+/**
+ * Authentication API Client
+ *
+ * Logs dashboard users in and attaches their token to every API request.
+ * The token is kept in localStorage so a reload does not log the user out;
+ * it expires server-side (JWT_TTL).
+ *
+ * Any 401 response clears the stored token and notifies the listeners
+ * registered with onUnauthorized(), so the app can show the login screen.
+ */
+
+const API_BASE_URL = '/api';
+const TOKEN_STORAGE_KEY = 'merchantDashboard.token';
+
+// Roles in increasing order of access (see the backend's authService)
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+const unauthorizedListeners = new Set();
+
+/**
+ * Checks whether a user has at least the given role.
+ *
+ * @param {Object|null} user - { username, role, merchantId }
+ * @param {string} role - 'viewer' | 'analyst' | 'admin'
+ * @returns {boolean} True when the user's role is the same or higher
+ */
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Registers a callback for when the session ends (any 401 response).
+ *
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe function
+ */
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+}
+
+/**
+ * fetch() with the stored token attached. Resolves like fetch(), so
+ * callers still check response.ok; a 401 also ends the session.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() options
+ * @returns {Promise<Response>} The response
+ */
+export async function authFetch(url, options = {}) {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  const headers = new Headers(options.headers);
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401) {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    unauthorizedListeners.forEach(listener => listener());
+  }
+  return response;
+}
+
+/**
+ * Logs in with a username and password and stores the token.
+ *
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} The logged-in user: { username, role, merchantId }
+ * @throws {Error} With the server's message when the credentials are rejected
+ */
+export async function login(username, password) {
+  const response = await fetch(`${API_BASE_URL}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.success) {
+    throw new Error(body.error || 'Login failed');
+  }
+
+  localStorage.setItem(TOKEN_STORAGE_KEY, body.token);
+  return body.user;
+}
+
+/**
+ * Forgets the stored token.
+ */
+export function logout() {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+}
+
+/**
+ * Fetches the user the stored token belongs to. When the backend runs
+ * with authentication disabled this succeeds without a token.
+ *
+ * @returns {Promise<Object|null>} { username, role, merchantId }, or null when not logged in
+ */
+export async function fetchCurrentUser() {
+  const response = await authFetch(`${API_BASE_URL}/auth/me`);
+  if (response.status === 401) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error('Failed to fetch current user');
+  }
+  const body = await response.json();
+  return body.data;
+}
@@ -4,35 +4,84 @@
  * HTTP client for the backend REST API.
  * Uses relative URLs that are proxied to localhost:3001 by Vite.
  * All functions return parsed JSON and throw on HTTP errors.
+ * Requests go through authFetch(), which sends the login token and ends
+ * the session on 401 (see authApi.js).
+ * 
+ * subscribeToStream() keeps a Server-Sent Events connection open for
+ * live MTD updates.
+ * 
+ * A build with VITE_MERCHANT_ID set is a single merchant's dashboard:
+ * every request goes through /api/merchants/:merchantId/transactions,
+ * so the backend scopes all data to that merchant. Otherwise the backend
+ * scopes requests to the logged-in user's merchant; only admins, who may
+ * be unbound, see every merchant.
  */
 
+import { authFetch } from './authApi';
+
 const API_BASE_URL = '/api';
+const MERCHANT_ID = import.meta.env.VITE_MERCHANT_ID;
+const TRANSACTIONS_URL = MERCHANT_ID
+  ? `${API_BASE_URL}/merchants/${encodeURIComponent(MERCHANT_ID)}/transactions`
+  : `${API_BASE_URL}/transactions`;
 
 /**
- * Fetches MTD and monthly summaries with optional filters.
- * Called whenever filters change in the UI to refresh dashboard data.
+ * Builds the filter query string shared by all transaction endpoints.
+ * Multi-value filters are sent comma-separated; empty arrays and 'all'
+ * mean "no filter" and are omitted.
  * 
- * @param {Object} filters - { cardBrand, status, declineReasonCode }
- * @returns {Promise<Object>} { success, mtdSummary, monthByMonth }
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @returns {string} Query string without the leading '?'
  */
-export async function fetchSummary(filters = {}) {
-  // Build query string, excluding 'all' values (they mean "no filter")
+function buildFilterQuery(filters = {}) {
   const params = new URLSearchParams();
   
-  if (filters.cardBrand && filters.cardBrand !== 'all') {
-    params.append('cardBrand', filters.cardBrand);
+  ['cardBrand', 'status', 'declineReasonCode'].forEach((field) => {
+    const values = [].concat(filters[field] || []).filter(v => v && v !== 'all');
+    if (values.length > 0) {
+      params.append(field, values.join(','));
+    }
+  });
+  // Date range bounds accept ISO dates or relative tokens such as -30d
+  if (filters.from) {
+    params.append('from', filters.from);
   }
-  if (filters.status && filters.status !== 'all') {
-    params.append('status', filters.status);
-  }
-  if (filters.declineReasonCode && filters.declineReasonCode !== 'all') {
-    params.append('declineReasonCode', filters.declineReasonCode);
+  if (filters.to) {
+    params.append('to', filters.to);
   }
   
-  const queryString = params.toString();
-  const url = `${API_BASE_URL}/transactions/summary${queryString ? `?${queryString}` : ''}`;
+  return params.toString();
+}
+
+/**
+ * Builds the query string for summary endpoints: the filters plus the
+ * currency amounts should be converted to.
+ * 
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {string} reportingCurrency - ISO 4217 code; omitted to use the server default
+ * @returns {string} Query string without the leading '?'
+ */
+function buildSummaryQuery(filters, reportingCurrency) {
+  const params = new URLSearchParams(buildFilterQuery(filters));
+  if (reportingCurrency) {
+    params.append('reportingCurrency', reportingCurrency);
+  }
+  return params.toString();
+}
+
+/**
+ * Fetches MTD and monthly summaries with optional filters.
+ * Called whenever filters change in the UI to refresh dashboard data.
+ * 
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {Object} options - { reportingCurrency } currency amounts are converted to
+ * @returns {Promise<Object>} { success, reportingCurrency, mtdSummary, monthByMonth }
+ */
+export async function fetchSummary(filters = {}, { reportingCurrency } = {}) {
+  const queryString = buildSummaryQuery(filters, reportingCurrency);
+  const url = `${TRANSACTIONS_URL}/summary${queryString ? `?${queryString}` : ''}`;
   
-  const response = await fetch(url);
+  const response = await authFetch(url);
   if (!response.ok) {
     throw new Error('Failed to fetch summary');
   }
@@ -40,46 +89,264 @@ export async function fetchSummary(filters = {}) {
 }
 
 /**
- * Fetches raw transaction records with optional filters.
- * Not currently used in the UI but available for future features
- * like a detailed transaction table view.
+ * Fetches Month-to-Date metrics compared with the prior month and the same
+ * month last year, each cut off at the same day, with per-metric deltas.
  * 
- * @param {Object} filters - { cardBrand, status, declineReasonCode }
- * @returns {Promise<Object>} { success, count, data: Transaction[] }
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {Object} options - { reportingCurrency } currency amounts are converted to
+ * @returns {Promise<Object>} { success, timeZone, reportingCurrency, data: { current, priorMonth, lastYear } }
  */
-export async function fetchTransactions(filters = {}) {
-  const params = new URLSearchParams();
+export async function fetchComparison(filters = {}, { reportingCurrency } = {}) {
+  const queryString = buildSummaryQuery(filters, reportingCurrency);
+  const url = `${TRANSACTIONS_URL}/comparison${queryString ? `?${queryString}` : ''}`;
+  
+  const response = await authFetch(url);
+  if (!response.ok) {
+    throw new Error('Failed to fetch comparison');
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the current month projected to its end — volume, payment counts
+ * and approval rate — with confidence intervals. The forecast always covers
+ * the current month, so `from` and `to` are left out.
+ *
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[] }
+ * @param {Object} options - { reportingCurrency } currency amounts are converted to
+ * @returns {Promise<Object>} { success, confidence, reportingCurrency, data: { month, metrics } } where
+ *   metrics maps each metric to { actual, projected, lower, upper }
+ */
+export async function fetchForecast(filters = {}, { reportingCurrency } = {}) {
+  const queryString = buildSummaryQuery({ ...filters, from: '', to: '' }, reportingCurrency);
+  const url = `${TRANSACTIONS_URL}/forecast${queryString ? `?${queryString}` : ''}`;
+
+  const response = await authFetch(url);
+  if (!response.ok) {
+    throw new Error('Failed to fetch forecast');
+  }
+  return response.json();
+}
+
+/**
+ * Fetches days whose decline rate or volume is unusual for that weekday,
+ * overall, per card brand and per decline reason. Without a `from` filter
+ * the server checks the last 30 days.
+ *
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {Object} options - { reportingCurrency } currency amounts are converted to
+ * @returns {Promise<Object>} { success, from, to, count, data: Anomaly[] } where each
+ *   anomaly has { period, label, dimension, segment, metric, value, expected, zScore, direction }
+ */
+export async function fetchAnomalies(filters = {}, { reportingCurrency } = {}) {
+  const queryString = buildSummaryQuery(filters, reportingCurrency);
+  const url = `${TRANSACTIONS_URL}/anomalies${queryString ? `?${queryString}` : ''}`;
+
+  const response = await authFetch(url);
+  if (!response.ok) {
+    throw new Error('Failed to fetch anomalies');
+  }
+  return response.json();
+}
+
+/**
+ * Fetches one page of raw transaction records with optional filters.
+ * Used by the transaction table, which pages through results using
+ * the cursors returned in `pagination`.
+ * 
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {Object} options - { limit, cursor, sort } where sort is e.g. 'amount:desc'
+ * @returns {Promise<Object>} { success, count, total, data: Transaction[], pagination }
+ */
+export async function fetchTransactions(filters = {}, options = {}) {
+  const params = new URLSearchParams(buildFilterQuery(filters));
   
-  if (filters.cardBrand && filters.cardBrand !== 'all') {
-    params.append('cardBrand', filters.cardBrand);
+  if (options.limit) {
+    params.append('limit', String(options.limit));
   }
-  if (filters.status && filters.status !== 'all') {
-    params.append('status', filters.status);
+  if (options.cursor) {
+    params.append('cursor', options.cursor);
   }
-  if (filters.declineReasonCode && filters.declineReasonCode !== 'all') {
-    params.append('declineReasonCode', filters.declineReasonCode);
+  if (options.sort) {
+    params.append('sort', options.sort);
   }
   
   const queryString = params.toString();
-  const url = `${API_BASE_URL}/transactions${queryString ? `?${queryString}` : ''}`;
+  const url = `${TRANSACTIONS_URL}${queryString ? `?${queryString}` : ''}`;
   
-  const response = await fetch(url);
+  const response = await authFetch(url);
   if (!response.ok) {
     throw new Error('Failed to fetch transactions');
   }
   return response.json();
 }
 
+/**
+ * Builds the download URL for an export of the filtered data.
+ * Transactions are exported in their own currencies; the summary is
+ * converted to the reporting currency.
+ * 
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {Object} options - { type: 'transactions' | 'summary', format: 'csv' | 'xlsx' | 'ndjson', reportingCurrency }
+ * @returns {string} Export URL
+ */
+export function buildExportUrl(filters = {}, { type = 'transactions', format = 'csv', reportingCurrency } = {}) {
+  const params = new URLSearchParams(
+    type === 'summary' ? buildSummaryQuery(filters, reportingCurrency) : buildFilterQuery(filters)
+  );
+  params.append('format', format);
+  
+  const path = type === 'summary' ? 'export/summary' : 'export';
+  return `${TRANSACTIONS_URL}/${path}?${params.toString()}`;
+}
+
+/**
+ * Downloads an export of the filtered data. The request needs the login
+ * token, so the file is fetched and saved from a blob rather than opened
+ * as a plain link.
+ * 
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {Object} options - Same as buildExportUrl()
+ * @returns {Promise<void>} Resolves once the browser has been handed the file
+ */
+export async function downloadExport(filters = {}, options = {}) {
+  const response = await authFetch(buildExportUrl(filters, options));
+  if (!response.ok) {
+    throw new Error('Failed to download export');
+  }
+  
+  // The server names the file, e.g. transactions-2026-02-15.csv
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = /filename="([^"]+)"/.exec(disposition);
+  const objectUrl = URL.createObjectURL(await response.blob());
+  
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = match ? match[1] : 'export';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+}
+
 /**
  * Fetches available filter options from the backend.
  * Called once on app mount to populate filter dropdowns.
  * 
- * @returns {Promise<Object>} { success, data: { cardBrands, statuses, declineReasonCodes } }
+ * @returns {Promise<Object>} { success, data: { cardBrands, statuses, declineReasonCodes, types, currencies } }
  */
 export async function fetchFilterOptions() {
-  const response = await fetch(`${API_BASE_URL}/transactions/filters`);
+  const response = await authFetch(`${TRANSACTIONS_URL}/filters`);
   if (!response.ok) {
     throw new Error('Failed to fetch filter options');
   }
   return response.json();
 }
+
+// Reconnect delays for the live stream: the server's retry hint, doubled
+// after each failed attempt up to the maximum
+const STREAM_RETRY_MS = 3000;
+const STREAM_MAX_RETRY_MS = 30000;
+
+/**
+ * Reads a text/event-stream body and calls onEvent for each event.
+ * 
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onEvent - Called with (event, data) where data is parsed JSON
+ * @param {Function} onRetry - Called with the reconnect delay the server asks for
+ * @returns {Promise<void>} Resolves when the server ends the stream
+ */
+async function readEventStream(body, onEvent, onRetry) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach((block) => {
+      let event = 'message';
+      const data = [];
+      block.split(/\r?\n/).forEach((line) => {
+        // Lines starting with ':' are keep-alive comments
+        if (!line || line.startsWith(':')) return;
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const fieldValue = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+        if (field === 'event') event = fieldValue;
+        if (field === 'data') data.push(fieldValue);
+        if (field === 'retry' && /^\d+$/.test(fieldValue)) onRetry(Number(fieldValue));
+      });
+      if (data.length > 0) {
+        onEvent(event, JSON.parse(data.join('\n')));
+      }
+    });
+  }
+}
+
+/**
+ * Subscribes to live updates for the filtered data over Server-Sent Events.
+ * The stream is read with authFetch() rather than EventSource, which
+ * cannot send the login token. Dropped connections are retried with
+ * growing delays until unsubscribed; a 401 ends the session instead.
+ * 
+ * @param {Object} filters - { cardBrand[], status[], declineReasonCode[], from, to }
+ * @param {Object} options - { reportingCurrency } currency amounts are converted to
+ * @param {Object} handlers
+ * @param {Function} handlers.onMtd - Called with the MTD summary on connect and on every change
+ * @param {Function} [handlers.onTransactions] - Called with newly ingested transactions (analysts and admins)
+ * @param {Function} [handlers.onStatusChange] - Called with 'connecting' | 'live' | 'reconnecting'
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToStream(filters = {}, { reportingCurrency } = {}, handlers = {}) {
+  const { onMtd, onTransactions = () => {}, onStatusChange = () => {} } = handlers;
+  const queryString = buildSummaryQuery(filters, reportingCurrency);
+  const url = `${TRANSACTIONS_URL}/stream${queryString ? `?${queryString}` : ''}`;
+  const controller = new AbortController();
+  let retryMs = STREAM_RETRY_MS;
+  let failures = 0;
+  
+  const wait = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    controller.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+  
+  async function run() {
+    while (!controller.signal.aborted) {
+      onStatusChange(failures === 0 ? 'connecting' : 'reconnecting');
+      try {
+        const response = await authFetch(url, {
+          headers: { Accept: 'text/event-stream' },
+          signal: controller.signal,
+        });
+        if (response.status === 401) return;
+        if (!response.ok) {
+          throw new Error(`Live stream refused (${response.status})`);
+        }
+        
+        failures = 0;
+        onStatusChange('live');
+        await readEventStream(response.body, (event, data) => {
+          if (event === 'mtd') onMtd(data.data);
+          if (event === 'transactions') onTransactions(data.data);
+        }, (ms) => { retryMs = ms; });
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Live stream interrupted:', err);
+      }
+      
+      failures += 1;
+      onStatusChange('reconnecting');
+      await wait(Math.min(retryMs * 2 ** (failures - 1), STREAM_MAX_RETRY_MS));
+    }
+  }
+  
+  run();
+  return () => controller.abort();
+}
@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { BellRing, BellOff, CheckCircle, Clock, History } from 'lucide-react';
+import { fetchAlerts, fetchAlertHistory } from '../api/alertApi';
+
+// Rules are evaluated on the server every minute; poll at the same pace
+const REFRESH_INTERVAL_MS = 60 * 1000;
+// Give the server a moment to evaluate the rules after a live update
+const LIVE_REFRESH_DELAY_MS = 1000;
+const HISTORY_LIMIT = 5;
+
+// Rule states, see services/alertService.js
+const STATE_STYLES = {
+  firing: { label: 'Firing', icon: BellRing, badge: 'bg-rose-500/10 text-rose-300 border-rose-500/20', iconColor: 'text-rose-400' },
+  ok: { label: 'OK', icon: CheckCircle, badge: 'bg-emerald-500/10 text-emerald-300 border-emerald-500/20', iconColor: 'text-emerald-400' },
+  pending: { label: 'Pending', icon: Clock, badge: 'bg-slate-700/50 text-slate-300 border-slate-600/30', iconColor: 'text-slate-400' },
+};
+
+// Firing rules first, then by name
+const STATE_ORDER = { firing: 0, ok: 1, pending: 2 };
+
+const METRIC_LABELS = {
+  totalTransactions: 'Transactions',
+  totalApproved: 'Approved',
+  totalDeclined: 'Declined',
+  totalAmount: 'Total volume',
+  approvedAmount: 'Approved volume',
+  declinedAmount: 'Declined volume',
+  grossVolume: 'Gross volume',
+  totalRefunds: 'Refunds',
+  refundedAmount: 'Refunded',
+  totalChargebacks: 'Chargebacks',
+  chargebackAmount: 'Charged back',
+  netVolume: 'Net volume',
+  approvalRate: 'Approval rate',
+  declineRate: 'Decline rate',
+};
+
+const COMPARISON_LABELS = { priorMonth: 'prior month', lastYear: 'last year' };
+
+/**
+ * Formats a rule's measured value or threshold. Rates and comparisons are
+ * percentages; amounts are in the server's reporting currency, so they
+ * are shown without a symbol.
+ */
+function formatValue(value, rule) {
+  if (value === null || value === undefined) return '—';
+  const isPercent = rule.compareTo || rule.metric.endsWith('Rate');
+  const number = value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  return isPercent ? `${number}%` : number;
+}
+
+/**
+ * Describes what a rule checks, e.g. "Decline rate · 1h > 25%" or
+ * "Gross volume · MTD < 70% of prior month".
+ */
+function describeRule(rule) {
+  const metric = METRIC_LABELS[rule.metric] || rule.metric;
+  const window = rule.window === 'mtd' ? 'MTD' : rule.window;
+  const comparison = rule.compareTo ? ` of ${COMPARISON_LABELS[rule.compareTo]}` : '';
+  return `${metric} · ${window} ${rule.operator} ${formatValue(rule.threshold, rule)}${comparison}`;
+}
+
+// Short date and time for history entries and "since" labels
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+/**
+ * AlertsPanel Component
+ *
+ * Shows the alert rules with their current state (firing, ok or pending
+ * until first evaluated) and the latest alerts that fired or resolved.
+ * Rules are managed through the /api/alerts endpoints; the panel only
+ * reads them.
+ *
+ * Refreshes every minute, and shortly after `refreshKey` changes (the
+ * dashboard passes the live MTD summary, so new transactions refresh it).
+ * Hidden until the first load finds at least one rule.
+ */
+function AlertsPanel({ refreshKey }) {
+  const [rules, setRules] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+  const latestRequestRef = useRef(0);
+
+  const loadAlerts = useCallback(async () => {
+    const requestId = ++latestRequestRef.current;
+    try {
+      const [alertsResponse, historyResponse] = await Promise.all([
+        fetchAlerts(),
+        fetchAlertHistory({ limit: HISTORY_LIMIT }),
+      ]);
+      if (requestId !== latestRequestRef.current) return;
+      setRules(alertsResponse.data);
+      setHistory(historyResponse.data);
+      setError(null);
+    } catch (err) {
+      if (requestId !== latestRequestRef.current) return;
+      setError(err.message || 'Failed to load alerts');
+      console.error('Error fetching alerts:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+    const interval = setInterval(loadAlerts, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadAlerts]);
+
+  useEffect(() => {
+    if (!refreshKey) return undefined;
+    const timeout = setTimeout(loadAlerts, LIVE_REFRESH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [refreshKey, loadAlerts]);
+
+  if (rules.length === 0 && !error) {
+    return null;
+  }
+
+  const sortedRules = [...rules].sort((a, b) =>
+    STATE_ORDER[a.status.state] - STATE_ORDER[b.status.state] || a.name.localeCompare(b.name)
+  );
+  const firingCount = rules.filter((rule) => rule.status.state === 'firing').length;
+
+  return (
+    <div className="mb-10">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-white tracking-tight">Alerts</h2>
+          <p className="text-slate-500 text-sm mt-1">
+            {firingCount > 0
+              ? `${firingCount} of ${rules.length} rules firing`
+              : `${rules.length} rules, none firing`}
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <p className="mb-4 text-sm text-rose-400/80">{error}</p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-5">
+        <div className="lg:col-span-2 bg-slate-900/50 backdrop-blur-2xl border border-white/5 rounded-3xl p-6">
+          <ul className="divide-y divide-white/5">
+            <AnimatePresence initial={false}>
+              {sortedRules.map((rule) => {
+                const style = rule.enabled ? STATE_STYLES[rule.status.state] : null;
+                const Icon = style ? style.icon : BellOff;
+                return (
+                  <motion.li
+                    key={rule.id}
+                    layout
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="flex items-center justify-between gap-4 py-3 first:pt-0 last:pb-0"
+                  >
+                    <div className="flex items-center gap-3 min-w-0">
+                      <Icon className={`w-5 h-5 shrink-0 ${style ? style.iconColor : 'text-slate-600'}`} />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-slate-200 truncate">{rule.name}</p>
+                        <p className="text-xs text-slate-500 truncate">
+                          {describeRule(rule)}
+                          {rule.merchantId && ` · ${rule.merchantId}`}
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-3 shrink-0">
+                      <div className="text-right hidden sm:block">
+                        <p className="text-sm font-semibold text-white">{formatValue(rule.status.value, rule)}</p>
+                        {rule.status.since && (
+                          <p className="text-xs text-slate-500">since {formatTime(rule.status.since)}</p>
+                        )}
+                      </div>
+                      <span className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                        style ? style.badge : 'bg-slate-800/50 text-slate-500 border-white/5'
+                      }`}>
+                        {style ? style.label : 'Disabled'}
+                      </span>
+                    </div>
+                  </motion.li>
+                );
+              })}
+            </AnimatePresence>
+          </ul>
+        </div>
+
+        <div className="bg-slate-900/50 backdrop-blur-2xl border border-white/5 rounded-3xl p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <History className="w-4 h-4 text-slate-400" />
+            <h3 className="text-sm font-semibold text-slate-300">Recent activity</h3>
+          </div>
+          {history.length === 0 ? (
+            <p className="text-sm text-slate-500">No alerts have fired yet</p>
+          ) : (
+            <ul className="space-y-3">
+              {history.map((entry) => (
+                <li key={entry.id} className="flex items-start gap-3">
+                  <span className={`mt-1.5 w-2 h-2 shrink-0 rounded-full ${
+                    entry.state === 'firing' ? 'bg-rose-400' : 'bg-emerald-400'
+                  }`} />
+                  <div className="min-w-0">
+                    <p className="text-sm text-slate-200 truncate">
+                      {entry.ruleName} {entry.state === 'firing' ? 'fired' : 'resolved'}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {formatTime(entry.at)} · {formatValue(entry.value, { metric: entry.metric, compareTo: entry.measurement?.comparison })}
+                    </p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AlertsPanel;
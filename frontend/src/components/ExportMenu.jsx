@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Download, FileSpreadsheet, FileText, ChevronDown, Loader2 } from 'lucide-react';
+import { downloadExport } from '../api/transactionApi';
+
+// Downloads offered in the menu, grouped by what is exported
+const EXPORT_GROUPS = [
+  {
+    type: 'transactions',
+    label: 'Transactions',
+    // Raw transactions need the analyst role; viewers only get the summary
+    requiresTransactionAccess: true,
+    formats: [
+      { format: 'csv', label: 'CSV', icon: FileText },
+      { format: 'xlsx', label: 'Excel (.xlsx)', icon: FileSpreadsheet },
+      { format: 'ndjson', label: 'NDJSON', icon: FileText },
+    ],
+  },
+  {
+    type: 'summary',
+    label: 'Monthly Summary',
+    formats: [
+      { format: 'csv', label: 'CSV', icon: FileText },
+      { format: 'xlsx', label: 'Excel (.xlsx)', icon: FileSpreadsheet },
+    ],
+  },
+];
+
+/**
+ * ExportMenu Component
+ * 
+ * "Export" button that opens a menu of downloads for the currently
+ * filtered data: raw transactions (CSV, XLSX, NDJSON) or the monthly
+ * summary flattened to one row per month and card brand, with amounts
+ * in the selected reporting currency.
+ * Downloads are fetched with the login token and then saved by the
+ * browser. The transactions group is hidden from users who may not
+ * see raw transactions.
+ */
+function ExportMenu({ filters, reportingCurrency, canExportTransactions }) {
+  const [open, setOpen] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  const groups = EXPORT_GROUPS.filter(group => canExportTransactions || !group.requiresTransactionAccess);
+
+  const handleDownload = async (type, format) => {
+    const key = `${type}-${format}`;
+    setDownloading(key);
+    setError(null);
+    try {
+      await downloadExport(filters, { type, format, reportingCurrency });
+      setOpen(false);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(err.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(prev => !prev)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="inline-flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm font-medium bg-amber-500/10 text-amber-300 border border-amber-500/20 hover:bg-amber-500/20 transition-colors"
+      >
+        <Download className="w-4 h-4" />
+        Export
+        <ChevronDown className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            role="menu"
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 z-50 mt-2 w-60 p-2 rounded-2xl bg-slate-900 border border-white/10 shadow-xl shadow-black/40"
+          >
+            {groups.map((group) => (
+              <div key={group.type} className="py-1">
+                <p className="px-3 py-1.5 text-xs font-medium text-slate-500 uppercase tracking-wider">
+                  {group.label}
+                </p>
+                {group.formats.map(({ format, label, icon: Icon }) => {
+                  const isDownloading = downloading === `${group.type}-${format}`;
+                  return (
+                    <button
+                      key={format}
+                      type="button"
+                      role="menuitem"
+                      disabled={downloading !== null}
+                      onClick={() => handleDownload(group.type, format)}
+                      className="w-full flex items-center gap-3 px-3 py-2 rounded-xl text-sm text-slate-200 hover:bg-slate-800 disabled:opacity-60 transition-colors"
+                    >
+                      {isDownloading
+                        ? <Loader2 className="w-4 h-4 text-slate-400 animate-spin" />
+                        : <Icon className="w-4 h-4 text-slate-400" />}
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+            ))}
+            {error && (
+              <p className="px-3 py-2 text-xs text-rose-400">{error}</p>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -1,13 +1,143 @@
-import { motion } from 'framer-motion';
-import { CreditCard, Activity, AlertTriangle, ChevronDown } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { CreditCard, Activity, AlertTriangle, ChevronDown, Calendar, Check } from 'lucide-react';
+
+// Quick date range presets, expressed as relative tokens understood by the API
+const DATE_PRESETS = [
+  { value: '', label: 'All Time' },
+  { value: '-7d', label: 'Last 7 Days' },
+  { value: '-30d', label: 'Last 30 Days' },
+  { value: '-90d', label: 'Last 90 Days' },
+];
+
+// Date inputs can only display calendar dates, not relative tokens
+const isCalendarDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+/**
+ * MultiSelect Component
+ * 
+ * Dropdown of checkable options used by each filter group.
+ * An empty selection means "all". The panel stays open while
+ * toggling so several values can be picked in a row, and closes
+ * on an outside click.
+ */
+function MultiSelect({ options, selected, allLabel, onChange, disabled }) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  useEffect(() => {
+    if (disabled) setOpen(false);
+  }, [disabled]);
+
+  const toggleValue = (value) => {
+    onChange(selected.includes(value)
+      ? selected.filter(v => v !== value)
+      : [...selected, value]);
+  };
+
+  const selectedLabels = options.filter(o => selected.includes(o.value)).map(o => o.label);
+  const summary = selectedLabels.length === 0
+    ? allLabel
+    : selectedLabels.length <= 2 ? selectedLabels.join(', ') : `${selectedLabels.length} selected`;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(prev => !prev)}
+        disabled={disabled}
+        aria-haspopup="listbox"
+        aria-expanded={open}
+        className={`
+          w-full px-4 py-3.5 pr-12 rounded-2xl text-left truncate
+          bg-slate-800/50 border border-white/10
+          text-white text-sm font-medium
+          transition-all duration-200 cursor-pointer
+          hover:bg-slate-800/80 hover:border-white/20
+          focus:outline-none focus:ring-2 focus:ring-amber-500/50 focus:border-amber-500/50
+          disabled:opacity-40 disabled:cursor-not-allowed
+        `}
+      >
+        {summary}
+      </button>
+      <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center pr-4">
+        <ChevronDown className={`w-4 h-4 text-slate-500 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </div>
+
+      <AnimatePresence>
+        {open && (
+          <motion.ul
+            role="listbox"
+            aria-multiselectable="true"
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute z-30 mt-2 w-full p-1.5 rounded-2xl bg-slate-900 border border-white/10 shadow-xl shadow-black/40"
+          >
+            {options.map((option) => {
+              const isSelected = selected.includes(option.value);
+              return (
+                <li key={option.value}>
+                  <button
+                    type="button"
+                    role="option"
+                    aria-selected={isSelected}
+                    onClick={() => toggleValue(option.value)}
+                    className="w-full flex items-center gap-3 px-3 py-2.5 rounded-xl text-sm text-left text-slate-200 hover:bg-slate-800 transition-colors"
+                  >
+                    <span className={`
+                      flex items-center justify-center w-4 h-4 rounded border
+                      ${isSelected ? 'bg-amber-500 border-amber-500' : 'border-white/20'}
+                    `}>
+                      {isSelected && <Check className="w-3 h-3 text-slate-950" />}
+                    </span>
+                    {option.label}
+                  </button>
+                </li>
+              );
+            })}
+            {selected.length > 0 && (
+              <li className="border-t border-white/5 mt-1 pt-1">
+                <button
+                  type="button"
+                  onClick={() => onChange([])}
+                  className="w-full px-3 py-2 rounded-xl text-xs font-medium text-left text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+                >
+                  Clear selection
+                </button>
+              </li>
+            )}
+          </motion.ul>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
 
 /**
  * FilterSection Component
  * 
- * Renders three dropdown filters for narrowing transaction data:
+ * Renders three multi-select filters for narrowing transaction data:
  * - Card Brand: Visa, Mastercard, Amex, Discover
  * - Status: Approved, Declined
- * - Decline Reason: Only enabled when status is "Declined"
+ * - Decline Reason: Disabled when only "Approved" is selected
+ * 
+ * Values within a group are OR'ed; groups are AND'ed by the API.
+ * 
+ * Below the dropdowns, a date range picker offers quick presets
+ * (last 7/30/90 days) plus custom from/to calendar dates.
  * 
  * Filter changes are immediately propagated to parent via onFilterChange,
  * triggering an API refresh.
@@ -20,25 +150,41 @@ function FilterSection({ filters, onFilterChange, filterOptions, loading }) {
     });
   };
 
+  // Presets set a relative "from" and leave the range open-ended
+  const handlePresetChange = (preset) => {
+    onFilterChange({
+      ...filters,
+      from: preset,
+      to: '',
+    });
+  };
+
+  const activePreset = !filters.to && DATE_PRESETS.some(p => p.value === (filters.from || ''))
+    ? (filters.from || '')
+    : null;
+
   const filterGroups = [
     {
       id: 'cardBrand',
       label: 'Card Brand',
       icon: CreditCard,
-      options: [{ value: 'all', label: 'All Brands' }, ...filterOptions.cardBrands.map(b => ({ value: b, label: b }))],
+      allLabel: 'All Brands',
+      options: filterOptions.cardBrands.map(b => ({ value: b, label: b })),
     },
     {
       id: 'status',
       label: 'Status',
       icon: Activity,
-      options: [{ value: 'all', label: 'All Statuses' }, ...filterOptions.statuses.map(s => ({ value: s, label: s }))],
+      allLabel: 'All Statuses',
+      options: filterOptions.statuses.map(s => ({ value: s, label: s })),
     },
     {
       id: 'declineReasonCode',
       label: 'Decline Reason',
       icon: AlertTriangle,
-      options: [{ value: 'all', label: 'All Reasons' }, ...filterOptions.declineReasonCodes.map(d => ({ value: d, label: d.replace('-', ' – ') }))],
-      disabled: filters.status === 'Approved',
+      allLabel: 'All Reasons',
+      options: filterOptions.declineReasonCodes.map(d => ({ value: d, label: d.replace('-', ' – ') })),
+      disabled: filters.status.length === 1 && filters.status[0] === 'Approved',
     },
   ];
 
@@ -47,7 +193,7 @@ function FilterSection({ filters, onFilterChange, filterOptions, loading }) {
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.5, ease: [0.23, 1, 0.32, 1] }}
-      className="relative bg-slate-900/50 backdrop-blur-2xl border border-white/5 rounded-3xl p-6 sm:p-8 mb-8 overflow-hidden"
+      className="relative z-20 bg-slate-900/50 backdrop-blur-2xl border border-white/5 rounded-3xl p-6 sm:p-8 mb-8"
     >
       {/* Subtle inner glow */}
       <div className="absolute inset-0 rounded-3xl bg-gradient-to-br from-amber-500/5 via-transparent to-cyan-500/5 pointer-events-none" />
@@ -69,36 +215,69 @@ function FilterSection({ filters, onFilterChange, filterOptions, loading }) {
                   <Icon className="w-4 h-4" />
                   <span>{group.label}</span>
                 </label>
-                <div className="relative">
-                  <select
-                    value={filters[group.id]}
-                    onChange={(e) => handleFilterChange(group.id, e.target.value)}
-                    disabled={loading || group.disabled}
-                    className={`
-                      w-full px-4 py-3.5 pr-12 rounded-2xl
-                      bg-slate-800/50 border border-white/10
-                      text-white text-sm font-medium
-                      transition-all duration-200
-                      appearance-none cursor-pointer
-                      hover:bg-slate-800/80 hover:border-white/20
-                      focus:outline-none focus:ring-2 focus:ring-amber-500/50 focus:border-amber-500/50
-                      disabled:opacity-40 disabled:cursor-not-allowed
-                    `}
-                  >
-                    {group.options.map((option) => (
-                      <option key={option.value} value={option.value} className="bg-slate-900">
-                        {option.label}
-                      </option>
-                    ))}
-                  </select>
-                  <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center pr-4">
-                    <ChevronDown className="w-4 h-4 text-slate-500" />
-                  </div>
-                </div>
+                <MultiSelect
+                  options={group.options}
+                  selected={filters[group.id]}
+                  allLabel={group.allLabel}
+                  onChange={(values) => handleFilterChange(group.id, values)}
+                  disabled={group.disabled}
+                />
               </div>
             );
           })}
         </div>
+
+        {/* Date Range Picker */}
+        <div className="mt-6 space-y-2">
+          <label className="flex items-center gap-2 text-sm font-medium text-slate-400">
+            <Calendar className="w-4 h-4" />
+            <span>Date Range</span>
+          </label>
+          <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+            <div className="flex flex-wrap gap-2">
+              {DATE_PRESETS.map((preset) => (
+                <button
+                  key={preset.label}
+                  type="button"
+                  onClick={() => handlePresetChange(preset.value)}
+                  disabled={loading}
+                  className={`
+                    px-4 py-2 rounded-xl text-sm font-medium border
+                    transition-all duration-200
+                    disabled:opacity-40 disabled:cursor-not-allowed
+                    ${activePreset === preset.value
+                      ? 'bg-amber-500/10 text-amber-300 border-amber-500/30'
+                      : 'bg-slate-800/50 text-slate-300 border-white/10 hover:bg-slate-800/80 hover:border-white/20'
+                    }
+                  `}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-3">
+              <input
+                type="date"
+                aria-label="From date"
+                value={isCalendarDate(filters.from) ? filters.from : ''}
+                max={isCalendarDate(filters.to) ? filters.to : undefined}
+                onChange={(e) => handleFilterChange('from', e.target.value)}
+                disabled={loading}
+                className="px-4 py-2.5 rounded-xl bg-slate-800/50 border border-white/10 text-white text-sm [color-scheme:dark] focus:outline-none focus:ring-2 focus:ring-amber-500/50 disabled:opacity-40"
+              />
+              <span className="text-slate-500 text-sm">to</span>
+              <input
+                type="date"
+                aria-label="To date"
+                value={isCalendarDate(filters.to) ? filters.to : ''}
+                min={isCalendarDate(filters.from) ? filters.from : undefined}
+                onChange={(e) => handleFilterChange('to', e.target.value)}
+                disabled={loading}
+                className="px-4 py-2.5 rounded-xl bg-slate-800/50 border border-white/10 text-white text-sm [color-scheme:dark] focus:outline-none focus:ring-2 focus:ring-amber-500/50 disabled:opacity-40"
+              />
+            </div>
+          </div>
+        </div>
       </div>
     </motion.div>
   );
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Lock, LogIn, Loader2, AlertTriangle } from 'lucide-react';
+import { login } from '../api/authApi';
+
+/**
+ * LoginScreen Component
+ *
+ * Shown instead of the dashboard until the user logs in, and again
+ * whenever the session ends (an expired token answers 401).
+ * Accounts are created on the server with `npm run auth add-user`.
+ */
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = await login(username, password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-3 rounded-xl text-sm bg-slate-900 text-slate-100 border border-white/10 placeholder-slate-600 hover:border-white/20 focus:outline-none focus:ring-2 focus:ring-amber-500/40 transition-colors';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <motion.form
+        onSubmit={handleSubmit}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, ease: [0.23, 1, 0.32, 1] }}
+        className="w-full max-w-sm p-8 rounded-3xl bg-slate-900/60 backdrop-blur-2xl border border-white/10 shadow-xl shadow-black/40"
+      >
+        <div className="flex items-center gap-3 mb-8">
+          <div className="p-2.5 rounded-xl bg-amber-500/10 border border-amber-500/20">
+            <Lock className="w-5 h-5 text-amber-400" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold text-white">Merchant Dashboard</h1>
+            <p className="text-sm text-slate-500">Sign in to continue</p>
+          </div>
+        </div>
+
+        <label htmlFor="login-username" className="block text-xs font-medium text-slate-400 uppercase tracking-wider mb-2">
+          Username
+        </label>
+        <input
+          id="login-username"
+          type="text"
+          autoComplete="username"
+          autoFocus
+          required
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className={`${inputClassName} mb-5`}
+        />
+
+        <label htmlFor="login-password" className="block text-xs font-medium text-slate-400 uppercase tracking-wider mb-2">
+          Password
+        </label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className={`${inputClassName} mb-6`}
+        />
+
+        {error && (
+          <div className="flex items-center gap-2 mb-5 text-sm text-rose-400" role="alert">
+            <AlertTriangle className="w-4 h-4 shrink-0" />
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full inline-flex items-center justify-center gap-2 px-4 py-3 rounded-xl text-sm font-semibold bg-amber-500 text-slate-950 hover:bg-amber-400 disabled:opacity-60 transition-colors"
+        >
+          {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <LogIn className="w-4 h-4" />}
+          Sign in
+        </button>
+      </motion.form>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -1,3 +1,4 @@
+import { useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import CountUp from 'react-countup';
 import { 
@@ -7,8 +8,14 @@ import {
   XCircle, 
   TrendingUp,
   Percent,
-  AlertCircle
+  AlertCircle,
+  ArrowUpRight,
+  ArrowDownRight,
+  Minus,
+  Radio,
+  Flag
 } from 'lucide-react';
+import { formatCurrency, getCurrencySymbol } from '../utils/currency';
 
 // Card brand colors for visual distinction
 const CARD_BRAND_COLORS = {
@@ -23,6 +30,110 @@ const getCardBrandColor = (brand) => CARD_BRAND_COLORS[brand] || {
   bg: 'bg-slate-500/20', text: 'text-slate-400', border: 'border-slate-500/20' 
 };
 
+/**
+ * DeltaBadge Component
+ * 
+ * One line of period-over-period change under a stat card value,
+ * e.g. "▲ 12.4% vs Jan 1–8, 2026". Green means better, red worse;
+ * for metrics where lower is better (declines) the colors are swapped.
+ * When the earlier period was zero there is no percentage, so the
+ * absolute change is shown instead.
+ */
+function DeltaBadge({ delta, label, unit, invert }) {
+  if (!delta) return null;
+
+  const { absolute, percent } = delta;
+  const direction = absolute > 0 ? 'up' : absolute < 0 ? 'down' : 'flat';
+  const Icon = direction === 'up' ? ArrowUpRight : direction === 'down' ? ArrowDownRight : Minus;
+  const isGood = invert ? direction === 'down' : direction === 'up';
+  const color = direction === 'flat' ? 'text-slate-500' : isGood ? 'text-emerald-400' : 'text-rose-400';
+
+  const sign = absolute > 0 ? '+' : '';
+  let text;
+  if (unit === 'pts') {
+    text = `${sign}${absolute.toFixed(1)} pts`;
+  } else if (percent !== null) {
+    text = `${sign}${percent.toFixed(1)}%`;
+  } else {
+    text = `${sign}${absolute.toLocaleString()}`;
+  }
+
+  return (
+    <div className="flex items-center gap-1.5 text-xs" title={label}>
+      <Icon className={`w-3.5 h-3.5 shrink-0 ${color}`} />
+      <span className={`font-medium ${color}`}>{text}</span>
+      <span className="text-slate-500 truncate">vs {label}</span>
+    </div>
+  );
+}
+
+/**
+ * ProjectionLine Component
+ * 
+ * Where a stat card is heading by month end, e.g. "$31,000 by month end",
+ * with the confidence interval from /api/transactions/forecast below it.
+ * Nothing is shown while the server has too little history to project.
+ */
+function ProjectionLine({ projection, confidence, format }) {
+  if (!projection || projection.projected === null) return null;
+
+  return (
+    <div
+      className="mt-3 pt-3 border-t border-white/5 text-xs"
+      title={`${confidence}% confidence interval: ${format(projection.lower)} – ${format(projection.upper)}`}
+    >
+      <div className="flex items-center gap-1.5">
+        <Flag className="w-3.5 h-3.5 shrink-0 text-slate-400" />
+        <span className="font-medium text-slate-200">{format(projection.projected)}</span>
+        <span className="text-slate-500 truncate">by month end</span>
+      </div>
+      <p className="mt-0.5 pl-5 text-slate-500 truncate">
+        {format(projection.lower)} – {format(projection.upper)}
+      </p>
+    </div>
+  );
+}
+
+// Live stream states, see subscribeToStream()
+const LIVE_STATUSES = {
+  connecting: { label: 'Connecting', dot: 'bg-slate-500', text: 'text-slate-400', border: 'border-white/10' },
+  live: { label: 'Live', dot: 'bg-emerald-400', text: 'text-emerald-300', border: 'border-emerald-500/20' },
+  reconnecting: { label: 'Reconnecting', dot: 'bg-amber-400', text: 'text-amber-300', border: 'border-amber-500/20' },
+};
+
+/**
+ * LiveIndicator Component
+ * 
+ * Shows whether the MTD figures are being updated in real time. The dot
+ * pulses while connected; after a dropped connection it turns amber
+ * until the stream is back. `newTransactions` counts transactions pushed
+ * since the filters last changed (only sent to analysts and admins).
+ */
+function LiveIndicator({ status, newTransactions }) {
+  const config = LIVE_STATUSES[status];
+  if (!config) return null;
+
+  return (
+    <div
+      className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-full text-xs font-medium border bg-slate-900/50 ${config.border} ${config.text}`}
+      role="status"
+      aria-live="polite"
+    >
+      <span className="relative flex w-2 h-2">
+        {status === 'live' && (
+          <span className={`absolute inline-flex w-full h-full rounded-full opacity-75 animate-ping ${config.dot}`} />
+        )}
+        <span className={`relative inline-flex w-2 h-2 rounded-full ${config.dot}`} />
+      </span>
+      <Radio className="w-3.5 h-3.5" />
+      {config.label}
+      {status === 'live' && newTransactions > 0 && (
+        <span className="text-slate-400">· {newTransactions.toLocaleString()} new</span>
+      )}
+    </div>
+  );
+}
+
 /**
  * MTDSummary Component
  * 
@@ -32,9 +143,26 @@ const getCardBrandColor = (brand) => CARD_BRAND_COLORS[brand] || {
  * - Approved/Declined: Breakdown by status
  * - Approval Rate: Percentage with color coding (green >80%, amber >60%, red <60%)
  * 
- * Uses CountUp for animated number transitions on data changes.
+ * When `comparison` (from /api/transactions/comparison) is available, each
+ * card also shows its change against the prior month and the same month
+ * last year, both cut off at today's day of the month.
+ * 
+ * When `forecast` (from /api/transactions/forecast) is for the month shown,
+ * each card also shows its projected month-end figure and range.
+ * 
+ * Uses CountUp for animated number transitions on data changes. With a
+ * `liveStatus` the figures are pushed by the live stream: the header shows
+ * a live indicator, and cards whose value changed since the last render
+ * briefly light up while their counter animates to the new value.
  */
-function MTDSummary({ data, loading }) {
+function MTDSummary({ data, comparison, forecast, loading, liveStatus, newTransactions = 0 }) {
+  // Figures shown before the latest update; cleared while loading so a
+  // filter change does not light up every card
+  const previousDataRef = useRef(null);
+  useEffect(() => {
+    previousDataRef.current = loading ? null : data;
+  }, [data, loading]);
+
   if (loading) {
     return (
       <div className="mb-10">
@@ -72,17 +200,38 @@ function MTDSummary({ data, loading }) {
   }
 
   // Calculate approval rate from the data
-  const approvalRate = data.totalTransactions > 0 
-    ? (data.totalApproved / data.totalTransactions * 100) 
+  const getApprovalRate = (summary) => summary.totalTransactions > 0 
+    ? (summary.totalApproved / summary.totalTransactions * 100) 
     : 0;
+  const approvalRate = getApprovalRate(data);
+
+  // Only updates within the same month count as changes
+  const previous = previousDataRef.current?.month === data.month ? previousDataRef.current : null;
+  const hasChanged = (metric) => Boolean(previous) && (metric === 'approvalRate'
+    ? getApprovalRate(previous) !== approvalRate
+    : previous[metric] !== data[metric]);
+
+  // Earlier periods each card is compared against
+  const comparisonPeriods = comparison
+    ? [
+        { key: 'priorMonth', label: comparison.priorMonth.label },
+        { key: 'lastYear', label: comparison.lastYear.label },
+      ]
+    : [];
+
+  // A forecast fetched before the month rolled over no longer applies
+  const projections = forecast?.month === data.month ? forecast.metrics : null;
+  const formatCount = (value) => Math.round(value).toLocaleString();
 
   const stats = [
     {
       id: 'volume',
+      metric: 'totalAmount',
       label: 'Total Volume',
       value: data.totalAmount || 0,
-      prefix: '$',
+      prefix: getCurrencySymbol(data.reportingCurrency),
       format: true,
+      formatProjection: (value) => formatCurrency(value, data.reportingCurrency, { wholeUnits: true }),
       icon: DollarSign,
       gradient: 'from-amber-500/20 to-orange-600/20',
       iconBg: 'bg-gradient-to-br from-amber-500/20 to-orange-600/20 border border-amber-500/20',
@@ -91,6 +240,8 @@ function MTDSummary({ data, loading }) {
     },
     {
       id: 'count',
+      metric: 'totalTransactions',
+      formatProjection: formatCount,
       label: 'Transactions',
       value: data.totalTransactions || 0,
       icon: CreditCard,
@@ -101,6 +252,8 @@ function MTDSummary({ data, loading }) {
     },
     {
       id: 'approved',
+      metric: 'totalApproved',
+      formatProjection: formatCount,
       label: 'Approved',
       value: data.totalApproved || 0,
       icon: CheckCircle,
@@ -111,6 +264,9 @@ function MTDSummary({ data, loading }) {
     },
     {
       id: 'declined',
+      metric: 'totalDeclined',
+      formatProjection: formatCount,
+      invertDelta: true,
       label: 'Declined',
       value: data.totalDeclined || 0,
       icon: XCircle,
@@ -121,6 +277,9 @@ function MTDSummary({ data, loading }) {
     },
     {
       id: 'rate',
+      metric: 'approvalRate',
+      deltaUnit: 'pts',
+      formatProjection: (value) => `${value.toFixed(1)}%`,
       label: 'Approval Rate',
       value: approvalRate,
       suffix: '%',
@@ -156,6 +315,7 @@ function MTDSummary({ data, loading }) {
           <h2 className="text-2xl font-semibold text-white tracking-tight">Month-to-Date Overview</h2>
           <p className="text-slate-500 text-sm mt-1">Performance metrics for the current period</p>
         </div>
+        <LiveIndicator status={liveStatus} newTransactions={newTransactions} />
       </div>
       
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-5">
@@ -187,6 +347,17 @@ function MTDSummary({ data, loading }) {
               
               {/* Inner glow */}
               <div className="absolute inset-0 rounded-3xl bg-gradient-to-br from-white/[0.02] to-transparent pointer-events-none" />
+
+              {/* Flash when a live update changed this card */}
+              {hasChanged(stat.metric) && (
+                <motion.div
+                  key={stat.value}
+                  initial={{ opacity: 1 }}
+                  animate={{ opacity: 0 }}
+                  transition={{ duration: 1.6, ease: 'easeOut' }}
+                  className="absolute inset-0 rounded-3xl bg-amber-400/10 ring-1 ring-inset ring-amber-400/40 pointer-events-none"
+                />
+              )}
               
               <div className="relative">
                 <div className="flex items-center justify-between mb-4">
@@ -209,6 +380,28 @@ function MTDSummary({ data, loading }) {
                   />
                   {stat.suffix}
                 </div>
+
+                {comparison && (
+                  <div className="mt-3 space-y-1">
+                    {comparisonPeriods.map(({ key, label }) => (
+                      <DeltaBadge
+                        key={key}
+                        delta={comparison[key].deltas[stat.metric]}
+                        label={label}
+                        unit={stat.deltaUnit}
+                        invert={stat.invertDelta}
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {projections && (
+                  <ProjectionLine
+                    projection={projections[stat.metric]}
+                    confidence={forecast.confidence}
+                    format={stat.formatProjection}
+                  />
+                )}
               </div>
             </motion.div>
           );
@@ -247,7 +440,7 @@ function MTDSummary({ data, loading }) {
                     </span>
                   </div>
                   <div className="text-xl font-bold text-white">
-                    ${stats.amount.toLocaleString()}
+                    {formatCurrency(stats.amount, data.reportingCurrency)}
                   </div>
                 </motion.div>
               );
@@ -288,7 +481,7 @@ function MTDSummary({ data, loading }) {
                     </span>
                   </div>
                   <div className="text-lg font-bold text-white">
-                    ${stats.amount.toLocaleString()}
+                    {formatCurrency(stats.amount, data.reportingCurrency)}
                   </div>
                   <div className="text-xs text-slate-500 mt-1">
                     lost volume
@@ -10,8 +10,11 @@ import {
   DollarSign,
   ChevronUpSquare,
   ChevronDownSquare,
-  AlertCircle
+  AlertCircle,
+  TrendingUp,
+  TrendingDown
 } from 'lucide-react';
+import { formatCurrency, getCurrencySymbol } from '../utils/currency';
 
 // Card brand colors for visual distinction
 const CARD_BRAND_COLORS = {
@@ -25,6 +28,23 @@ const getCardBrandColor = (brand) => CARD_BRAND_COLORS[brand] || {
   bg: 'bg-slate-500/20', text: 'text-slate-400', border: 'border-slate-500/20' 
 };
 
+// Metrics the anomaly endpoint checks, see services/anomalyService.js
+const ANOMALY_METRIC_LABELS = {
+  declineRate: 'Decline rate',
+  totalDeclined: 'Declines',
+  totalTransactions: 'Transactions',
+  totalAmount: 'Volume',
+};
+
+/**
+ * Formats an anomaly's value or expected value in the metric's unit
+ */
+const formatAnomalyValue = (value, metric, currency) => {
+  if (metric === 'declineRate') return `${value.toFixed(1)}%`;
+  if (metric === 'totalAmount') return formatCurrency(value, currency, { wholeUnits: true });
+  return Math.round(value).toLocaleString();
+};
+
 /**
  * MonthlySummary Component
  * 
@@ -36,13 +56,28 @@ const getCardBrandColor = (brand) => CARD_BRAND_COLORS[brand] || {
  * - Card brand breakdown with individual stats
  * - Decline reason breakdown with lost volume
  * 
+ * - Days whose decline rate or volume was unusual for that weekday
+ * 
  * Cards are sorted by date (most recent first) and include
  * month-over-month comparison indicators when applicable.
+ * Months with anomalies (from /api/transactions/anomalies) are flagged
+ * in their header.
  * Includes Expand All / Collapse All controls for convenience.
  */
-function MonthlySummary({ data, loading, filters }) {
+function MonthlySummary({ data, loading, filters, anomalies = [] }) {
   const [expandedMonths, setExpandedMonths] = useState(new Set());
 
+  // Anomalies keyed by month (YYYY-MM), newest day first as served
+  const anomaliesByMonth = useMemo(() => {
+    const byMonth = new Map();
+    anomalies.forEach((anomaly) => {
+      const month = anomaly.period.slice(0, 7);
+      if (!byMonth.has(month)) byMonth.set(month, []);
+      byMonth.get(month).push(anomaly);
+    });
+    return byMonth;
+  }, [anomalies]);
+
   // Collapse all months when filters change
   useEffect(() => {
     setExpandedMonths(new Set());
@@ -76,15 +111,6 @@ function MonthlySummary({ data, loading, filters }) {
     setExpandedMonths(new Set());
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(amount);
-  };
-
   const formatMonthYear = (monthStr) => {
     const [year, month] = monthStr.split('-');
     const date = new Date(year, month - 1);
@@ -190,6 +216,7 @@ function MonthlySummary({ data, loading, filters }) {
       <div className="space-y-4">
         {data.map((month, index) => {
           const isExpanded = expandedMonths.has(month.month);
+          const monthAnomalies = anomaliesByMonth.get(month.month) || [];
           const approvalRate = month.totalTransactions > 0 
             ? (month.totalApproved / month.totalTransactions * 100) 
             : 0;
@@ -235,9 +262,15 @@ function MonthlySummary({ data, loading, filters }) {
                 </div>
 
                 <div className="flex items-center gap-6">
+                  {monthAnomalies.length > 0 && (
+                    <span className="flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-medium border bg-rose-500/10 text-rose-300 border-rose-500/20">
+                      <AlertCircle className="w-3.5 h-3.5" />
+                      {monthAnomalies.length} {monthAnomalies.length === 1 ? 'anomaly' : 'anomalies'}
+                    </span>
+                  )}
                   <div className="text-right hidden sm:block">
                     <p className="text-lg font-semibold text-white">
-                      {formatCurrency(month.totalAmount || 0)}
+                      {formatCurrency(month.totalAmount || 0, month.reportingCurrency, { wholeUnits: true })}
                     </p>
                   </div>
 
@@ -272,7 +305,7 @@ function MonthlySummary({ data, loading, filters }) {
                               end={month.totalAmount || 0}
                               duration={0.8}
                               separator=","
-                              prefix="$"
+                              prefix={getCurrencySymbol(month.reportingCurrency)}
                               preserveValue
                             />
                           </p>
@@ -368,7 +401,7 @@ function MonthlySummary({ data, loading, filters }) {
                                     <span className={`text-xs font-semibold ${colors.text}`}>{brand}</span>
                                     <span className="text-xs text-slate-500">{stats.count} txn</span>
                                   </div>
-                                  <div className="text-sm font-bold text-white">${stats.amount.toLocaleString()}</div>
+                                  <div className="text-sm font-bold text-white">{formatCurrency(stats.amount, month.reportingCurrency)}</div>
                                 </div>
                               );
                             })}
@@ -394,12 +427,53 @@ function MonthlySummary({ data, loading, filters }) {
                                     <span className="text-xs font-medium text-rose-400">{reason}</span>
                                     <span className="text-xs text-slate-500">{stats.count} declined</span>
                                   </div>
-                                  <div className="text-sm font-bold text-white">${stats.amount.toLocaleString()}</div>
+                                  <div className="text-sm font-bold text-white">{formatCurrency(stats.amount, month.reportingCurrency)}</div>
                                 </div>
                               ))}
                           </div>
                         </div>
                       )}
+
+                      {/* Anomalies */}
+                      {monthAnomalies.length > 0 && (
+                        <div className="mt-6">
+                          <h4 className="text-sm font-medium text-slate-400 mb-3 flex items-center gap-2">
+                            <AlertCircle className="w-4 h-4 text-rose-400" />
+                            Unusual Days
+                          </h4>
+                          <ul className="space-y-2">
+                            {monthAnomalies.map((anomaly) => {
+                              const TrendIcon = anomaly.direction === 'above' ? TrendingUp : TrendingDown;
+                              return (
+                                <li
+                                  key={`${anomaly.period}-${anomaly.dimension}-${anomaly.segment}-${anomaly.metric}`}
+                                  className="flex items-center justify-between gap-4 bg-slate-800/50 border border-rose-500/10 rounded-xl px-4 py-3"
+                                >
+                                  <div className="flex items-center gap-3 min-w-0">
+                                    <TrendIcon className={`w-4 h-4 shrink-0 ${
+                                      anomaly.direction === 'above' ? 'text-rose-400' : 'text-amber-400'
+                                    }`} />
+                                    <div className="min-w-0">
+                                      <p className="text-sm text-slate-200 truncate">
+                                        {ANOMALY_METRIC_LABELS[anomaly.metric] || anomaly.metric} · {anomaly.segment || 'All transactions'}
+                                      </p>
+                                      <p className="text-xs text-slate-500">{anomaly.label}</p>
+                                    </div>
+                                  </div>
+                                  <div className="text-right shrink-0">
+                                    <p className="text-sm font-semibold text-white">
+                                      {formatAnomalyValue(anomaly.value, anomaly.metric, month.reportingCurrency)}
+                                    </p>
+                                    <p className="text-xs text-slate-500">
+                                      usually {formatAnomalyValue(anomaly.expected, anomaly.metric, month.reportingCurrency)}
+                                    </p>
+                                  </div>
+                                </li>
+                              );
+                            })}
+                          </ul>
+                        </div>
+                      )}
                     </div>
                   </motion.div>
                 )}
@@ -0,0 +1,320 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  List,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  CheckCircle,
+  XCircle,
+  X,
+  Loader2,
+} from 'lucide-react';
+import { fetchTransactions } from '../api/transactionApi';
+import { formatCurrency, DEFAULT_CURRENCY } from '../utils/currency';
+
+// Card brand colors for visual distinction
+const CARD_BRAND_COLORS = {
+  Visa: { bg: 'bg-blue-500/20', text: 'text-blue-400', border: 'border-blue-500/20' },
+  Mastercard: { bg: 'bg-orange-500/20', text: 'text-orange-400', border: 'border-orange-500/20' },
+  Amex: { bg: 'bg-cyan-500/20', text: 'text-cyan-400', border: 'border-cyan-500/20' },
+  Discover: { bg: 'bg-amber-500/20', text: 'text-amber-400', border: 'border-amber-500/20' },
+};
+
+const getCardBrandColor = (brand) => CARD_BRAND_COLORS[brand] || {
+  bg: 'bg-slate-500/20', text: 'text-slate-400', border: 'border-slate-500/20'
+};
+
+// Virtualization settings: every row has the same height, so the visible
+// window can be computed from the scroll offset alone
+const ROW_HEIGHT = 52;
+const VIEWPORT_HEIGHT = 520;
+const OVERSCAN = 6;
+const PAGE_SIZE = 100;
+
+const COLUMNS = [
+  { field: 'transactionDate', label: 'Date', className: 'col-span-3' },
+  { field: 'transactionId', label: 'Transaction', className: 'col-span-3' },
+  { field: 'cardBrand', label: 'Brand', className: 'col-span-2' },
+  { field: 'status', label: 'Status', className: 'col-span-2' },
+  { field: 'amount', label: 'Amount', className: 'col-span-2 text-right justify-end' },
+];
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * TransactionDetail Component
+ *
+ * Modal showing every field of a single transaction record,
+ * including merchantId, declineReasonCode and, for refunds and
+ * chargebacks, the payment they reverse. The amount is shown in the
+ * record's own currency. Closes on Escape, backdrop click or the
+ * close button.
+ */
+function TransactionDetail({ transaction, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Records without a type or currency are payments in USD
+  const currency = transaction.currency || DEFAULT_CURRENCY;
+
+  const details = [
+    { label: 'Transaction ID', value: transaction.transactionId },
+    { label: 'Merchant ID', value: transaction.merchantId },
+    { label: 'Type', value: transaction.type || 'Payment' },
+    { label: 'Original Transaction', value: transaction.originalTransactionId || '—' },
+    { label: 'Amount', value: formatCurrency(transaction.amount, currency) },
+    { label: 'Currency', value: currency },
+    { label: 'Card Brand', value: transaction.cardBrand },
+    { label: 'Status', value: transaction.status },
+    { label: 'Decline Reason', value: transaction.declineReasonCode || '—' },
+    { label: 'Date', value: formatDateTime(transaction.transactionDate) },
+    { label: 'Timestamp (UTC)', value: transaction.transactionDate },
+  ];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-950/70 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Transaction ${transaction.transactionId}`}
+        initial={{ opacity: 0, y: 20, scale: 0.98 }}
+        animate={{ opacity: 1, y: 0, scale: 1 }}
+        exit={{ opacity: 0, y: 20, scale: 0.98 }}
+        transition={{ duration: 0.25, ease: [0.23, 1, 0.32, 1] }}
+        onClick={(e) => e.stopPropagation()}
+        className="relative w-full max-w-lg bg-slate-900 border border-white/10 rounded-3xl p-6 shadow-2xl"
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-semibold text-white">Transaction Details</h3>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-xl bg-slate-800/50 text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+            aria-label="Close transaction details"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {details.map(({ label, value }) => (
+            <div key={label} className="bg-slate-800/30 rounded-2xl p-4">
+              <dt className="text-xs font-medium text-slate-500 uppercase tracking-wider">{label}</dt>
+              <dd className="mt-1 text-sm font-semibold text-white break-all">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+/**
+ * TransactionTable Component
+ *
+ * Lists the individual transactions behind the summaries.
+ * - Respects the dashboard filters passed in from App.jsx
+ * - Sorts server-side when a column header is clicked
+ * - Loads further pages via the API cursors as the user scrolls
+ * - Virtualizes rows so only the visible window is rendered
+ * - Opens a detail modal with the full record when a row is clicked
+ */
+function TransactionTable({ filters }) {
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [sort, setSort] = useState({ field: 'transactionDate', direction: 'desc' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const viewportRef = useRef(null);
+  const latestRequestRef = useRef(0);
+
+  const sortParam = `${sort.field}:${sort.direction}`;
+
+  // Fetches a page; without a cursor the list is replaced, otherwise appended
+  const loadPage = useCallback(async (cursor = null) => {
+    const requestId = ++latestRequestRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetchTransactions(filters, { limit: PAGE_SIZE, cursor, sort: sortParam });
+      if (requestId !== latestRequestRef.current) return;
+
+      setRows(prev => (cursor ? [...prev, ...response.data] : response.data));
+      setTotal(response.total);
+      setNextCursor(response.pagination.nextCursor);
+    } catch (err) {
+      if (requestId !== latestRequestRef.current) return;
+      setError(err.message || 'Failed to load transactions');
+    } finally {
+      if (requestId === latestRequestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [filters, sortParam]);
+
+  // Restart from the first page whenever filters or sort order change
+  useEffect(() => {
+    if (viewportRef.current) {
+      viewportRef.current.scrollTop = 0;
+    }
+    setScrollTop(0);
+    loadPage();
+  }, [loadPage]);
+
+  const handleScroll = (e) => {
+    const { scrollTop: top, scrollHeight, clientHeight } = e.currentTarget;
+    setScrollTop(top);
+
+    // Prefetch the next page shortly before reaching the bottom
+    if (!loading && nextCursor && scrollHeight - top - clientHeight < ROW_HEIGHT * 10) {
+      loadPage(nextCursor);
+    }
+  };
+
+  const handleSort = (field) => {
+    setSort(prev => ({
+      field,
+      direction: prev.field === field && prev.direction === 'desc' ? 'asc' : 'desc',
+    }));
+  };
+
+  const closeDetail = useCallback(() => setSelected(null), []);
+
+  const startIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const endIndex = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visibleRows = rows.slice(startIndex, endIndex);
+
+  return (
+    <div className="mt-10">
+      <div className="flex items-center justify-between mb-8">
+        <div className="flex items-center gap-3">
+          <div className="p-2.5 rounded-xl bg-gradient-to-br from-cyan-500/20 to-teal-500/20 border border-cyan-500/20">
+            <List className="w-5 h-5 text-cyan-400" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-semibold text-white tracking-tight">Transactions</h2>
+            <p className="text-slate-500 text-sm mt-0.5">Individual records matching the current filters</p>
+          </div>
+        </div>
+        <span className="text-sm text-slate-500">
+          {rows.length.toLocaleString()} of {total.toLocaleString()} loaded
+        </span>
+      </div>
+
+      <div className="bg-slate-900/50 backdrop-blur-2xl border border-white/5 rounded-3xl overflow-hidden" role="table" aria-rowcount={total}>
+        {/* Header row with sortable columns */}
+        <div className="grid grid-cols-12 gap-4 px-6 py-4 border-b border-white/5 bg-slate-900/60" role="row">
+          {COLUMNS.map((column) => {
+            const isActive = sort.field === column.field;
+            const SortIcon = !isActive ? ArrowUpDown : sort.direction === 'asc' ? ArrowUp : ArrowDown;
+            return (
+              <button
+                key={column.field}
+                role="columnheader"
+                aria-sort={isActive ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                onClick={() => handleSort(column.field)}
+                className={`
+                  ${column.className} flex items-center gap-1.5
+                  text-xs font-medium uppercase tracking-wider transition-colors
+                  ${isActive ? 'text-amber-400' : 'text-slate-500 hover:text-slate-300'}
+                `}
+              >
+                {column.label}
+                <SortIcon className="w-3.5 h-3.5" />
+              </button>
+            );
+          })}
+        </div>
+
+        {error ? (
+          <div className="p-12 text-center">
+            <p className="text-rose-400 text-sm">{error}</p>
+            <button
+              onClick={() => loadPage()}
+              className="mt-4 text-sm font-medium text-rose-300 hover:text-rose-200 transition-colors"
+            >
+              Try again
+            </button>
+          </div>
+        ) : !loading && rows.length === 0 ? (
+          <div className="p-12 text-center">
+            <p className="text-slate-500">No transactions match the current filters</p>
+          </div>
+        ) : (
+          <div
+            ref={viewportRef}
+            onScroll={handleScroll}
+            className="overflow-y-auto"
+            style={{ height: Math.min(VIEWPORT_HEIGHT, Math.max(rows.length, 1) * ROW_HEIGHT) }}
+          >
+            <div className="relative" style={{ height: rows.length * ROW_HEIGHT }}>
+              {visibleRows.map((transaction, i) => {
+                const index = startIndex + i;
+                const colors = getCardBrandColor(transaction.cardBrand);
+                const isApproved = transaction.status === 'Approved';
+                return (
+                  <button
+                    key={transaction.transactionId}
+                    role="row"
+                    aria-rowindex={index + 1}
+                    onClick={() => setSelected(transaction)}
+                    className="absolute left-0 right-0 grid grid-cols-12 gap-4 items-center px-6 text-left text-sm border-b border-white/5 hover:bg-slate-800/40 transition-colors"
+                    style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+                  >
+                    <span className="col-span-3 text-slate-400 truncate">{formatDateTime(transaction.transactionDate)}</span>
+                    <span className="col-span-3 text-white font-medium truncate">{transaction.transactionId}</span>
+                    <span className="col-span-2">
+                      <span className={`text-xs px-2 py-1 rounded-full ${colors.bg} ${colors.text}`}>
+                        {transaction.cardBrand}
+                      </span>
+                    </span>
+                    <span className={`col-span-2 flex items-center gap-1.5 ${isApproved ? 'text-emerald-400' : 'text-rose-400'}`}>
+                      {isApproved ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+                      {transaction.status}
+                    </span>
+                    <span className="col-span-2 text-right text-white font-semibold">
+                      {formatCurrency(transaction.amount, transaction.currency)}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {loading && (
+          <div className="flex items-center justify-center gap-2 py-4 border-t border-white/5 text-sm text-slate-500">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Loading transactions…
+          </div>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {selected && <TransactionDetail transaction={selected} onClose={closeDetail} />}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default TransactionTable;
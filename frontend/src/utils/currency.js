@@ -0,0 +1,40 @@
+/**
+ * Currency Formatting
+ * 
+ * Amounts from the API are either converted to the reporting currency
+ * chosen in the header (summaries carry it as `reportingCurrency`) or,
+ * for individual transactions, in the transaction's own `currency`.
+ * These helpers format both with the right symbol.
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Formats an amount as currency, e.g. "$1,234.50", "€980.00" or "CA$12.00".
+ * 
+ * @param {number} amount - Amount in the given currency
+ * @param {string} currency - ISO 4217 code (defaults to USD)
+ * @param {Object} options - { wholeUnits: true } drops the cents
+ * @returns {string} Formatted amount
+ */
+export function formatCurrency(amount, currency = DEFAULT_CURRENCY, { wholeUnits = false } = {}) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || DEFAULT_CURRENCY,
+    ...(wholeUnits && { minimumFractionDigits: 0, maximumFractionDigits: 0 }),
+  }).format(amount);
+}
+
+/**
+ * Returns the symbol shown before amounts, for use as a CountUp prefix.
+ * 
+ * @param {string} currency - ISO 4217 code (defaults to USD)
+ * @returns {string} Symbol such as "$", "€", "£" or "CA$"
+ */
+export function getCurrencySymbol(currency = DEFAULT_CURRENCY) {
+  const parts = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || DEFAULT_CURRENCY,
+  }).formatToParts(0);
+  return parts.find(part => part.type === 'currency').value;
+}